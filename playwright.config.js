@@ -0,0 +1,20 @@
+const { defineConfig } = require('@playwright/test');
+
+const FIXTURE_PORT = parseInt(process.env.FIXTURE_PORT) || 4317;
+
+// Offline test suite: extraction runs against saved DAT ONE markup served
+// from tests/fixtures, so no account, session or network access is needed.
+module.exports = defineConfig({
+    testDir: './tests',
+    timeout: 60000,
+    use: {
+        baseURL: `http://127.0.0.1:${FIXTURE_PORT}`,
+        headless: true
+    },
+    webServer: {
+        command: 'node tests/support/fixture-server.js',
+        url: `http://127.0.0.1:${FIXTURE_PORT}/search-results.html`,
+        reuseExistingServer: !process.env.CI,
+        env: { FIXTURE_PORT: String(FIXTURE_PORT) }
+    }
+});
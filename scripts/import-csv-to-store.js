@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { createLoadStore } = require('../src/lib/load-store');
+
+// Usage: node scripts/import-csv-to-store.js [csvPath] [dbPath]
+// Imports a scraper CSV into the SQLite load store. Safe to re-run: loads are
+// upserted on their identity, so repeated imports never duplicate rows.
+async function importCsv() {
+    const csvPath = process.argv[2] || path.join('./output', 'dat_one_loads_production.csv');
+    const dbPath = process.argv[3] || path.join('./output', 'loads.db');
+
+    if (!fs.existsSync(csvPath)) {
+        console.log(`❌ CSV file not found: ${csvPath}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log(`📥 Importing ${csvPath} into ${dbPath}...`);
+
+    const store = createLoadStore({ type: 'sqlite', sqlitePath: dbPath });
+    await store.open();
+
+    try {
+        const result = await store.importCsv(csvPath);
+        console.log(`📊 CSV rows read: ${result.rows}`);
+        console.log(`🆕 New loads: ${result.inserted}`);
+        console.log(`🔄 Updated loads: ${result.updated}`);
+        console.log(`✅ Loads in store: ${await store.countLoads()}`);
+    } finally {
+        await store.close();
+    }
+}
+
+importCsv().catch(error => {
+    console.error('❌ Import failed:', error.message);
+    process.exit(1);
+});
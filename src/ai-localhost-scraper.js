@@ -5,6 +5,8 @@ const createCsvWriter = require('csv-writer').createObjectCsvWriter;
 const csv = require('csv-parser');
 const GmailAPI = require('./gmail-api');
 const AIScreenshotAnalyzer = require('./ai-screenshot-analyzer');
+const { ScraperFailureBundles } = require('./lib/failure-bundles');
+const { loadConfig } = require('./lib/config');
 require('dotenv').config();
 
 // Configuration
@@ -35,11 +37,14 @@ class AILocalhostScraper {
         this.aiAnalyzer = new AIScreenshotAnalyzer({
             openaiApiKey: process.env.OPENAI_API_KEY
         });
+        // Failed steps go to the same failures folder as scheduled runs
+        this.failures = new ScraperFailureBundles(loadConfig(), (level, message, data) => this.log(level, message, data));
     }
 
     log(level, message, data = {}) {
         const timestamp = new Date().toISOString();
         console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data);
+        this.failures.log(level, message, data);
     }
 
     async initialize() {
@@ -64,6 +69,7 @@ class AILocalhostScraper {
             });
 
             this.page = await this.context.newPage();
+            await this.failures.attach(this.page);
             this.log('info', '✅ Browser and AI analyzer initialized successfully');
             return true;
 
@@ -92,10 +98,6 @@ class AILocalhostScraper {
             });
             
             await this.page.waitForTimeout(3000);
-            
-            // Take screenshot of login page
-            await this.page.screenshot({ path: './output/ai-login-page.png', fullPage: true });
-            this.log('info', '📸 Login page screenshot saved');
 
             // Fill in credentials
             this.log('info', '📝 Filling in login credentials');
@@ -222,6 +224,7 @@ class AILocalhostScraper {
 
         } catch (error) {
             this.log('error', 'Login failed', { error: error.message });
+            await this.failures.save(error);
             throw error;
         }
     }
@@ -398,8 +401,7 @@ class AILocalhostScraper {
 
             if (loadRows.length === 0) {
                 this.log('error', 'No load rows found');
-                // Take debug screenshot
-                await this.page.screenshot({ path: './output/ai-debug-no-rows.png', fullPage: true });
+                await this.failures.save(new Error('No load rows found'));
                 return { processedLoads: 0, extractedLoads: 0 };
             }
 
@@ -2,6 +2,8 @@ const { chromium } = require('playwright');
 const fs = require('fs');
 const AIScreenshotAnalyzer = require('./ai-screenshot-analyzer');
 const GmailAPI = require('./gmail-api');
+const { ScraperFailureBundles } = require('./lib/failure-bundles');
+const { loadConfig } = require('./lib/config');
 require('dotenv').config();
 
 /**
@@ -16,6 +18,8 @@ class AISessionScraper {
         this.aiAnalyzer = new AIScreenshotAnalyzer({
             openaiApiKey: process.env.OPENAI_API_KEY
         });
+        // Failed steps go to the same failures folder as scheduled runs
+        this.failures = new ScraperFailureBundles(loadConfig(), (level, message, data) => this.log(level, message, data));
         
         this.config = {
             headless: false, // Run with visible browser for Cloudflare verification
@@ -29,6 +33,7 @@ class AISessionScraper {
     log(level, message, data = {}) {
         const timestamp = new Date().toISOString();
         console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data);
+        this.failures.log(level, message, data);
     }
 
     async initialize() {
@@ -59,6 +64,7 @@ class AISessionScraper {
             }
 
             this.page = await this.context.newPage();
+            await this.failures.attach(this.page);
             await this.page.setViewportSize({ width: 1920, height: 1080 });
             
             this.log('info', '✅ Browser initialized with session');
@@ -218,10 +224,6 @@ class AISessionScraper {
                 return false;
             }
 
-            // Take screenshot of login page
-            await this.page.screenshot({ path: './output/ai-login-attempt.png', fullPage: true });
-            this.log('info', '📸 Login page screenshot saved');
-
             // Fill email field
             const emailSelectors = [
                 'input[type="email"]',
@@ -248,6 +250,7 @@ class AISessionScraper {
                 this.log('info', '✅ Email filled');
             } else {
                 this.log('error', '❌ Could not find email field');
+                await this.failures.save(new Error('Could not find email field'));
                 return false;
             }
 
@@ -354,11 +357,13 @@ class AISessionScraper {
                 return true;
             } else {
                 this.log('warn', '⚠️ Still on login page after login attempt');
+                await this.failures.save(new Error('Still on login page after login attempt'));
                 return false;
             }
 
         } catch (error) {
             this.log('error', 'Login attempt failed', { error: error.message });
+            await this.failures.save(error);
             return false;
         }
     }
@@ -395,10 +400,6 @@ class AISessionScraper {
                 return false;
             }
 
-            // Take screenshot of MFA prompt
-            await this.page.screenshot({ path: './output/mfa-security-prompt.png', fullPage: true });
-            this.log('info', '📸 MFA prompt screenshot saved');
-
             // Click "Remind Me Later" to skip MFA setup for now
             const remindLaterSelectors = [
                 'button:has-text("Remind Me Later")',
@@ -423,11 +424,6 @@ class AISessionScraper {
                 await remindButton.click();
                 this.log('info', '✅ Clicked "Remind Me Later" - skipping MFA setup');
                 await this.page.waitForTimeout(3000);
-                
-                // Take screenshot after clicking
-                await this.page.screenshot({ path: './output/after-mfa-skip.png', fullPage: true });
-                this.log('info', '📸 Post-MFA screenshot saved');
-                
                 return true;
             } else {
                 this.log('warn', '⚠️ Could not find "Remind Me Later" button');
@@ -476,10 +472,6 @@ class AISessionScraper {
             // Wait a moment for page to load
             await this.page.waitForTimeout(2000);
             
-            // Take screenshot to see current state
-            await this.page.screenshot({ path: './output/ai-verification-method-selection.png', fullPage: true });
-            this.log('info', '📸 Verification method selection screenshot saved');
-            
             // Look for "Try Another Method" button
             const tryAnotherSelectors = [
                 'button:has-text("Try Another Method")',
@@ -525,11 +517,6 @@ class AISessionScraper {
                             await emailOption.click();
                             await this.page.waitForTimeout(1000);
                             this.log('info', '✅ Successfully selected email verification method');
-                            
-                            // Take screenshot after selection
-                            await this.page.screenshot({ path: './output/ai-after-email-selection.png', fullPage: true });
-                            this.log('info', '📸 After email selection screenshot saved');
-                            
                             return true;
                         }
                     } catch (e) {
@@ -556,10 +543,6 @@ class AISessionScraper {
             // Wait a moment for the page to load after form submission
             await this.page.waitForTimeout(2000);
             
-            // Take a screenshot to see what's on the page
-            await this.page.screenshot({ path: './output/ai-verification-check.png', fullPage: true });
-            this.log('info', '📸 Verification check screenshot saved');
-            
             // Look for common email verification indicators
             const verificationSelectors = [
                 'input[placeholder*="code" i]',
@@ -753,10 +736,6 @@ class AISessionScraper {
                 return;
             }
             
-            // Take screenshot of the challenge
-            await this.page.screenshot({ path: './output/cloudflare-challenge.png', fullPage: true });
-            this.log('info', '📸 Cloudflare challenge screenshot saved');
-            
             // Look for the verification checkbox
             this.log('info', '🔍 Looking for verification checkbox...');
             const checkboxSelectors = [
@@ -788,15 +767,14 @@ class AISessionScraper {
             // Wait for manual verification
             await this.page.waitForTimeout(30000); // Wait 30 seconds for manual verification
             
-            // Take screenshot after verification
-            await this.page.screenshot({ path: './output/after-cloudflare-verification.png', fullPage: true });
-            this.log('info', '📸 Post-verification screenshot saved');
-            
             // Check if we've moved past the challenge
             const stillOnChallenge = await this.page.$('text=Verify you are human');
             if (stillOnChallenge) {
                 this.log('warn', '⚠️ Still on Cloudflare challenge page. Waiting additional 15 seconds...');
                 await this.page.waitForTimeout(15000);
+                if (await this.page.$('text=Verify you are human')) {
+                    await this.failures.save(new Error('Cloudflare challenge not completed'));
+                }
             }
             
             this.log('info', '✅ Proceeding with assumption that Cloudflare verification is completed');
@@ -811,9 +789,6 @@ class AISessionScraper {
         try {
             this.log('info', '📝 Filling search form (using proven working localhost logic)');
             
-            // Take screenshot for debugging
-            await this.page.screenshot({ path: './output/ai-search-form-debug.png', fullPage: true });
-            
             // Fill Origin field using the exact data-test attribute (WORKING CODE FROM LOCALHOST)
             this.log('info', '🔍 Looking for Origin field with data-test="origin-input"...');
             const originField = await this.page.waitForSelector('input[data-test="origin-input"]', { timeout: 10000 });
@@ -1052,13 +1027,6 @@ class AISessionScraper {
                 this.log('info', '⏳ Waiting for search results to load...');
                 await this.page.waitForTimeout(8000); // Longer wait for results
                 
-                // Take screenshot after search
-                await this.page.screenshot({ 
-                    path: './output/after-search-results.png', 
-                    fullPage: true 
-                });
-                this.log('info', '📸 Screenshot taken after search');
-                
             } else {
                 this.log('error', '❌ No search button found - search cannot proceed');
                 throw new Error('Search button not found with any selector');
@@ -1068,6 +1036,7 @@ class AISessionScraper {
             
         } catch (error) {
             this.log('error', 'Search form filling failed', { error: error.message });
+            await this.failures.save(error);
             throw error; // Re-throw to handle upstream
         }
     }
@@ -1168,13 +1137,7 @@ class AISessionScraper {
 
             if (loadRows.length === 0) {
                 this.log('error', 'No clickable load rows found');
-                
-                // Take debug screenshot
-                await this.page.screenshot({ 
-                    path: './output/ai-debug-no-clickable-rows.png', 
-                    fullPage: true 
-                });
-                this.log('info', '📸 Debug screenshot saved');
+                await this.failures.save(new Error('No clickable load rows found'));
                 
                 return { processedLoads: 0, extractedLoads: 0 };
             }
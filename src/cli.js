@@ -0,0 +1,803 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { Command } = require('commander');
+require('dotenv').config();
+const { loadConfig } = require('./lib/config');
+const { createLoadStore, LOAD_COLUMNS, LIFECYCLE_COLUMNS, LOAD_STATUS } = require('./lib/load-store');
+const { loadSearchProfiles, selectProfile } = require('./lib/search-profiles');
+const { version } = require('../package.json');
+
+// `dispatch` - one entry point for logging in, scraping, scheduling and
+// maintaining the load store. Every command resolves its settings through
+// the shared config loader (defaults < config file < environment < flags).
+
+// Command-line options that set a config setting under another name
+const FLAG_SETTINGS = {
+    profile: 'searchProfile',
+    profiles: 'searchProfilesFile',
+    rules: 'alertRulesFile',
+    webhooks: 'webhooksFile',
+    interval: 'intervalSeconds',
+    port: 'healthCheckPort',
+    store: 'loadStore',
+    provider: 'distanceProvider'
+};
+
+const EXPORT_COLUMNS = ['load_id', ...LOAD_COLUMNS, ...LIFECYCLE_COLUMNS];
+
+const consoleLogger = {
+    debug() {},
+    info: (message, meta = {}) => console.log(`ℹ️  ${message}`, Object.keys(meta).length > 0 ? meta : ''),
+    warn: (message, meta = {}) => console.warn(`⚠️ ${message}`, Object.keys(meta).length > 0 ? meta : ''),
+    error: (message, meta = {}) => console.error(`❌ ${message}`, Object.keys(meta).length > 0 ? meta : '')
+};
+
+function toFlags(options) {
+    const flags = {};
+    for (const [name, value] of Object.entries(options)) {
+        flags[FLAG_SETTINGS[name] || name] = value;
+    }
+    return flags;
+}
+
+/**
+ * Wrap a command action: resolve the config from the global options plus,
+ * unless settingFlags is false, the command's own options, and turn a
+ * thrown error into a message and exit code 1. The action is called with
+ * the config, the command's options and its arguments.
+ */
+function withConfig(action, { settingFlags = true } = {}) {
+    return async function (...args) {
+        const command = args.pop();
+        const options = args.pop();
+        try {
+            const flags = settingFlags ? command.optsWithGlobals() : command.parent.opts();
+            const config = loadConfig({ flags: toFlags(flags) });
+            await action(config, options, ...args);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exitCode = 1;
+        }
+    };
+}
+
+function storePath(config) {
+    return config.loadStore === 'csv'
+        ? path.join(config.outputDir, config.outputFile)
+        : path.join(config.outputDir, config.databaseFile);
+}
+
+// Pass { upgrade: false } to leave a CSV written before newer columns as
+// it is (dry runs)
+async function openStore(config, openOptions = {}) {
+    const store = createLoadStore({
+        type: config.loadStore,
+        sqlitePath: path.join(config.outputDir, config.databaseFile),
+        csvPath: path.join(config.outputDir, config.outputFile)
+    });
+    await store.open(openOptions);
+    return store;
+}
+
+function readJsonFile(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+async function login(config) {
+    const LocalhostScraper = require('./localhost-scraper');
+    const scraper = new LocalhostScraper({ outputDir: config.outputDir });
+
+    try {
+        await scraper.initialize();
+        await scraper.loginToDAT();
+        await scraper.context.storageState({ path: config.sessionFile });
+        console.log(`✅ Logged in; session saved to ${config.sessionFile}`);
+    } finally {
+        await scraper.close();
+    }
+}
+
+async function saveSession(config) {
+    const { saveDATOneSession } = require('./save-session');
+    await saveDATOneSession(config.sessionFile);
+}
+
+async function scrape(config) {
+    const profile = selectProfile(loadSearchProfiles(config.searchProfilesFile), config.searchProfile);
+    const scraper = require('./production-scraper');
+    scraper.configure(config);
+    // Bad alert rules or webhooks stop the scrape before it starts, as they
+    // stop the scheduler
+    scraper.getAlertEngine();
+    scraper.getWebhookDispatcher();
+
+    // A scrape already writing to the output directory (the scheduler,
+    // another `dispatch scrape`) holds the run lock; this one stops rather
+    // than wait for it
+    let runData;
+    try {
+        const outcome = await scraper.getRunCoordinator().submit(
+            profile ? profile.name : 'current search',
+            () => scraper.runProductionScraping(profile)
+        );
+        if (outcome.status === 'skipped') {
+            throw new Error(`Scrape skipped: ${outcome.reason}`);
+        }
+        runData = outcome.result;
+    } finally {
+        await scraper.browserManager.close();
+        await scraper.closeLoadStore();
+        await scraper.closeWebhooks();
+    }
+
+    console.log('');
+    console.log(`📊 Profile: ${runData.searchProfile || 'current search'}`);
+    console.log(`🚛 Loads extracted: ${runData.entriesCrawled}`);
+    console.log(`🆕 New loads: ${runData.newEntriesAdded}`);
+    console.log(`🔄 Already known: ${runData.duplicatesSkipped}`);
+    console.log(`👻 Vanished: ${runData.loadsVanished}`);
+    if (runData.error) {
+        throw new Error(`Scrape failed: ${runData.error}`);
+    }
+}
+
+async function schedule(config) {
+    const scraper = require('./production-scraper');
+    scraper.configure(config);
+    scraper.startService();
+}
+
+function exportFilters(options) {
+    const filters = {};
+    for (const [option, filter] of [
+        ['status', 'status'],
+        ['profile', 'search_profile'],
+        ['origin', 'origin'],
+        ['destination', 'destination'],
+        ['company', 'company'],
+        ['since', 'since'],
+        ['until', 'until']
+    ]) {
+        if (options[option]) filters[filter] = options[option];
+    }
+    return filters;
+}
+
+async function exportLoads(config, options) {
+    const format = options.format || (options.output && options.output.endsWith('.json') ? 'json' : 'csv');
+    if (!['csv', 'json'].includes(format)) {
+        throw new Error(`Unknown export format "${format}" (expected csv or json)`);
+    }
+
+    const store = await openStore(config);
+    let loads;
+    try {
+        const filters = exportFilters(options);
+        const count = await store.countLoads(filters);
+        const limit = options.limit ? parseInt(options.limit, 10) : count;
+        if (options.sort) {
+            // Sorted over every match, then cut to the limit
+            const { sortLoads } = require('./lib/load-query');
+            loads = sortLoads(count > 0 ? await store.queryLoads({ ...filters, limit: count }) : [], options.sort).slice(0, limit);
+        } else {
+            loads = limit > 0 ? await store.queryLoads({ ...filters, limit }) : [];
+        }
+    } finally {
+        await store.close();
+    }
+
+    let content;
+    if (format === 'json') {
+        content = JSON.stringify(loads, null, 2) + '\n';
+    } else {
+        const createCsvStringifier = require('csv-writer').createObjectCsvStringifier;
+        const stringifier = createCsvStringifier({
+            header: EXPORT_COLUMNS.map(column => ({ id: column, title: column }))
+        });
+        content = stringifier.getHeaderString() + stringifier.stringifyRecords(loads);
+    }
+
+    if (options.output) {
+        fs.writeFileSync(options.output, content);
+        console.error(`✅ Exported ${loads.length} loads to ${options.output}`);
+    } else {
+        process.stdout.write(content);
+    }
+}
+
+async function dedupe(config, options) {
+    const csvPath = options.file || path.join(config.outputDir, config.outputFile);
+    if (!options.file && config.loadStore !== 'csv') {
+        console.log('✅ The SQLite store keeps one row per load; nothing to dedupe.');
+        console.log('💡 Pass --file to compact a CSV written by the CSV store or an older scraper.');
+        return;
+    }
+    if (!fs.existsSync(csvPath)) {
+        throw new Error(`CSV file not found: ${csvPath}`);
+    }
+
+    const CsvLoadStore = require('./lib/csv-load-store');
+    const store = new CsvLoadStore({ csvPath });
+    // Read only: compact() below does the rewrite, keeping an older
+    // file's original beside it
+    await store.open({ upgrade: false });
+
+    if (options.dryRun) {
+        console.log(`📊 ${store.rowCount} rows, ${store.loads.size} loads: ${store.rowCount - store.loads.size} rows would be removed`);
+        return;
+    }
+
+    const result = await store.compact();
+    console.log(`📊 Rows before: ${result.rows}`);
+    console.log(`🗑️  Superseded rows removed: ${result.removed}`);
+    console.log(`✅ Loads kept: ${result.loads}`);
+}
+
+async function migrate(config, options) {
+    const { MIGRATIONS, runMigrations } = require('./lib/migrations');
+    const store = await openStore(config, { upgrade: !options.dryRun });
+
+    try {
+        const results = await runMigrations(store, { dryRun: options.dryRun });
+        if (results.length === 0) {
+            console.log('✅ Load store is up to date');
+            return;
+        }
+        for (const { id, description, changed, unresolved } of results) {
+            const { describe } = MIGRATIONS.find(migration => migration.id === id);
+            console.log(`🔧 ${id}: ${description}`);
+            for (const load of changed.slice(0, options.verbose ? changed.length : 10)) {
+                console.log(`  ${describe(load)}`);
+            }
+            if (!options.verbose && changed.length > 10) {
+                console.log(`  ... and ${changed.length - 10} more (--verbose lists all)`);
+            }
+            console.log(`${options.dryRun ? '🔍 Loads that would change' : '✅ Loads changed'}: ${changed.length}`);
+            if (unresolved.length > 0) {
+                console.log(`⚠️  Loads it could not migrate: ${unresolved.length}${options.verbose ? '' : ' (--verbose lists them)'}`);
+                for (const load of options.verbose ? unresolved : []) {
+                    console.log(`  ${describe(load)}`);
+                }
+            }
+        }
+    } finally {
+        await store.close();
+    }
+}
+
+function plural(count, noun, nouns = `${noun}s`) {
+    return `${count} ${count === 1 ? noun : nouns}`;
+}
+
+function formatRate(rate) {
+    return rate === null ? 'no rates' : `$${rate.toFixed(2)}/mi`;
+}
+
+async function brokers(config, options, search) {
+    const { loadBrokerDirectory } = require('./lib/brokers');
+    const store = await openStore(config);
+    let directory;
+    try {
+        directory = await loadBrokerDirectory(store, {
+            search,
+            since: options.since,
+            status: options.status
+        });
+    } finally {
+        await store.close();
+    }
+
+    const limit = options.limit ? parseInt(options.limit, 10) : 20;
+    const shown = directory.slice(0, limit);
+    if (options.json) {
+        console.log(JSON.stringify(shown, null, 2));
+        return;
+    }
+    if (directory.length === 0) {
+        console.log(search ? `🔍 No broker matches "${search}"` : '📭 No brokers in the load store yet');
+        return;
+    }
+
+    // A single match gets every lane and contact, a listing the top few
+    const detailed = directory.length === 1;
+    for (const broker of shown) {
+        const lastSeen = broker.last_seen_at ? broker.last_seen_at.substring(0, 10) : 'never';
+        console.log(`🏢 ${broker.name} (${broker.id})`);
+        console.log(`   📊 ${plural(broker.postings, 'posting')} (${broker.active_postings} active), ${formatRate(broker.avg_rate_per_mile)}, last seen ${lastSeen}`);
+        if (detailed && broker.aliases.length > 1) {
+            console.log(`   🏷️  Also posts as: ${broker.aliases.filter(alias => alias !== broker.name).join(', ')}`);
+        }
+        for (const contact of broker.contacts.slice(0, detailed ? undefined : 2)) {
+            console.log(`   📞 ${[contact.display, contact.name].filter(Boolean).join(' · ')}`);
+        }
+        for (const lane of broker.lanes.slice(0, detailed ? undefined : 3)) {
+            console.log(`   🛣️  ${lane.origin} → ${lane.destination}: ${plural(lane.postings, 'posting')}, ${formatRate(lane.avg_rate_per_mile)}`);
+        }
+        if (!detailed && broker.lanes.length > 3) {
+            console.log(`   ... ${plural(broker.lanes.length - 3, 'more lane')}`);
+        }
+    }
+    if (directory.length > shown.length) {
+        console.log(`\n📋 ${plural(directory.length - shown.length, 'more broker')} (--limit to show more)`);
+    }
+}
+
+async function lanes(config, options) {
+    const { loadLaneReport } = require('./lib/lanes');
+    const store = await openStore(config);
+    let report;
+    try {
+        report = await loadLaneReport(store, {
+            windows: options.windows,
+            origin: options.origin,
+            destination: options.destination,
+            equipment: options.equipment
+        });
+    } finally {
+        await store.close();
+    }
+
+    const limit = options.limit ? parseInt(options.limit, 10) : 20;
+    const shown = report.lanes.slice(0, limit);
+    if (options.json) {
+        console.log(JSON.stringify({ ...report, lanes: shown }, null, 2));
+        return;
+    }
+    if (report.lanes.length === 0) {
+        console.log(`📭 No lanes with loads seen in the last ${report.windows[report.windows.length - 1]} days`);
+        return;
+    }
+
+    for (const lane of shown) {
+        console.log(`🛣️  ${lane.origin_market} → ${lane.destination_market} · ${lane.equipment}`);
+        for (const window of report.windows) {
+            const summary = lane.windows[`${window}d`];
+            const rates = summary.rated > 0
+                ? `min ${formatRate(summary.min_rate_per_mile)}, median ${formatRate(summary.median_rate_per_mile)}, p90 ${formatRate(summary.p90_rate_per_mile)}`
+                : 'no rates';
+            console.log(`   ${`${window}d`.padStart(4)}: ${plural(summary.count, 'load')}, ${rates}, $${summary.total_rate_usd.toLocaleString('en-US')} total`);
+        }
+    }
+    if (report.lanes.length > shown.length) {
+        console.log(`\n📋 ${plural(report.lanes.length - shown.length, 'more lane')} (--limit to show more)`);
+    }
+}
+
+async function distance(config, options, origin, destination) {
+    const { createDistanceProvider } = require('./lib/distance');
+    const provider = createDistanceProvider(config, { logger: consoleLogger });
+    const route = await provider.route(origin, destination);
+
+    if (options.json) {
+        console.log(JSON.stringify(route, null, 2));
+        return;
+    }
+    const source = route.cached ? `${route.provider}, cached` : route.provider;
+    console.log(`🗺️  ${origin} → ${destination}: ${route.miles.toLocaleString('en-US')} miles, ${route.hours}h driving (${source})`);
+}
+
+async function alerts(config, options) {
+    const { loadAlertRules, matchRule } = require('./lib/alerts');
+    const { alertSubject } = require('./lib/notifiers');
+    const { rules } = loadAlertRules(config.alertRulesFile);
+    if (rules.length === 0) {
+        console.log(`📭 No alert rules in ${config.alertRulesFile}`);
+        return;
+    }
+
+    const since = options.since || new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+    const store = await openStore(config);
+    let loads;
+    try {
+        const count = await store.countLoads({ since });
+        loads = count > 0 ? await store.queryLoads({ since, limit: count }) : [];
+    } finally {
+        await store.close();
+    }
+
+    // Matching only: nothing is sent and no cooldown starts
+    const matches = rules.map(rule => ({
+        rule: rule.name,
+        notify: rule.notify,
+        loads: loads.filter(load => matchRule(rule, load))
+    }));
+    if (options.json) {
+        console.log(JSON.stringify(matches, null, 2));
+        return;
+    }
+
+    console.log(`🔔 ${plural(rules.length, 'rule')} checked against ${plural(loads.length, 'load')} seen since ${since}`);
+    for (const match of matches) {
+        console.log(`\n📋 ${match.rule} (→ ${match.notify.join(', ')}): ${plural(match.loads.length, 'match', 'matches')}`);
+        for (const load of match.loads.slice(0, 10)) {
+            console.log(`   ${alertSubject({ rule: match.rule, load })} · ${load.company || 'unknown broker'}`);
+        }
+        if (match.loads.length > 10) {
+            console.log(`   ... ${match.loads.length - 10} more`);
+        }
+    }
+}
+
+async function stats(config, options) {
+    const runStats = readJsonFile(path.join(config.outputDir, config.statsFile));
+    const health = readJsonFile(path.join(config.outputDir, config.healthFile));
+
+    const store = await openStore(config);
+    let loads;
+    try {
+        loads = {
+            total: await store.countLoads(),
+            active: await store.countLoads({ status: LOAD_STATUS.ACTIVE }),
+            vanished: await store.countLoads({ status: LOAD_STATUS.VANISHED })
+        };
+    } finally {
+        await store.close();
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify({ store: { type: config.loadStore, path: storePath(config) }, loads, runs: runStats, health }, null, 2));
+        return;
+    }
+
+    console.log(`💾 Store: ${config.loadStore} (${storePath(config)})`);
+    console.log(`🚛 Loads: ${loads.total} (${loads.active} active, ${loads.vanished} vanished)`);
+    if (health) {
+        console.log(`🩺 Service status: ${health.status}`);
+    }
+    if (!runStats || !runStats.totalRuns) {
+        console.log('📊 No runs recorded yet');
+        return;
+    }
+    console.log(`📊 Runs: ${runStats.totalRuns} (${runStats.successRate}% successful, ${runStats.totalErrors} failed)`);
+    console.log(`🕐 First run: ${runStats.firstRun}`);
+    console.log(`🕐 Last run: ${runStats.lastRun}`);
+    console.log(`🆕 New loads: ${runStats.totalNewEntriesAdded} (${runStats.averageNewEntriesPerRun} per run)`);
+    console.log(`⏱️  Average run: ${runStats.averageRunDuration}ms`);
+    const steps = Object.entries(runStats.stepTimings || {});
+    if (steps.length > 0) {
+        console.log('🧭 Steps (average per run, share of run time, slowest, errors):');
+        for (const [name, step] of steps) {
+            const share = step.shareOfRun === null ? '-' : `${step.shareOfRun}%`;
+            console.log(`   ${name.padEnd(16)} ${String(step.averageMs).padStart(6)}ms  ${share.padStart(6)}  max ${step.maxMs}ms  ${step.errors} errors`);
+        }
+    }
+    if (runStats.selectorDrift && runStats.selectorDrift.length > 0) {
+        console.log(`⚠️ Selector drift: ${runStats.selectorDrift.map(entry => entry.field).join(', ')}`);
+    }
+}
+
+function failuresDir(config) {
+    return path.join(config.outputDir, config.failuresDir);
+}
+
+async function failuresList(config, options) {
+    const { listFailureBundles } = require('./lib/failure-bundles');
+    const bundles = listFailureBundles(failuresDir(config)).slice(0, Number(options.limit) || 10);
+    if (options.json) {
+        console.log(JSON.stringify(bundles, null, 2));
+        return;
+    }
+    if (bundles.length === 0) {
+        console.log('✅ No failure bundles');
+        return;
+    }
+
+    for (const bundle of bundles) {
+        console.log(`🧯 ${bundle.name} · ${bundle.searchProfile || 'current search'} · ${(bundle.size / 1024 / 1024).toFixed(1)} MB`);
+        console.log(`   ${bundle.error || 'unknown error'}`);
+        console.log(`   ${bundle.files.join(', ') || 'no files'}`);
+    }
+    console.log(`\n🔍 Open one with: dispatch failures open [name] (the newest by default)`);
+}
+
+async function failuresOpen(config, options, name) {
+    const { listFailureBundles } = require('./lib/failure-bundles');
+    const bundles = listFailureBundles(failuresDir(config));
+    const bundle = name ? bundles.find(candidate => candidate.name === name) : bundles[0];
+    if (!bundle) {
+        throw new Error(name ? `No failure bundle "${name}" in ${failuresDir(config)}` : `No failure bundles in ${failuresDir(config)}`);
+    }
+
+    console.log(`🧯 ${bundle.name}: ${bundle.error || 'unknown error'}`);
+    if (bundle.url) console.log(`   Page: ${bundle.url}`);
+    for (const file of bundle.files) {
+        console.log(`   ${path.join(bundle.path, file)}`);
+    }
+
+    const trace = path.join(bundle.path, 'trace.zip');
+    if (options.viewer === false || !fs.existsSync(trace)) return;
+    console.log('🎞️  Opening the trace viewer...');
+    const { spawn } = require('child_process');
+    await new Promise((resolve, reject) => {
+        spawn('npx', ['playwright', 'show-trace', trace], { stdio: 'inherit' })
+            .on('error', reject)
+            .on('exit', resolve);
+    });
+}
+
+function webhookDispatcher(config, { withEndpoints = false } = {}) {
+    const { loadWebhookConfig, WebhookDispatcher } = require('./lib/webhooks');
+    // Inspecting the outbox needs no endpoint secrets, only delivering does
+    const webhooks = withEndpoints ? loadWebhookConfig(config.webhooksFile) : { endpoints: [] };
+    return new WebhookDispatcher({
+        ...webhooks,
+        outboxPath: path.join(config.outputDir, config.webhookOutboxFile),
+        logger: consoleLogger
+    });
+}
+
+function describeDelivery(delivery) {
+    const load = delivery.event.data.load || {};
+    const lane = `${load.origin || '?'} → ${load.destination || '?'}`;
+    return `${delivery.id} ${delivery.event.type} → ${delivery.endpoint} · ${load.reference_number || load.load_id || '?'} ${lane}`;
+}
+
+async function webhooksStatus(config, options) {
+    const dispatcher = webhookDispatcher(config);
+    const pending = dispatcher.pending();
+    const dead = dispatcher.deadLetters();
+    if (options.json) {
+        console.log(JSON.stringify({ pending, dead }, null, 2));
+        return;
+    }
+
+    console.log(`📤 Pending deliveries: ${pending.length}`);
+    for (const delivery of pending.slice(0, 10)) {
+        const retry = delivery.attempts > 0 ? `, retry ${delivery.attempts + 1} at ${delivery.next_attempt_at} (${delivery.last_error})` : '';
+        console.log(`   ${describeDelivery(delivery)}${retry}`);
+    }
+    console.log(`💀 Dead letters: ${dead.length}${dead.length > 0 ? ' (dispatch webhooks dead-letters to list them)' : ''}`);
+}
+
+async function webhooksDeadLetters(config, options) {
+    const dead = webhookDispatcher(config).deadLetters();
+    if (options.json) {
+        console.log(JSON.stringify(dead, null, 2));
+        return;
+    }
+    if (dead.length === 0) {
+        console.log('✅ No dead letters');
+        return;
+    }
+
+    for (const delivery of dead) {
+        console.log(`💀 ${describeDelivery(delivery)}`);
+        console.log(`   ${plural(delivery.attempts, 'attempt')}, failed at ${delivery.dead_at}: ${delivery.last_error}`);
+    }
+    console.log(`\n🔁 Replay with: dispatch webhooks replay <id...> (or --all)`);
+}
+
+async function webhooksReplay(config, options, ids) {
+    if (!options.all && ids.length === 0) {
+        throw new Error('Name the dead letters to replay, or pass --all');
+    }
+
+    const dispatcher = webhookDispatcher(config, { withEndpoints: options.deliver });
+    const replayed = await dispatcher.replay(options.all ? null : ids);
+    const missing = options.all ? [] : ids.filter(id => !replayed.some(delivery => delivery.id === id));
+    for (const id of missing) {
+        console.log(`⚠️  No dead letter ${id}`);
+    }
+    console.log(`🔁 Requeued ${plural(replayed.length, 'delivery', 'deliveries')}`);
+
+    if (options.deliver && replayed.length > 0) {
+        const result = await dispatcher.flush();
+        console.log(`📤 Delivered ${result.delivered}, retrying ${result.retrying}, dead again ${result.dead}`);
+    } else if (replayed.length > 0) {
+        console.log('   The scheduler sends them within seconds; --deliver sends them now');
+    }
+}
+
+async function serve(config) {
+    const { startStatusServer } = require('./lib/status-server');
+    const { createApiRoutes } = require('./lib/api');
+    const { createDashboardRoutes } = require('./lib/dashboard');
+
+    let store = null;
+    const getStore = async () => {
+        if (!store) store = await openStore(config);
+        return store;
+    };
+
+    const server = startStatusServer({
+        port: config.healthCheckPort,
+        logger: consoleLogger,
+        routes: [
+            ...createApiRoutes({
+                getStore,
+                getRuns: () => (readJsonFile(path.join(config.outputDir, config.statsFile)) || {}).runs || []
+            }),
+            ...createDashboardRoutes({ screenshotsDir: path.join(config.outputDir, config.screenshotsDir) })
+        ],
+        getStatus: () => ({
+            health: readJsonFile(path.join(config.outputDir, config.healthFile)) || { status: 'unknown' },
+            stats: readJsonFile(path.join(config.outputDir, config.statsFile))
+        })
+    });
+
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.on(signal, () => {
+            server.close();
+            if (store) store.close();
+        });
+    }
+}
+
+const program = new Command();
+
+program
+    .name('dispatch')
+    .description('Scrape the DAT ONE load board and manage the collected loads')
+    .version(version)
+    .option('-c, --config <file>', 'config file (default: ./dispatch.config.json, or $DISPATCH_CONFIG)')
+    .option('--output-dir <dir>', 'directory for the load store, stats and health files')
+    .option('--store <type>', 'load store: sqlite or csv')
+    .option('--log-level <level>', 'error, warn, info or debug');
+
+program
+    .command('login')
+    .description('log in with DAT_ONE_USERNAME/DAT_ONE_PASSWORD (email verification included) and save the session')
+    .option('--session-file <file>', 'where to save the session')
+    .action(withConfig(login));
+
+program
+    .command('save-session')
+    .description('open a browser, log in by hand and save the session')
+    .option('--session-file <file>', 'where to save the session')
+    .action(withConfig(saveSession));
+
+program
+    .command('scrape')
+    .description('run one scrape and save the loads')
+    .option('-p, --profile <name>', 'search profile to run (default: the first one)')
+    .option('--profiles <file>', 'search profiles file')
+    .option('--max-entries <count>', 'rows to extract')
+    .option('--headless', 'run the browser headless')
+    .option('--no-headless', 'show the browser')
+    .action(withConfig(scrape));
+
+program
+    .command('schedule')
+    .description('scrape on an interval, rotating through the search profiles, with the health server')
+    .option('-p, --profile <name>', 'only run this search profile')
+    .option('--profiles <file>', 'search profiles file')
+    .option('--rules <file>', 'alert rules file')
+    .option('--webhooks <file>', 'webhook endpoints file')
+    .option('--interval <seconds>', 'seconds between runs')
+    .option('--max-entries <count>', 'rows to extract per run')
+    .option('--port <port>', 'health server port')
+    .option('--headless', 'run the browser headless')
+    .option('--no-headless', 'show the browser')
+    .action(withConfig(schedule));
+
+program
+    .command('export')
+    .description('write stored loads as CSV or JSON, most recently seen first')
+    .option('-f, --format <format>', 'csv or json (default: from --output, else csv)')
+    .option('-o, --output <file>', 'write to a file instead of stdout')
+    .option('--status <status>', 'active or vanished')
+    .option('-p, --profile <name>', 'loads found by this search profile')
+    .option('--origin <place>', 'origin, e.g. "Denver, CO"')
+    .option('--destination <place>', 'destination')
+    .option('--company <name>', 'broker company')
+    .option('--since <time>', 'last seen at or after this ISO time')
+    .option('--until <time>', 'last seen before this ISO time')
+    .option('--limit <count>', 'at most this many loads')
+    .option('--sort <field>', 'sort by a field, - for descending, e.g. -net_per_mile_usd')
+    .action(withConfig(exportLoads, { settingFlags: false }));
+
+program
+    .command('dedupe')
+    .description('compact a CSV load file to one row per load')
+    .option('--file <csv>', 'CSV file to compact (default: the CSV store file)')
+    .option('--dry-run', 'only count the rows that would be removed')
+    .action(withConfig(dedupe));
+
+program
+    .command('migrate')
+    // Contact backfilling is one of the migrations now; keep its old name
+    .alias('backfill')
+    .description('apply pending data migrations to the load store')
+    .option('--dry-run', 'only list the loads that would change')
+    .option('--verbose', 'list every changed load, and every load a migration could not change')
+    .action(withConfig(migrate));
+
+program
+    .command('brokers [search]')
+    .description('list brokers with their contacts, lanes, volume and rates')
+    .option('--since <date>', 'only count loads seen since this ISO date')
+    .option('--status <status>', 'only count active or vanished loads')
+    .option('--limit <n>', 'brokers to show (default: 20)')
+    .option('--json', 'print as JSON')
+    .action(withConfig(brokers, { settingFlags: false }));
+
+program
+    .command('lanes')
+    .description('report rates per lane (origin market → destination market, equipment) over rolling windows')
+    .option('--windows <days>', 'comma-separated window lengths in days (default: 7,30,90)')
+    .option('--origin <market>', 'origin market or state, e.g. CO_DEN or CO')
+    .option('--destination <market>', 'destination market or state')
+    .option('--equipment <type>', 'equipment type, e.g. Reefer')
+    .option('--limit <n>', 'lanes to show (default: 20)')
+    .option('--json', 'print as JSON')
+    .action(withConfig(lanes, { settingFlags: false }));
+
+program
+    .command('distance <origin> <destination>')
+    .description('driving distance between two places, from the lane-distance cache or the distance provider')
+    .option('--provider <name>', 'distance provider: haversine, google or osrm')
+    .option('--json', 'print as JSON')
+    .action(withConfig(distance));
+
+program
+    .command('alerts')
+    .description('check stored loads against the alert rules without sending anything')
+    .option('--rules <file>', 'alert rules file')
+    .option('--since <time>', 'loads last seen at or after this ISO time (default: the last 24 hours)')
+    .option('--json', 'print as JSON')
+    .action(withConfig(alerts));
+
+const webhooks = program
+    .command('webhooks')
+    .description('inspect the webhook outbox and replay dead letters');
+
+webhooks
+    .command('status', { isDefault: true })
+    .description('show pending deliveries and the number of dead letters')
+    .option('--json', 'print the outbox as JSON')
+    .action(withConfig(webhooksStatus));
+
+webhooks
+    .command('dead-letters')
+    .description('list deliveries that failed for good')
+    .option('--json', 'print as JSON')
+    .action(withConfig(webhooksDeadLetters));
+
+webhooks
+    .command('replay [ids...]')
+    .description('move dead letters back to the outbox')
+    .option('--all', 'replay every dead letter')
+    .option('--deliver', 'send them now instead of leaving them to the scheduler')
+    .option('--webhooks <file>', 'webhook endpoints file (with --deliver)')
+    .action(withConfig(webhooksReplay));
+
+const failures = program
+    .command('failures')
+    .description('list and open the artifact bundles of failed runs');
+
+failures
+    .command('list', { isDefault: true })
+    .description('list the newest failure bundles')
+    .option('--limit <count>', 'bundles to list', '10')
+    .option('--json', 'print as JSON')
+    .action(withConfig(failuresList));
+
+failures
+    .command('open [name]')
+    .description('show a bundle\'s files and open its trace in the Playwright trace viewer (the newest bundle by default)')
+    .option('--no-viewer', 'only show the files')
+    .action(withConfig(failuresOpen));
+
+program
+    .command('stats')
+    .description('show run statistics and load counts')
+    .option('--json', 'print as JSON')
+    .action(withConfig(stats));
+
+program
+    .command('serve')
+    .description('serve the health and stats files, the load store API and the dashboard over HTTP without scraping')
+    .option('--port <port>', 'port to listen on')
+    .action(withConfig(serve));
+
+if (require.main === module) {
+    program.parseAsync(process.argv);
+}
+
+module.exports = { program };
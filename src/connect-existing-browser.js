@@ -2,7 +2,12 @@ const { chromium } = require('playwright');
 const fs = require('fs');
 const path = require('path');
 const createCsvWriter = require('csv-writer').createObjectCsvWriter;
-const axios = require('axios');
+const { normalizeValue, parseRate, parseOriginDestination, parseMiles, centsToDollars, formatUsd } = require('./lib/parsers');
+const { primarySelector } = require('./lib/selectors');
+const { normalizeContact, formatContact } = require('./lib/contacts');
+const { loadConfig } = require('./lib/config');
+const { createDistanceProvider } = require('./lib/distance');
+const { estimateTransit } = require('./lib/transit');
 require('dotenv').config();
 
 // Helper function to generate random delays like a human
@@ -52,15 +57,12 @@ function getReadingDelay(textLength = 100) {
     return Math.max(getRandomDelay(800, 1500), readingTimeMs * (0.5 + Math.random()));
 }
 
-// Google Maps API integration
+// Driving distance from the configured provider (Google, OSRM or the offline
+// estimate, see lib/distance.js); looked-up lanes are cached between runs
+const config = loadConfig();
+const distanceProvider = createDistanceProvider(config);
+
 async function calculateDistanceAndETA(origin, destination) {
-    const apiKey = process.env.GOOGLE_MAPS_API_KEY;
-    
-    if (!apiKey) {
-        console.log('⚠️ Google Maps API key not found, skipping distance calculation');
-        return { distance: null, eta: null, error: 'API key missing' };
-    }
-    
     if (!origin || !destination) {
         return { distance: null, eta: null, error: 'Missing origin or destination' };
     }
@@ -68,46 +70,31 @@ async function calculateDistanceAndETA(origin, destination) {
     try {
         console.log(`🗺️ Calculating distance: ${origin} → ${destination}`);
         
-        const url = 'https://maps.googleapis.com/maps/api/distancematrix/json';
-        const params = {
-            origins: origin,
-            destinations: destination,
-            units: 'imperial', // Use miles
-            mode: 'driving',
-            avoid: 'tolls', // Trucking typically avoids tolls when possible
-            key: apiKey
-        };
+        const route = await distanceProvider.route(origin, destination);
+        const distanceMiles = Math.round(route.miles);
         
-        const response = await axios.get(url, { params });
+        // Pickup to delivery with loading, breaks and 10-hour resets (or
+        // driver swaps for a team) under the hours-of-service rules
+        const transit = estimateTransit({
+            miles: route.miles,
+            drivingHours: route.hours,
+            mode: config.hosMode,
+            loadingHours: config.loadingHours
+        });
         
-        if (response.data.status === 'OK' && response.data.rows[0].elements[0].status === 'OK') {
-            const element = response.data.rows[0].elements[0];
-            const distanceText = element.distance.text;
-            const durationText = element.duration.text;
-            const distanceMiles = Math.round(element.distance.value * 0.000621371); // Convert meters to miles
-            
-            // For trucking, add extra time for loading/unloading and breaks
-            const baseDurationHours = element.duration.value / 3600; // Convert seconds to hours
-            const truckingDurationHours = baseDurationHours * 1.2 + 2; // 20% longer + 2 hours for stops
-            
-            const eta = formatDuration(truckingDurationHours);
-            
-            console.log(`   📏 Distance: ${distanceMiles} miles`);
-            console.log(`   ⏰ Estimated trucking time: ${eta}`);
-            
-            return {
-                distance: `${distanceMiles} miles`,
-                eta: eta,
-                distanceMiles: distanceMiles,
-                error: null
-            };
-        } else {
-            const error = response.data.rows[0]?.elements[0]?.status || response.data.status;
-            console.log(`   ❌ Distance calculation failed: ${error}`);
-            return { distance: null, eta: null, error: error };
-        }
+        const eta = formatDuration(transit.transit_hours);
+        
+        console.log(`   📏 Distance: ${distanceMiles} miles (${route.provider}${route.cached ? ', cached' : ''})`);
+        console.log(`   ⏰ Estimated ${transit.mode} transit time: ${eta} (${transit.resets} 10-hour rests)`);
+        
+        return {
+            distance: `${distanceMiles} miles`,
+            eta: eta,
+            distanceMiles: distanceMiles,
+            error: null
+        };
     } catch (error) {
-        console.log(`   ❌ Distance API error: ${error.message}`);
+        console.log(`   ❌ Distance calculation failed: ${error.message}`);
         return { distance: null, eta: null, error: error.message };
     }
 }
@@ -127,165 +114,7 @@ function formatDuration(hours) {
     }
 }
 
-// Rate limiting for API calls
-let lastApiCall = 0;
-const API_RATE_LIMIT = 100; // Minimum ms between API calls
-
-async function rateLimitedDistanceCalculation(origin, destination) {
-    const now = Date.now();
-    const timeSinceLastCall = now - lastApiCall;
-    
-    if (timeSinceLastCall < API_RATE_LIMIT) {
-        await new Promise(resolve => setTimeout(resolve, API_RATE_LIMIT - timeSinceLastCall));
-    }
-    
-    lastApiCall = Date.now();
-    return await calculateDistanceAndETA(origin, destination);
-}
-
 // Data cleaning and normalization functions
-function normalizeValue(value) {
-    // Convert various empty/null representations to null
-    if (!value || value === '–' || value === '-' || value === '' || value.trim() === '' || value === 'N/A') {
-        return null;
-    }
-    return value.trim();
-}
-
-function parseRate(rateText) {
-    if (!rateText || rateText === '–' || rateText === '-') {
-        return { totalRate: null, ratePerMile: null };
-    }
-    
-    // Handle combined rates like "$2,700$2.17*/mi"
-    const combinedRatePattern = /\$?([\d,]+)\$?([\d.]+)\*?\/mi/;
-    const combinedMatch = rateText.match(combinedRatePattern);
-    
-    if (combinedMatch) {
-        return {
-            totalRate: `$${combinedMatch[1]}`,
-            ratePerMile: `$${combinedMatch[2]}/mi`
-        };
-    }
-    
-    // Handle total rate only like "$2,700"
-    const totalRatePattern = /\$?([\d,]+)$/;
-    const totalMatch = rateText.match(totalRatePattern);
-    
-    if (totalMatch) {
-        return {
-            totalRate: `$${totalMatch[1]}`,
-            ratePerMile: null
-        };
-    }
-    
-    // Handle per mile rate only like "$2.17/mi"
-    const perMilePattern = /\$?([\d.]+)\*?\/mi/;
-    const perMileMatch = rateText.match(perMilePattern);
-    
-    if (perMileMatch) {
-        return {
-            totalRate: null,
-            ratePerMile: `$${perMileMatch[1]}/mi`
-        };
-    }
-    
-    // If no pattern matches, return as is
-    return {
-        totalRate: rateText,
-        ratePerMile: null
-    };
-}
-
-function parseOriginDestination(originText, destinationText) {
-    // Handle concatenated origins like "San Leandro, CALoveland, CO"
-    // This happens when origin and destination get merged
-    
-    if (!originText) return { origin: null, destination: destinationText };
-    if (!destinationText) return { origin: originText, destination: null };
-    
-    // Check if origin contains concatenated destination
-    const concatenatedPattern = /^(.+?),\s*([A-Z]{2})([A-Z][a-zA-Z\s]+),\s*([A-Z]{2})$/;
-    const match = originText.match(concatenatedPattern);
-    
-    if (match) {
-        // Split the concatenated string
-        const [, city1, state1, city2, state2] = match;
-        return {
-            origin: `${city1}, ${state1}`,
-            destination: `${city2}, ${state2}`
-        };
-    }
-    
-    // Check for other common concatenation patterns
-    const simplePattern = /^(.+?),\s*([A-Z]{2})(.+?),\s*([A-Z]{2})$/;
-    const simpleMatch = originText.match(simplePattern);
-    
-    if (simpleMatch && destinationText && destinationText.includes(',')) {
-        const [, city1, state1, city2, state2] = simpleMatch;
-        return {
-            origin: `${city1}, ${state1}`,
-            destination: `${city2}, ${state2}`
-        };
-    }
-    
-    // If no concatenation detected, return as is but normalized
-    return {
-        origin: normalizeValue(originText),
-        destination: normalizeValue(destinationText)
-    };
-}
-
-function parsePhoneNumber(phoneText) {
-    if (!phoneText) return null;
-    
-    // Extract phone number and extension if present
-    const phonePattern = /(\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4})(?:\s*x?(\d+))?/;
-    const match = phoneText.match(phonePattern);
-    
-    if (match) {
-        const [, phone, extension] = match;
-        return extension ? `${phone} x${extension}` : phone;
-    }
-    
-    return phoneText;
-}
-
-function parseWeight(weightText) {
-    if (!weightText) return null;
-    
-    // Extract numeric weight and unit
-    const weightPattern = /(\d+(?:,\d+)?)\s*(k|lbs|pounds?)?/i;
-    const match = weightText.match(weightPattern);
-    
-    if (match) {
-        const [, number, unit] = match;
-        const cleanNumber = number.replace(',', '');
-        
-        if (unit && unit.toLowerCase().startsWith('k')) {
-            return `${cleanNumber}k lbs`;
-        } else {
-            return `${cleanNumber} lbs`;
-        }
-    }
-    
-    return weightText;
-}
-
-function parseEquipmentLength(lengthText) {
-    if (!lengthText) return null;
-    
-    // Extract numeric length
-    const lengthPattern = /(\d+)\s*ft/i;
-    const match = lengthText.match(lengthPattern);
-    
-    if (match) {
-        return `${match[1]} ft`;
-    }
-    
-    return lengthText;
-}
-
 async function connectToExistingBrowser() {
     console.log('🔗 Connecting to existing Chrome browser...');
 process.stdout.write('🔗 Connecting to existing Chrome browser...\n');
@@ -330,7 +159,7 @@ console.log('📄 Original contact data is preserved in the CSV file');
         let hasLoadResults = false;
         
         try {
-            await page.waitForSelector('[data-test="load-origin-cell"]', { timeout: 5000 });
+            await page.waitForSelector(primarySelector('results.ready'), { timeout: 5000 });
             hasLoadResults = true;
             console.log('✅ Found load results on current page');
         } catch (error) {
@@ -356,7 +185,7 @@ console.log('📄 Original contact data is preserved in the CSV file');
         
         // Wait for load results to appear
         console.log('⏳ Waiting for load results...');
-        await page.waitForSelector('[data-test="load-origin-cell"]', { timeout: 30000 });
+        await page.waitForSelector(primarySelector('results.ready'), { timeout: 30000 });
         
         // Human-like scanning behavior - move mouse around a bit
         for (let i = 0; i < 3; i++) {
@@ -368,7 +197,7 @@ console.log('📄 Original contact data is preserved in the CSV file');
         await occasionalScroll(page);
         
         // Get all load rows using the correct selector from debug output
-        const loadRows = await page.$$('.row-container.ng-tns-c510-8.ng-star-inserted');
+        const loadRows = await page.$$(primarySelector('results.row'));
         console.log(`📋 Found ${loadRows.length} load rows`);
         
         if (loadRows.length === 0) {
@@ -432,7 +261,7 @@ console.log('📄 Original contact data is preserved in the CSV file');
                 }
                 
                 // Get fresh reference to the row (in case page has changed)
-                let currentRows = await page.$$('.row-container.ng-tns-c510-8.ng-star-inserted');
+                let currentRows = await page.$$(primarySelector('results.row'));
                 if (currentRows.length === 0) {
                     currentRows = await page.$$('.row-container');
                 }
@@ -530,9 +359,7 @@ console.log('📄 Original contact data is preserved in the CSV file');
                 // Clean and normalize the extracted data
                 const cleanedOriginDest = parseOriginDestination(basicInfo.origin, basicInfo.destination);
                 const cleanedRate = parseRate(basicInfo.rate);
-                const cleanedWeight = parseWeight(basicInfo.weight);
-                const cleanedLength = parseEquipmentLength(basicInfo.length);
-                const cleanedContact = normalizeValue(basicInfo.contactInfo);
+                const cleanedContact = formatContact(normalizeContact({ text: basicInfo.contactInfo }));
                 
                 console.log(`📍 ${cleanedOriginDest.origin} → ${cleanedOriginDest.destination} (${normalizeValue(basicInfo.company)})`);
                 // Log contact info safely (avoid triggering email/phone clients)
@@ -546,8 +373,8 @@ console.log('📄 Original contact data is preserved in the CSV file');
                     });
                 }
                 console.log(`📞 Contact: ${safeContact}`);
-                if (cleanedRate.totalRate || cleanedRate.ratePerMile) {
-                    console.log(`💰 Rate: ${cleanedRate.totalRate || 'N/A'} | Per Mile: ${cleanedRate.ratePerMile || 'N/A'}`);
+                if (cleanedRate.totalCents !== null || cleanedRate.perMileCents !== null) {
+                    console.log(`💰 Rate: ${formatUsd(cleanedRate.totalCents)} | Per Mile: ${formatUsd(cleanedRate.perMileCents)}`);
                 }
                 
                 // Simulate reading the load details
@@ -625,11 +452,11 @@ console.log('📄 Original contact data is preserved in the CSV file');
                 // Calculate distance and ETA if trip distance is missing
                 let calculatedDistance = null;
                 let estimatedETA = null;
-                let finalTripDistance = normalizeValue(detailedInfo.tripDistance) || cleanedLength;
+                let tripMiles = parseMiles(detailedInfo.tripDistance);
                 
-                if (!finalTripDistance && cleanedOriginDest.origin && cleanedOriginDest.destination) {
-                    console.log('   🔄 Trip distance missing, calculating via Google Maps...');
-                    const distanceResult = await rateLimitedDistanceCalculation(
+                if (!tripMiles && cleanedOriginDest.origin && cleanedOriginDest.destination) {
+                    console.log('   🔄 Trip distance missing, calculating...');
+                    const distanceResult = await calculateDistanceAndETA(
                         cleanedOriginDest.origin, 
                         cleanedOriginDest.destination
                     );
@@ -637,38 +464,18 @@ console.log('📄 Original contact data is preserved in the CSV file');
                     if (distanceResult.distance) {
                         calculatedDistance = distanceResult.distance;
                         estimatedETA = distanceResult.eta;
-                        finalTripDistance = calculatedDistance;
+                        tripMiles = distanceResult.distanceMiles;
                         console.log(`   ✅ Calculated: ${calculatedDistance}, ETA: ${estimatedETA}`);
                     }
                 }
                 
-                // Convert rates to numeric values
-                let rateTotal = null;
-                let ratePerMileNumeric = null;
-                
-                if (cleanedRate.totalRate) {
-                    // Extract numeric value from "$2,700" format
-                    const totalMatch = cleanedRate.totalRate.match(/\$?([\d,]+)/);
-                    if (totalMatch) {
-                        rateTotal = parseInt(totalMatch[1].replace(/,/g, ''));
-                    }
-                }
-                
-                if (cleanedRate.ratePerMile) {
-                    // Extract numeric value from "$2.17/mi" format
-                    const perMileMatch = cleanedRate.ratePerMile.match(/\$?([\d.]+)/);
-                    if (perMileMatch) {
-                        ratePerMileNumeric = parseFloat(perMileMatch[1]);
-                    }
-                }
-                
                 // Create data in the specified format
                 const loadData = {
                     reference_number: normalizeValue(detailedInfo.referenceNumber),
                     origin: cleanedOriginDest.origin,
                     destination: cleanedOriginDest.destination,
-                    rate_total_usd: rateTotal,
-                    rate_per_mile: ratePerMileNumeric,
+                    rate_total_usd: centsToDollars(cleanedRate.totalCents),
+                    rate_per_mile: centsToDollars(cleanedRate.perMileCents),
                     company: normalizeValue(basicInfo.company),
                     contact: cleanedContact,
                     age_posted: normalizeValue(basicInfo.age),
@@ -2,14 +2,25 @@ const { chromium } = require('playwright');
 const fs = require('fs');
 const path = require('path');
 const createCsvWriter = require('csv-writer').createObjectCsvWriter;
+const { parseAgeMinutes } = require('./lib/parsers');
+const { fillSearchForm } = require('./lib/search-form');
 require('dotenv').config();
 
+// Logger for the shared lib modules, in this crawler's console style
+const consoleLogger = {
+    debug() {},
+    info: (message, data = {}) => console.log(`   ${message}`, data),
+    warn: (message, data = {}) => console.log(`⚠️ ${message}`, data),
+    error: (message, data = {}) => console.error(`❌ ${message}`, data)
+};
+
 class DATOneFreightCrawler {
     constructor() {
         this.browser = null;
         this.page = null;
         this.isLoggedIn = false;
         this.data = [];
+        this.searchProfile = null;
         
         // Configuration
         this.config = {
@@ -138,12 +149,12 @@ class DATOneFreightCrawler {
         }
     }
 
-    async searchLoads(searchCriteria = {}) {
+    async searchLoads(profile) {
         if (!this.isLoggedIn) {
             throw new Error('Must be logged in to search loads');
         }
         
-        console.log('🔍 Searching for freight loads...');
+        console.log(`🔍 Searching for freight loads (profile "${profile.name}")...`);
         
         try {
             // Navigate to the DAT One dashboard first (where we saw the SEARCH LOADS button)
@@ -172,123 +183,14 @@ class DATOneFreightCrawler {
                 await this.page.waitForLoadState('networkidle');
             }
             
-            // Wait for the search form to appear with more flexible selectors
-            console.log('⏳ Waiting for search form to load...');
-            await this.page.waitForSelector('input, select', { timeout: 30000 });
-            
-            // Try multiple possible selectors for origin field
-            const originSelectors = [
-                'input[placeholder*="origin" i]',
-                'input[placeholder*="pickup" i]', 
-                'input[placeholder*="from" i]',
-                'input[name*="origin" i]',
-                'input[id*="origin" i]'
-            ];
-            
-            let originField = null;
-            for (const selector of originSelectors) {
-                try {
-                    originField = await this.page.$(selector);
-                    if (originField) {
-                        console.log(`✅ Found origin field with selector: ${selector}`);
-                        break;
-                    }
-                } catch (e) {
-                    continue;
-                }
-            }
-            
-            // Try multiple possible selectors for destination field
-            const destinationSelectors = [
-                'input[placeholder*="destination" i]',
-                'input[placeholder*="delivery" i]', 
-                'input[placeholder*="to" i]',
-                'input[name*="destination" i]',
-                'input[id*="destination" i]'
-            ];
-            
-            let destinationField = null;
-            for (const selector of destinationSelectors) {
-                try {
-                    destinationField = await this.page.$(selector);
-                    if (destinationField) {
-                        console.log(`✅ Found destination field with selector: ${selector}`);
-                        break;
-                    }
-                } catch (e) {
-                    continue;
-                }
-            }
-            
-            const {
-                origin = 'San Francisco, CA',
-                destination = 'Denver, CO',
-                equipmentType = 'Vans (Standard)',
-                loadType = 'Full & Partial',
-                dateRange = '7/8/2025 - 7/8/2025'
-            } = searchCriteria;
-            
-            // Fill origin if found
-            if (originField) {
-                await originField.clear();
-                await originField.type(origin, { delay: 100 });
-                console.log(`📍 Set origin: ${origin}`);
-            } else {
-                console.log('⚠️ Could not find origin field');
-            }
-            
-            // Fill destination if found
-            if (destinationField) {
-                await destinationField.clear();
-                await destinationField.type(destination, { delay: 100 });
-                console.log(`📍 Set destination: ${destination}`);
-            } else {
-                console.log('⚠️ Could not find destination field');
-            }
-            
-            // Try to find equipment type selector
-            const equipmentSelectors = [
-                'select[name*="equipment" i]',
-                'select[id*="equipment" i]',
-                'select[class*="equipment" i]'
-            ];
-            
-            for (const selector of equipmentSelectors) {
-                try {
-                    const equipmentDropdown = await this.page.$(selector);
-                    if (equipmentDropdown) {
-                        await equipmentDropdown.selectOption({ label: equipmentType });
-                        console.log(`🚛 Set equipment type: ${equipmentType}`);
-                        break;
-                    }
-                } catch (e) {
-                    continue;
-                }
-            }
-            
-            // Look for search/submit button
-            const searchButtonSelectors = [
-                'button:has-text("Search")',
-                'button[type="submit"]',
-                'input[type="submit"]',
-                'button:has-text("Find Loads")',
-                'button:has-text("Apply")'
-            ];
-            
-            for (const selector of searchButtonSelectors) {
-                try {
-                    const searchButton = await this.page.locator(selector).first();
-                    if (await searchButton.isVisible()) {
-                        console.log(`🔍 Found search button: ${selector}`);
-                        await searchButton.click();
-                        await this.page.waitForLoadState('networkidle');
-                        break;
-                    }
-                } catch (e) {
-                    continue;
-                }
-            }
-            
+            // Fill and submit the form from the search profile
+            await fillSearchForm(this.page, profile, {
+                timeout: 30000,
+                logger: consoleLogger
+            });
+            await this.page.waitForLoadState('networkidle');
+            this.searchProfile = profile;
+
             console.log('✅ Search completed');
             
         } catch (error) {
@@ -320,8 +222,12 @@ class DATOneFreightCrawler {
                     
                     if (hasCompanyInfo) {
                         const loadData = await this.extractLoadFromElement(element);
-                        if (loadData && loadData.origin !== 'N/A' && loadData.destination !== 'N/A') {
-                            this.data.push(loadData);
+                        if (loadData && loadData.origin !== 'N/A' && loadData.destination !== 'N/A' &&
+                            this.withinMaxAge(loadData)) {
+                            this.data.push({
+                                ...loadData,
+                                searchProfile: this.searchProfile ? this.searchProfile.name : null
+                            });
                         }
                     }
                 } catch (error) {
@@ -500,7 +406,8 @@ class DATOneFreightCrawler {
                 { id: 'deliveryDate', title: 'Delivery Date' },
                 { id: 'loadType', title: 'Load Type' },
                 { id: 'agePosted', title: 'Age Posted' },
-                { id: 'extractedAt', title: 'Extracted At' }
+                { id: 'extractedAt', title: 'Extracted At' },
+                { id: 'searchProfile', title: 'Search Profile' }
             ]
         });
         
@@ -535,7 +442,8 @@ class DATOneFreightCrawler {
                 { id: 'deliveryDate', title: 'Delivery Date' },
                 { id: 'loadType', title: 'Load Type' },
                 { id: 'agePosted', title: 'Age Posted' },
-                { id: 'extractedAt', title: 'Extracted At' }
+                { id: 'extractedAt', title: 'Extracted At' },
+                { id: 'searchProfile', title: 'Search Profile' }
             ],
             append: fileExists
         });
@@ -586,7 +494,15 @@ class DATOneFreightCrawler {
         }
     }
 
-    async crawlFreightLoads(searchCriteria = {}) {
+    // Loads older than the profile's maxAgeMinutes are skipped; an age we
+    // cannot read keeps the load
+    withinMaxAge(loadData) {
+        if (!this.searchProfile || this.searchProfile.maxAgeMinutes === null) return true;
+        const age = parseAgeMinutes(loadData.agePosted);
+        return age === null || age <= this.searchProfile.maxAgeMinutes;
+    }
+
+    async crawlFreightLoads(profile) {
         try {
             // Initialize if not already done
             if (!this.browser) {
@@ -599,7 +515,7 @@ class DATOneFreightCrawler {
             }
             
             // Perform search
-            await this.searchLoads(searchCriteria);
+            await this.searchLoads(profile);
             
             // Extract data
             await this.extractFreightData();
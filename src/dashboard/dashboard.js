@@ -0,0 +1,374 @@
+// Dispatch dashboard. Reads the status server's own endpoints: /health for
+// the scheduler, /runs for the run history, /loads (and /loads/stream for
+// live updates) for the load table and /screenshots for the gallery.
+// Plain browser JavaScript, no build step and nothing loaded from elsewhere.
+(function () {
+    'use strict';
+
+    const STATUS_REFRESH_MS = 5000;
+    const RUNS_REFRESH_MS = 15000;
+    const SCREENSHOTS_REFRESH_MS = 60000;
+    // Without a stream (dispatch serve) the table is re-read this often
+    const LOADS_POLL_MS = 30000;
+    const PAGE_SIZE = 100;
+
+    const state = {
+        sort: '-last_seen_at',
+        filters: {},
+        cursor: null,
+        total: 0,
+        rows: new Map(),
+        stream: null,
+        pollTimer: null
+    };
+
+    const $ = selector => document.querySelector(selector);
+
+    // Build an element; children may be strings, which become text
+    function el(tag, attributes, children) {
+        const node = document.createElement(tag);
+        for (const [name, value] of Object.entries(attributes || {})) {
+            if (value === null || value === undefined || value === false) continue;
+            node.setAttribute(name, value === true ? '' : value);
+        }
+        for (const child of [].concat(children === undefined ? [] : children)) {
+            node.append(child instanceof Node ? child : document.createTextNode(child === null ? '' : String(child)));
+        }
+        return node;
+    }
+
+    async function getJson(url) {
+        const response = await fetch(url, { headers: { Accept: 'application/json' } });
+        const body = await response.json().catch(() => null);
+        // /health answers 503 with a body once the service is critical
+        if (!body) throw new Error(`${url} answered ${response.status}`);
+        if (!response.ok && body.error) throw new Error(body.error);
+        return body;
+    }
+
+    const present = value => value !== null && value !== undefined && value !== '';
+
+    function formatMoney(value) {
+        return present(value) ? `$${Number(value).toLocaleString(undefined, { maximumFractionDigits: 0 })}` : '–';
+    }
+
+    function formatRate(value) {
+        return present(value) ? `$${Number(value).toFixed(2)}` : '–';
+    }
+
+    function formatTime(value) {
+        if (!present(value)) return '–';
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? String(value) : date.toLocaleString();
+    }
+
+    function formatAgo(value) {
+        if (!present(value)) return '–';
+        const seconds = Math.round((Date.now() - new Date(value).getTime()) / 1000);
+        if (!Number.isFinite(seconds)) return String(value);
+        if (seconds < 60) return `${Math.max(seconds, 0)}s ago`;
+        if (seconds < 3600) return `${Math.round(seconds / 60)}m ago`;
+        if (seconds < 86400) return `${Math.round(seconds / 3600)}h ago`;
+        return `${Math.round(seconds / 86400)}d ago`;
+    }
+
+    function formatDuration(ms) {
+        if (!present(ms)) return '–';
+        if (ms < 1000) return `${ms}ms`;
+        const seconds = ms / 1000;
+        return seconds < 120 ? `${seconds.toFixed(1)}s` : `${Math.round(seconds / 60)}m`;
+    }
+
+    // One line per timed step of a run, for the duration tooltip
+    function formatSteps(steps) {
+        return Object.entries(steps || {}).map(([name, step]) =>
+            `${name}: ${formatDuration(step.totalMs)}${step.count > 1 ? ` (${step.count}×)` : ''}${step.errors ? `, ${step.errors} failed` : ''}`
+        ).join('\n') || null;
+    }
+
+    function setPill(node, text, tone) {
+        node.textContent = text;
+        node.className = `pill ${tone || ''}`.trim();
+    }
+
+    // Scheduler state
+
+    const HEALTH_TONES = { healthy: 'ok', running: 'ok', degraded: 'warn', starting: 'warn', critical: 'bad', stopped: 'bad' };
+
+    function formatSchedule(schedule) {
+        const hours = [schedule.days, schedule.hours].filter(Boolean).join(' ') || 'always';
+        return `${schedule.open ? 'open' : 'closed'} · ${hours} (${schedule.timezone})`;
+    }
+
+    function renderStatus(status) {
+        const health = status.health || {};
+        setPill($('#service-status'), health.status || status.status || 'unknown', HEALTH_TONES[health.status]);
+        $('#refreshed').textContent = `updated ${new Date().toLocaleTimeString()}`;
+
+        const stats = status.stats || {};
+        const items = [
+            ['Scheduler', status.isRunning === undefined ? 'not running here' : status.isRunning ? 'running' : 'stopped'],
+            ['Next run', formatTime(status.nextRun)],
+            ['Next profile', status.nextSearchProfile || '–'],
+            ['Operating hours', status.schedule ? formatSchedule(status.schedule) : '–'],
+            ['Uptime', present(status.uptime) ? formatDuration(status.uptime) : '–'],
+            ['Last run', health.lastRun ? formatAgo(health.lastRun) : formatAgo(stats.lastRun)],
+            ['Last success', formatAgo(health.lastSuccess)],
+            ['Consecutive failures', present(health.consecutiveFailures) ? health.consecutiveFailures : '–'],
+            ['Success rate', present(stats.successRate) ? `${stats.successRate}%` : '–'],
+            ['Total runs', present(stats.totalRuns) ? stats.totalRuns : '–'],
+            ['Loads collected', present(stats.totalNewEntriesAdded) ? stats.totalNewEntriesAdded : '–'],
+            ['Last error', health.lastError || '–']
+        ];
+        $('#scheduler-state').replaceChildren(...items.flatMap(([label, value]) => [el('dt', {}, label), el('dd', {}, value)]));
+
+        const drift = health.selectorDrift || stats.selectorDrift || [];
+        $('#selector-drift').replaceChildren(...drift.map(entry =>
+            el('li', {}, `Selector drift on ${entry.field}: ${entry.matched ? `matched by fallback ${entry.matched}` : 'no selector matches'}`)));
+    }
+
+    async function refreshStatus() {
+        try {
+            renderStatus(await getJson('/health'));
+        } catch (error) {
+            setPill($('#service-status'), 'unreachable', 'bad');
+        }
+    }
+
+    // Run history
+
+    function renderRuns({ runs }) {
+        $('#run-table tbody').replaceChildren(...runs.map(run => el('tr', {}, [
+            el('td', { title: run.timestamp }, formatTime(run.timestamp)),
+            el('td', {}, run.searchProfile || '–'),
+            el('td', {}, el('span', { class: `pill ${run.error ? 'bad' : 'ok'}` }, run.error ? 'failed' : 'succeeded')),
+            el('td', { class: 'number', title: formatSteps(run.steps) }, formatDuration(run.duration)),
+            el('td', { class: 'number' }, run.entriesCrawled),
+            el('td', { class: 'number' }, run.newEntriesAdded),
+            el('td', { class: 'number' }, present(run.alertsSent) ? run.alertsSent : '–'),
+            el('td', { class: 'error' }, [
+                run.error || '',
+                run.screenshot ? ' ' : '',
+                run.screenshot ? el('a', { href: `/screenshots/${encodeURIComponent(run.screenshot)}`, target: '_blank' }, 'screenshot') : '',
+                run.failureBundle ? ' ' : '',
+                run.failureBundle ? el('code', { title: `dispatch failures open ${run.failureBundle}` }, run.failureBundle) : ''
+            ])
+        ])));
+    }
+
+    async function refreshRuns() {
+        try {
+            renderRuns(await getJson('/runs?limit=25'));
+        } catch (error) {
+            // Keep the last history shown
+        }
+    }
+
+    // Failure screenshots
+
+    function renderScreenshots({ screenshots }) {
+        const gallery = $('#gallery');
+        if (screenshots.length === 0) {
+            gallery.replaceChildren(el('p', { class: 'muted' }, 'No failed runs with a screenshot.'));
+            return;
+        }
+        gallery.replaceChildren(...screenshots.map(screenshot => el('figure', {}, [
+            el('a', { href: screenshot.url, target: '_blank' }, el('img', { src: screenshot.url, alt: screenshot.name, loading: 'lazy' })),
+            el('figcaption', {}, formatTime(screenshot.taken_at))
+        ])));
+    }
+
+    async function refreshScreenshots() {
+        try {
+            renderScreenshots(await getJson('/screenshots'));
+        } catch (error) {
+            // Keep the last gallery shown
+        }
+    }
+
+    // Load table
+
+    // Earliest legal delivery, in red when it misses the posted one
+    function deliveryCell(load) {
+        const late = present(load.delivery_slack_hours) && load.delivery_slack_hours < 0;
+        const title = present(load.transit_hours)
+            ? `${load.transit_hours} h transit${present(load.delivery_slack_hours) ? `, ${load.delivery_slack_hours} h to spare` : ''}`
+            : '';
+        return el('td', { class: late ? 'late' : null, title }, formatTime(load.earliest_delivery));
+    }
+
+    function loadRow(load) {
+        const contact = load.contact_phone || load.contact_email || load.contact || '–';
+        return el('tr', { 'data-id': load.load_id, class: load.status === 'vanished' ? 'vanished' : null }, [
+            el('td', { title: load.age_posted || '' }, formatAgo(load.posted_at)),
+            el('td', {}, load.origin || '–'),
+            el('td', {}, load.destination || '–'),
+            el('td', {}, load.equipment || '–'),
+            el('td', {}, load.pickup_start ? formatTime(load.pickup_start) : '–'),
+            deliveryCell(load),
+            el('td', { class: 'number' }, formatMoney(load.rate_total_usd)),
+            el('td', { class: 'number' }, formatRate(load.rate_per_mile)),
+            el('td', { class: 'number', title: present(load.deadhead_miles) ? `${load.deadhead_miles} mi deadhead` : '' }, formatRate(load.net_per_mile_usd)),
+            el('td', {}, load.company || '–'),
+            el('td', {}, contact),
+            el('td', { title: load.last_seen_at }, formatAgo(load.last_seen_at))
+        ]);
+    }
+
+    function updateCount() {
+        $('#load-count').textContent = `${state.rows.size} of ${state.total}`;
+    }
+
+    function queryString(extra) {
+        const params = new URLSearchParams();
+        for (const [name, value] of Object.entries({ ...state.filters, ...extra })) {
+            if (present(value)) params.set(name, value);
+        }
+        return params.toString();
+    }
+
+    function markSort() {
+        for (const header of document.querySelectorAll('#load-table th[data-sort]')) {
+            const field = header.dataset.sort;
+            const sort = state.sort === field ? 'ascending' : state.sort === `-${field}` ? 'descending' : null;
+            if (sort) header.setAttribute('aria-sort', sort);
+            else header.removeAttribute('aria-sort');
+        }
+    }
+
+    async function fetchLoads(append) {
+        const query = queryString({ sort: state.sort, limit: PAGE_SIZE, cursor: append ? state.cursor : null });
+        let page;
+        try {
+            page = await getJson(`/loads?${query}`);
+        } catch (error) {
+            $('#load-count').textContent = error.message;
+            return;
+        }
+
+        const body = $('#load-table tbody');
+        if (!append) {
+            state.rows.clear();
+            body.replaceChildren();
+        }
+        for (const load of page.loads) {
+            const row = loadRow(load);
+            state.rows.set(load.load_id, row);
+            body.append(row);
+        }
+        state.cursor = page.next_cursor;
+        state.total = page.total;
+        $('#more-loads').hidden = !page.next_cursor;
+        updateCount();
+        markSort();
+    }
+
+    // A load from the stream: replace its row, or put a new one on top
+    function showStreamedLoad(event) {
+        const { load } = JSON.parse(event.data);
+        const existing = state.rows.get(load.load_id);
+        if (state.filters.status && load.status !== state.filters.status) {
+            // Left the board while only active loads are shown
+            if (existing) {
+                existing.remove();
+                state.rows.delete(load.load_id);
+                state.total--;
+                updateCount();
+            }
+            return;
+        }
+
+        const row = loadRow({ ...load, posted_at: load.posted_at || postedAt(load) });
+        row.classList.add('fresh');
+        setTimeout(() => row.classList.remove('fresh'), 100);
+
+        if (existing) {
+            existing.replaceWith(row);
+        } else {
+            $('#load-table tbody').prepend(row);
+            state.total++;
+        }
+        state.rows.set(load.load_id, row);
+        updateCount();
+    }
+
+    // Same as the server's posted_at: extraction time minus the posted age
+    function postedAt(load) {
+        const match = /^(\d+)\s*([mhd])/i.exec(load.age_posted || '');
+        const extracted = Date.parse(load.extracted_at);
+        if (!match || Number.isNaN(extracted)) return load.first_seen_at;
+        const minutes = Number(match[1]) * { m: 1, h: 60, d: 1440 }[match[2].toLowerCase()];
+        return new Date(extracted - minutes * 60000).toISOString();
+    }
+
+    function startPolling() {
+        if (!state.pollTimer) {
+            state.pollTimer = setInterval(() => fetchLoads(false), LOADS_POLL_MS);
+        }
+    }
+
+    function connectStream() {
+        if (state.stream) state.stream.close();
+        if (!window.EventSource) {
+            setPill($('#live'), 'polling', 'warn');
+            startPolling();
+            return;
+        }
+
+        // Every status, so loads leaving the board can be taken off the table
+        const stream = new EventSource(`/loads/stream?${queryString({ status: null })}`);
+        state.stream = stream;
+
+        stream.addEventListener('open', () => {
+            setPill($('#live'), 'live', 'ok');
+            clearInterval(state.pollTimer);
+            state.pollTimer = null;
+        });
+        for (const type of ['load.created', 'load.updated', 'load.removed']) {
+            stream.addEventListener(type, showStreamedLoad);
+        }
+        stream.addEventListener('error', () => {
+            // A closed stream (no /loads/stream here) does not come back
+            if (stream.readyState === EventSource.CLOSED) {
+                setPill($('#live'), 'polling', 'warn');
+                startPolling();
+            } else {
+                setPill($('#live'), 'reconnecting', 'warn');
+            }
+        });
+    }
+
+    function readFilters() {
+        const form = $('#load-filters');
+        state.filters = Object.fromEntries(new FormData(form).entries());
+        fetchLoads(false);
+        connectStream();
+    }
+
+    function bindLoadTable() {
+        let timer = null;
+        $('#load-filters').addEventListener('input', () => {
+            clearTimeout(timer);
+            timer = setTimeout(readFilters, 300);
+        });
+        $('#load-filters').addEventListener('submit', event => event.preventDefault());
+
+        for (const header of document.querySelectorAll('#load-table th[data-sort]')) {
+            header.addEventListener('click', () => {
+                const field = header.dataset.sort;
+                state.sort = state.sort === `-${field}` ? field : `-${field}`;
+                fetchLoads(false);
+            });
+        }
+        $('#more-loads').addEventListener('click', () => fetchLoads(true));
+    }
+
+    bindLoadTable();
+    readFilters();
+    refreshStatus();
+    refreshRuns();
+    refreshScreenshots();
+    setInterval(refreshStatus, STATUS_REFRESH_MS);
+    setInterval(refreshRuns, RUNS_REFRESH_MS);
+    setInterval(refreshScreenshots, SCREENSHOTS_REFRESH_MS);
+})();
@@ -1,5 +1,4 @@
 const { chromium } = require('playwright');
-const fs = require('fs');
 
 async function findSelectors() {
     console.log('🎯 DAT One Selector Finder');
@@ -195,7 +194,7 @@ async function findSelectors() {
             console.log(`   ${element.selector}: ${element.count} elements`);
         });
         
-        // Generate updated crawler configuration
+        // Suggested selectors, to compare against the registry
         const config = {
             url: formAnalysis.url,
             selectors: {
@@ -207,19 +206,15 @@ async function findSelectors() {
             }
         };
         
-        console.log('\n🔧 Generated Configuration:');
+        console.log('\n🔧 Suggested selectors:');
         console.log(JSON.stringify(config, null, 2));
-        
-        // Save configuration
-        fs.writeFileSync('./output/crawler-config.json', JSON.stringify(config, null, 2));
-        console.log('\n💾 Configuration saved to ./output/crawler-config.json');
+        console.log('💡 Add any that changed as fallbacks in src/lib/selectors.js (and bump SELECTOR_REGISTRY_VERSION)');
         
         // Take screenshot
         await page.screenshot({ path: './output/load-board-interface.png', fullPage: true });
         console.log('📸 Screenshot saved to ./output/load-board-interface.png');
         
         console.log('\n✅ Selector extraction complete!');
-        console.log('💡 You can now update the crawler with these selectors.');
         
         console.log('\nPress Enter to close the browser...');
         await new Promise(resolve => {
@@ -3,6 +3,7 @@ const fs = require('fs');
 const path = require('path');
 const createCsvWriter = require('csv-writer').createObjectCsvWriter;
 const csv = require('csv-parser');
+const { normalizeValue, parseRate, parseOriginDestination, centsToDollars, formatUsd } = require('./lib/parsers');
 require('dotenv').config();
 
 // FIXED VERSION: All issues resolved
@@ -72,95 +73,7 @@ async function humanLikeMouseMove(page) {
     }
 }
 
-function normalizeValue(value) {
-    if (!value || value === '–' || value === '-' || value === '' || value.trim() === '' || value === 'N/A') {
-        return null;
-    }
-    return value.trim();
-}
-
-function parseRate(rateText) {
-    if (!rateText || rateText === '–' || rateText === '-') {
-        return { totalRate: null, ratePerMile: null };
-    }
-    
-    // Handle combined rate like "$2,700$2.17*/mi"
-    const combinedRatePattern = /\$?([\d,]+)\$?([\d.]+)\*?\/mi/;
-    const combinedMatch = rateText.match(combinedRatePattern);
-    
-    if (combinedMatch) {
-        return {
-            totalRate: `$${combinedMatch[1]}`,
-            ratePerMile: `$${combinedMatch[2]}/mi`
-        };
-    }
-    
-    // Handle just total rate
-    const totalRatePattern = /\$?([\d,]+)$/;
-    const totalMatch = rateText.match(totalRatePattern);
-    
-    if (totalMatch) {
-        return {
-            totalRate: `$${totalMatch[1]}`,
-            ratePerMile: null
-        };
-    }
-    
-    // Handle just per mile rate
-    const perMilePattern = /\$?([\d.]+)\*?\/mi/;
-    const perMileMatch = rateText.match(perMilePattern);
-    
-    if (perMileMatch) {
-        return {
-            totalRate: null,
-            ratePerMile: `$${perMileMatch[1]}/mi`
-        };
-    }
-    
-    return { totalRate: rateText, ratePerMile: null };
-}
-
 // FIXED: Origin/Destination parsing
-function parseOriginDestination(originText, destinationText) {
-    if (!originText && !destinationText) {
-        return { origin: null, destination: null };
-    }
-    
-    // Handle concatenated origins like "San Leandro, CALoveland, CO"
-    if (originText && originText.includes(',')) {
-        // Look for pattern: "City, STATECity, STATE"
-        const concatenatedPattern = /^(.+?),\s*([A-Z]{2})([A-Z][a-zA-Z\s]+),\s*([A-Z]{2})$/;
-        const match = originText.match(concatenatedPattern);
-        
-        if (match) {
-            const [, city1, state1, city2, state2] = match;
-            return {
-                origin: `${city1}, ${state1}`,
-                destination: `${city2}, ${state2}`
-            };
-        }
-        
-        // Look for pattern: "City, STATEAnotherCity, STATE" 
-        const simplePattern = /^(.+?),\s*([A-Z]{2})(.+?),\s*([A-Z]{2})$/;
-        const simpleMatch = originText.match(simplePattern);
-        
-        if (simpleMatch) {
-            const [, city1, state1, city2, state2] = simpleMatch;
-            // Clean up city2 in case it starts with a capital letter directly
-            const cleanCity2 = city2.replace(/^([A-Z])/, ' $1').trim();
-            return {
-                origin: `${city1}, ${state1}`,
-                destination: `${cleanCity2}, ${state2}`
-            };
-        }
-    }
-    
-    return {
-        origin: normalizeValue(originText),
-        destination: normalizeValue(destinationText)
-    };
-}
-
 async function runFixedScraping() {
     const timestamp = new Date().toISOString();
     console.log(`\n🚀 Starting FIXED scraping run at ${timestamp}`);
@@ -281,7 +194,7 @@ async function runFixedScraping() {
                 
                 console.log(`📍 ${cleanedOriginDest.origin} → ${cleanedOriginDest.destination}`);
                 console.log(`🏢 ${basicInfo.company}`);
-                console.log(`💰 ${cleanedRate.totalRate || 'N/A'}`);
+                console.log(`💰 ${formatUsd(cleanedRate.totalCents)}`);
                 
                 // Click row to open modal for THIS specific load
                 console.log(`🖱️  Clicking to open load details...`);
@@ -380,29 +293,12 @@ async function runFixedScraping() {
                     console.log(`   Debug: ${detailedInfo.debugInfo.join(' | ')}`);
                 }
                 
-                let rateTotal = null;
-                let ratePerMileNumeric = null;
-                
-                if (cleanedRate.totalRate) {
-                    const totalMatch = cleanedRate.totalRate.match(/\$?([\d,]+)/);
-                    if (totalMatch) {
-                        rateTotal = parseInt(totalMatch[1].replace(/,/g, ''));
-                    }
-                }
-                
-                if (cleanedRate.ratePerMile) {
-                    const perMileMatch = cleanedRate.ratePerMile.match(/\$?([\d.]+)/);
-                    if (perMileMatch) {
-                        ratePerMileNumeric = parseFloat(perMileMatch[1]);
-                    }
-                }
-                
                 const loadData = {
                     reference_number: normalizeValue(detailedInfo.referenceNumber),
                     origin: cleanedOriginDest.origin,
                     destination: cleanedOriginDest.destination,
-                    rate_total_usd: rateTotal,
-                    rate_per_mile: ratePerMileNumeric,
+                    rate_total_usd: centsToDollars(cleanedRate.totalCents),
+                    rate_per_mile: centsToDollars(cleanedRate.perMileCents),
                     company: normalizeValue(basicInfo.company),
                     contact: null, // NEVER extract contacts
                     age_posted: normalizeValue(basicInfo.age),
@@ -1,4 +1,5 @@
 const DATOneFreightCrawler = require('./crawler');
+const { loadSearchProfiles, selectProfile } = require('./lib/search-profiles');
 
 async function main() {
     const crawler = new DATOneFreightCrawler();
@@ -12,19 +13,17 @@ async function main() {
         // Login to DAT ONE
         await crawler.login();
         
-        // Define search criteria - you can modify these
-        const searchCriteria = {
-            origin: 'San Francisco, CA',
-            destination: 'Denver, CO',
-            equipmentType: 'Vans (Standard)',
-            loadType: 'Full & Partial',
-            dateRange: '7/8/2025 - 7/8/2025'
-        };
+        // Search criteria come from search-profiles.json; SEARCH_PROFILE
+        // picks one by name (default: the first)
+        const profile = selectProfile(loadSearchProfiles(), process.env.SEARCH_PROFILE);
+        if (!profile) {
+            throw new Error('No search profiles configured - add one to search-profiles.json');
+        }
         
-        console.log('🔍 Search criteria:', searchCriteria);
+        console.log('🔍 Search profile:', profile);
         
         // Crawl freight loads
-        await crawler.crawlFreightLoads(searchCriteria);
+        await crawler.crawlFreightLoads(profile);
         
         console.log('✅ Freight crawling completed successfully!');
         
@@ -0,0 +1,317 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeValue, parseAgeMinutes } = require('./parsers');
+const { LOAD_COLUMNS, LIFECYCLE_COLUMNS } = require('./load-store');
+const { brokerKey } = require('./brokers');
+const { parseLaneEnd, matchesLaneEnd } = require('./geo');
+const { createNotifier } = require('./notifiers');
+
+/**
+ * Load alerts: rules declared in alert-rules.json, checked against every
+ * load the scraper stores for the first time. A match is sent to the
+ * rule's notifiers (see notifiers.js).
+ *
+ *   {
+ *     "notifiers": {
+ *       "email": { "type": "smtp", "host": "smtp.gmail.com", ... }
+ *     },
+ *     "rules": [
+ *       {
+ *         "name": "colorado-reefer-3",
+ *         "where": [
+ *           { "field": "rate_per_mile", "op": ">=", "value": 3 },
+ *           { "field": "equipment", "op": "contains", "value": "Reefer" }
+ *         ],
+ *         "lane": { "origin": "CO", "destination": { "place": "Fresno, CA", "lat": 36.74, "lon": -119.79, "radiusMiles": 100 } },
+ *         "brokers": { "deny": ["Mesa Logistics"] },
+ *         "maxAgeMinutes": 15,
+ *         "notify": ["console", "email"],
+ *         "cooldownMinutes": 1440
+ *       }
+ *     ]
+ *   }
+ *
+ * Every part of a rule is optional and all of them must match. A lane end
+ * is a state ("CO"), a place ("Denver, CO") or a circle around a point
+ * (see geo.js). Brokers are compared like in the broker directory, so "ABC
+ * Logistics" also covers "ABC LOGISTICS LLC". A load whose age is unknown
+ * does not pass maxAgeMinutes. The "console" notifier always exists; rules
+ * without `notify` use it. After alerting on a load, a rule stays quiet
+ * about that load for cooldownMinutes.
+ */
+
+const DEFAULT_ALERT_RULES_PATH = './alert-rules.json';
+
+const DEFAULT_COOLDOWN_MINUTES = 24 * 60;
+
+const OPERATORS = {
+    '=': (actual, expected) => compare(actual, expected) === 0,
+    '!=': (actual, expected) => compare(actual, expected) !== 0,
+    '>': (actual, expected) => compare(actual, expected) > 0,
+    '>=': (actual, expected) => compare(actual, expected) >= 0,
+    '<': (actual, expected) => compare(actual, expected) < 0,
+    '<=': (actual, expected) => compare(actual, expected) <= 0,
+    contains: (actual, expected) => actual !== null && String(actual).toLowerCase().includes(String(expected).toLowerCase()),
+    in: (actual, expected) => expected.some(value => compare(actual, value) === 0),
+    matches: (actual, expected) => actual !== null && expected.test(String(actual)),
+    exists: (actual, expected) => (actual !== null) === expected
+};
+
+// Columns a condition may name
+const RULE_FIELDS = ['load_id', ...LOAD_COLUMNS, ...LIFECYCLE_COLUMNS];
+
+/**
+ * Compare a load value with a rule value: as numbers when the rule value
+ * is one, otherwise as case-insensitive text. Missing values compare as
+ * NaN, so only != matches them.
+ */
+function compare(actual, expected) {
+    if (actual === null || actual === undefined || actual === '') return NaN;
+    if (typeof expected === 'number') {
+        const number = Number(actual);
+        return Number.isFinite(number) ? number - expected : NaN;
+    }
+    return String(actual).toLowerCase().localeCompare(String(expected).toLowerCase());
+}
+
+function normalizeCondition(raw, fail) {
+    if (!raw || typeof raw !== 'object') fail('each condition must be an object');
+    const { field, op = '=' } = raw;
+    let { value } = raw;
+
+    if (!RULE_FIELDS.includes(field)) fail(`unknown field "${field}"`);
+    if (!OPERATORS[op]) fail(`operator must be one of ${Object.keys(OPERATORS).join(', ')}, got "${op}"`);
+
+    if (op === 'in') {
+        if (!Array.isArray(value)) fail(`"${field}" in needs a list of values`);
+    } else if (op === 'matches') {
+        try {
+            value = new RegExp(value, 'i');
+        } catch (error) {
+            fail(`"${field}" matches an invalid pattern: ${error.message}`);
+        }
+    } else if (op === 'exists') {
+        value = value !== false;
+    } else if (value === undefined || value === null) {
+        fail(`"${field}" ${op} needs a value`);
+    }
+    return { field, op, value };
+}
+
+function normalizeLaneEnd(raw, end, fail) {
+    try {
+        return parseLaneEnd(raw, `lane ${end}`);
+    } catch (error) {
+        return fail(error.message);
+    }
+}
+
+function normalizeBrokerList(list, kind, fail) {
+    if (list === undefined) return null;
+    if (!Array.isArray(list)) fail(`brokers.${kind} must be a list of broker names`);
+    return new Set(list.map(name => brokerKey(name)).filter(Boolean));
+}
+
+/**
+ * Validate one rule from the file. Errors name the rule.
+ */
+function normalizeRule(raw, index, notifierNames) {
+    const label = raw && raw.name ? `"${raw.name}"` : `#${index + 1}`;
+    const fail = message => {
+        throw new Error(`Alert rule ${label}: ${message}`);
+    };
+
+    if (!raw || typeof raw !== 'object') fail('must be an object');
+    if (!normalizeValue(raw.name)) fail('name is required');
+
+    const where = [].concat(raw.where || []).map(condition => normalizeCondition(condition, fail));
+    const lane = raw.lane || {};
+    const brokers = raw.brokers || {};
+
+    const maxAgeMinutes = raw.maxAgeMinutes ?? null;
+    if (maxAgeMinutes !== null && !(Number.isFinite(maxAgeMinutes) && maxAgeMinutes >= 0)) {
+        fail('maxAgeMinutes must be a number of minutes');
+    }
+    const cooldownMinutes = raw.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES;
+    if (!(Number.isFinite(cooldownMinutes) && cooldownMinutes >= 0)) {
+        fail('cooldownMinutes must be a number of minutes');
+    }
+
+    const notify = [].concat(raw.notify || ['console']);
+    for (const name of notify) {
+        if (!notifierNames.includes(name)) fail(`unknown notifier "${name}"`);
+    }
+
+    return {
+        name: normalizeValue(raw.name),
+        where,
+        origin: normalizeLaneEnd(lane.origin, 'origin', fail),
+        destination: normalizeLaneEnd(lane.destination, 'destination', fail),
+        allowBrokers: normalizeBrokerList(brokers.allow, 'allow', fail),
+        denyBrokers: normalizeBrokerList(brokers.deny, 'deny', fail),
+        maxAgeMinutes,
+        cooldownMinutes,
+        notify
+    };
+}
+
+/**
+ * Validate the parsed rules file.
+ *
+ * @returns {{ rules: object[], notifiers: object }} notifiers are the
+ *          declarations by name, console included
+ */
+function parseAlertRules(config) {
+    const notifiers = { console: { type: 'console' }, ...((config && config.notifiers) || {}) };
+    const list = Array.isArray(config) ? config : (config && config.rules);
+    if (!Array.isArray(list)) {
+        throw new Error('Alert rules must be a list or an object with a "rules" list');
+    }
+
+    const rules = list.map((raw, index) => normalizeRule(raw, index, Object.keys(notifiers)));
+    const names = new Set();
+    for (const rule of rules) {
+        if (names.has(rule.name)) throw new Error(`Duplicate alert rule name "${rule.name}"`);
+        names.add(rule.name);
+    }
+    return { rules, notifiers };
+}
+
+/**
+ * Read the alert rules file. A missing file means no alerts.
+ */
+function loadAlertRules(filePath = DEFAULT_ALERT_RULES_PATH) {
+    if (!fs.existsSync(filePath)) {
+        return { rules: [], notifiers: {} };
+    }
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read alert rules from ${filePath}: ${error.message}`);
+    }
+    return parseAlertRules(config);
+}
+
+/**
+ * Whether a load matches every part of a rule.
+ */
+function matchRule(rule, load) {
+    for (const { field, op, value } of rule.where) {
+        const actual = load[field] === undefined || load[field] === '' ? null : load[field];
+        if (!OPERATORS[op](actual, value)) return false;
+    }
+
+    if (!matchesLaneEnd(rule.origin, load, 'origin')) return false;
+    if (!matchesLaneEnd(rule.destination, load, 'destination')) return false;
+
+    if (rule.allowBrokers || rule.denyBrokers) {
+        const broker = brokerKey(load.company);
+        if (rule.allowBrokers && !rule.allowBrokers.has(broker)) return false;
+        if (rule.denyBrokers && rule.denyBrokers.has(broker)) return false;
+    }
+
+    if (rule.maxAgeMinutes !== null) {
+        const age = parseAgeMinutes(load.age_posted);
+        if (age === null || age > rule.maxAgeMinutes) return false;
+    }
+    return true;
+}
+
+/**
+ * Checks loads against the rules and sends the matches, remembering when
+ * each rule last alerted on each load in a JSON state file so cooldowns
+ * survive restarts.
+ */
+class AlertEngine {
+    /**
+     * @param {{ rules: object[], notifiers: object, statePath?: string,
+     *           logger?: object, env?: object }} options rules and notifier
+     *        declarations as parseAlertRules returns them
+     */
+    constructor({ rules, notifiers, statePath = null, logger = console, env = process.env }) {
+        this.rules = rules;
+        this.statePath = statePath;
+        this.logger = logger;
+        this.notifiers = new Map();
+        for (const name of new Set(rules.flatMap(rule => rule.notify))) {
+            this.notifiers.set(name, createNotifier(name, notifiers[name], { logger, env }));
+        }
+        this.lastAlerted = this.loadState();
+    }
+
+    loadState() {
+        if (!this.statePath || !fs.existsSync(this.statePath)) return new Map();
+        try {
+            return new Map(Object.entries(JSON.parse(fs.readFileSync(this.statePath, 'utf8'))));
+        } catch (error) {
+            this.logger.warn('Could not read alert state, starting fresh', { file: this.statePath, error: error.message });
+            return new Map();
+        }
+    }
+
+    // Cooldowns that have run out are dropped so the file stays small
+    saveState(now) {
+        if (!this.statePath) return;
+        const longest = Math.max(0, ...this.rules.map(rule => rule.cooldownMinutes)) * 60000;
+        for (const [key, alertedAt] of this.lastAlerted) {
+            if (now - Date.parse(alertedAt) > longest) this.lastAlerted.delete(key);
+        }
+        fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+        fs.writeFileSync(this.statePath, JSON.stringify(Object.fromEntries(this.lastAlerted), null, 2));
+    }
+
+    coolingDown(rule, key, now) {
+        const alertedAt = this.lastAlerted.get(key);
+        return Boolean(alertedAt) && now - Date.parse(alertedAt) < rule.cooldownMinutes * 60000;
+    }
+
+    /**
+     * Check loads against every rule and notify the matches. A notifier
+     * that fails is logged and does not stop the others; the cooldown only
+     * starts once at least one notifier delivered the alert.
+     *
+     * @param {object[]} loads stored loads (with load_id)
+     * @param {{ now?: Date }} options
+     * @returns {Promise<object[]>} the alerts sent, as { rule, load, matchedAt }
+     */
+    async evaluate(loads, { now = new Date() } = {}) {
+        if (this.rules.length === 0 || loads.length === 0) return [];
+
+        const sent = [];
+        const matchedAt = now.toISOString();
+        for (const load of loads) {
+            for (const rule of this.rules) {
+                const key = `${rule.name}|${load.load_id}`;
+                if (!matchRule(rule, load) || this.coolingDown(rule, key, now.getTime())) continue;
+
+                const alert = { rule: rule.name, load, matchedAt };
+                let delivered = false;
+                for (const name of rule.notify) {
+                    try {
+                        await this.notifiers.get(name).send(alert);
+                        delivered = true;
+                    } catch (error) {
+                        this.logger.warn('Alert notifier failed', { rule: rule.name, notifier: name, loadId: load.load_id, error: error.message });
+                    }
+                }
+                if (delivered) {
+                    this.lastAlerted.set(key, matchedAt);
+                    sent.push(alert);
+                }
+            }
+        }
+
+        if (sent.length > 0) this.saveState(now.getTime());
+        return sent;
+    }
+}
+
+module.exports = {
+    DEFAULT_ALERT_RULES_PATH,
+    parseAlertRules,
+    loadAlertRules,
+    matchRule,
+    AlertEngine
+};
@@ -0,0 +1,162 @@
+const { createObjectCsvStringifier } = require('csv-writer');
+const { httpError, HttpResponse } = require('./status-server');
+const { LOAD_COLUMNS, LIFECYCLE_COLUMNS } = require('./load-store');
+const { loadBrokerDirectory } = require('./brokers');
+const { parseWindows, loadLaneReport } = require('./lanes');
+const { parseLoadQuery, queryLoadPage } = require('./load-query');
+
+/**
+ * JSON endpoints over the load store, served by the status server next to
+ * /health (see status-server.js for the route format). /loads also answers
+ * in CSV, for `Accept: text/csv` or ?format=csv.
+ *
+ * `getStore` resolves to an opened load store; the production service
+ * passes its own, `dispatch serve` opens one for the server's lifetime.
+ * `getRuns` returns the run history from the stats file, newest first.
+ * With a `loadStream` (see load-stream.js), /loads/stream pushes loads as
+ * they are stored.
+ */
+
+const DEFAULT_LIMIT = 100;
+
+function parseLimit(value) {
+    if (value === undefined) return DEFAULT_LIMIT;
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw httpError(400, `limit must be a positive whole number, got "${value}"`);
+    }
+    return limit;
+}
+
+function parseWindowsParam(value) {
+    try {
+        return parseWindows(value);
+    } catch (error) {
+        throw httpError(400, error.message);
+    }
+}
+
+const CSV_COLUMNS = ['load_id', ...LOAD_COLUMNS, ...LIFECYCLE_COLUMNS, 'posted_at'];
+
+function parseLoadQueryParams(params) {
+    try {
+        return parseLoadQuery(params);
+    } catch (error) {
+        throw httpError(400, error.message);
+    }
+}
+
+function wantsCsv(query, headers) {
+    if (query.format) {
+        if (!['csv', 'json'].includes(query.format)) {
+            throw httpError(400, `format must be csv or json, got "${query.format}"`);
+        }
+        return query.format === 'csv';
+    }
+    return /\btext\/csv\b/i.test(headers.accept || '');
+}
+
+function nextPageLink(query, cursor) {
+    const params = new URLSearchParams({ ...query, cursor });
+    return `</loads?${params}>; rel="next"`;
+}
+
+function loadsCsv(page, query) {
+    const stringifier = createObjectCsvStringifier({
+        header: CSV_COLUMNS.map(column => ({ id: column, title: column }))
+    });
+    const headers = {
+        'Content-Type': 'text/csv; charset=utf-8',
+        'X-Total-Count': String(page.total)
+    };
+    if (page.next_cursor) {
+        headers.Link = nextPageLink(query, page.next_cursor);
+        headers['X-Next-Cursor'] = page.next_cursor;
+    }
+    return new HttpResponse(stringifier.getHeaderString() + stringifier.stringifyRecords(page.loads), headers);
+}
+
+function filterRuns(runs, query) {
+    const limit = parseLimit(query.limit);
+    if (query.status && !['succeeded', 'failed'].includes(query.status)) {
+        throw httpError(400, `status must be succeeded or failed, got "${query.status}"`);
+    }
+    const matching = runs.filter(run =>
+        (!query.status || (query.status === 'failed') === Boolean(run.error)) &&
+        (!query.profile || run.searchProfile === query.profile));
+    return { total: matching.length, runs: matching.slice(0, limit) };
+}
+
+function createApiRoutes({ getStore, getRuns = () => [], loadStream = null }) {
+    const routes = [
+        {
+            // ?origin=CO&equipment=Reefer&min_rate_per_mile=2.5&sort=-rate_per_mile (see load-query.js)
+            name: '/loads',
+            path: /^\/loads\/?$/,
+            handler: async ({ query, headers }) => {
+                const { format, ...params } = query;
+                const csv = wantsCsv(query, headers);
+                const page = await queryLoadPage(await getStore(), parseLoadQueryParams(params));
+                if (csv) return loadsCsv(page, query);
+                return page.next_cursor
+                    ? new HttpResponse(page, { Link: nextPageLink(query, page.next_cursor) })
+                    : page;
+            }
+        },
+        loadStream && {
+            // Server-sent events, or a WebSocket on upgrade; takes the /loads filters
+            name: '/loads/stream',
+            path: /^\/loads\/stream\/?$/,
+            stream: context => loadStream.handleSse(context),
+            upgrade: context => loadStream.handleUpgrade(context)
+        },
+        {
+            name: '/loads/:id',
+            path: /^\/loads\/([^/]+)\/?$/,
+            handler: async ({ params: [id] }) => {
+                const store = await getStore();
+                const load = await store.getLoad(id);
+                if (!load) return null;
+                return { ...load, history: await store.getHistory(id) };
+            }
+        },
+        {
+            // ?status=failed&profile=colorado-reefer&limit=20
+            name: '/runs',
+            path: /^\/runs\/?$/,
+            handler: async ({ query }) => filterRuns(await getRuns(), query)
+        },
+        {
+            // ?search=abc&since=2025-09-01&status=active&limit=20
+            name: '/brokers',
+            path: /^\/brokers\/?$/,
+            handler: async ({ query }) => {
+                const limit = parseLimit(query.limit);
+                const brokers = await loadBrokerDirectory(await getStore(), query);
+                return { total: brokers.length, brokers: brokers.slice(0, limit) };
+            }
+        },
+        {
+            name: '/brokers/:id',
+            path: /^\/brokers\/([^/]+)\/?$/,
+            handler: async ({ params: [id] }) => {
+                const brokers = await loadBrokerDirectory(await getStore());
+                return brokers.find(broker => broker.id === id) || null;
+            }
+        },
+        {
+            // ?origin=CO&destination=CA&equipment=Reefer&windows=7,30,90
+            name: '/lanes',
+            path: /^\/lanes\/?$/,
+            handler: async ({ query }) => {
+                const windows = parseWindowsParam(query.windows);
+                return loadLaneReport(await getStore(), { ...query, windows });
+            }
+        }
+    ];
+    return routes.filter(Boolean);
+}
+
+module.exports = {
+    createApiRoutes
+};
@@ -0,0 +1,214 @@
+/**
+ * Broker directory aggregated from the load store.
+ *
+ * DAT spells the same broker several ways ("ABC Logistics", "ABC LOGISTICS
+ * LLC", "ABC Logistics, Inc."), so loads are grouped by a broker key: the
+ * company name upper-cased, without punctuation, legal suffixes or any
+ * phone number or email run into it. Each entry shows the spelling seen
+ * most often as its name and collects the broker's contacts, the lanes it
+ * posts, its posting volume, its average rate per mile and when it was
+ * last seen.
+ */
+
+const { normalizeValue, round } = require('./parsers');
+const { LOAD_STATUS } = require('./load-store');
+const { formatContact } = require('./contacts');
+
+// Legal-form words dropped from the end of the key
+const LEGAL_SUFFIXES = new Set([
+    'LLC', 'INC', 'INCORPORATED', 'CORP', 'CORPORATION', 'CO', 'COMPANY',
+    'LTD', 'LIMITED', 'LP', 'LLP', 'PLLC', 'PC'
+]);
+
+const PHONE_IN_TEXT = /(?:\+?1[-.\s]?)?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}(?:\s*(?:x|ext\.?)\s*\d{1,6})?/gi;
+const EMAIL_IN_TEXT = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
+
+/**
+ * The company name without phone numbers or emails run into it, or null.
+ */
+function cleanBrokerName(company) {
+    const value = normalizeValue(company);
+    if (!value) return null;
+    return normalizeValue(value.replace(EMAIL_IN_TEXT, ' ').replace(PHONE_IN_TEXT, ' ').replace(/[\s,;:/-]+$/, ''));
+}
+
+/**
+ * Grouping key for a company name, or null when there is no name.
+ * "ABC Logistics, L.L.C." and "abc logistics" share the key "ABC LOGISTICS".
+ */
+function brokerKey(company) {
+    const name = cleanBrokerName(company);
+    if (!name) return null;
+
+    const words = name
+        .toUpperCase()
+        .replace(/&/g, ' AND ')
+        .replace(/\b([A-Z])\.(?=[A-Z]\.)/g, '$1')   // L.L.C. -> LLC.
+        .replace(/[^A-Z0-9/ ]+/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+
+    while (words.length > 1 && LEGAL_SUFFIXES.has(words[words.length - 1])) {
+        words.pop();
+    }
+    return words.join(' ') || null;
+}
+
+/**
+ * URL-safe broker id derived from the key ("abc-logistics").
+ */
+function brokerId(key) {
+    return key.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function latest(a, b) {
+    if (!a) return b || null;
+    if (!b) return a;
+    return String(a) >= String(b) ? a : b;
+}
+
+function average(values) {
+    if (values.length === 0) return null;
+    return round(values.reduce((sum, value) => sum + value, 0) / values.length);
+}
+
+// The spelling seen most often, the most recent one on a tie
+function mostCommon(names) {
+    const [[name]] = [...names.entries()].sort(([, a], [, b]) =>
+        b.count - a.count || String(b.lastSeenAt).localeCompare(String(a.lastSeenAt)));
+    return name;
+}
+
+function hasRate(load) {
+    return load.rate_per_mile !== null && load.rate_per_mile !== undefined && load.rate_per_mile !== '';
+}
+
+// Contact identity: the phone (with extension) or, without one, the email
+function contactKey(load) {
+    if (load.contact_phone) return `phone:${load.contact_phone}x${load.contact_extension || ''}`;
+    if (load.contact_email) return `email:${load.contact_email}`;
+    return null;
+}
+
+/**
+ * Group loads into broker entries, busiest broker first.
+ *
+ * @param {object[]} loads stored loads (see LoadStore#queryLoads)
+ * @returns {object[]} entries of { id, name, aliases, postings,
+ *          active_postings, avg_rate_per_mile, first_seen_at, last_seen_at,
+ *          contacts, lanes }
+ */
+function buildBrokerDirectory(loads) {
+    const brokers = new Map();
+
+    for (const load of loads) {
+        const key = brokerKey(load.company);
+        if (!key) continue;
+
+        if (!brokers.has(key)) {
+            brokers.set(key, { key, names: new Map(), loads: [] });
+        }
+        const broker = brokers.get(key);
+        broker.loads.push(load);
+
+        const name = cleanBrokerName(load.company);
+        const seen = broker.names.get(name) || { count: 0, lastSeenAt: null };
+        broker.names.set(name, { count: seen.count + 1, lastSeenAt: latest(seen.lastSeenAt, load.last_seen_at) });
+    }
+
+    return [...brokers.values()]
+        .map(summarizeBroker)
+        .sort((a, b) => b.postings - a.postings || a.name.localeCompare(b.name));
+}
+
+function summarizeBroker({ key, names, loads }) {
+    const contacts = new Map();
+    const lanes = new Map();
+    const rates = [];
+    let firstSeenAt = null;
+    let lastSeenAt = null;
+
+    for (const load of loads) {
+        lastSeenAt = latest(lastSeenAt, load.last_seen_at);
+        if (!firstSeenAt || String(load.first_seen_at) < String(firstSeenAt)) {
+            firstSeenAt = load.first_seen_at || firstSeenAt;
+        }
+        if (hasRate(load)) {
+            rates.push(Number(load.rate_per_mile));
+        }
+
+        const laneKey = `${load.origin}|${load.destination}`;
+        const lane = lanes.get(laneKey) ||
+            { origin: load.origin, destination: load.destination, postings: 0, rates: [], last_seen_at: null };
+        lane.postings++;
+        lane.last_seen_at = latest(lane.last_seen_at, load.last_seen_at);
+        if (hasRate(load)) {
+            lane.rates.push(Number(load.rate_per_mile));
+        }
+        lanes.set(laneKey, lane);
+
+        const contactId = contactKey(load);
+        if (contactId) {
+            const known = contacts.get(contactId);
+            if (!known || String(load.last_seen_at) >= String(known.last_seen_at)) {
+                contacts.set(contactId, {
+                    name: load.contact_name || (known && known.name) || null,
+                    phone: load.contact_phone || null,
+                    extension: load.contact_extension || null,
+                    email: load.contact_email || (known && known.email) || null,
+                    method: load.contact_method || null,
+                    display: formatContact(load),
+                    last_seen_at: load.last_seen_at
+                });
+            }
+        }
+    }
+
+    return {
+        id: brokerId(key),
+        name: mostCommon(names),
+        aliases: [...names.keys()].sort(),
+        postings: loads.length,
+        active_postings: loads.filter(load => load.status !== LOAD_STATUS.VANISHED).length,
+        avg_rate_per_mile: average(rates),
+        first_seen_at: firstSeenAt,
+        last_seen_at: lastSeenAt,
+        contacts: [...contacts.values()]
+            .sort((a, b) => String(b.last_seen_at).localeCompare(String(a.last_seen_at))),
+        lanes: [...lanes.values()]
+            .map(({ rates: laneRates, ...lane }) => ({ ...lane, avg_rate_per_mile: average(laneRates) }))
+            .sort((a, b) => b.postings - a.postings || String(b.last_seen_at).localeCompare(String(a.last_seen_at)))
+    };
+}
+
+/**
+ * Build the directory from a store, optionally narrowed to loads seen in
+ * a time range and to brokers whose name or id contains `search`.
+ *
+ * @param {import('./load-store').LoadStore} store an opened store
+ * @param {{ search?: string, since?: string, until?: string, status?: string }} options
+ */
+async function loadBrokerDirectory(store, options = {}) {
+    const filters = {};
+    for (const filter of ['since', 'until', 'status']) {
+        if (options[filter]) filters[filter] = options[filter];
+    }
+
+    const count = await store.countLoads(filters);
+    const loads = count > 0 ? await store.queryLoads({ ...filters, limit: count }) : [];
+    const directory = buildBrokerDirectory(loads);
+
+    const search = normalizeValue(options.search);
+    if (!search) return directory;
+
+    const id = brokerId(brokerKey(search) || search);
+    return directory.filter(broker => broker.id.includes(id));
+}
+
+module.exports = {
+    cleanBrokerName,
+    brokerKey,
+    brokerId,
+    buildBrokerDirectory,
+    loadBrokerDirectory
+};
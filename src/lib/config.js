@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_PROFILES_PATH } = require('./search-profiles');
+const { DEFAULT_ALERT_RULES_PATH } = require('./alerts');
+const { DEFAULT_WEBHOOKS_PATH } = require('./webhooks');
+const { DISTANCE_PROVIDERS, DEFAULT_CIRCUITY_FACTOR } = require('./distance');
+const { HOS_MODES } = require('./transit');
+const { RUN_OVERLAP_POLICIES } = require('./run-coordinator');
+
+/**
+ * Shared configuration for the `dispatch` CLI and the production scraper.
+ *
+ * Every setting has a default, may be set in a JSON config file, may be
+ * set by an environment variable and may be given as a command-line flag,
+ * in increasing order of precedence. The config file is the path passed as
+ * `--config`, else $DISPATCH_CONFIG, else ./dispatch.config.json when it
+ * exists.
+ */
+
+const DEFAULT_CONFIG_FILE = './dispatch.config.json';
+
+// Setting name -> type, environment variable(s) and default. Settings
+// without `env` are only read from the config file and flags.
+const CONFIG_SETTINGS = {
+    outputDir: { type: 'string', env: 'OUTPUT_DIR', default: './output' },
+    loadStore: { type: 'string', env: 'LOAD_STORE', choices: ['sqlite', 'csv'], default: 'sqlite' },
+    databaseFile: { type: 'string', default: 'loads.db' },
+    outputFile: { type: 'string', default: 'dat_one_loads_production.csv' },
+    statsFile: { type: 'string', default: 'production_stats.json' },
+    healthFile: { type: 'string', default: 'health_status.json' },
+    aiUsageFile: { type: 'string', default: 'ai_usage.json' },
+    searchProfilesFile: { type: 'string', env: 'SEARCH_PROFILES', default: DEFAULT_PROFILES_PATH },
+    searchProfile: { type: 'string', env: 'SEARCH_PROFILE', default: null },
+    alertRulesFile: { type: 'string', env: 'ALERT_RULES', default: DEFAULT_ALERT_RULES_PATH },
+    alertStateFile: { type: 'string', default: 'alert_state.json' },
+    webhooksFile: { type: 'string', env: 'WEBHOOKS', default: DEFAULT_WEBHOOKS_PATH },
+    webhookOutboxFile: { type: 'string', default: 'webhook_outbox.json' },
+    screenshotsDir: { type: 'string', default: 'screenshots' },
+    keepScreenshots: { type: 'integer', default: 50 },
+    failuresDir: { type: 'string', default: 'failures' },
+    keepFailureBundles: { type: 'integer', default: 20 },
+    failureBundleMaxAgeDays: { type: 'integer', default: 14 },
+    recordTraces: { type: 'boolean', env: 'RECORD_TRACES', default: true },
+    distanceProvider: { type: 'string', env: 'DISTANCE_PROVIDER', choices: DISTANCE_PROVIDERS, default: null },
+    osrmUrl: { type: 'string', env: 'OSRM_URL', default: null },
+    distanceCacheFile: { type: 'string', default: 'distance_cache.json' },
+    distanceDailyBudget: { type: 'integer', env: 'DISTANCE_DAILY_BUDGET', default: 1000 },
+    circuityFactor: { type: 'number', default: DEFAULT_CIRCUITY_FACTOR },
+    truckLocation: { type: 'string', env: 'TRUCK_LOCATION', default: null },
+    truckMpg: { type: 'number', env: 'TRUCK_MPG', default: 6.5 },
+    dieselPrice: { type: 'number', env: 'DIESEL_PRICE', default: 3.75 },
+    maintenancePerMile: { type: 'number', default: 0.2 },
+    driverPayPerMile: { type: 'number', default: 0.6 },
+    hosMode: { type: 'string', env: 'HOS_MODE', choices: HOS_MODES, default: 'solo' },
+    averageMph: { type: 'number', default: 50 },
+    loadingHours: { type: 'number', default: 2 },
+    sessionFile: { type: 'string', env: 'SESSION_FILE', default: 'session.json' },
+    intervalSeconds: { type: 'integer', env: 'INTERVAL_SECONDS', default: 30 },
+    scheduleTimezone: { type: 'string', env: 'SCHEDULE_TIMEZONE', default: null },
+    operatingHours: { type: 'string', env: 'OPERATING_HOURS', default: null },
+    operatingDays: { type: 'string', env: 'OPERATING_DAYS', default: null },
+    holidays: { type: 'string', env: 'HOLIDAYS', default: null },
+    runOverlapPolicy: { type: 'string', env: 'RUN_OVERLAP_POLICY', choices: RUN_OVERLAP_POLICIES, default: 'coalesce' },
+    runLockFile: { type: 'string', default: 'scrape.lock' },
+    runLockStaleSeconds: { type: 'integer', default: 120 },
+    maxEntries: { type: 'integer', env: 'MAX_ENTRIES', default: 25 },
+    timeout: { type: 'integer', env: 'SCRAPE_TIMEOUT', default: 25000 },
+    vanishAfterRuns: { type: 'integer', env: 'VANISH_AFTER_RUNS', default: 3 },
+    headless: { type: 'boolean', env: 'HEADLESS', default: null },
+    healthCheckPort: { type: 'integer', env: ['HEALTH_CHECK_PORT', 'PORT'], default: 8080 },
+    logLevel: { type: 'string', env: 'LOG_LEVEL', choices: ['error', 'warn', 'info', 'debug'], default: 'info' }
+};
+
+function coerce(name, value, source) {
+    const setting = CONFIG_SETTINGS[name];
+    if (value === null || value === undefined) return null;
+
+    let result = value;
+    if (setting.type === 'integer') {
+        result = typeof value === 'number' ? value : Number(String(value).trim());
+        if (!Number.isInteger(result) || result < 0) {
+            throw new Error(`${source}: ${name} must be a whole number, got "${value}"`);
+        }
+    } else if (setting.type === 'number') {
+        result = typeof value === 'number' ? value : Number(String(value).trim());
+        if (!Number.isFinite(result) || result < 0) {
+            throw new Error(`${source}: ${name} must be a number of zero or more, got "${value}"`);
+        }
+    } else if (setting.type === 'boolean') {
+        if (typeof value !== 'boolean') {
+            const text = String(value).trim().toLowerCase();
+            if (!['true', 'false', '1', '0'].includes(text)) {
+                throw new Error(`${source}: ${name} must be true or false, got "${value}"`);
+            }
+            result = text === 'true' || text === '1';
+        }
+    } else {
+        result = String(value).trim();
+    }
+
+    if (setting.choices && !setting.choices.includes(result)) {
+        throw new Error(`${source}: ${name} must be one of ${setting.choices.join(', ')}, got "${value}"`);
+    }
+    return result;
+}
+
+/**
+ * Read a config file. A file named explicitly must exist; the default one
+ * is optional.
+ */
+function readConfigFile(filePath, required) {
+    if (!fs.existsSync(filePath)) {
+        if (required) {
+            throw new Error(`Config file not found: ${filePath}`);
+        }
+        return {};
+    }
+
+    let values;
+    try {
+        values = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read config file ${filePath}: ${error.message}`);
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        throw new Error(`Config file ${filePath} must hold a JSON object`);
+    }
+
+    for (const name of Object.keys(values)) {
+        if (!(name in CONFIG_SETTINGS)) {
+            throw new Error(`Unknown setting "${name}" in config file ${filePath}`);
+        }
+    }
+    return values;
+}
+
+/**
+ * Resolve the configuration from defaults, config file, environment and
+ * flags.
+ *
+ * @param {{ env?: object, flags?: object }} options flags are parsed
+ *        command-line options; `flags.config` names the config file and
+ *        keys that are not settings are ignored
+ * @returns {object} one value per setting, plus `configFile` (the file
+ *          read, or null)
+ */
+function loadConfig(options = {}) {
+    const env = options.env || process.env;
+    const flags = options.flags || {};
+
+    const explicitFile = flags.config || env.DISPATCH_CONFIG || null;
+    const configFile = path.resolve(explicitFile || DEFAULT_CONFIG_FILE);
+    const fileValues = readConfigFile(configFile, Boolean(explicitFile));
+
+    const config = {};
+    for (const [name, setting] of Object.entries(CONFIG_SETTINGS)) {
+        let value = setting.default;
+
+        if (name in fileValues) {
+            value = coerce(name, fileValues[name], configFile);
+        }
+
+        const envNames = [].concat(setting.env || []);
+        const envName = envNames.find(candidate => env[candidate] !== undefined && env[candidate] !== '');
+        if (envName) {
+            value = coerce(name, env[envName], envName);
+        }
+
+        if (flags[name] !== undefined) {
+            value = coerce(name, flags[name], 'command line');
+        }
+        config[name] = value;
+    }
+
+    config.configFile = fs.existsSync(configFile) ? configFile : null;
+    return config;
+}
+
+module.exports = {
+    DEFAULT_CONFIG_FILE,
+    CONFIG_SETTINGS,
+    loadConfig
+};
@@ -0,0 +1,93 @@
+/**
+ * Structured broker contacts.
+ *
+ * DAT shows a posting's contact as some mix of a name, a phone number
+ * (often with an extension) and an email, in the row, in the detail panel
+ * or run into the company cell. Every scraper turns what it found into the
+ * same contact columns (CONTACT_COLUMNS in load-store.js) through
+ * normalizeContact: phones in E.164 ("+12095995418") with the extension
+ * kept apart, emails lower-cased, and contact_method saying which channel
+ * to use. formatContact renders the readable `contact` column from the
+ * same fields.
+ */
+
+const { normalizeValue, parsePhoneNumber } = require('./parsers');
+
+const EMAIL_PATTERN = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/;
+
+const CONTACT_METHODS = ['phone', 'email'];
+
+function parseEmail(text) {
+    const value = normalizeValue(text);
+    const match = value && value.replace(/^mailto:/i, '').match(EMAIL_PATTERN);
+    return match ? match[0].toLowerCase() : null;
+}
+
+/**
+ * Normalize a contact from whatever a scraper found.
+ *
+ * phone and email are the dedicated fields (link text or tel:/mailto:
+ * hrefs); text is free text searched for whichever of the two is missing.
+ * An explicit extension wins over one parsed from the phone. The preferred
+ * method defaults to phone when there is one, since brokers answer calls
+ * faster than email.
+ *
+ * @param {{ name?: string, phone?: string, extension?: string, email?: string,
+ *           text?: string, preferred?: string }} found
+ * @returns {{ contact_name: string|null, contact_phone: string|null,
+ *             contact_extension: string|null, contact_email: string|null,
+ *             contact_method: 'phone'|'email'|null }}
+ */
+function normalizeContact(found = {}) {
+    const phone = parsePhoneNumber(found.phone) || parsePhoneNumber(found.text);
+    const email = parseEmail(found.email) || parseEmail(found.text);
+    const extension = normalizeValue(found.extension) || (phone && phone.extension) || null;
+
+    const preferred = (normalizeValue(found.preferred) || '').toLowerCase();
+    let method = null;
+    if (CONTACT_METHODS.includes(preferred) && (preferred === 'phone' ? phone : email)) {
+        method = preferred;
+    } else if (phone) {
+        method = 'phone';
+    } else if (email) {
+        method = 'email';
+    }
+
+    return {
+        contact_name: normalizeValue(found.name),
+        contact_phone: phone ? phone.e164 : null,
+        contact_extension: phone ? extension : null,
+        contact_email: email,
+        contact_method: method
+    };
+}
+
+/**
+ * The readable contact line for a record carrying CONTACT_COLUMNS, e.g.
+ * "(209) 599-5418 x12; dispatch@sunrisefreight.com", or null.
+ */
+function formatContact(contact) {
+    const parts = [];
+    const phone = parsePhoneNumber(contact.contact_phone);
+    if (phone) {
+        parts.push(contact.contact_extension ? `${phone.formatted} x${contact.contact_extension}` : phone.formatted);
+    }
+    if (contact.contact_email) {
+        parts.push(contact.contact_email);
+    }
+    return parts.length > 0 ? parts.join('; ') : null;
+}
+
+/**
+ * Whether a record has a phone or email to reach the broker on.
+ */
+function hasContact(record) {
+    return Boolean(record.contact_phone || record.contact_email);
+}
+
+module.exports = {
+    CONTACT_METHODS,
+    normalizeContact,
+    formatContact,
+    hasContact
+};
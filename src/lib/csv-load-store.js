@@ -0,0 +1,272 @@
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const createCsvWriter = require('csv-writer').createObjectCsvWriter;
+const {
+    LOAD_COLUMNS,
+    LIFECYCLE_COLUMNS,
+    LOAD_STATUS,
+    LoadStore,
+    loadIdentity,
+    hasTrackedChanges,
+    readCsvRecords
+} = require('./load-store');
+
+const CSV_COLUMNS = [...LOAD_COLUMNS, ...LIFECYCLE_COLUMNS];
+const HISTORY_COLUMNS = ['load_id', 'observed_at', 'field', 'old_value', 'new_value'];
+const MIGRATION_COLUMNS = ['id', 'applied_at'];
+
+/**
+ * Load store backed by the scrapers' CSV format.
+ *
+ * The file is read once on open and kept in memory keyed by load identity.
+ * Upserts only append rows for new, changed, vanished or returning loads,
+ * and a later row for the same load supersedes earlier ones on the next
+ * open, so a run never rewrites or re-reads the file. History goes to a
+ * sibling "_history.csv" file, applied migrations to "_migrations.csv".
+ *
+ * A plain re-sighting is not written, so after a restart last_seen_at is
+ * the time of the load's last written row, and missed-run counts start
+ * over. Use the SQLite store where exact lifecycle data matters.
+ */
+class CsvLoadStore extends LoadStore {
+    constructor(options = {}) {
+        super();
+        this.csvPath = options.csvPath || './output/dat_one_loads_production.csv';
+        this.historyPath = this.csvPath.replace(/\.csv$/, '') + '_history.csv';
+        this.migrationsPath = this.csvPath.replace(/\.csv$/, '') + '_migrations.csv';
+        this.loads = new Map();
+        this.missedRuns = new Map();
+        this.rowCount = 0;
+    }
+
+    /**
+     * Read the file. Files written before a column was added (lifecycle
+     * tracking, search profiles, equipment, coordinates, profitability,
+     * transit times, load details) lack it and are compacted once, the
+     * original kept beside them, so appended rows line up. Pass
+     * `upgrade: false` to only read, leaving the file as it is.
+     *
+     * @param {{ upgrade?: boolean }} [options]
+     */
+    async open({ upgrade = true } = {}) {
+        const directory = path.dirname(this.csvPath);
+        if (!fs.existsSync(directory)) {
+            fs.mkdirSync(directory, { recursive: true });
+        }
+
+        this.loads.clear();
+        this.missedRuns.clear();
+        this.rowCount = 0;
+        if (!fs.existsSync(this.csvPath)) {
+            return this;
+        }
+
+        const records = await readCsvRecords(this.csvPath);
+        this.rowCount = records.length;
+        for (const record of records) {
+            const loadId = loadIdentity(record);
+            const previous = this.loads.get(loadId);
+            this.loads.set(loadId, {
+                load_id: loadId,
+                ...record,
+                first_seen_at: record.first_seen_at || (previous && previous.first_seen_at) || record.extracted_at,
+                last_seen_at: record.last_seen_at || record.extracted_at,
+                status: record.status || LOAD_STATUS.ACTIVE,
+                vanished_at: record.vanished_at || null
+            });
+        }
+
+        if (upgrade && this.missingColumns().length > 0) {
+            await this.compact();
+        }
+        return this;
+    }
+
+    /**
+     * Rewrite the file with one row per load and every current column,
+     * dropping the rows later sightings superseded. The new file is written
+     * beside the old one and renamed over it, so an interrupted compaction
+     * loses nothing. A file that lacked columns is kept beside it as
+     * "_pre_<column>.csv" ("_pre_lifecycle.csv" for the lifecycle columns).
+     *
+     * @returns {Promise<{ rows: number, loads: number, removed: number }>}
+     */
+    async compact() {
+        const rows = this.rowCount;
+        const compactPath = this.csvPath.replace(/\.csv$/, '') + '_compact.csv';
+
+        if (fs.existsSync(compactPath)) {
+            fs.unlinkSync(compactPath);
+        }
+        await this.appendRows(compactPath, CSV_COLUMNS, [...this.loads.values()]);
+        if (fs.existsSync(compactPath)) {
+            const missing = this.missingColumns();
+            if (missing.length > 0) {
+                const suffix = missing.some(column => LIFECYCLE_COLUMNS.includes(column))
+                    ? 'pre_lifecycle'
+                    : `pre_${missing[0]}`;
+                fs.renameSync(this.csvPath, this.csvPath.replace(/\.csv$/, '') + `_${suffix}.csv`);
+            }
+            fs.renameSync(compactPath, this.csvPath);
+        }
+
+        this.rowCount = this.loads.size;
+        return { rows, loads: this.loads.size, removed: rows - this.loads.size };
+    }
+
+    missingColumns() {
+        const fd = fs.openSync(this.csvPath, 'r');
+        try {
+            const buffer = Buffer.alloc(1024);
+            const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+            const header = buffer.toString('utf8', 0, bytesRead).split(/\r?\n/)[0].split(',');
+            return CSV_COLUMNS.filter(column => !header.includes(column));
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    async fetchLoads(loadIds) {
+        const known = new Map();
+        for (const loadId of loadIds) {
+            if (this.loads.has(loadId)) {
+                known.set(loadId, this.loads.get(loadId));
+            }
+        }
+        return known;
+    }
+
+    async saveLoads(changes, history = []) {
+        const appended = [];
+        for (const { row, isNew, rewrite = false } of changes) {
+            const previous = this.loads.get(row.load_id);
+            if (isNew || rewrite || hasTrackedChanges(previous, row) || previous.status !== row.status) {
+                appended.push(row);
+            }
+            this.loads.set(row.load_id, row);
+            this.missedRuns.delete(row.load_id);
+        }
+
+        await this.appendRows(this.csvPath, CSV_COLUMNS, appended);
+        this.rowCount += appended.length;
+        await this.appendRows(this.historyPath, HISTORY_COLUMNS, history);
+    }
+
+    async recordMissedRun(seenAt, vanishAfterRuns, searchProfile) {
+        const vanished = [];
+        for (const load of this.loads.values()) {
+            if (load.status !== LOAD_STATUS.ACTIVE || !(String(load.last_seen_at) < seenAt)) continue;
+            if (searchProfile && load.search_profile !== searchProfile) continue;
+
+            const missed = (this.missedRuns.get(load.load_id) || 0) + 1;
+            if (missed < vanishAfterRuns) {
+                this.missedRuns.set(load.load_id, missed);
+                continue;
+            }
+
+            const retired = { ...load, status: LOAD_STATUS.VANISHED, vanished_at: seenAt };
+            this.loads.set(load.load_id, retired);
+            this.missedRuns.delete(load.load_id);
+            vanished.push(retired);
+        }
+
+        await this.appendRows(this.csvPath, CSV_COLUMNS, vanished);
+        this.rowCount += vanished.length;
+        await this.appendRows(this.historyPath, HISTORY_COLUMNS, vanished.map(load => ({
+            load_id: load.load_id,
+            observed_at: seenAt,
+            field: 'status',
+            old_value: LOAD_STATUS.ACTIVE,
+            new_value: LOAD_STATUS.VANISHED
+        })));
+        return vanished;
+    }
+
+    async getHistory(loadId) {
+        if (!fs.existsSync(this.historyPath)) return [];
+
+        return new Promise((resolve, reject) => {
+            const results = [];
+            fs.createReadStream(this.historyPath)
+                .pipe(csv())
+                .on('data', (data) => {
+                    if (data.load_id === loadId) {
+                        results.push({
+                            load_id: data.load_id,
+                            observed_at: data.observed_at,
+                            field: data.field,
+                            old_value: data.old_value === '' ? null : data.old_value,
+                            new_value: data.new_value === '' ? null : data.new_value
+                        });
+                    }
+                })
+                .on('end', () => resolve(results))
+                .on('error', reject);
+        });
+    }
+
+    async getAppliedMigrations() {
+        if (!fs.existsSync(this.migrationsPath)) return [];
+
+        return new Promise((resolve, reject) => {
+            const ids = [];
+            fs.createReadStream(this.migrationsPath)
+                .pipe(csv())
+                .on('data', (data) => ids.push(data.id))
+                .on('end', () => resolve(ids))
+                .on('error', reject);
+        });
+    }
+
+    async recordMigration(id, appliedAt) {
+        if ((await this.getAppliedMigrations()).includes(id)) return;
+        await this.appendRows(this.migrationsPath, MIGRATION_COLUMNS, [{ id, applied_at: appliedAt }]);
+    }
+
+    async appendRows(filePath, columns, rows) {
+        if (rows.length === 0) return;
+
+        const csvWriter = createCsvWriter({
+            path: filePath,
+            header: columns.map(column => ({ id: column, title: column })),
+            append: fs.existsSync(filePath)
+        });
+        await csvWriter.writeRecords(rows);
+    }
+
+    async getLoad(loadId) {
+        return this.loads.get(loadId) || null;
+    }
+
+    async queryLoads(filters = {}) {
+        const offset = filters.offset || 0;
+        const limit = filters.limit || 100;
+        return this.matching(filters)
+            .sort((a, b) => String(b.last_seen_at).localeCompare(String(a.last_seen_at)) ||
+                a.load_id.localeCompare(b.load_id))
+            .slice(offset, offset + limit);
+    }
+
+    async countLoads(filters = {}) {
+        return this.matching(filters).length;
+    }
+
+    matching(filters) {
+        const equals = (value, expected) => !expected ||
+            String(value || '').toLowerCase() === String(expected).toLowerCase();
+
+        return [...this.loads.values()].filter(load =>
+            equals(load.origin, filters.origin) &&
+            equals(load.destination, filters.destination) &&
+            equals(load.company, filters.company) &&
+            equals(load.status, filters.status) &&
+            equals(load.search_profile, filters.search_profile) &&
+            (!filters.since || String(load.last_seen_at) >= filters.since) &&
+            (!filters.until || String(load.last_seen_at) < filters.until) &&
+            (!filters.vanished_since || Boolean(load.vanished_at && String(load.vanished_at) >= filters.vanished_since))
+        );
+    }
+}
+
+module.exports = CsvLoadStore;
@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+const { HttpResponse } = require('./status-server');
+const { isScreenshotName, listScreenshots } = require('./screenshots');
+
+/**
+ * The dispatcher dashboard at /dashboard: a single page (src/dashboard/)
+ * that reads /health, /runs, /loads, /loads/stream and /screenshots from
+ * the same server. Everything it needs is served from here, so it works
+ * without internet access.
+ *
+ * `screenshotsDir` is the folder of failure screenshots (see
+ * screenshots.js), listed at /screenshots and served at /screenshots/:name.
+ */
+
+const ASSETS_DIR = path.join(__dirname, '..', 'dashboard');
+
+const ASSETS = {
+    'index.html': 'text/html; charset=utf-8',
+    'dashboard.js': 'text/javascript; charset=utf-8',
+    'dashboard.css': 'text/css; charset=utf-8'
+};
+
+function asset(name) {
+    return new HttpResponse(fs.readFileSync(path.join(ASSETS_DIR, name)), { 'Content-Type': ASSETS[name] });
+}
+
+function createDashboardRoutes({ screenshotsDir }) {
+    return [
+        {
+            name: '/dashboard',
+            path: /^\/dashboard\/?$/,
+            handler: async () => asset('index.html')
+        },
+        {
+            name: '/dashboard/:asset',
+            path: /^\/dashboard\/([\w.-]+)$/,
+            handler: async ({ params: [name] }) => (ASSETS[name] ? asset(name) : null)
+        },
+        {
+            name: '/screenshots',
+            path: /^\/screenshots\/?$/,
+            handler: async () => ({
+                screenshots: listScreenshots(screenshotsDir)
+                    .map(screenshot => ({ ...screenshot, url: `/screenshots/${screenshot.name}` }))
+            })
+        },
+        {
+            name: '/screenshots/:name',
+            path: /^\/screenshots\/([^/]+)$/,
+            handler: async ({ params: [name] }) => {
+                const file = path.join(screenshotsDir, name);
+                if (!isScreenshotName(name) || !fs.existsSync(file)) return null;
+                return new HttpResponse(fs.readFileSync(file), { 'Content-Type': 'image/png' });
+            }
+        }
+    ];
+}
+
+module.exports = {
+    createDashboardRoutes
+};
@@ -0,0 +1,395 @@
+const fs = require('fs');
+const path = require('path');
+const { formatPlace, normalizeValue, round } = require('./parsers');
+const { distanceMiles } = require('./geo');
+const { lookupPlace, stateCentroid } = require('./gazetteer');
+
+/**
+ * Driving distances between two places.
+ *
+ * A DistanceProvider answers route(origin, destination) with
+ * { miles, hours }, where each end is a "City, ST" place or
+ * { place, lat, lon }. Three providers exist:
+ *
+ * - GoogleDistanceProvider: the Google Distance Matrix API (paid, needs
+ *   GOOGLE_MAPS_API_KEY)
+ * - OsrmDistanceProvider: any OSRM-compatible /route/v1 HTTP service
+ * - HaversineDistanceProvider: offline, the great-circle distance times a
+ *   circuity factor, at an average speed; a place missing from the
+ *   gazetteer is put at the middle of its state
+ *
+ * CachingDistanceProvider puts a remote provider behind the persistent
+ * lane-distance cache and a daily lookup budget, and answers with the
+ * haversine estimate when the lane is not cached and the provider fails or
+ * the budget is spent. Use createDistanceProvider to build one from
+ * configuration.
+ */
+
+const METERS_PER_MILE = 1609.344;
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Roads are about a fifth longer than the great circle between US cities
+const DEFAULT_CIRCUITY_FACTOR = 1.2;
+const DEFAULT_AVERAGE_MPH = 55;
+
+// Minimum time between two requests to a remote provider
+const DEFAULT_MIN_INTERVAL_MS = 100;
+
+const DISTANCE_PROVIDERS = ['haversine', 'google', 'osrm'];
+
+/**
+ * The place text of a route end.
+ */
+function placeOf(end) {
+    return formatPlace(end && typeof end === 'object' ? end.place : end);
+}
+
+/**
+ * Coordinates of a route end: its own, else the gazetteer's for its place.
+ * Throws when neither is known.
+ */
+function pointOf(end) {
+    if (end && typeof end === 'object' && Number.isFinite(end.lat) && Number.isFinite(end.lon)) {
+        return { lat: end.lat, lon: end.lon };
+    }
+    const place = lookupPlace(placeOf(end));
+    if (!place) {
+        throw new Error(`No coordinates for "${placeOf(end) || ''}"`);
+    }
+    return { lat: place.lat, lon: place.lon };
+}
+
+/**
+ * Cache key for a lane: both places as the gazetteer spells them, so
+ * "Ft Morgan, CO" and "Fort Morgan, CO" share an entry.
+ */
+function laneKey(origin, destination) {
+    const key = end => {
+        const known = lookupPlace(placeOf(end));
+        return known ? `${known.city}, ${known.state}` : (normalizeValue(placeOf(end)) || '');
+    };
+    return `${key(origin)}|${key(destination)}`.toLowerCase();
+}
+
+/**
+ * Interface shared by the providers.
+ */
+class DistanceProvider {
+    get name() {
+        throw new Error(`${this.constructor.name} must implement name`);
+    }
+
+    /**
+     * Driving distance and time between two places.
+     *
+     * @param {string|{ place?: string, lat?: number, lon?: number }} origin
+     * @param {string|{ place?: string, lat?: number, lon?: number }} destination
+     * @returns {Promise<{ miles: number, hours: number, provider: string }>}
+     */
+    async route(origin, destination) {
+        throw new Error(`${this.constructor.name} must implement route()`);
+    }
+}
+
+/**
+ * Offline estimate: great-circle miles times the circuity factor, driven
+ * at an average speed. A place the gazetteer does not know is estimated
+ * from the middle of its state, and is logged the first time it is seen;
+ * only a place without a state cannot be routed.
+ */
+class HaversineDistanceProvider extends DistanceProvider {
+    constructor({ circuityFactor = DEFAULT_CIRCUITY_FACTOR, averageMph = DEFAULT_AVERAGE_MPH, logger = console } = {}) {
+        super();
+        this.circuityFactor = circuityFactor;
+        this.averageMph = averageMph;
+        this.logger = logger;
+        this.unresolved = new Set();
+    }
+
+    get name() {
+        return 'haversine';
+    }
+
+    locate(end) {
+        try {
+            return pointOf(end);
+        } catch (error) {
+            const place = placeOf(end) || '';
+            const centroid = stateCentroid(place);
+            if (!this.unresolved.has(place)) {
+                this.unresolved.add(place);
+                if (centroid) {
+                    this.logger.warn('Place not in the gazetteer, estimating from the middle of its state', { place, state: centroid.state });
+                } else {
+                    this.logger.warn('Place not in the gazetteer and has no known state', { place });
+                }
+            }
+            if (!centroid) throw error;
+            return { lat: centroid.lat, lon: centroid.lon };
+        }
+    }
+
+    async route(origin, destination) {
+        const from = this.locate(origin);
+        const to = this.locate(destination);
+        const miles = distanceMiles(from.lat, from.lon, to.lat, to.lon) * this.circuityFactor;
+        return { miles: round(miles, 1), hours: round(miles / this.averageMph, 2), provider: this.name };
+    }
+}
+
+/**
+ * Base for providers behind an HTTP API: spaces requests at least
+ * minIntervalMs apart.
+ */
+class RemoteDistanceProvider extends DistanceProvider {
+    constructor({ minIntervalMs = DEFAULT_MIN_INTERVAL_MS, timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
+        super();
+        this.minIntervalMs = minIntervalMs;
+        this.timeoutMs = timeoutMs;
+        this.nextRequestAt = 0;
+    }
+
+    async getJson(url) {
+        const wait = this.nextRequestAt - Date.now();
+        this.nextRequestAt = Math.max(Date.now(), this.nextRequestAt) + this.minIntervalMs;
+        if (wait > 0) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+
+        const response = await fetch(url, { signal: AbortSignal.timeout(this.timeoutMs) });
+        if (!response.ok) {
+            throw new Error(`${this.name} answered ${response.status}`);
+        }
+        return response.json();
+    }
+}
+
+/**
+ * Google Distance Matrix, driving and avoiding tolls like most trucks.
+ */
+class GoogleDistanceProvider extends RemoteDistanceProvider {
+    constructor({ apiKey, baseUrl = 'https://maps.googleapis.com/maps/api/distancematrix/json', ...options }) {
+        super(options);
+        if (!apiKey) {
+            throw new Error('The google distance provider needs GOOGLE_MAPS_API_KEY');
+        }
+        this.apiKey = apiKey;
+        this.baseUrl = baseUrl;
+    }
+
+    get name() {
+        return 'google';
+    }
+
+    async route(origin, destination) {
+        const url = new URL(this.baseUrl);
+        url.search = new URLSearchParams({
+            origins: placeOf(origin) || '',
+            destinations: placeOf(destination) || '',
+            units: 'imperial',
+            mode: 'driving',
+            avoid: 'tolls',
+            key: this.apiKey
+        }).toString();
+
+        const body = await this.getJson(url);
+        const element = body.rows && body.rows[0] && body.rows[0].elements[0];
+        if (body.status !== 'OK' || !element || element.status !== 'OK') {
+            throw new Error(`google: ${(element && element.status) || body.status}`);
+        }
+        return {
+            miles: round(element.distance.value / METERS_PER_MILE, 1),
+            hours: round(element.duration.value / 3600, 2),
+            provider: this.name
+        };
+    }
+}
+
+/**
+ * An OSRM-compatible routing service (OSRM itself, or a hosted clone):
+ * GET <baseUrl>/route/v1/<profile>/<lon>,<lat>;<lon>,<lat>. Places are
+ * turned into coordinates with the gazetteer.
+ */
+class OsrmDistanceProvider extends RemoteDistanceProvider {
+    constructor({ baseUrl, profile = 'driving', ...options }) {
+        super(options);
+        if (!baseUrl) {
+            throw new Error('The osrm distance provider needs osrmUrl');
+        }
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.profile = profile;
+    }
+
+    get name() {
+        return 'osrm';
+    }
+
+    async route(origin, destination) {
+        const coordinates = [pointOf(origin), pointOf(destination)]
+            .map(point => `${point.lon},${point.lat}`)
+            .join(';');
+        const body = await this.getJson(`${this.baseUrl}/route/v1/${this.profile}/${coordinates}?overview=false`);
+        if (body.code !== 'Ok' || !body.routes || body.routes.length === 0) {
+            throw new Error(`osrm: ${body.message || body.code}`);
+        }
+        return {
+            miles: round(body.routes[0].distance / METERS_PER_MILE, 1),
+            hours: round(body.routes[0].duration / 3600, 2),
+            provider: this.name
+        };
+    }
+}
+
+/**
+ * The lane-distance cache file: the distance of every lane a remote
+ * provider answered, and the lookups made today.
+ */
+class LaneDistanceCache {
+    constructor({ filePath }) {
+        this.filePath = filePath;
+        this.data = null;
+    }
+
+    read() {
+        if (!this.data) {
+            const stored = fs.existsSync(this.filePath) ? JSON.parse(fs.readFileSync(this.filePath, 'utf8')) : {};
+            this.data = { lanes: stored.lanes || {}, usage: stored.usage || { day: null, lookups: 0 } };
+        }
+        return this.data;
+    }
+
+    // Written to a temporary file first so a crash never leaves half a cache
+    write() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const temporary = `${this.filePath}.tmp`;
+        fs.writeFileSync(temporary, JSON.stringify(this.data, null, 2));
+        fs.renameSync(temporary, this.filePath);
+    }
+
+    get(key) {
+        return this.read().lanes[key] || null;
+    }
+
+    set(key, entry) {
+        this.read().lanes[key] = entry;
+        this.write();
+    }
+
+    /**
+     * Lookups counted against the budget on the UTC day of `now`.
+     */
+    lookupsOn(now) {
+        const usage = this.read().usage;
+        return usage.day === now.toISOString().slice(0, 10) ? usage.lookups : 0;
+    }
+
+    countLookup(now) {
+        const day = now.toISOString().slice(0, 10);
+        this.read().usage = { day, lookups: this.lookupsOn(now) + 1 };
+        this.write();
+    }
+
+    get size() {
+        return Object.keys(this.read().lanes).length;
+    }
+}
+
+/**
+ * A remote provider behind the lane-distance cache and a daily budget,
+ * falling back to an offline estimate. Answers carry `cached: true` when
+ * they came from the cache. Estimates are not cached, so a lane is looked
+ * up again once the provider is back or the budget resets.
+ */
+class CachingDistanceProvider extends DistanceProvider {
+    /**
+     * @param {{ provider: DistanceProvider, fallback: DistanceProvider,
+     *           cache: LaneDistanceCache, dailyBudget?: number|null,
+     *           logger?: object, clock?: function }} options dailyBudget
+     *        caps the provider's lookups per UTC day (null for no cap)
+     */
+    constructor({ provider, fallback, cache, dailyBudget = null, logger = console, clock = () => new Date() }) {
+        super();
+        this.provider = provider;
+        this.fallback = fallback;
+        this.cache = cache;
+        this.dailyBudget = dailyBudget;
+        this.logger = logger;
+        this.clock = clock;
+    }
+
+    get name() {
+        return this.provider.name;
+    }
+
+    async route(origin, destination) {
+        const key = laneKey(origin, destination);
+        const cached = this.cache.get(key);
+        if (cached) {
+            return { miles: cached.miles, hours: cached.hours, provider: cached.provider, cached: true };
+        }
+
+        const now = this.clock();
+        if (this.dailyBudget !== null && this.cache.lookupsOn(now) >= this.dailyBudget) {
+            this.logger.warn('Distance lookup budget spent, estimating', { provider: this.provider.name, dailyBudget: this.dailyBudget });
+            return { ...(await this.fallback.route(origin, destination)), cached: false };
+        }
+
+        this.cache.countLookup(now);
+        try {
+            const result = await this.provider.route(origin, destination);
+            this.cache.set(key, { ...result, cached_at: now.toISOString() });
+            return { ...result, cached: false };
+        } catch (error) {
+            this.logger.warn('Distance lookup failed, estimating', { provider: this.provider.name, lane: key, error: error.message });
+            return { ...(await this.fallback.route(origin, destination)), cached: false };
+        }
+    }
+}
+
+/**
+ * Build the distance provider the configuration asks for. Without a
+ * distanceProvider setting that is google when GOOGLE_MAPS_API_KEY is set,
+ * as before providers were configurable, and haversine otherwise.
+ *
+ * @param {{ outputDir: string, distanceProvider: string|null, osrmUrl: string|null,
+ *           distanceCacheFile: string, distanceDailyBudget: number|null,
+ *           circuityFactor: number }} config as loadConfig returns it
+ * @param {{ env?: object, logger?: object }} options `env` supplies
+ *        GOOGLE_MAPS_API_KEY
+ * @returns {DistanceProvider}
+ */
+function createDistanceProvider(config, { env = process.env, logger = console } = {}) {
+    const haversine = new HaversineDistanceProvider({ circuityFactor: config.circuityFactor ?? DEFAULT_CIRCUITY_FACTOR, logger });
+    const choice = config.distanceProvider || (env.GOOGLE_MAPS_API_KEY ? 'google' : 'haversine');
+    if (choice === 'haversine') return haversine;
+
+    let provider;
+    if (choice === 'google') {
+        provider = new GoogleDistanceProvider({ apiKey: env.GOOGLE_MAPS_API_KEY });
+    } else if (choice === 'osrm') {
+        provider = new OsrmDistanceProvider({ baseUrl: config.osrmUrl });
+    } else {
+        throw new Error(`Unknown distance provider: ${choice}`);
+    }
+
+    return new CachingDistanceProvider({
+        provider,
+        fallback: haversine,
+        cache: new LaneDistanceCache({ filePath: path.resolve(config.outputDir, config.distanceCacheFile) }),
+        dailyBudget: config.distanceDailyBudget,
+        logger
+    });
+}
+
+module.exports = {
+    DISTANCE_PROVIDERS,
+    DEFAULT_CIRCUITY_FACTOR,
+    laneKey,
+    DistanceProvider,
+    HaversineDistanceProvider,
+    GoogleDistanceProvider,
+    OsrmDistanceProvider,
+    LaneDistanceCache,
+    CachingDistanceProvider,
+    createDistanceProvider
+};
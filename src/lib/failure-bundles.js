@@ -0,0 +1,456 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Everything needed to debug a failed run, in one folder per failure.
+ *
+ * A FailureRecorder is attached to the page when a run starts. It keeps
+ * the page's console messages and network requests and, unless turned
+ * off, records a Playwright trace of the page's context. When the run
+ * succeeds the recording is discarded; when it fails, writeFailureBundle
+ * saves it under the output directory's failures folder, named after the
+ * run like the screenshots ("failure-2025-09-01T01-00-00-000Z/"):
+ *
+ *   bundle.json      what failed: run, profile, error, page URL and title,
+ *                    and the run's timed steps down to each row
+ *   trace.zip        the Playwright trace (npx playwright show-trace)
+ *   screenshot.png   the full page
+ *   page.html        the page's HTML
+ *   console.log      console messages and uncaught page errors
+ *   network.har      requests and responses as HAR 1.2 (without bodies)
+ *   run.log          the run's log lines
+ *
+ * An artifact that cannot be captured (the page is gone, tracing was
+ * never started) is left out and listed under `missing` in bundle.json
+ * with the reason. Only the newest bundles are kept, and none older than
+ * the maximum age.
+ */
+
+const DEFAULT_KEEP = 20;
+const DEFAULT_MAX_AGE_DAYS = 14;
+const MAX_CONSOLE_MESSAGES = 1000;
+const MAX_NETWORK_ENTRIES = 2000;
+
+const BUNDLE_PATTERN = /^failure-[0-9TZ-]+$/;
+const MANIFEST = 'bundle.json';
+
+const ARTIFACTS = {
+    trace: 'trace.zip',
+    screenshot: 'screenshot.png',
+    html: 'page.html',
+    console: 'console.log',
+    network: 'network.har',
+    log: 'run.log'
+};
+
+/**
+ * Folder name of the failure bundle for the run started at `timestamp`.
+ */
+function bundleName(timestamp) {
+    return `failure-${timestamp.replace(/[:.]/g, '-')}`;
+}
+
+/**
+ * Whether a name is one of ours, and so safe to open or delete.
+ */
+function isBundleName(name) {
+    return BUNDLE_PATTERN.test(name);
+}
+
+function harHeaders(headers) {
+    return Object.entries(headers).map(([name, value]) => ({ name, value }));
+}
+
+// A timing Playwright could not measure is -1
+function elapsed(from, to) {
+    return from >= 0 && to >= 0 ? Math.max(to - from, 0) : -1;
+}
+
+async function harEntry({ request, failure }) {
+    const response = failure ? null : await request.response().catch(() => null);
+    const timing = request.timing();
+    const url = new URL(request.url());
+    const postData = request.postData();
+    const responseHeaders = response ? await response.allHeaders().catch(() => response.headers()) : {};
+
+    return {
+        startedDateTime: new Date(timing.startTime).toISOString(),
+        time: Math.max(timing.responseEnd, 0),
+        request: {
+            method: request.method(),
+            url: request.url(),
+            httpVersion: 'HTTP/1.1',
+            cookies: [],
+            headers: harHeaders(request.headers()),
+            queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+            ...(postData ? { postData: { mimeType: request.headers()['content-type'] || '', text: postData } } : {}),
+            headersSize: -1,
+            bodySize: postData ? Buffer.byteLength(postData) : 0
+        },
+        response: {
+            status: response ? response.status() : 0,
+            statusText: response ? response.statusText() : '',
+            httpVersion: 'HTTP/1.1',
+            cookies: [],
+            headers: harHeaders(responseHeaders),
+            content: { size: -1, mimeType: responseHeaders['content-type'] || '' },
+            redirectURL: responseHeaders.location || '',
+            headersSize: -1,
+            bodySize: -1,
+            ...(failure ? { _failureText: failure } : {})
+        },
+        cache: {},
+        timings: {
+            blocked: -1,
+            dns: elapsed(timing.domainLookupStart, timing.domainLookupEnd),
+            connect: elapsed(timing.connectStart, timing.connectEnd),
+            ssl: elapsed(timing.secureConnectionStart, timing.connectEnd),
+            send: 0,
+            wait: Math.max(elapsed(timing.requestStart, timing.responseStart), 0),
+            receive: Math.max(elapsed(timing.responseStart, timing.responseEnd), 0)
+        },
+        _resourceType: request.resourceType()
+    };
+}
+
+class FailureRecorder {
+    /**
+     * @param {object} [options]
+     * @param {boolean} [options.trace] record a Playwright trace
+     * @param {object} [options.logger]
+     */
+    constructor({ trace = true, logger = null } = {}) {
+        this.trace = trace;
+        this.logger = logger;
+        this.page = null;
+        this.tracing = null;
+        this.tracingError = null;
+        this.consoleLines = [];
+        this.requests = [];
+        this.handlers = {
+            console: message => {
+                const { url, lineNumber } = message.location();
+                const where = url ? ` (${url}:${lineNumber})` : '';
+                this.keep(this.consoleLines, `${new Date().toISOString()} ${message.type()}: ${message.text()}${where}`, MAX_CONSOLE_MESSAGES);
+            },
+            pageerror: error => {
+                this.keep(this.consoleLines, `${new Date().toISOString()} pageerror: ${error.stack || error.message}`, MAX_CONSOLE_MESSAGES);
+            },
+            requestfinished: request => this.keep(this.requests, { request, failure: null }, MAX_NETWORK_ENTRIES),
+            requestfailed: request => {
+                const failure = request.failure();
+                this.keep(this.requests, { request, failure: failure ? failure.errorText : 'failed' }, MAX_NETWORK_ENTRIES);
+            }
+        };
+    }
+
+    keep(list, entry, max) {
+        list.push(entry);
+        if (list.length > max) list.shift();
+    }
+
+    /**
+     * Start recording the page (and tracing its context).
+     */
+    async attach(page) {
+        this.page = page;
+        for (const [event, handler] of Object.entries(this.handlers)) {
+            page.on(event, handler);
+        }
+        if (!this.trace) return;
+        try {
+            const tracing = page.context().tracing;
+            await tracing.start({ screenshots: true, snapshots: true });
+            this.tracing = tracing;
+        } catch (error) {
+            // Tracing already running in this context, or not supported
+            // over this connection
+            this.tracingError = error.message;
+            if (this.logger) this.logger.warn('Could not start the run trace', { error: error.message });
+        }
+    }
+
+    detach() {
+        if (!this.page) return;
+        for (const [event, handler] of Object.entries(this.handlers)) {
+            this.page.off(event, handler);
+        }
+    }
+
+    /**
+     * Stop recording and throw the recording away (the run succeeded).
+     */
+    async discard() {
+        this.detach();
+        if (this.tracing) {
+            const tracing = this.tracing;
+            this.tracing = null;
+            await tracing.stop().catch(() => {});
+        }
+    }
+
+    /**
+     * Stop tracing and write the trace to `file`.
+     */
+    async saveTrace(file) {
+        if (!this.tracing) {
+            throw new Error(this.tracingError || (this.trace ? 'no page to trace' : 'traces are turned off'));
+        }
+        const tracing = this.tracing;
+        this.tracing = null;
+        try {
+            await tracing.stop({ path: file });
+        } catch (error) {
+            // Still tracing if only the write failed
+            await tracing.stop().catch(() => {});
+            throw error;
+        }
+    }
+
+    consoleLog() {
+        return this.consoleLines.map(line => `${line}\n`).join('');
+    }
+
+    async har() {
+        return {
+            log: {
+                version: '1.2',
+                creator: { name: 'dispatch failure recorder', version: '1.0' },
+                pages: [],
+                entries: await Promise.all(this.requests.map(harEntry))
+            }
+        };
+    }
+}
+
+/**
+ * Write the bundle for a failed run and prune old bundles.
+ *
+ * @param {string} dir the failures folder
+ * @param {object} run
+ * @param {string} run.timestamp when the run started; names the bundle
+ * @param {string|null} [run.searchProfile]
+ * @param {Error} run.error
+ * @param {object|null} [run.page] the run's page, if it got one
+ * @param {FailureRecorder|null} [run.recorder]
+ * @param {object[]} [run.spans] the run's timed steps, every row included
+ * @param {string[]} [run.logLines] the run's log lines
+ * @param {string|null} [run.screenshotFile] a screenshot already taken,
+ *        copied instead of taking another
+ * @param {object} [options]
+ * @param {number} [options.keep]
+ * @param {number} [options.maxAgeDays]
+ * @param {number} [options.timeout] for the screenshot and HTML
+ * @returns {Promise<object>} the manifest, as written to bundle.json
+ */
+async function writeFailureBundle(dir, run, options = {}) {
+    try {
+        return await saveBundle(dir, run, options);
+    } finally {
+        // Even when the bundle could not be written, the page's context
+        // must not go on tracing
+        if (run.recorder) await run.recorder.discard();
+    }
+}
+
+async function saveBundle(dir, run, { keep = DEFAULT_KEEP, maxAgeDays = DEFAULT_MAX_AGE_DAYS, timeout = 10000 }) {
+    const { timestamp, searchProfile = null, error, page = null, recorder = null, spans = [], logLines = [], screenshotFile = null } = run;
+    const name = bundleName(timestamp);
+    const bundleDir = path.join(dir, name);
+    fs.mkdirSync(bundleDir, { recursive: true });
+
+    const files = [];
+    const missing = {};
+    const capture = async (artifact, write) => {
+        const file = ARTIFACTS[artifact];
+        try {
+            await write(path.join(bundleDir, file));
+            files.push(file);
+        } catch (captureError) {
+            missing[file] = captureError.message;
+        }
+    };
+    const livePage = page && !page.isClosed() ? page : null;
+    const needPage = () => {
+        if (!livePage) throw new Error('the run had no open page');
+    };
+
+    await capture('trace', file => {
+        if (!recorder) throw new Error('the run was not recorded');
+        return recorder.saveTrace(file);
+    });
+    if (recorder) recorder.detach();
+
+    await capture('screenshot', async file => {
+        if (screenshotFile && fs.existsSync(screenshotFile)) {
+            fs.copyFileSync(screenshotFile, file);
+            return;
+        }
+        needPage();
+        await livePage.screenshot({ path: file, fullPage: true, timeout });
+    });
+    await capture('html', async file => {
+        needPage();
+        fs.writeFileSync(file, await livePage.content());
+    });
+    await capture('console', async file => {
+        if (!recorder) throw new Error('the run was not recorded');
+        fs.writeFileSync(file, recorder.consoleLog());
+    });
+    await capture('network', async file => {
+        if (!recorder) throw new Error('the run was not recorded');
+        fs.writeFileSync(file, JSON.stringify(await recorder.har(), null, 2));
+    });
+    await capture('log', async file => {
+        fs.writeFileSync(file, logLines.map(line => `${line}\n`).join(''));
+    });
+
+    const manifest = {
+        name,
+        timestamp,
+        searchProfile,
+        error: error ? error.message : null,
+        errorClass: error ? error.name : null,
+        url: livePage ? livePage.url() : null,
+        title: livePage ? await livePage.title().catch(() => null) : null,
+        spans,
+        files,
+        missing
+    };
+    fs.writeFileSync(path.join(bundleDir, MANIFEST), JSON.stringify(manifest, null, 2));
+
+    pruneFailureBundles(dir, { keep, maxAgeDays });
+    return manifest;
+}
+
+function directorySize(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).reduce((size, entry) => {
+        const file = path.join(dir, entry.name);
+        return size + (entry.isDirectory() ? directorySize(file) : fs.statSync(file).size);
+    }, 0);
+}
+
+/**
+ * Failure bundles in `dir`, newest first, with what their bundle.json says.
+ *
+ * @returns {{ name: string, path: string, timestamp: string, searchProfile: string|null,
+ *             error: string|null, files: string[], size: number }[]}
+ */
+function listFailureBundles(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(name => isBundleName(name) && fs.statSync(path.join(dir, name)).isDirectory())
+        .sort((a, b) => b.localeCompare(a))
+        .map(name => {
+            const bundleDir = path.join(dir, name);
+            let manifest = {};
+            try {
+                manifest = JSON.parse(fs.readFileSync(path.join(bundleDir, MANIFEST), 'utf8'));
+            } catch (error) {
+                // Still being written, or damaged; list what is there
+            }
+            return {
+                name,
+                path: bundleDir,
+                timestamp: manifest.timestamp || fs.statSync(bundleDir).mtime.toISOString(),
+                searchProfile: manifest.searchProfile || null,
+                error: manifest.error || null,
+                url: manifest.url || null,
+                files: fs.readdirSync(bundleDir).filter(file => file !== MANIFEST).sort(),
+                size: directorySize(bundleDir)
+            };
+        });
+}
+
+/**
+ * Delete all but the newest `keep` bundles, and any older than maxAgeDays.
+ *
+ * @returns {string[]} the names deleted
+ */
+function pruneFailureBundles(dir, { keep = DEFAULT_KEEP, maxAgeDays = DEFAULT_MAX_AGE_DAYS, now = Date.now() } = {}) {
+    const cutoff = now - maxAgeDays * 24 * 60 * 60 * 1000;
+    const stale = listFailureBundles(dir)
+        .filter((bundle, index) => index >= keep || Date.parse(bundle.timestamp) < cutoff)
+        .map(bundle => bundle.name);
+    for (const name of stale) {
+        fs.rmSync(path.join(dir, name), { recursive: true, force: true });
+    }
+    return stale;
+}
+
+/**
+ * Failure bundles for the standalone scrapers, which fail step by step
+ * rather than run by run. attach() starts recording the page when the
+ * scraper creates it, log() keeps the scraper's log lines, and save()
+ * writes a bundle into the configured failures folder (where `dispatch
+ * failures` looks) and starts recording afresh for the next failure.
+ */
+class ScraperFailureBundles {
+    /**
+     * @param {object} config as loadConfig returns it: outputDir,
+     *        failuresDir, keepFailureBundles, failureBundleMaxAgeDays and
+     *        recordTraces
+     * @param {function(string, string, object=)} [log] the scraper's own
+     *        log(level, message, data), for reporting saved bundles
+     */
+    constructor(config, log = () => {}) {
+        this.dir = path.join(config.outputDir, config.failuresDir);
+        this.options = { keep: config.keepFailureBundles, maxAgeDays: config.failureBundleMaxAgeDays };
+        this.trace = config.recordTraces;
+        this.report = log;
+        this.page = null;
+        this.recorder = null;
+        this.logLines = [];
+    }
+
+    async attach(page) {
+        this.page = page;
+        this.recorder = new FailureRecorder({ trace: this.trace });
+        await this.recorder.attach(page);
+    }
+
+    log(level, message, data = {}) {
+        this.logLines.push(JSON.stringify({ timestamp: new Date().toISOString(), level: level.toUpperCase(), message, ...data }));
+    }
+
+    /**
+     * Write the bundle for a failed step. Never throws: a bundle that
+     * cannot be written is reported and the scraper carries on.
+     *
+     * @returns {Promise<string|null>} the bundle's folder name
+     */
+    async save(error) {
+        const logLines = this.logLines;
+        this.logLines = [];
+        let name = null;
+        try {
+            const bundle = await writeFailureBundle(this.dir, {
+                timestamp: new Date().toISOString(),
+                error,
+                page: this.page,
+                recorder: this.recorder,
+                logLines
+            }, this.options);
+            name = bundle.name;
+            this.report('info', `📸 Failure bundle saved: ${path.join(this.dir, name)}`);
+        } catch (bundleError) {
+            this.report('warn', 'Could not save failure bundle', { error: bundleError.message });
+        }
+
+        if (this.page && !this.page.isClosed()) {
+            await this.attach(this.page).catch(() => {});
+        }
+        return name;
+    }
+}
+
+module.exports = {
+    ARTIFACTS,
+    bundleName,
+    isBundleName,
+    FailureRecorder,
+    ScraperFailureBundles,
+    writeFailureBundle,
+    listFailureBundles,
+    pruneFailureBundles
+};
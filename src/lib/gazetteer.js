@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeValue } = require('./parsers');
+const { distanceMiles } = require('./geo');
+
+/**
+ * Offline gazetteer of US freight places.
+ *
+ * Resolves the free-text places DAT shows ("Ft Morgan, CO", "St. Louis,
+ * MO", "Colorado Spgs, CO") to coordinates, county, ZIP3 and a DAT-style
+ * market area, without calling out to a geocoding service. The data is
+ * bundled in src/data/: us-cities.csv holds the cities and
+ * dat-markets.csv the market hubs, and each city belongs to the market of
+ * its nearest hub. Add a row to us-cities.csv for a place it misses.
+ * A place it misses can still be put roughly on the map with
+ * stateCentroid, the middle of the state's known cities.
+ */
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+// Words DAT and brokers abbreviate in place names, with what they stand
+// for; "Pt" is mostly Port but sometimes Point, so both are tried
+const ABBREVIATIONS = {
+    ft: ['fort'],
+    st: ['saint'],
+    ste: ['sainte'],
+    mt: ['mount'],
+    pt: ['port', 'point'],
+    n: ['north'],
+    s: ['south'],
+    e: ['east'],
+    w: ['west'],
+    spg: ['springs'],
+    spgs: ['springs'],
+    hts: ['heights'],
+    jct: ['junction'],
+    cty: ['city'],
+    bch: ['beach'],
+    lk: ['lake'],
+    vly: ['valley']
+};
+
+const PLACE_PATTERN = /^(.+?),\s*([A-Za-z]{2})$/;
+
+let data = null;
+
+/**
+ * Read a bundled CSV. The files are ours and never quote fields.
+ */
+function readDataFile(name) {
+    const [header, ...lines] = fs.readFileSync(path.join(DATA_DIR, name), 'utf8').trim().split(/\r?\n/);
+    const columns = header.split(',');
+    return lines.map(line => {
+        const values = line.split(',');
+        return Object.fromEntries(columns.map((column, index) => [column, values[index]]));
+    });
+}
+
+/**
+ * Lookup keys for a city name: lower case, without punctuation, with every
+ * abbreviation spelled out. "Ft. Morgan" and "Fort Morgan" share the key
+ * "fort morgan"; "Pt Arthur" gives "port arthur" and "point arthur".
+ */
+function cityKeys(city) {
+    const words = (normalizeValue(city) || '')
+        .toLowerCase()
+        .replace(/['.]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+        .split(' ')
+        .filter(Boolean);
+
+    return words.reduce(
+        (keys, word) => keys.flatMap(key => (ABBREVIATIONS[word] || [word]).map(full => (key ? `${key} ${full}` : full))),
+        ['']
+    ).filter(Boolean);
+}
+
+function nearestMarket(markets, lat, lon) {
+    let nearest = null;
+    let nearestMiles = Infinity;
+    for (const market of markets) {
+        const miles = distanceMiles(lat, lon, market.lat, market.lon);
+        if (miles < nearestMiles) {
+            nearest = market;
+            nearestMiles = miles;
+        }
+    }
+    return nearest;
+}
+
+function loadData() {
+    if (data) return data;
+
+    const markets = readDataFile('dat-markets.csv')
+        .map(row => ({ code: row.code, name: row.name, state: row.state, lat: Number(row.lat), lon: Number(row.lon) }));
+    const places = new Map();
+    for (const row of readDataFile('us-cities.csv')) {
+        const lat = Number(row.lat);
+        const lon = Number(row.lon);
+        const market = nearestMarket(markets, lat, lon);
+        places.set(`${cityKeys(row.city)[0]}|${row.state}`, {
+            city: row.city,
+            state: row.state,
+            county: row.county,
+            zip3: row.zip3,
+            lat,
+            lon,
+            market: market.code,
+            market_name: market.name
+        });
+    }
+
+    const states = new Map();
+    for (const place of places.values()) {
+        const state = states.get(place.state) || { state: place.state, lat: 0, lon: 0, cities: 0 };
+        state.lat += place.lat;
+        state.lon += place.lon;
+        state.cities += 1;
+        states.set(place.state, state);
+    }
+    for (const state of states.values()) {
+        state.lat /= state.cities;
+        state.lon /= state.cities;
+    }
+
+    data = { markets, places, states };
+    return data;
+}
+
+/**
+ * Resolve a "City, ST" place.
+ *
+ * @returns {{ city: string, state: string, county: string, zip3: string,
+ *           lat: number, lon: number, market: string, market_name: string }|null}
+ *          null when the text is not a place or the city is not in the
+ *          gazetteer
+ */
+function lookupPlace(place) {
+    const match = (normalizeValue(place) || '').match(PLACE_PATTERN);
+    if (!match) return null;
+
+    const { places } = loadData();
+    const state = match[2].toUpperCase();
+    for (const key of cityKeys(match[1])) {
+        const found = places.get(`${key}|${state}`);
+        if (found) return { ...found };
+    }
+    return null;
+}
+
+/**
+ * The middle of a place's state, for a place the gazetteer does not know:
+ * the mean position of the state's cities in us-cities.csv. Takes
+ * "City, ST" or a bare "ST".
+ *
+ * @returns {{ state: string, lat: number, lon: number }|null} null when the
+ *          text names no state the gazetteer has cities in
+ */
+function stateCentroid(place) {
+    const text = normalizeValue(place) || '';
+    const match = text.match(PLACE_PATTERN) || text.match(/^()([A-Za-z]{2})$/);
+    if (!match) return null;
+
+    const found = loadData().states.get(match[2].toUpperCase());
+    return found ? { state: found.state, lat: found.lat, lon: found.lon } : null;
+}
+
+/**
+ * The market hub nearest to a point, as { code, name, state, lat, lon }.
+ */
+function marketAt(lat, lon) {
+    return { ...nearestMarket(loadData().markets, lat, lon) };
+}
+
+/**
+ * The record with origin_lat/origin_lon and destination_lat/destination_lon
+ * filled in from the gazetteer. Coordinates the record already has are
+ * kept; a place the gazetteer does not know leaves them empty.
+ */
+function locateLoad(record) {
+    const located = { ...record };
+    for (const side of ['origin', 'destination']) {
+        if (Number.isFinite(record[`${side}_lat`]) && Number.isFinite(record[`${side}_lon`])) continue;
+        const place = lookupPlace(record[side]);
+        located[`${side}_lat`] = place ? place.lat : null;
+        located[`${side}_lon`] = place ? place.lon : null;
+    }
+    return located;
+}
+
+module.exports = {
+    cityKeys,
+    lookupPlace,
+    stateCentroid,
+    marketAt,
+    locateLoad
+};
@@ -0,0 +1,80 @@
+const { normalizeValue, formatPlace } = require('./parsers');
+
+/**
+ * Matching loads to a lane end: a state ("CO"), a place ("Denver, CO") or
+ * a circle around a point. Shared by the alert rules and the /loads API.
+ *
+ * Circles use the load's coordinates (origin_lat/origin_lon,
+ * destination_lat/destination_lon) when it has them; a load without
+ * coordinates matches a circle only by the circle's place.
+ */
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+/**
+ * Great-circle distance in miles.
+ */
+function distanceMiles(lat1, lon1, lat2, lon2) {
+    const radians = degrees => degrees * Math.PI / 180;
+    const dLat = radians(lat2 - lat1);
+    const dLon = radians(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(radians(lat1)) * Math.cos(radians(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Parse a lane end: "CO", "Denver, CO" or { place, lat, lon, radiusMiles }.
+ * Errors start with `label` ("lane origin must be ...").
+ *
+ * @returns {{ state: string }|{ place: string|null, lat?: number, lon?: number,
+ *           radiusMiles?: number }|null} null when raw is empty
+ */
+function parseLaneEnd(raw, label) {
+    if (raw === undefined || raw === null || raw === '') return null;
+    if (typeof raw === 'string') {
+        const value = normalizeValue(raw);
+        return /^[A-Za-z]{2}$/.test(value) ? { state: value.toUpperCase() } : { place: formatPlace(value) };
+    }
+    if (typeof raw !== 'object') {
+        throw new Error(`${label} must be a state, a place or { place, lat, lon, radiusMiles }`);
+    }
+
+    const circle = { place: raw.place ? formatPlace(raw.place) : null };
+    if (raw.radiusMiles !== undefined) {
+        if (![raw.lat, raw.lon, raw.radiusMiles].every(Number.isFinite) || raw.radiusMiles <= 0) {
+            throw new Error(`${label} radius needs numeric lat, lon and a positive radiusMiles`);
+        }
+        Object.assign(circle, { lat: raw.lat, lon: raw.lon, radiusMiles: raw.radiusMiles });
+    } else if (!circle.place) {
+        throw new Error(`${label} needs a place or a radius`);
+    }
+    return circle;
+}
+
+/**
+ * Whether the load's `side` ('origin' or 'destination') lies in the lane
+ * end. An empty lane end matches every load.
+ */
+function matchesLaneEnd(end, load, side) {
+    if (!end) return true;
+
+    const place = formatPlace(load[side]);
+    if (end.state) {
+        return Boolean(place && place.toUpperCase().endsWith(`, ${end.state}`));
+    }
+
+    const lat = Number(load[`${side}_lat`]);
+    const lon = Number(load[`${side}_lon`]);
+    const located = load[`${side}_lat`] != null && Number.isFinite(lat) && Number.isFinite(lon);
+    if (end.radiusMiles && located) {
+        return distanceMiles(end.lat, end.lon, lat, lon) <= end.radiusMiles;
+    }
+    return Boolean(end.place && place && place.toLowerCase() === end.place.toLowerCase());
+}
+
+module.exports = {
+    distanceMiles,
+    parseLaneEnd,
+    matchesLaneEnd
+};
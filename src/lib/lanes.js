@@ -0,0 +1,184 @@
+/**
+ * Lane analytics: loads grouped by origin market, destination market and
+ * equipment, with rate statistics over rolling windows.
+ *
+ * For every lane and window (7, 30 and 90 days by default) the report
+ * gives the number of postings seen, the min, median and p90 rate per mile
+ * of those that showed one, and the sum of their total rates. A load
+ * counts in a window when it was last seen inside it.
+ *
+ * A place's market is its DAT-style market area from the gazetteer
+ * ("Aurora, CO" -> "CO_DEN"); places the gazetteer does not know fall back
+ * to their state ("Smallville, CO" -> "CO"), so their loads still count.
+ */
+
+const { formatPlace, normalizeValue, toNumber, round } = require('./parsers');
+const { lookupPlace } = require('./gazetteer');
+
+const DEFAULT_WINDOWS = [7, 30, 90];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Equipment label for loads no search profile tagged
+const UNKNOWN_EQUIPMENT = 'Unknown';
+
+/**
+ * The market a "City, ST" place belongs to, or null when it has no state.
+ */
+function marketOf(place) {
+    const known = lookupPlace(place);
+    if (known) return known.market;
+
+    const value = formatPlace(place);
+    const match = value && value.match(/,\s*([A-Z]{2})$/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Nearest-rank percentile of ascending values.
+ */
+function percentile(sorted, fraction) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.max(0, Math.ceil(fraction * sorted.length) - 1)];
+}
+
+function median(sorted) {
+    if (sorted.length === 0) return null;
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1
+        ? sorted[middle]
+        : round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+function seenAt(load) {
+    const time = Date.parse(load.last_seen_at || load.extracted_at);
+    return Number.isNaN(time) ? null : time;
+}
+
+function summarizeWindow(loads) {
+    const rates = loads
+        .map(load => toNumber(load.rate_per_mile))
+        .filter(rate => rate !== null)
+        .sort((a, b) => a - b);
+    const totals = loads
+        .map(load => toNumber(load.rate_total_usd))
+        .filter(total => total !== null);
+
+    return {
+        count: loads.length,
+        rated: rates.length,
+        min_rate_per_mile: rates.length > 0 ? rates[0] : null,
+        median_rate_per_mile: median(rates),
+        p90_rate_per_mile: percentile(rates, 0.9),
+        total_rate_usd: round(totals.reduce((sum, total) => sum + total, 0))
+    };
+}
+
+/**
+ * Group loads into lanes, busiest lane (over the longest window) first.
+ * Loads without an origin or destination market are left out.
+ *
+ * @param {object[]} loads stored loads (see LoadStore#queryLoads)
+ * @param {{ now?: Date, windows?: number[] }} options window lengths in days
+ * @returns {{ generated_at: string, windows: number[], lanes: object[] }}
+ *          lanes of { origin_market, destination_market, equipment,
+ *          windows: { '7d': { count, rated, min_rate_per_mile,
+ *          median_rate_per_mile, p90_rate_per_mile, total_rate_usd }, ... } }
+ */
+function buildLaneReport(loads, { now = new Date(), windows = DEFAULT_WINDOWS } = {}) {
+    const days = [...new Set(windows)].sort((a, b) => a - b);
+    const longest = days[days.length - 1];
+    const lanes = new Map();
+
+    for (const load of loads) {
+        const originMarket = marketOf(load.origin);
+        const destinationMarket = marketOf(load.destination);
+        const time = seenAt(load);
+        if (!originMarket || !destinationMarket || time === null) continue;
+        if (time > now.getTime() || time < now.getTime() - longest * DAY_MS) continue;
+
+        const equipment = normalizeValue(load.equipment) || UNKNOWN_EQUIPMENT;
+        const key = `${originMarket}|${destinationMarket}|${equipment}`;
+        if (!lanes.has(key)) {
+            lanes.set(key, { origin_market: originMarket, destination_market: destinationMarket, equipment, loads: [] });
+        }
+        lanes.get(key).loads.push({ ...load, seen_at_ms: time });
+    }
+
+    const report = [...lanes.values()].map(({ loads: laneLoads, ...lane }) => {
+        const summaries = {};
+        for (const window of days) {
+            const since = now.getTime() - window * DAY_MS;
+            summaries[`${window}d`] = summarizeWindow(laneLoads.filter(load => load.seen_at_ms >= since));
+        }
+        return { ...lane, windows: summaries };
+    });
+
+    const busiest = `${longest}d`;
+    report.sort((a, b) =>
+        b.windows[busiest].count - a.windows[busiest].count ||
+        a.origin_market.localeCompare(b.origin_market) ||
+        a.destination_market.localeCompare(b.destination_market) ||
+        a.equipment.localeCompare(b.equipment));
+
+    return { generated_at: now.toISOString(), windows: days, lanes: report };
+}
+
+/**
+ * Parse window lengths such as "7,30,90" or [7, 30] into whole days.
+ */
+function parseWindows(value) {
+    if (value === undefined || value === null || value === '') return DEFAULT_WINDOWS;
+    const parts = Array.isArray(value) ? value : String(value).split(',');
+    const windows = parts.map(part => Number(String(part).trim().replace(/d$/i, '')));
+    if (windows.length === 0 || windows.some(days => !Number.isInteger(days) || days < 1)) {
+        throw new Error(`Windows must be whole numbers of days, e.g. "7,30,90", got "${value}"`);
+    }
+    return windows;
+}
+
+// A lane searched for several equipment types ("Reefer, Flatbeds") matches
+// each of them
+function matches(value, wanted) {
+    const filter = normalizeValue(wanted);
+    return !filter || value.toLowerCase().split(/\s*,\s*/).includes(filter.toLowerCase());
+}
+
+// A state ("CO") matches its markets as well as itself
+function matchesMarket(market, wanted) {
+    const filter = normalizeValue(wanted);
+    return !filter || market.toUpperCase() === filter.toUpperCase() ||
+        (/^[A-Za-z]{2}$/.test(filter) && market.startsWith(`${filter.toUpperCase()}_`));
+}
+
+/**
+ * Build the lane report from a store, reading only the loads seen within
+ * the longest window, optionally narrowed to one origin market, destination
+ * market or equipment type.
+ *
+ * @param {import('./load-store').LoadStore} store an opened store
+ * @param {{ now?: Date, windows?: number[]|string, origin?: string,
+ *           destination?: string, equipment?: string }} options
+ */
+async function loadLaneReport(store, options = {}) {
+    const now = options.now || new Date();
+    const windows = parseWindows(options.windows);
+    const since = new Date(now.getTime() - Math.max(...windows) * DAY_MS).toISOString();
+
+    const count = await store.countLoads({ since });
+    const loads = count > 0 ? await store.queryLoads({ since, limit: count }) : [];
+    const report = buildLaneReport(loads, { now, windows });
+
+    report.lanes = report.lanes.filter(lane =>
+        matchesMarket(lane.origin_market, options.origin) &&
+        matchesMarket(lane.destination_market, options.destination) &&
+        matches(lane.equipment, options.equipment));
+    return report;
+}
+
+module.exports = {
+    DEFAULT_WINDOWS,
+    marketOf,
+    buildLaneReport,
+    parseWindows,
+    loadLaneReport
+};
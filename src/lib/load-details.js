@@ -0,0 +1,122 @@
+/**
+ * Structured load details from the panel DAT ONE opens on row click.
+ *
+ * The panel lists its facts as `.data-item` values, each paired with a
+ * `.data-label` ("Pickup", "Weight", "Commodity", "Days to Pay", ...), and
+ * shows the posting contact as a name with tel: and mailto: links.
+ * extractRowDetails reads those as raw text; parseLoadDetails maps the
+ * labels onto the DETAIL_COLUMNS of a load record and parses the values
+ * with the shared parsers and, for the contact, normalizeContact. Unknown
+ * labels are ignored and missing ones stay null.
+ */
+
+const {
+    normalizeValue,
+    parseWeight,
+    parseEquipmentLength,
+    parseDateWindow
+} = require('./parsers');
+const { DETAIL_COLUMNS } = require('./load-store');
+const { normalizeContact } = require('./contacts');
+
+// Panel label (lower case) -> detail field, first match wins
+const LABEL_FIELDS = [
+    [/^(pick ?-?up|ship date|available)/, 'pickup'],
+    [/^(deliver|drop)/, 'delivery'],
+    [/^weight/, 'weight'],
+    [/^length/, 'length'],
+    [/^commodity/, 'commodity'],
+    [/^comment/, 'comments'],
+    [/^(credit score|cs)$/, 'creditScore'],
+    [/^(days to pay|dtp)$/, 'daysToPay'],
+    [/^credit/, 'credit'],
+    [/^(contact|posted by)/, 'contactName'],
+    [/^phone/, 'phone'],
+    [/^e-?mail/, 'email']
+];
+
+function fieldForLabel(label) {
+    const text = (normalizeValue(label) || '').toLowerCase().replace(/[:*]/g, '').trim();
+    const entry = LABEL_FIELDS.find(([pattern]) => pattern.test(text));
+    return entry ? entry[1] : null;
+}
+
+function parseWholeNumber(text) {
+    const match = (normalizeValue(text) || '').match(/\d+/);
+    return match ? parseInt(match[0], 10) : null;
+}
+
+// Combined credit cells read "CS 95 · DTP 32" or "95 CS / 32 DTP"
+function parseCredit(text) {
+    const value = normalizeValue(text) || '';
+    const score = value.match(/(?:\bcs|credit score)\D{0,3}(\d{1,3})|(\d{1,3})\s*cs\b/i);
+    const days = value.match(/(?:\bdtp|days to pay)\D{0,3}(\d{1,3})|(\d{1,3})\s*dtp\b/i);
+    return {
+        creditScore: score ? parseInt(score[1] || score[2], 10) : null,
+        daysToPay: days ? parseInt(days[1] || days[2], 10) : null
+    };
+}
+
+/**
+ * Turn the raw panel contents into detail columns.
+ *
+ * @param {{ fields?: Array<{ label: string, value: string }>,
+ *           contact?: { name?: string, phone?: string, email?: string },
+ *           contactInfo?: string }} panel contactInfo is the panel's phones
+ *        and emails as text, searched when the contact block has none
+ * @param {Date} referenceDate when the panel was read; dates without a year
+ *        are placed relative to it
+ * @returns {object} one value per DETAIL_COLUMNS entry
+ */
+function parseLoadDetails(panel = {}, referenceDate = new Date()) {
+    const raw = {};
+    const comments = [];
+    for (const { label, value } of panel.fields || []) {
+        const field = fieldForLabel(label);
+        const text = normalizeValue(value);
+        if (!field || !text) continue;
+
+        if (field === 'comments') {
+            comments.push(text);
+        } else if (!(field in raw)) {
+            raw[field] = text;
+        }
+    }
+
+    const contact = panel.contact || {};
+    const details = Object.fromEntries(DETAIL_COLUMNS.map(column => [column, null]));
+
+    const pickup = parseDateWindow(raw.pickup, referenceDate);
+    if (pickup) {
+        details.pickup_start = pickup.start;
+        details.pickup_end = pickup.end;
+    }
+    const delivery = parseDateWindow(raw.delivery, referenceDate);
+    if (delivery) {
+        details.delivery_start = delivery.start;
+        details.delivery_end = delivery.end;
+    }
+
+    details.weight_lbs = parseWeight(raw.weight);
+    details.length_ft = parseEquipmentLength(raw.length);
+    details.commodity = raw.commodity || null;
+    details.comments = comments.length > 0 ? comments.join(' / ') : null;
+
+    const credit = parseCredit(raw.credit);
+    details.credit_score = parseWholeNumber(raw.creditScore) ?? credit.creditScore;
+    details.days_to_pay = parseWholeNumber(raw.daysToPay) ?? credit.daysToPay;
+
+    return {
+        ...details,
+        ...normalizeContact({
+            name: normalizeValue(contact.name) || raw.contactName,
+            phone: normalizeValue(contact.phone) || raw.phone,
+            email: normalizeValue(contact.email) || raw.email,
+            text: panel.contactInfo
+        })
+    };
+}
+
+module.exports = {
+    parseLoadDetails
+};
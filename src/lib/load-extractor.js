@@ -0,0 +1,562 @@
+/**
+ * Load row extraction for the DAT ONE search results grid.
+ *
+ * runProductionScraping owns the browser and the schedule; this module owns
+ * what happens once results are on screen: finding the load rows, reading
+ * each row's summary cells, opening the detail panel for the reference ID,
+ * contacts and labelled load details, and turning both into a load record
+ * with the shared parsers (see load-details.js for the panel fields).
+ * Keeping it free of the scheduler's singletons lets the offline fixture
+ * tests run exactly the code production runs.
+ *
+ * Selectors come from the selector registry. Pass a SelectorTracker to find
+ * out afterwards which fallbacks the run needed.
+ */
+
+const { normalizeValue, parseOriginDestination, toRateColumns } = require('./parsers');
+const { selectorsFor, SelectorTracker } = require('./selectors');
+const { parseLoadDetails } = require('./load-details');
+const { normalizeContact, formatContact, hasContact } = require('./contacts');
+const { RunTrace } = require('./run-trace');
+
+const silentLogger = {
+    debug() {},
+    info() {},
+    warn() {},
+    error() {}
+};
+
+function getRandomDelay(min = 200, max = 800) {
+    return Math.floor(Math.random() * (max - min + 1)) + min;
+}
+
+async function safeWait(page, delay, logger = silentLogger) {
+    try {
+        await page.waitForTimeout(delay);
+    } catch (error) {
+        logger.debug('Wait interrupted', { error: error.message });
+    }
+}
+
+async function humanLikeMouseMove(page, logger = silentLogger) {
+    try {
+        const viewport = await page.viewportSize();
+        if (!viewport) return;
+        
+        const x = Math.floor(Math.random() * viewport.width * 0.8) + viewport.width * 0.1;
+        const y = Math.floor(Math.random() * viewport.height * 0.8) + viewport.height * 0.1;
+        
+        await page.mouse.move(x, y, { 
+            steps: Math.floor(Math.random() * 5) + 3 
+        });
+    } catch (error) {
+        logger.debug('Mouse movement failed', { error: error.message });
+    }
+}
+
+/**
+ * Wait until the results grid has rendered at least one load row.
+ */
+async function waitForLoadResults(page, timeout, logger = silentLogger, tracker = new SelectorTracker()) {
+    logger.debug('Waiting for load results...');
+    await tracker.waitFor(page, 'results.ready', timeout);
+}
+
+/**
+ * Return the element handles of every load row currently in the grid.
+ */
+async function findLoadRows(page, tracker = new SelectorTracker()) {
+    const { elements } = await tracker.queryAll(page, 'results.row');
+    return elements;
+}
+
+const ROW_FIELDS = ['age', 'rate', 'origin', 'destination', 'company', 'contact'];
+
+/**
+ * Read the raw summary cells of one row. Parsing happens in Node, not here.
+ */
+async function extractRowSummary(row, tracker = new SelectorTracker()) {
+    const selectors = {};
+    for (const field of ROW_FIELDS) {
+        selectors[field] = selectorsFor(`row.${field}`);
+    }
+
+    const { matched, ...summary } = await row.evaluate((el, selectors) => {
+        const matched = {};
+        const find = (root, field, accept = () => true) => {
+            for (let index = 0; index < selectors[field].length; index++) {
+                const element = root.querySelector(selectors[field][index]);
+                if (element && accept(element)) {
+                    matched[field] = index;
+                    return element;
+                }
+            }
+            matched[field] = -1;
+            return null;
+        };
+
+        const ageElement = find(el, 'age');
+        const rateElement = find(el, 'rate');
+        const originElement = find(el, 'origin');
+        const destinationElement = find(el, 'destination');
+        const companyElement = find(el, 'company');
+        
+        let companyName = 'N/A';
+        let contactInfo = 'N/A';
+        
+        // Extract company name
+        if (companyElement) {
+            companyName = companyElement.textContent.trim();
+            
+            // Look for contact information in company cell
+            const contactEl = find(companyElement, 'contact', element => {
+                const contactText = element.textContent.trim();
+                return contactText && contactText !== 'N/A' && contactText.length > 0;
+            });
+            if (contactEl) {
+                contactInfo = contactEl.textContent.trim();
+            }
+            
+            // If no specific contact element, look for patterns in company text
+            if (contactInfo === 'N/A') {
+                const companyText = companyElement.textContent;
+                
+                // More comprehensive phone number patterns
+                const phonePatterns = [
+                    /\(\d{3}\)\s*\d{3}[-\s]?\d{4}/g,  // (123) 123-1234
+                    /\d{3}[-\.]\d{3}[-\.]\d{4}/g,       // 123-123-1234 or 123.123.1234
+                    /\d{3}\s\d{3}\s\d{4}/g,           // 123 123 1234
+                    /\(\d{3}\)\d{3}-\d{4}/g,          // (123)123-1234
+                    /\d{10}/g,                           // 1234567890
+                    /\+1[-\s]?\d{3}[-\s]?\d{3}[-\s]?\d{4}/g // +1-123-123-1234
+                ];
+                
+                // Also used by the whole-row fallback below
+                const emailPatterns = [
+                    /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g,
+                    /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}\.[a-zA-Z]{2,}/g,
+                    /[a-zA-Z0-9._%-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,4}/g
+                ];
+                
+                for (const pattern of phonePatterns) {
+                    const phoneMatch = companyText.match(pattern);
+                    if (phoneMatch) {
+                        contactInfo = phoneMatch[0];
+                        break;
+                    }
+                }
+                
+                // If no phone found, look for email with more patterns
+                if (contactInfo === 'N/A') {
+                    for (const pattern of emailPatterns) {
+                        const emailMatch = companyText.match(pattern);
+                        if (emailMatch) {
+                            contactInfo = emailMatch[0];
+                            break;
+                        }
+                    }
+                }
+                
+                // Last resort: look in the entire row for contact info
+                if (contactInfo === 'N/A') {
+                    const rowText = el.textContent;
+                    
+                    // Try to find any phone number in the entire row
+                    for (const pattern of phonePatterns) {
+                        const phoneMatch = rowText.match(pattern);
+                        if (phoneMatch) {
+                            contactInfo = phoneMatch[0];
+                            break;
+                        }
+                    }
+                    
+                    // Try to find any email in the entire row
+                    if (contactInfo === 'N/A') {
+                        for (const pattern of emailPatterns) {
+                            const emailMatch = rowText.match(pattern);
+                            if (emailMatch) {
+                                contactInfo = emailMatch[0];
+                                break;
+                            }
+                        }
+                    }
+                }
+            }
+        }
+        
+        return {
+            age: ageElement?.textContent.trim() || 'N/A',
+            rate: rateElement?.textContent.trim() || '',
+            originText: originElement?.textContent.trim() || '',
+            destinationText: destinationElement?.textContent.trim() || '',
+            company: companyName,
+            contactInfo: contactInfo,
+            matched
+        };
+    }, selectors);
+
+    for (const [field, index] of Object.entries(matched)) {
+        tracker.record(`row.${field}`, index);
+    }
+    return summary;
+}
+
+const DETAIL_FIELDS = ['label', 'contactName', 'phone', 'email'];
+
+/**
+ * Read the reference ID, contacts and labelled fields (as raw text) from the
+ * detail panel that opens after clicking a row. Resolves with placeholders
+ * if no panel shows within 3s.
+ */
+async function extractRowDetails(page, tracker = new SelectorTracker()) {
+    const selectors = { panel: selectorsFor('detail.panel') };
+    for (const field of DETAIL_FIELDS) {
+        selectors[field] = selectorsFor(`detail.${field}`);
+    }
+
+    const { panelIndex, matched, ...details } = await Promise.race([
+        page.evaluate((selectors) => {
+            const modalSelectors = selectors.panel;
+
+            // Wait for a visible modal to appear and extract from its context
+            const waitForModal = () => {
+                return new Promise((resolve) => {
+                    let attempts = 0;
+                    const checkModal = () => {
+                        attempts++;
+                        for (let index = 0; index < modalSelectors.length; index++) {
+                            const modal = document.querySelector(modalSelectors[index]);
+                            if (modal && modal.offsetParent !== null) {
+                                resolve({ modal, index });
+                                return;
+                            }
+                        }
+                        
+                        if (attempts > 10) {
+                            resolve({ modal: null, index: -1 });
+                        } else {
+                            setTimeout(checkModal, 200);
+                        }
+                    };
+                    checkModal();
+                });
+            };
+
+            return waitForModal().then(({ modal, index: panelIndex }) => {
+                const modalContext = modal || document;
+                const modalText = modal ? modal.textContent : document.body.textContent;
+                
+                // Extract reference number using the specific DAT One selectors
+                const findReferenceNumber = () => {
+                    // Look for the specific Reference ID structure you provided
+                    const referenceLabels = modalContext.querySelectorAll('.data-label');
+                    
+                    for (const label of referenceLabels) {
+                        if (label.textContent.trim().toLowerCase().includes('reference id')) {
+                            // Find the associated data-item (could be previous or next sibling)
+                            let dataItem = label.previousElementSibling;
+                            if (!dataItem || !dataItem.classList.contains('data-item')) {
+                                dataItem = label.nextElementSibling;
+                            }
+                            
+                            if (dataItem && dataItem.classList.contains('data-item')) {
+                                const refId = dataItem.textContent.trim();
+                                if (refId && refId.length >= 4) {
+                                    return refId;
+                                }
+                            }
+                        }
+                    }
+                    
+                    // Enhanced fallback: look for data-item near "Reference ID" text or with reference patterns
+                    const allDataItems = modalContext.querySelectorAll('.data-item');
+                    for (const item of allDataItems) {
+                        const refId = item.textContent.trim();
+                        const nearbyText = item.parentElement ? item.parentElement.textContent : '';
+                        
+                        // First check if this item is near "Reference ID" text
+                        if (nearbyText.toLowerCase().includes('reference id') && refId && refId.length >= 4) {
+                            return refId;
+                        }
+                    }
+                    
+                    // Second pass: look for reference ID patterns anywhere in modal
+                    for (const item of allDataItems) {
+                        const text = item.textContent.trim();
+                        // Look for reference ID patterns:
+                        // - Pure numeric (like 92394820)
+                        // - Alphanumeric (like B211849)
+                        // - At least 6 characters, not containing common words
+                        if (text && (
+                            /^\d{6,}$/.test(text) ||                    // Pure numbers like 92394820
+                            /^[A-Z]\d{6,}$/i.test(text) ||             // Letter + numbers like B211849
+                            /^[A-Z0-9]{6,}$/i.test(text)               // General alphanumeric
+                        ) && !text.toLowerCase().match(/reference|load|freight|transport|logistics|company/)) {
+                            return text;
+                        }
+                    }
+                    
+                    return null;
+                };
+
+                // Extract contact info from modal context only
+                const findModalContacts = () => {
+                    const contacts = [];
+                    
+                    // Phone patterns
+                    const phonePatterns = [
+                        /\(\d{3}\)\s*\d{3}[-\s]?\d{4}/g,
+                        /\d{3}[-\.]\d{3}[-\.]\d{4}/g,
+                        /\d{3}\s\d{3}\s\d{4}/g
+                    ];
+                    
+                    // Email patterns  
+                    const emailPatterns = [
+                        /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g
+                    ];
+                    
+                    // Extract phones from modal only
+                    phonePatterns.forEach(pattern => {
+                        const matches = modalText.match(pattern);
+                        if (matches) {
+                            matches.slice(0, 3).forEach(match => { // Limit to first 3 phones
+                                const clean = match.trim();
+                                if (contacts.indexOf(clean) === -1 && clean.length >= 10) {
+                                    contacts.push(clean);
+                                }
+                            });
+                        }
+                    });
+                    
+                    // Extract emails from modal only
+                    emailPatterns.forEach(pattern => {
+                        const matches = modalText.match(pattern);
+                        if (matches) {
+                            matches.slice(0, 2).forEach(match => { // Limit to first 2 emails
+                                const clean = match.trim().toLowerCase();
+                                if (contacts.indexOf(clean) === -1 && clean.includes('@')) {
+                                    contacts.push(clean);
+                                }
+                            });
+                        }
+                    });
+                    
+                    return contacts;
+                };
+
+                // Every element of the first selector of a field that matches
+                // inside the panel
+                const matched = {};
+                const findAll = (field) => {
+                    for (let index = 0; index < selectors[field].length; index++) {
+                        const elements = modal.querySelectorAll(selectors[field][index]);
+                        if (elements.length > 0) {
+                            matched[field] = index;
+                            return [...elements];
+                        }
+                    }
+                    matched[field] = -1;
+                    return [];
+                };
+
+                // Labelled values and the posting contact, parsed in Node
+                const readPanelDetails = () => {
+                    const fields = findAll('label').map(label => {
+                        let dataItem = label.previousElementSibling;
+                        if (!dataItem || !dataItem.classList.contains('data-item')) {
+                            dataItem = label.nextElementSibling;
+                        }
+                        return {
+                            label: label.textContent.trim(),
+                            value: dataItem && dataItem.classList.contains('data-item') ? dataItem.textContent.trim() : ''
+                        };
+                    });
+
+                    // Link text first; a bare icon link still has its href
+                    const contactText = (field) => {
+                        const [element] = findAll(field);
+                        if (!element) return '';
+                        return element.textContent.trim() || element.getAttribute('href') || '';
+                    };
+
+                    return {
+                        fields,
+                        contact: {
+                            name: contactText('contactName'),
+                            phone: contactText('phone'),
+                            email: contactText('email')
+                        }
+                    };
+                };
+
+                const referenceNumber = findReferenceNumber();
+                const modalContacts = findModalContacts();
+                const panelDetails = modal ? readPanelDetails() : { fields: [], contact: {} };
+                
+                return {
+                    referenceNumber: referenceNumber || 'N/A',
+                    contactInfo: modalContacts.length > 0 ? modalContacts.join('; ') : 'N/A',
+                    contactCount: modalContacts.length,
+                    hasModalData: !!modal,
+                    modalFound: !!modal,
+                    ...panelDetails,
+                    panelIndex,
+                    matched
+                };
+            });
+        }, selectors),
+        new Promise(resolve => setTimeout(() => resolve({ 
+            referenceNumber: 'N/A', 
+            contactInfo: 'N/A',
+            contactCount: 0,
+            hasModalData: false,
+            modalFound: false,
+            fields: [],
+            contact: {},
+            panelIndex: -1,
+            matched: {}
+        }), 3000))
+    ]);
+
+    tracker.record('detail.panel', panelIndex);
+    for (const [field, index] of Object.entries(matched)) {
+        tracker.record(`detail.${field}`, index);
+    }
+    return details;
+}
+
+/**
+ * Combine a row summary and its detail panel into a load record.
+ */
+function buildLoadRecord(basicInfo, detailedInfo) {
+    const extractedAt = new Date();
+    const { origin, destination } = parseOriginDestination(basicInfo.originText, basicInfo.destinationText);
+    const rateColumns = toRateColumns(basicInfo.rate);
+
+    // The detail panel's contact wins; the row's contact cell is the fallback
+    const details = parseLoadDetails(detailedInfo, extractedAt);
+    if (!hasContact(details)) {
+        Object.assign(details, normalizeContact({ name: details.contact_name, text: basicInfo.contactInfo }));
+    }
+
+    // Use real reference number from detailed extraction
+    let referenceId = normalizeValue(detailedInfo.referenceNumber);
+    if (!referenceId || referenceId === 'N/A') {
+        // Only generate AUTO_ ID if no real reference found
+        const loadDetails = `${origin}-${destination}-${normalizeValue(basicInfo.company)}-${rateColumns.rate_total_usd}`;
+        referenceId = 'AUTO_' + Buffer.from(loadDetails).toString('base64').substring(0, 8).toUpperCase();
+    }
+
+    return {
+        reference_number: referenceId,
+        origin: origin || '',
+        destination: destination || '',
+        rate_total_usd: rateColumns.rate_total_usd,
+        rate_per_mile: rateColumns.rate_per_mile,
+        company: normalizeValue(basicInfo.company),
+        contact: formatContact(details),
+        age_posted: normalizeValue(basicInfo.age),
+        extracted_at: extractedAt.toISOString(),
+        ...details
+    };
+}
+
+/**
+ * Extract up to maxEntries load records from the results page.
+ *
+ * Rows that fail are logged and skipped; rows without both origin and
+ * destination are dropped. Throws if the grid has no load rows at all.
+ *
+ * Pass a RunTrace to time row discovery and each row (with its detail
+ * click) as spans of the run.
+ *
+ * @param {{ maxEntries?: number, logger?: object, selectorTracker?: SelectorTracker, trace?: RunTrace }} options
+ * @returns {Promise<{ rowsFound: number, records: object[] }>}
+ */
+async function extractLoads(page, { maxEntries, logger = silentLogger, selectorTracker = new SelectorTracker(), trace = new RunTrace() } = {}) {
+    const loadRows = await trace.span('row-discovery', () => findLoadRows(page, selectorTracker));
+    const targetRows = maxEntries ? loadRows.slice(0, maxEntries) : loadRows;
+    
+    logger.info('Found loads to process', { 
+        totalFound: loadRows.length, 
+        processing: targetRows.length 
+    });
+
+    if (targetRows.length === 0) {
+        throw new Error('No load rows found');
+    }
+
+    const extractedData = [];
+
+    // Process loads with optimized timing
+    for (let idx = 0; idx < targetRows.length; idx++) {
+        try {
+            await trace.span('row', async () => {
+                const row = targetRows[idx];
+                const progress = ((idx + 1) / targetRows.length * 100).toFixed(1);
+                
+                logger.debug('Processing load', { 
+                    index: idx + 1, 
+                    total: targetRows.length, 
+                    progress: `${progress}%` 
+                });
+
+                // Human-like hover (reduced for speed)
+                await row.hover();
+                await safeWait(page, getRandomDelay(100, 300), logger);
+
+                // Extract basic information efficiently (DAT One specific)
+                const basicInfo = await extractRowSummary(row, selectorTracker);
+
+                // Click to get details (with timeout)
+                const detailedInfo = await trace.span('detail-click', async () => {
+                    await row.click();
+                    await safeWait(page, getRandomDelay(800, 1500), logger);
+                    return extractRowDetails(page, selectorTracker);
+                }, { index: idx + 1 });
+                const loadData = buildLoadRecord(basicInfo, detailedInfo);
+
+                if (loadData.origin && loadData.destination) {
+                    extractedData.push(loadData);
+                }
+
+                // Close modal efficiently
+                await page.keyboard.press('Escape');
+                await safeWait(page, getRandomDelay(200, 500), logger);
+
+                // Add minimal human behavior occasionally
+                if (Math.random() < 0.1) {
+                    await humanLikeMouseMove(page, logger);
+                }
+            }, { index: idx + 1 });
+
+        } catch (error) {
+            logger.warn('Failed to process load', { 
+                index: idx + 1, 
+                error: error.message 
+            });
+            
+            // Try to recover
+            try {
+                await page.keyboard.press('Escape');
+                await safeWait(page, 500, logger);
+            } catch (recoveryError) {
+                logger.debug('Recovery failed', { error: recoveryError.message });
+            }
+        }
+    }
+
+    return { rowsFound: loadRows.length, records: extractedData };
+}
+
+module.exports = {
+    getRandomDelay,
+    safeWait,
+    humanLikeMouseMove,
+    waitForLoadResults,
+    findLoadRows,
+    extractRowSummary,
+    extractRowDetails,
+    buildLoadRecord,
+    extractLoads
+};
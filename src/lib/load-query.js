@@ -0,0 +1,324 @@
+const { normalizeValue, parseAgeMinutes, toNumber } = require('./parsers');
+const { brokerKey, brokerId } = require('./brokers');
+const { parseLaneEnd, matchesLaneEnd } = require('./geo');
+const { isLateDelivery } = require('./transit');
+
+/**
+ * Filtering, sorting and paging of stored loads for GET /loads.
+ *
+ *   ?origin=CO&destination=Fresno,%20CA&equipment=Reefer&min_rate_per_mile=2.5
+ *   ?origin_near=39.74,-104.99&origin_radius=50&broker=abc-logistics
+ *   ?posted_since=2025-09-01T00:00:00Z&sort=-rate_per_mile&limit=50&cursor=...
+ *   ?late=true
+ *
+ * origin and destination take a state or a place; origin_near plus
+ * origin_radius (miles) select a circle instead (see geo.js). broker takes
+ * a broker id or name as the broker directory groups them. A load was
+ * posted `age_posted` before it was extracted; loads without an age count
+ * from when they were first seen. late=true keeps the loads whose posted
+ * delivery cannot legally be met (see transit.js), late=false the rest.
+ *
+ * Pages are keyset-based: next_cursor carries the sort value and load_id
+ * of the page's last load, so loads stored between requests do not shift
+ * the pages. A cursor only works with the sort it was issued for.
+ */
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+const DEFAULT_SORT = '-last_seen_at';
+
+// Sortable fields and whether they compare as numbers
+const SORT_FIELDS = {
+    last_seen_at: false,
+    first_seen_at: false,
+    posted_at: false,
+    pickup_start: false,
+    rate_per_mile: true,
+    rate_total_usd: true,
+    net_per_mile_usd: true,
+    net_revenue_usd: true,
+    deadhead_miles: true,
+    delivery_slack_hours: true,
+    origin: false,
+    destination: false,
+    company: false
+};
+
+// Filters passed through to the store query
+const STORE_FILTERS = ['status', 'search_profile', 'since', 'until'];
+
+/**
+ * When the load was posted, as an ISO timestamp, or null.
+ */
+function postedAt(load) {
+    const age = parseAgeMinutes(load.age_posted);
+    const extractedAt = Date.parse(load.extracted_at);
+    if (age !== null && Number.isFinite(extractedAt)) {
+        return new Date(extractedAt - age * 60000).toISOString();
+    }
+    return load.first_seen_at || null;
+}
+
+function parseNumber(value, name) {
+    const number = Number(value);
+    if (value === '' || !Number.isFinite(number)) {
+        throw new Error(`${name} must be a number, got "${value}"`);
+    }
+    return number;
+}
+
+function parseTimestamp(value, name) {
+    const time = Date.parse(value);
+    if (!Number.isFinite(time)) {
+        throw new Error(`${name} must be a date or timestamp, got "${value}"`);
+    }
+    return new Date(time).toISOString();
+}
+
+function parseBoolean(value, name) {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    throw new Error(`${name} must be true or false, got "${value}"`);
+}
+
+function parseLimit(value) {
+    if (value === undefined) return DEFAULT_LIMIT;
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw new Error(`limit must be a whole number from 1 to ${MAX_LIMIT}, got "${value}"`);
+    }
+    return limit;
+}
+
+function parseSort(value = DEFAULT_SORT) {
+    const descending = value.startsWith('-');
+    const field = descending ? value.slice(1) : value;
+    if (!(field in SORT_FIELDS)) {
+        throw new Error(`sort must be one of ${Object.keys(SORT_FIELDS).join(', ')} (prefix - for descending), got "${value}"`);
+    }
+    return { field, descending, numeric: SORT_FIELDS[field], param: value };
+}
+
+// "origin" or "origin_near" + "origin_radius"
+function parseSide(query, side) {
+    const near = query[`${side}_near`];
+    if (near === undefined) return parseLaneEnd(query[side], side);
+
+    const [lat, lon] = String(near).split(',').map(part => Number(part.trim()));
+    return parseLaneEnd({
+        place: query[side],
+        lat,
+        lon,
+        radiusMiles: query[`${side}_radius`] === undefined ? NaN : Number(query[`${side}_radius`])
+    }, `${side}_near`);
+}
+
+function encodeCursor(sort, load) {
+    const cursor = { sort: sort.param, value: sortValue(load, sort), id: load.load_id };
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(value, sort) {
+    let cursor;
+    try {
+        cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    } catch (error) {
+        cursor = null;
+    }
+    if (!cursor || typeof cursor.id !== 'string') {
+        throw new Error('cursor is not valid');
+    }
+    if (cursor.sort !== sort.param) {
+        throw new Error(`cursor was issued for sort=${cursor.sort}, not sort=${sort.param}`);
+    }
+    return cursor;
+}
+
+/**
+ * Validate GET /loads query parameters. Errors describe the bad parameter.
+ */
+function parseLoadQuery(query = {}) {
+    const sort = parseSort(normalizeValue(query.sort) || undefined);
+    const storeFilters = {};
+    for (const filter of STORE_FILTERS) {
+        if (query[filter]) storeFilters[filter] = query[filter];
+    }
+    if (query.profile) storeFilters.search_profile = query.profile;
+
+    return {
+        storeFilters,
+        origin: parseSide(query, 'origin'),
+        destination: parseSide(query, 'destination'),
+        equipment: normalizeValue(query.equipment),
+        minRatePerMile: query.min_rate_per_mile === undefined ? null : parseNumber(query.min_rate_per_mile, 'min_rate_per_mile'),
+        broker: normalizeValue(query.broker) ? brokerId(brokerKey(query.broker) || '') : null,
+        postedSince: query.posted_since === undefined ? null : parseTimestamp(query.posted_since, 'posted_since'),
+        late: query.late === undefined ? null : parseBoolean(query.late, 'late'),
+        sort,
+        cursor: query.cursor ? decodeCursor(query.cursor, sort) : null,
+        limit: parseLimit(query.limit)
+    };
+}
+
+function sortValue(load, sort) {
+    const value = load[sort.field];
+    if (value === null || value === undefined || value === '') return null;
+    return sort.numeric ? toNumber(value) : String(value);
+}
+
+// Order of two (value, id) keys under the sort; missing values go last
+// whichever way the sort runs, load_id breaks ties
+function compareKeys(a, b, sort) {
+    if (a.value === null || b.value === null) {
+        if (a.value !== b.value) return a.value === null ? 1 : -1;
+    } else if (a.value !== b.value) {
+        const order = sort.numeric ? a.value - b.value : a.value.localeCompare(b.value);
+        return sort.descending ? -order : order;
+    }
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+function matchesEquipment(load, wanted) {
+    if (!wanted) return true;
+    const equipment = normalizeValue(load.equipment);
+    if (!equipment) return false;
+    return equipment.toLowerCase().split(/\s*,\s*/).some(type => type.includes(wanted.toLowerCase()));
+}
+
+function matchesLoad(load, options) {
+    if (!matchesLaneEnd(options.origin, load, 'origin')) return false;
+    if (!matchesLaneEnd(options.destination, load, 'destination')) return false;
+    if (!matchesEquipment(load, options.equipment)) return false;
+
+    if (options.minRatePerMile !== null) {
+        const rate = sortValue(load, { field: 'rate_per_mile', numeric: true });
+        if (rate === null || rate < options.minRatePerMile) return false;
+    }
+    if (options.broker) {
+        const key = brokerKey(load.company);
+        if (!key || brokerId(key) !== options.broker) return false;
+    }
+    if (options.postedSince && !(load.posted_at && load.posted_at >= options.postedSince)) {
+        return false;
+    }
+    if (options.late !== null && isLateDelivery(load) !== options.late) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Whether one load passes the query's filters, the store filters included,
+ * for loads that do not come from a store query (see load-stream.js).
+ * since and until are left out.
+ */
+function matchesQuery(load, options) {
+    const { status, search_profile: profile } = options.storeFilters;
+    if (status && load.status !== status) return false;
+    if (profile && load.search_profile !== profile) return false;
+    return matchesLoad({ ...load, posted_at: postedAt(load) }, options);
+}
+
+/**
+ * Loads in the order of a sort such as "-net_per_mile_usd" (see
+ * SORT_FIELDS), missing values last.
+ */
+function sortLoads(loads, value) {
+    const sort = parseSort(value);
+    const keyOf = load => ({ value: sortValue(load, sort), id: load.load_id });
+    return [...loads].sort((a, b) => compareKeys(keyOf(a), keyOf(b), sort));
+}
+
+/**
+ * Filter, sort and page loads in memory.
+ *
+ * @param {object[]} loads stored loads
+ * @param {object} options as parseLoadQuery returns them
+ * @returns {{ total: number, next_cursor: string|null, loads: object[] }}
+ *          total counts every match, not just the page; each load gains
+ *          posted_at
+ */
+function selectLoads(loads, options) {
+    const { sort, cursor, limit } = options;
+    const keyOf = load => ({ value: sortValue(load, sort), id: load.load_id });
+
+    const matched = loads
+        .map(load => ({ ...load, posted_at: postedAt(load) }))
+        .filter(load => matchesLoad(load, options))
+        .sort((a, b) => compareKeys(keyOf(a), keyOf(b), sort));
+
+    const start = cursor
+        ? matched.findIndex(load => compareKeys(keyOf(load), cursor, sort) > 0)
+        : 0;
+    const page = start === -1 ? [] : matched.slice(start, start + limit);
+    const last = page[page.length - 1];
+    const hasMore = start !== -1 && start + limit < matched.length;
+
+    return {
+        total: matched.length,
+        next_cursor: hasMore ? encodeCursor(sort, last) : null,
+        loads: page
+    };
+}
+
+// The query's filters as store filters, for stores that query them (see
+// LoadStore#queriesLoads); radius lane ends are left to matchesLoad
+function storeQuery(options) {
+    const filters = { ...options.storeFilters };
+    for (const side of ['origin', 'destination']) {
+        const end = options[side];
+        if (!end || end.radiusMiles) continue;
+        if (end.state) {
+            filters[`${side}_state`] = end.state;
+        } else {
+            filters[side] = end.place;
+        }
+    }
+    if (options.equipment) filters.equipment = options.equipment;
+    if (options.minRatePerMile !== null) filters.min_rate_per_mile = options.minRatePerMile;
+    if (options.broker) filters.broker_id = options.broker;
+    if (options.postedSince) filters.posted_since = options.postedSince;
+    if (options.late !== null) filters.late = options.late;
+    return filters;
+}
+
+/**
+ * Answer a GET /loads query from a store. A store that queries the
+ * filters (SQLite) filters, sorts and pages in its query; with a radius,
+ * or with another store, the loads are filtered, sorted and paged in
+ * memory.
+ *
+ * @param {import('./load-store').LoadStore} store an opened store
+ * @param {object} options as parseLoadQuery returns them
+ */
+async function queryLoadPage(store, options) {
+    const radius = [options.origin, options.destination].some(end => end && end.radiusMiles);
+    const filters = store.queriesLoads ? storeQuery(options) : options.storeFilters;
+    const count = await store.countLoads(filters);
+
+    if (!store.queriesLoads || radius) {
+        const loads = count > 0 ? await store.queryLoads({ ...filters, limit: count }) : [];
+        return selectLoads(loads, options);
+    }
+
+    const { sort, cursor, limit } = options;
+    const loads = count > 0 ? await store.queryLoads({ ...filters, sort, after: cursor, limit: limit + 1 }) : [];
+    const page = loads.slice(0, limit);
+    return {
+        total: count,
+        next_cursor: loads.length > limit ? encodeCursor(sort, page[page.length - 1]) : null,
+        loads: page
+    };
+}
+
+module.exports = {
+    DEFAULT_SORT,
+    SORT_FIELDS,
+    postedAt,
+    parseLoadQuery,
+    matchesQuery,
+    selectLoads,
+    sortLoads,
+    queryLoadPage
+};
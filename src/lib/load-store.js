@@ -0,0 +1,507 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const csv = require('csv-parser');
+const { normalizeValue, parseOriginDestination } = require('./parsers');
+const { locateLoad } = require('./gazetteer');
+
+/**
+ * Persistent storage for extracted loads.
+ *
+ * A LoadStore upserts records keyed on a stable load identity (see
+ * loadIdentity) and answers filtered queries without re-reading the whole
+ * history, so the cost of a scraping run stays flat as the store grows.
+ * Two implementations exist: SqliteLoadStore (the default) and
+ * CsvLoadStore for setups that want a plain file. Use createLoadStore to
+ * pick one from configuration.
+ *
+ * Stores also track each load's lifecycle: when it was first and last seen,
+ * a history of observed changes, and whether it has vanished from the board.
+ * A store emits 'inserted' with each load upsertLoads sees for the first
+ * time and 'updated' with a load and its changes (see trackedChanges) when
+ * a sighting changed it, both once saved, and 'vanished' with the load when
+ * markUnseenLoads retires it. The loads are saved by then, so a listener
+ * that throws does not fail the call or keep the other listeners from
+ * hearing of it; its error is emitted as 'listenerError' (error, event).
+ */
+
+// The posting contact, normalized (see contacts.js); `contact` keeps the
+// readable form
+const CONTACT_COLUMNS = [
+    'contact_name',
+    'contact_phone',
+    'contact_extension',
+    'contact_email',
+    'contact_method'
+];
+
+// Structured fields read from the load's detail panel (see load-details.js)
+const DETAIL_COLUMNS = [
+    'pickup_start',
+    'pickup_end',
+    'delivery_start',
+    'delivery_end',
+    'weight_lbs',
+    'length_ft',
+    'commodity',
+    'comments',
+    'credit_score',
+    'days_to_pay',
+    ...CONTACT_COLUMNS
+];
+
+// Detail columns holding numbers
+const NUMERIC_DETAIL_COLUMNS = ['weight_lbs', 'length_ft', 'credit_score', 'days_to_pay'];
+
+// Coordinates of the origin and destination, resolved by the gazetteer
+const GEO_COLUMNS = ['origin_lat', 'origin_lon', 'destination_lat', 'destination_lon'];
+
+// What the load pays the configured truck (see profitability.js)
+const PROFIT_COLUMNS = [
+    'loaded_miles',
+    'deadhead_miles',
+    'fuel_cost_usd',
+    'operating_cost_usd',
+    'net_revenue_usd',
+    'net_per_mile_usd'
+];
+
+// When the load can legally be delivered (see transit.js)
+const TRANSIT_COLUMNS = ['transit_hours', 'earliest_delivery', 'delivery_slack_hours'];
+
+// Columns of a load record, in CSV order
+const LOAD_COLUMNS = [
+    'reference_number',
+    'origin',
+    'destination',
+    'rate_total_usd',
+    'rate_per_mile',
+    'company',
+    'contact',
+    'age_posted',
+    'extracted_at',
+    'search_profile',
+    'equipment',
+    ...GEO_COLUMNS,
+    ...PROFIT_COLUMNS,
+    ...TRANSIT_COLUMNS,
+    ...DETAIL_COLUMNS
+];
+
+// Lifecycle columns stored alongside the record columns
+const LIFECYCLE_COLUMNS = ['first_seen_at', 'last_seen_at', 'status', 'vanished_at'];
+
+// Fields whose change counts as an update rather than a re-sighting
+const TRACKED_FIELDS = ['rate_total_usd', 'rate_per_mile', 'contact', ...CONTACT_COLUMNS];
+
+// Fields whose changes are written to the load history
+const HISTORY_FIELDS = ['rate_total_usd', 'rate_per_mile', 'contact', 'age_posted'];
+
+const LOAD_STATUS = {
+    ACTIVE: 'active',
+    VANISHED: 'vanished'
+};
+
+// Reference numbers the scrapers make up when DAT shows none
+const SYNTHETIC_REFERENCE_PATTERN = /^(AUTO|LOCALHOST)_/;
+
+/**
+ * Stable identity for a load. A real DAT reference ID wins, so rate and
+ * contact changes update the same load instead of creating a new one.
+ *
+ * Without one, the lane, broker and posted rate (the total, else the rate
+ * per mile) identify the posting, so a broker's postings on one lane at
+ * different rates are kept apart. The rate is the only field on every grid
+ * row that separates them: pickup dates, weight and equipment come from
+ * the detail panel or the search profile and are missing from some
+ * sightings, which would split one posting into two. The cost is that a
+ * rate change on such a posting starts a new load, and the old one
+ * vanishes; postings on one lane at the same rate still share a load.
+ */
+function loadIdentity(record) {
+    const reference = normalizeValue(record.reference_number);
+    if (reference && !SYNTHETIC_REFERENCE_PATTERN.test(reference)) {
+        return `ref:${reference}`;
+    }
+
+    const rate = ['rate_total_usd', 'rate_per_mile']
+        .map(field => Number(normalizeValue(record[field]) ?? NaN))
+        .find(Number.isFinite);
+    const lane = ['origin', 'destination', 'company']
+        .map(field => (normalizeValue(record[field]) || '').toLowerCase())
+        .concat(rate === undefined ? '' : String(rate))
+        .join('|');
+    return 'lane:' + crypto.createHash('sha1').update(lane).digest('hex').substring(0, 16);
+}
+
+/**
+ * Copy the load columns out of a record, mapping missing values to null.
+ */
+function toLoadRow(record) {
+    const row = {};
+    for (const column of LOAD_COLUMNS) {
+        const value = record[column];
+        row[column] = value === undefined || value === '' ? null : value;
+    }
+    return row;
+}
+
+// Columns a sighting without them leaves as they were
+const STICKY_COLUMNS = ['contact', 'search_profile', 'equipment', ...PROFIT_COLUMNS, ...TRANSIT_COLUMNS, ...DETAIL_COLUMNS];
+
+/**
+ * Apply a new sighting on top of the stored load. A sighting whose detail
+ * panel did not load has no contact or details, which should not erase the
+ * known ones; likewise an untagged sighting (an import, a manual run) keeps
+ * the search profile and equipment the load was found by, and the
+ * profitability and transit times the scraper worked out.
+ */
+function mergeSighting(previous, next) {
+    if (!previous) return next;
+
+    const merged = { ...next };
+    for (const column of STICKY_COLUMNS) {
+        merged[column] = next[column] ?? previous[column];
+    }
+    return merged;
+}
+
+function valueChanged(previous, next, field) {
+    return String(previous[field] ?? '') !== String(next[field] ?? '');
+}
+
+function hasTrackedChanges(previous, next) {
+    return TRACKED_FIELDS.some(field => valueChanged(previous, next, field));
+}
+
+/**
+ * The tracked fields that differ between two versions of a load, as
+ * { field: { old, new } }, with the status when a vanished load returned.
+ */
+function trackedChanges(previous, next) {
+    const changes = {};
+    for (const field of TRACKED_FIELDS) {
+        if (valueChanged(previous, next, field)) {
+            changes[field] = { old: previous[field] ?? null, new: next[field] ?? null };
+        }
+    }
+    if (previous.status === LOAD_STATUS.VANISHED && next.status !== LOAD_STATUS.VANISHED) {
+        changes.status = { old: previous.status, new: next.status };
+    }
+    return changes;
+}
+
+/**
+ * History entries describing how a load changed between two sightings.
+ */
+function diffSighting(previous, next, observedAt) {
+    const entry = (field, oldValue, newValue) => ({
+        load_id: next.load_id,
+        observed_at: observedAt,
+        field,
+        old_value: oldValue === null || oldValue === undefined ? null : String(oldValue),
+        new_value: newValue === null || newValue === undefined ? null : String(newValue)
+    });
+
+    const entries = HISTORY_FIELDS
+        .filter(field => valueChanged(previous, next, field))
+        .map(field => entry(field, previous[field], next[field]));
+
+    if (previous.status === LOAD_STATUS.VANISHED) {
+        entries.push(entry('status', LOAD_STATUS.VANISHED, LOAD_STATUS.ACTIVE));
+    }
+    return entries;
+}
+
+/**
+ * Turn a row read back from one of our CSV files into a load record. Old
+ * files hold origins with the destination run into them, so places go
+ * through the shared parser again.
+ */
+function fromCsvRow(data) {
+    const { origin, destination } = parseOriginDestination(data.origin, data.destination);
+    const toNumber = value => {
+        const number = parseFloat(value);
+        return Number.isFinite(number) ? number : null;
+    };
+
+    const record = {
+        reference_number: normalizeValue(data.reference_number),
+        origin,
+        destination,
+        rate_total_usd: toNumber(data.rate_total_usd),
+        rate_per_mile: toNumber(data.rate_per_mile),
+        company: normalizeValue(data.company),
+        contact: normalizeValue(data.contact),
+        age_posted: normalizeValue(data.age_posted),
+        extracted_at: normalizeValue(data.extracted_at),
+        search_profile: normalizeValue(data.search_profile),
+        equipment: normalizeValue(data.equipment)
+    };
+    for (const column of [...GEO_COLUMNS, ...PROFIT_COLUMNS, 'transit_hours', 'delivery_slack_hours']) {
+        record[column] = toNumber(data[column]);
+    }
+    record.earliest_delivery = normalizeValue(data.earliest_delivery);
+    for (const column of DETAIL_COLUMNS) {
+        record[column] = NUMERIC_DETAIL_COLUMNS.includes(column)
+            ? toNumber(data[column])
+            : normalizeValue(data[column]);
+    }
+
+    // Files written by CsvLoadStore also carry the lifecycle columns
+    for (const column of LIFECYCLE_COLUMNS) {
+        if (column in data) {
+            record[column] = normalizeValue(data[column]);
+        }
+    }
+    return record;
+}
+
+function readCsvRecords(csvPath) {
+    return new Promise((resolve, reject) => {
+        const records = [];
+        fs.createReadStream(csvPath)
+            .pipe(csv())
+            .on('data', (data) => records.push(fromCsvRow(data)))
+            .on('end', () => resolve(records))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Interface shared by the store implementations.
+ */
+class LoadStore extends EventEmitter {
+    /**
+     * @param {{ upgrade?: boolean }} [options] `upgrade: false` reads a CSV
+     *        file written before newer columns without rewriting it
+     */
+    async open() {
+        throw new Error(`${this.constructor.name} must implement open()`);
+    }
+
+    // Call every listener of a load event, each on its own
+    emitLoadEvent(event, ...args) {
+        for (const listener of this.listeners(event)) {
+            try {
+                listener.apply(this, args);
+            } catch (error) {
+                if (this.listenerCount('listenerError') > 0) {
+                    this.emit('listenerError', error, event);
+                } else {
+                    console.error(`Load store ${event} listener failed: ${error.message}`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Insert new loads and update known ones. Records are applied in order,
+     * so a batch may contain the same load more than once.
+     *
+     * Each sighting sets last_seen_at (first_seen_at on insert) to
+     * options.seenAt, falling back to the record's extracted_at, and
+     * brings a vanished load back to active. A load that comes back counts
+     * as updated, as does one whose tracked fields changed. Records without
+     * coordinates get them from the gazetteer (see gazetteer.js#locateLoad).
+     *
+     * @param {object[]} records
+     * @param {{ seenAt?: string }} options
+     * @returns {Promise<{ inserted: number, updated: number, unchanged: number }>}
+     */
+    async upsertLoads(records, options = {}) {
+        const rows = records.map(record => ({ load_id: loadIdentity(record), ...toLoadRow(locateLoad(record)) }));
+        const known = await this.fetchLoads([...new Set(rows.map(row => row.load_id))]);
+        const pending = new Map();
+        const history = [];
+        const result = { inserted: 0, updated: 0, unchanged: 0 };
+
+        for (const row of rows) {
+            const previous = pending.has(row.load_id) ? pending.get(row.load_id).row : known.get(row.load_id);
+            const seenAt = options.seenAt || row.extracted_at || new Date().toISOString();
+            const next = {
+                ...mergeSighting(previous, row),
+                first_seen_at: (previous && previous.first_seen_at) || seenAt,
+                last_seen_at: seenAt,
+                status: LOAD_STATUS.ACTIVE,
+                vanished_at: null
+            };
+
+            if (!previous) {
+                result.inserted++;
+            } else {
+                if (hasTrackedChanges(previous, next) || previous.status === LOAD_STATUS.VANISHED) {
+                    result.updated++;
+                } else {
+                    result.unchanged++;
+                }
+                history.push(...diffSighting(previous, next, seenAt));
+            }
+            pending.set(row.load_id, { row: next, isNew: !known.has(row.load_id) });
+        }
+
+        await this.saveLoads([...pending.values()], history);
+        for (const { row, isNew } of pending.values()) {
+            if (isNew) {
+                this.emitLoadEvent('inserted', row);
+                continue;
+            }
+            const changes = trackedChanges(known.get(row.load_id), row);
+            if (Object.keys(changes).length > 0) this.emitLoadEvent('updated', row, changes);
+        }
+        return result;
+    }
+
+    /**
+     * Count a run in which active loads last seen before seenAt were not
+     * seen. Loads missed for vanishAfterRuns consecutive runs are marked
+     * vanished, recorded in their history and emitted as 'vanished'.
+     *
+     * A run that searched one profile only says something about that
+     * profile's loads, so with searchProfile set only loads tagged with it
+     * are counted.
+     *
+     * @param {{ seenAt: string, vanishAfterRuns: number, searchProfile?: string }} options
+     * @returns {Promise<object[]>} the loads that vanished in this run
+     */
+    async markUnseenLoads({ seenAt, vanishAfterRuns, searchProfile = null }) {
+        const vanished = await this.recordMissedRun(seenAt, vanishAfterRuns, searchProfile);
+        vanished.forEach(load => this.emitLoadEvent('vanished', load));
+        return vanished;
+    }
+
+    /**
+     * Look up stored loads by identity.
+     *
+     * @returns {Promise<Map<string, object>>}
+     */
+    async fetchLoads(loadIds) {
+        throw new Error(`${this.constructor.name} must implement fetchLoads()`);
+    }
+
+    /**
+     * Persist the latest state of each upserted load and the history
+     * entries the batch produced. A store that only writes what a sighting
+     * changed must still write rows marked `rewrite` (migrations change
+     * columns no sighting tracks).
+     *
+     * @param {Array<{ row: object, isNew: boolean, rewrite?: boolean }>} changes
+     * @param {object[]} history
+     */
+    async saveLoads(changes, history) {
+        throw new Error(`${this.constructor.name} must implement saveLoads()`);
+    }
+
+    /**
+     * Increment the missed-run count of active loads not seen at seenAt
+     * (only those tagged searchProfile, when given) and retire those
+     * reaching vanishAfterRuns.
+     *
+     * @returns {Promise<object[]>} the loads marked vanished
+     */
+    async recordMissedRun(seenAt, vanishAfterRuns, searchProfile) {
+        throw new Error(`${this.constructor.name} must implement recordMissedRun()`);
+    }
+
+    /**
+     * Observed changes for one load, oldest first.
+     */
+    async getHistory(loadId) {
+        throw new Error(`${this.constructor.name} must implement getHistory()`);
+    }
+
+    async getLoad(loadId) {
+        throw new Error(`${this.constructor.name} must implement getLoad()`);
+    }
+
+    /**
+     * Query stored loads, most recently seen first.
+     *
+     * @param {{ origin?: string, destination?: string, company?: string,
+     *           status?: string, search_profile?: string, since?: string,
+     *           until?: string, vanished_since?: string, limit?: number,
+     *           offset?: number }} filters since and until bound
+     *        last_seen_at, vanished_since vanished_at
+     */
+    async queryLoads(filters = {}) {
+        throw new Error(`${this.constructor.name} must implement queryLoads()`);
+    }
+
+    /**
+     * Whether queryLoads and countLoads also take the GET /loads filters,
+     * `sort` and `after` a cursor (see load-query.js). Other stores get
+     * those queries answered in memory.
+     */
+    get queriesLoads() {
+        return false;
+    }
+
+    async countLoads(filters = {}) {
+        throw new Error(`${this.constructor.name} must implement countLoads()`);
+    }
+
+    /**
+     * Ids of the data migrations (see migrations.js) already applied.
+     *
+     * @returns {Promise<string[]>}
+     */
+    async getAppliedMigrations() {
+        throw new Error(`${this.constructor.name} must implement getAppliedMigrations()`);
+    }
+
+    async recordMigration(id, appliedAt) {
+        throw new Error(`${this.constructor.name} must implement recordMigration()`);
+    }
+
+    async close() {}
+
+    /**
+     * Import a CSV written by the scrapers. Rows are upserted in file order,
+     * so repeated sightings collapse into one load carrying the latest values.
+     */
+    async importCsv(csvPath) {
+        const records = await readCsvRecords(csvPath);
+        const result = await this.upsertLoads(records.filter(record => record.origin && record.destination));
+        return { rows: records.length, ...result };
+    }
+}
+
+/**
+ * Create the store selected by configuration.
+ *
+ * @param {{ type?: 'sqlite'|'csv', sqlitePath?: string, csvPath?: string }} options
+ */
+function createLoadStore(options = {}) {
+    const type = options.type || 'sqlite';
+
+    if (type === 'sqlite') {
+        const SqliteLoadStore = require('./sqlite-load-store');
+        return new SqliteLoadStore({ dbPath: options.sqlitePath });
+    }
+    if (type === 'csv') {
+        const CsvLoadStore = require('./csv-load-store');
+        return new CsvLoadStore({ csvPath: options.csvPath });
+    }
+    throw new Error(`Unknown load store type: ${type}`);
+}
+
+module.exports = {
+    CONTACT_COLUMNS,
+    DETAIL_COLUMNS,
+    GEO_COLUMNS,
+    PROFIT_COLUMNS,
+    TRANSIT_COLUMNS,
+    LOAD_COLUMNS,
+    LIFECYCLE_COLUMNS,
+    HISTORY_FIELDS,
+    LOAD_STATUS,
+    LoadStore,
+    loadIdentity,
+    toLoadRow,
+    mergeSighting,
+    hasTrackedChanges,
+    trackedChanges,
+    diffSighting,
+    readCsvRecords,
+    createLoadStore
+};
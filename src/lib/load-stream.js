@@ -0,0 +1,287 @@
+const { WebSocketServer } = require('ws');
+const { httpError } = require('./status-server');
+const { LOAD_STATUS } = require('./load-store');
+const { parseLoadQuery, matchesQuery } = require('./load-query');
+
+/**
+ * Live load stream: every load the scraper stores for the first time, or
+ * whose rate or contact changes, pushed to open connections the moment it
+ * is saved. Served at /loads/stream as server-sent events, or as a
+ * WebSocket when the client asks for an upgrade.
+ *
+ *   const events = new EventSource('/loads/stream?origin=CO&min_rate_per_mile=2.5');
+ *   events.addEventListener('load.created', event => show(JSON.parse(event.data).load));
+ *
+ * Each event is { id, type, load, changes? }, with type load.created,
+ * load.updated or load.removed (like the webhooks). The /loads filters
+ * narrow the stream, and ?events=load.created picks event types. A ping
+ * event goes out every 15 seconds so proxies keep the connection open and
+ * clients can spot a dead one.
+ *
+ * Event ids are "<epoch ms>-<sequence>". A client that reconnects with
+ * Last-Event-ID (EventSource does this on its own) or ?last_event_id= gets
+ * the events it missed: from memory when the recent events still reach
+ * back that far, otherwise rebuilt from the load store as one event per
+ * load seen or vanished since, marked `replayed`, at most the newest
+ * maxReplay of them.
+ */
+
+const STREAM_EVENTS = ['load.created', 'load.updated', 'load.removed'];
+
+const DEFAULT_BUFFER_SIZE = 1000;
+const DEFAULT_HEARTBEAT_MS = 15000;
+const DEFAULT_MAX_REPLAY = 1000;
+
+// How long EventSource waits before reconnecting
+const RETRY_MS = 5000;
+
+function parseEventId(id) {
+    const match = /^(\d+)-(\d+)$/.exec(String(id || ''));
+    return match ? { time: Number(match[1]), sequence: Number(match[2]) } : null;
+}
+
+function compareIds(a, b) {
+    return a.time - b.time || a.sequence - b.sequence;
+}
+
+/**
+ * Validate stream parameters: the /loads filters, `events` and the resume
+ * point from Last-Event-ID or ?last_event_id=.
+ */
+function parseStreamQuery(query, headers = {}) {
+    const { events, last_event_id: lastEventIdParam, ...filters } = query;
+    let options;
+    try {
+        options = parseLoadQuery(filters);
+    } catch (error) {
+        throw httpError(400, error.message);
+    }
+
+    const types = events ? String(events).split(',').map(type => type.trim()).filter(Boolean) : STREAM_EVENTS;
+    for (const type of types) {
+        if (!STREAM_EVENTS.includes(type)) {
+            throw httpError(400, `events must be among ${STREAM_EVENTS.join(', ')}, got "${type}"`);
+        }
+    }
+
+    const lastEventId = headers['last-event-id'] || lastEventIdParam || null;
+    if (lastEventId && !parseEventId(lastEventId)) {
+        throw httpError(400, `last event id must look like "1756688400000-0", got "${lastEventId}"`);
+    }
+    return { ...options, events: new Set(types), lastEventId };
+}
+
+function formatSse(event) {
+    const { id, type } = event;
+    return `${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+// What a load stored since `since` means to a client that missed it
+function replayType(load, since) {
+    if (load.status === LOAD_STATUS.VANISHED && String(load.vanished_at) >= since) return 'load.removed';
+    return String(load.first_seen_at) >= since ? 'load.created' : 'load.updated';
+}
+
+class LoadStream {
+    /**
+     * @param {{ getStore?: function, bufferSize?: number, heartbeatMs?: number,
+     *           maxReplay?: number, logger?: object, clock?: function }} options
+     *        getStore resolves to the opened load store, for resuming past
+     *        the events kept in memory
+     */
+    constructor({ getStore = null, bufferSize = DEFAULT_BUFFER_SIZE, heartbeatMs = DEFAULT_HEARTBEAT_MS, maxReplay = DEFAULT_MAX_REPLAY, logger = console, clock = Date.now } = {}) {
+        this.getStore = getStore;
+        this.bufferSize = bufferSize;
+        this.maxReplay = maxReplay;
+        this.heartbeatMs = heartbeatMs;
+        this.logger = logger;
+        this.clock = clock;
+        this.buffer = [];
+        this.clients = new Set();
+        this.lastTime = 0;
+        this.sequence = 0;
+        this.heartbeat = null;
+        this.wss = new WebSocketServer({ noServer: true });
+    }
+
+    /**
+     * Publish a store's new, changed and vanished loads.
+     */
+    watch(store) {
+        store.on('inserted', load => this.publish('load.created', load));
+        store.on('updated', (load, changes) => this.publish('load.updated', load, changes));
+        store.on('vanished', load => this.publish('load.removed', load));
+    }
+
+    nextId() {
+        const now = this.clock();
+        if (now > this.lastTime) {
+            this.lastTime = now;
+            this.sequence = 0;
+        } else {
+            this.sequence++;
+        }
+        return `${this.lastTime}-${this.sequence}`;
+    }
+
+    publish(type, load, changes = null) {
+        const event = { id: this.nextId(), type, load, ...(changes ? { changes } : {}) };
+        this.buffer.push(event);
+        if (this.buffer.length > this.bufferSize) this.buffer.shift();
+
+        for (const client of this.clients) this.deliver(client, event);
+        return event;
+    }
+
+    /**
+     * The events after lastEventId, from memory when the buffer reaches back
+     * that far, otherwise rebuilt from the store.
+     */
+    async missedEvents(lastEventId) {
+        const after = parseEventId(lastEventId);
+        const oldest = this.buffer[0];
+        if ((oldest && compareIds(parseEventId(oldest.id), after) <= 0) || !this.getStore) {
+            return this.buffer.filter(event => compareIds(parseEventId(event.id), after) > 0);
+        }
+
+        const store = await this.getStore();
+        const since = new Date(after.time).toISOString();
+        const seen = await store.queryLoads({ since, limit: this.maxReplay });
+        // Loads seen since and vanished since are already among the seen
+        const vanished = await store.queryLoads({ status: LOAD_STATUS.VANISHED, vanished_since: since, until: since, limit: this.maxReplay });
+
+        const events = [...seen, ...vanished]
+            .map(load => {
+                const type = replayType(load, since);
+                const time = Date.parse(type === 'load.removed' ? load.vanished_at : load.last_seen_at);
+                return { id: `${time}-0`, type, load, replayed: true };
+            })
+            .sort((a, b) => compareIds(parseEventId(a.id), parseEventId(b.id)));
+        if (seen.length === this.maxReplay || vanished.length === this.maxReplay || events.length > this.maxReplay) {
+            this.logger.warn('Load stream replay cut to the newest loads', { since, maxReplay: this.maxReplay });
+        }
+        return events.slice(-this.maxReplay);
+    }
+
+    deliver(client, event) {
+        if (client.closed) return;
+        if (client.pending) {
+            client.pending.push(event);
+        } else if (event.type === 'ping' || (client.options.events.has(event.type) && matchesQuery(event.load, client.options))) {
+            client.send(event);
+        }
+    }
+
+    /**
+     * Register a client. One resuming from a last event id gets nothing
+     * until resume() has sent what it missed.
+     */
+    subscribe(options, send, close) {
+        const client = { options, send, close, pending: options.lastEventId ? [] : null, closed: false };
+        this.clients.add(client);
+        this.startHeartbeat();
+        return client;
+    }
+
+    async resume(client) {
+        if (!client.pending) return;
+
+        let missed;
+        try {
+            missed = await this.missedEvents(client.options.lastEventId);
+        } catch (error) {
+            this.unsubscribe(client);
+            throw error;
+        }
+        const queued = client.pending;
+        client.pending = null;
+
+        const sent = new Set();
+        for (const event of [...missed, ...queued]) {
+            if (event.id && sent.has(event.id)) continue;
+            sent.add(event.id);
+            this.deliver(client, event);
+        }
+    }
+
+    unsubscribe(client) {
+        client.closed = true;
+        this.clients.delete(client);
+        if (this.clients.size === 0) this.stopHeartbeat();
+    }
+
+    startHeartbeat() {
+        if (this.heartbeat || !this.heartbeatMs) return;
+        this.heartbeat = setInterval(() => {
+            const ping = { type: 'ping', time: new Date(this.clock()).toISOString() };
+            for (const client of this.clients) this.deliver(client, ping);
+        }, this.heartbeatMs);
+        this.heartbeat.unref();
+    }
+
+    stopHeartbeat() {
+        if (this.heartbeat) {
+            clearInterval(this.heartbeat);
+            this.heartbeat = null;
+        }
+    }
+
+    /**
+     * Answer a request as server-sent events (a status server `stream`).
+     */
+    async handleSse({ res, query, headers }) {
+        const options = parseStreamQuery(query, headers);
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${RETRY_MS}\n\n`);
+
+        const client = this.subscribe(options, event => res.write(formatSse(event)), () => res.end());
+        res.on('close', () => this.unsubscribe(client));
+        await this.resume(client);
+    }
+
+    /**
+     * Take a WebSocket upgrade (a status server `upgrade`); events go out as
+     * JSON text messages.
+     */
+    handleUpgrade({ req, socket, head, query, headers }) {
+        const options = parseStreamQuery(query, headers);
+        this.wss.handleUpgrade(req, socket, head, ws => {
+            const client = this.subscribe(options, event => ws.send(JSON.stringify(event)), () => ws.close(1001));
+            ws.on('close', () => this.unsubscribe(client));
+            // A bad frame from the client must end its connection, not the
+            // process
+            ws.on('error', error => {
+                this.logger.warn('Load stream WebSocket error', { error: error.message });
+                this.unsubscribe(client);
+                ws.terminate();
+            });
+            this.resume(client).catch(error => {
+                this.logger.warn('Load stream resume failed', { error: error.message });
+                ws.close(1011);
+            });
+        });
+    }
+
+    /**
+     * Close every connection.
+     */
+    close() {
+        for (const client of this.clients) {
+            this.unsubscribe(client);
+            client.close();
+        }
+        this.stopHeartbeat();
+        this.wss.close();
+    }
+}
+
+module.exports = {
+    STREAM_EVENTS,
+    parseStreamQuery,
+    LoadStream
+};
@@ -0,0 +1,383 @@
+const fs = require('fs');
+const path = require('path');
+const { HttpResponse } = require('./status-server');
+const { RunLock } = require('./run-coordinator');
+
+/**
+ * Counters, gauges and histograms rendered in the Prometheus text format
+ * (version 0.0.4) at /metrics, so the crawler can be scraped and alerted
+ * on like any other service.
+ *
+ * Series live in a MetricsRegistry. `metrics` holds the crawler's series
+ * for the whole process: the production scraper counts its runs, loads,
+ * selector fallbacks and browser restarts into it. Those counters start
+ * at zero with the process, as Prometheus expects. AI tokens are spent by
+ * the AI scrapers, in processes of their own, so the OpenAI vision client
+ * adds them up in a usage file that /metrics reads (see recordAiUsage).
+ *
+ *   metrics.runs.inc({ outcome: 'success' });
+ *   metrics.runDuration.observe(18.4);
+ *   metrics.registry.render();
+ *   // # HELP dispatch_runs_total Scraping runs by outcome.
+ *   // # TYPE dispatch_runs_total counter
+ *   // dispatch_runs_total{outcome="success"} 1
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+// Run durations in seconds, around the 25-second run budget
+const RUN_DURATION_BUCKETS = [1, 2.5, 5, 10, 15, 20, 25, 30, 45, 60, 120];
+
+// The usage file lock is held for one read and write of the file; a
+// holder gone this long has crashed
+const AI_USAGE_LOCK_STALE_MS = 30 * 1000;
+const AI_USAGE_LOCK_TIMEOUT_MS = 10 * 1000;
+const AI_USAGE_LOCK_RETRY_MS = 50;
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+class Metric {
+    /**
+     * @param {object} options
+     * @param {function(Metric): void} [options.collect] sets the series
+     *        just before they are rendered (memory usage, ...)
+     */
+    constructor({ name, help, labelNames = [], collect = null }) {
+        if (!METRIC_NAME.test(name)) {
+            throw new Error(`Metric name "${name}" is not valid`);
+        }
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.collect = collect;
+        // Label values joined into a key → { labels, value }
+        this.series = new Map();
+    }
+
+    seriesFor(labels = {}) {
+        const unknown = Object.keys(labels).find(name => !this.labelNames.includes(name));
+        if (unknown) {
+            throw new Error(`Metric ${this.name} has no label "${unknown}"`);
+        }
+        const ordered = Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+        const key = JSON.stringify(Object.values(ordered));
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: ordered, ...this.initialValue() });
+        }
+        return this.series.get(key);
+    }
+
+    initialValue() {
+        return { value: 0 };
+    }
+
+    lines() {
+        return [...this.series.values()].map(series => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+    }
+
+    render() {
+        if (this.collect) this.collect(this);
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.lines()].join('\n');
+    }
+}
+
+class Counter extends Metric {
+    get type() {
+        return 'counter';
+    }
+
+    inc(labels = {}, amount = 1) {
+        if (amount < 0) {
+            throw new Error(`Counter ${this.name} cannot go down`);
+        }
+        this.seriesFor(labels).value += amount;
+    }
+}
+
+class Gauge extends Metric {
+    get type() {
+        return 'gauge';
+    }
+
+    set(labels, value) {
+        this.seriesFor(labels).value = value;
+    }
+}
+
+class Histogram extends Metric {
+    constructor({ buckets, ...options }) {
+        super(options);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    get type() {
+        return 'histogram';
+    }
+
+    initialValue() {
+        return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    }
+
+    observe(labels, value) {
+        if (typeof labels === 'number') [labels, value] = [{}, labels];
+        const series = this.seriesFor(labels);
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    lines() {
+        const lines = [];
+        for (const series of this.series.values()) {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+            lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(options) {
+        return this.register(new Counter(options));
+    }
+
+    gauge(options) {
+        return this.register(new Gauge(options));
+    }
+
+    histogram(options) {
+        return this.register(new Histogram(options));
+    }
+
+    /**
+     * Every metric in the Prometheus text format.
+     */
+    render() {
+        return [...this.metrics.values()].map(metric => metric.render()).join('\n') + '\n';
+    }
+}
+
+/**
+ * The crawler's series in a registry of their own. The counters with
+ * known labels start out at zero, so that rate() and alerts on them work
+ * before the first failure. AI tokens are read from the usage file at
+ * `aiUsagePath`, once it is set.
+ */
+function createCrawlerMetrics(registry = new MetricsRegistry()) {
+    const crawler = {
+        registry,
+        aiUsagePath: null,
+        runs: registry.counter({
+            name: 'dispatch_runs_total',
+            help: 'Scraping runs by outcome.',
+            labelNames: ['outcome']
+        }),
+        runDuration: registry.histogram({
+            name: 'dispatch_run_duration_seconds',
+            help: 'Duration of scraping runs.',
+            buckets: RUN_DURATION_BUCKETS
+        }),
+        loadsExtracted: registry.counter({
+            name: 'dispatch_loads_extracted_total',
+            help: 'Loads extracted from the results grid.'
+        }),
+        loadsNew: registry.counter({
+            name: 'dispatch_loads_new_total',
+            help: 'Extracted loads that were new to the load store.'
+        }),
+        loadsDuplicate: registry.counter({
+            name: 'dispatch_loads_duplicate_total',
+            help: 'Extracted loads the load store already had.'
+        }),
+        selectorFallbacks: registry.counter({
+            name: 'dispatch_selector_fallback_hits_total',
+            help: 'Lookups answered by a fallback selector instead of the primary, by field and selector.',
+            labelNames: ['field', 'selector']
+        }),
+        browserRestarts: registry.counter({
+            name: 'dispatch_browser_restarts_total',
+            help: 'Browser launches or reconnections after the first.'
+        }),
+        memory: registry.gauge({
+            name: 'dispatch_memory_bytes',
+            help: 'Memory of the crawler process: rss, heap_used and heap_total.',
+            labelNames: ['type'],
+            collect: gauge => {
+                const usage = process.memoryUsage();
+                gauge.set({ type: 'rss' }, usage.rss);
+                gauge.set({ type: 'heap_used' }, usage.heapUsed);
+                gauge.set({ type: 'heap_total' }, usage.heapTotal);
+            }
+        }),
+        aiTokens: registry.counter({
+            name: 'dispatch_ai_tokens_total',
+            help: 'Tokens spent on AI calls, by model and type (prompt or completion).',
+            labelNames: ['model', 'type'],
+            collect: counter => {
+                if (!crawler.aiUsagePath) return;
+                for (const [model, tokens] of Object.entries(readAiUsage(crawler.aiUsagePath))) {
+                    counter.seriesFor({ model, type: 'prompt' }).value = tokens.prompt || 0;
+                    counter.seriesFor({ model, type: 'completion' }).value = tokens.completion || 0;
+                }
+            }
+        })
+    };
+
+    crawler.runs.inc({ outcome: 'success' }, 0);
+    crawler.runs.inc({ outcome: 'failure' }, 0);
+    crawler.runDuration.seriesFor({});
+    crawler.loadsExtracted.inc({}, 0);
+    crawler.loadsNew.inc({}, 0);
+    crawler.loadsDuplicate.inc({}, 0);
+    crawler.browserRestarts.inc({}, 0);
+    return crawler;
+}
+
+/**
+ * Count a run and its loads.
+ *
+ * @param {object} crawler from createCrawlerMetrics
+ * @param {object} runData see runProductionScraping
+ */
+function recordRun(crawler, runData) {
+    crawler.runs.inc({ outcome: runData.error ? 'failure' : 'success' });
+    if (runData.duration !== null && runData.duration !== undefined) {
+        crawler.runDuration.observe(runData.duration / 1000);
+    }
+    crawler.loadsExtracted.inc({}, runData.entriesCrawled || 0);
+    crawler.loadsNew.inc({}, runData.newEntriesAdded || 0);
+    crawler.loadsDuplicate.inc({}, runData.duplicatesSkipped || 0);
+}
+
+/**
+ * Count the fallback selectors a run's lookups needed, from a
+ * SelectorTracker report and the registry's selectors per field.
+ *
+ * @param {object} crawler from createCrawlerMetrics
+ * @param {{ fields: object }} report SelectorTracker#report
+ * @param {function(string): string[]} selectorsFor
+ */
+function recordSelectorFallbacks(crawler, report, selectorsFor) {
+    for (const [field, { matches }] of Object.entries(report.fields)) {
+        const [primary] = selectorsFor(field);
+        for (const [selector, count] of Object.entries(matches)) {
+            if (selector !== primary) crawler.selectorFallbacks.inc({ field, selector }, count);
+        }
+    }
+}
+
+/**
+ * Tokens spent so far, per model: { "gpt-4o": { prompt, completion } }.
+ * A missing or unreadable usage file counts as none.
+ */
+function readAiUsage(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Add the tokens of an OpenAI chat completion (its `usage`) to the usage
+ * file, whose totals keep growing across processes and restarts like a
+ * counter's. Several AI scrapers may add to it at once, so each addition
+ * holds a lock file next to it (see RunLock) and waits, without blocking,
+ * while another process holds it; a lost addition would make the counter
+ * go backwards.
+ *
+ * @param {string} filePath
+ * @param {string} model
+ * @param {{ prompt_tokens?: number, completion_tokens?: number }} usage
+ * @param {{ logger?: object }} [options]
+ * @returns {Promise<void>}
+ */
+async function recordAiUsage(filePath, model, usage, { logger = console } = {}) {
+    if (!usage) return;
+    const lock = new RunLock({ filePath: `${filePath}.lock`, staleMs: AI_USAGE_LOCK_STALE_MS, logger });
+    const deadline = Date.now() + AI_USAGE_LOCK_TIMEOUT_MS;
+    while (!lock.acquire('AI token usage')) {
+        if (Date.now() > deadline) {
+            throw new Error(`AI usage file ${filePath} is locked by another process`);
+        }
+        await new Promise(resolve => setTimeout(resolve, AI_USAGE_LOCK_RETRY_MS));
+    }
+
+    try {
+        const totals = readAiUsage(filePath);
+        const tokens = totals[model] || { prompt: 0, completion: 0 };
+        totals[model] = {
+            prompt: tokens.prompt + (usage.prompt_tokens || 0),
+            completion: tokens.completion + (usage.completion_tokens || 0)
+        };
+
+        // Written to a temporary file first so /metrics never reads half of it
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const temporary = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(temporary, JSON.stringify(totals, null, 2));
+        fs.renameSync(temporary, filePath);
+    } finally {
+        lock.release();
+    }
+}
+
+/**
+ * The /metrics route for the status server.
+ */
+function createMetricsRoutes({ registry }) {
+    return [
+        {
+            name: '/metrics',
+            path: /^\/metrics\/?$/,
+            handler: async () => new HttpResponse(registry.render(), { 'Content-Type': CONTENT_TYPE })
+        }
+    ];
+}
+
+const metrics = createCrawlerMetrics();
+
+module.exports = {
+    CONTENT_TYPE,
+    RUN_DURATION_BUCKETS,
+    MetricsRegistry,
+    createCrawlerMetrics,
+    recordRun,
+    recordSelectorFallbacks,
+    readAiUsage,
+    recordAiUsage,
+    createMetricsRoutes,
+    metrics
+};
@@ -0,0 +1,142 @@
+const { normalizeValue } = require('./parsers');
+const { CONTACT_COLUMNS, GEO_COLUMNS } = require('./load-store');
+const { locateLoad } = require('./gazetteer');
+const { normalizeContact, formatContact, hasContact } = require('./contacts');
+
+/**
+ * Data migrations over stored loads.
+ *
+ * Stores add new columns themselves when they open; a migration rewrites
+ * the data already stored to match what the scrapers write today. Each
+ * store records the migrations applied to it (see
+ * LoadStore#recordMigration), so every migration runs once per store.
+ * Changes are saved like any other update, even to columns a sighting
+ * does not track, and written to the load's history when the readable
+ * contact changes, but do not count as a sighting. `describe` gives the
+ * line `dispatch migrate` prints for a changed load, and `unresolved`,
+ * where a migration can miss, the loads it could not change. Append new
+ * migrations to MIGRATIONS; never reorder or rename applied ones.
+ */
+
+// Text of the columns a contact may have ended up in, most likely first:
+// some brokers put the phone number or email in the company name, and
+// older scrapers ran it into the place columns
+const CONTACT_SOURCE_FIELDS = ['contact', 'company', 'origin', 'destination', 'age_posted'];
+
+/**
+ * Parse the free-text contact of loads stored before contacts were
+ * structured into CONTACT_COLUMNS, looking in the other text columns for
+ * loads without one, and bring stored phones to E.164.
+ *
+ * @returns {object[]} the loads with their migrated columns
+ */
+function migrateContacts(loads) {
+    const changed = [];
+    for (const load of loads) {
+        let contact = normalizeContact({
+            name: load.contact_name,
+            phone: load.contact_phone,
+            extension: load.contact_extension,
+            email: load.contact_email,
+            preferred: load.contact_method
+        });
+        for (const field of CONTACT_SOURCE_FIELDS) {
+            if (hasContact(contact)) break;
+            contact = normalizeContact({ name: load.contact_name, text: load[field] });
+        }
+
+        const next = { ...load, ...contact, contact: formatContact(contact) || normalizeValue(load.contact) };
+        if (['contact', ...CONTACT_COLUMNS].some(column => (next[column] ?? null) !== (load[column] ?? null))) {
+            changed.push(next);
+        }
+    }
+    return changed;
+}
+
+/**
+ * Resolve the places of loads stored before the gazetteer to coordinates.
+ *
+ * @returns {object[]} the loads that got coordinates
+ */
+function migrateCoordinates(loads) {
+    return loads
+        .map(load => ({ load, next: locateLoad(load) }))
+        .filter(({ load, next }) => GEO_COLUMNS.some(column => (next[column] ?? null) !== (load[column] ?? null)))
+        .map(({ next }) => next);
+}
+
+/**
+ * Loads with an origin or destination the gazetteer does not know, which
+ * keep empty coordinates after migrateCoordinates.
+ */
+function unlocatedLoads(loads) {
+    return loads.filter(load => {
+        const located = locateLoad(load);
+        return GEO_COLUMNS.some(column => !Number.isFinite(located[column]));
+    });
+}
+
+const MIGRATIONS = [
+    {
+        id: '2025-09-structured-contacts',
+        description: 'Parse free-text contacts into name, E.164 phone, extension, email and method',
+        migrate: migrateContacts,
+        describe: load => `📞 ${load.contact || 'no contact'} (${load.company || 'unknown company'}: ${load.origin} → ${load.destination})`
+    },
+    {
+        id: '2026-10-place-coordinates',
+        description: 'Resolve origins and destinations to coordinates with the offline gazetteer',
+        migrate: migrateCoordinates,
+        unresolved: unlocatedLoads,
+        describe: load => `📍 ${load.origin} → ${load.destination}`
+    }
+];
+
+/**
+ * Apply the migrations a store has not had yet, in order.
+ *
+ * @param {import('./load-store').LoadStore} store an opened store
+ * @param {{ now?: string, dryRun?: boolean }} options with dryRun nothing
+ *        is saved or recorded
+ * @returns {Promise<Array<{ id: string, description: string, changed: object[],
+ *          unresolved: object[] }>>} the pending migrations, the loads each
+ *          changed and the loads it could not migrate (always empty for a
+ *          migration that cannot miss)
+ */
+async function runMigrations(store, options = {}) {
+    const observedAt = options.now || new Date().toISOString();
+    const applied = await store.getAppliedMigrations();
+    const results = [];
+
+    for (const migration of MIGRATIONS.filter(entry => !applied.includes(entry.id))) {
+        const loads = await store.queryLoads({ limit: await store.countLoads() });
+        const changed = migration.migrate(loads);
+        const unresolved = migration.unresolved ? migration.unresolved(loads) : [];
+        results.push({ id: migration.id, description: migration.description, changed, unresolved });
+        if (options.dryRun) continue;
+
+        if (changed.length > 0) {
+            const previous = new Map(loads.map(load => [load.load_id, load]));
+            const history = changed
+                .filter(load => (load.contact ?? null) !== (previous.get(load.load_id).contact ?? null))
+                .map(load => ({
+                    load_id: load.load_id,
+                    observed_at: observedAt,
+                    field: 'contact',
+                    old_value: previous.get(load.load_id).contact ?? null,
+                    new_value: load.contact
+                }));
+            await store.saveLoads(changed.map(row => ({ row, isNew: false, rewrite: true })), history);
+        }
+        await store.recordMigration(migration.id, observedAt);
+    }
+    return results;
+}
+
+module.exports = {
+    MIGRATIONS,
+    migrateContacts,
+    migrateCoordinates,
+    unlocatedLoads,
+    runMigrations
+};
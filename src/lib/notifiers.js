@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+const { formatUsd } = require('./parsers');
+const { formatContact } = require('./contacts');
+const { sendMail } = require('./smtp');
+
+/**
+ * Notifiers deliver load alerts (see alerts.js). Each is declared by name
+ * in the alert rules file and built by createNotifier from its `type`:
+ *
+ *   "console": { "type": "console" }
+ *   "log":     { "type": "file", "path": "output/alerts.jsonl" }
+ *   "slack":   { "type": "webhook", "url": "https://hooks.slack.com/...", "headers": {} }
+ *   "email":   { "type": "smtp", "host": "smtp.gmail.com", "port": 465,
+ *                "user": "alerts@example.com", "passwordEnv": "SMTP_PASSWORD",
+ *                "from": "alerts@example.com", "to": ["dispatch@example.com"] }
+ *
+ * A notifier is `{ name, type, send(alert) }`, where alert is
+ * `{ rule, load, matchedAt }`; send rejects when delivery failed. SMTP
+ * passwords are read from the environment variable named by passwordEnv so
+ * the rules file holds no secrets.
+ */
+
+const DEFAULT_WEBHOOK_TIMEOUT_MS = 10000;
+
+/**
+ * One-line summary of an alert, used as the email subject and console text.
+ */
+function alertSubject({ rule, load }) {
+    const rate = load.rate_per_mile ? ` $${Number(load.rate_per_mile).toFixed(2)}/mi` : '';
+    return `[${rule}] ${load.origin || '?'} → ${load.destination || '?'}${rate}`;
+}
+
+/**
+ * Readable body of an alert: the lane, rate, broker, contact and age.
+ */
+function alertText(alert) {
+    const { load } = alert;
+    const lines = [alertSubject(alert), ''];
+    const add = (label, value) => {
+        if (value !== null && value !== undefined && value !== '') lines.push(`${label}: ${value}`);
+    };
+
+    add('Reference', load.reference_number);
+    add('Equipment', load.equipment);
+    add('Rate', load.rate_total_usd ? formatUsd(Math.round(Number(load.rate_total_usd) * 100)) : null);
+    add('Rate per mile', load.rate_per_mile ? `$${Number(load.rate_per_mile).toFixed(2)}` : null);
+    add('Pickup', load.pickup_start);
+    add('Broker', load.company);
+    add('Contact', formatContact(load) || load.contact);
+    add('Posted', load.age_posted ? `${load.age_posted} ago` : null);
+    add('Seen at', load.last_seen_at || load.extracted_at);
+    return lines.join('\n');
+}
+
+function alertPayload(alert) {
+    return {
+        rule: alert.rule,
+        matched_at: alert.matchedAt,
+        text: alertSubject(alert),
+        load: alert.load
+    };
+}
+
+function consoleNotifier(name, spec, { logger }) {
+    return {
+        name,
+        type: 'console',
+        async send(alert) {
+            logger.info('Load alert', {
+                rule: alert.rule,
+                loadId: alert.load.load_id,
+                origin: alert.load.origin,
+                destination: alert.load.destination,
+                ratePerMile: alert.load.rate_per_mile,
+                company: alert.load.company,
+                contact: formatContact(alert.load) || alert.load.contact,
+                agePosted: alert.load.age_posted
+            });
+        }
+    };
+}
+
+function fileNotifier(name, spec) {
+    if (!spec.path) throw new Error(`Notifier "${name}": path is required`);
+    return {
+        name,
+        type: 'file',
+        async send(alert) {
+            await fs.promises.mkdir(path.dirname(spec.path), { recursive: true });
+            await fs.promises.appendFile(spec.path, JSON.stringify(alertPayload(alert)) + '\n');
+        }
+    };
+}
+
+function webhookNotifier(name, spec) {
+    if (!spec.url) throw new Error(`Notifier "${name}": url is required`);
+    return {
+        name,
+        type: 'webhook',
+        async send(alert) {
+            const response = await fetch(spec.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...(spec.headers || {}) },
+                body: JSON.stringify(alertPayload(alert)),
+                signal: AbortSignal.timeout(spec.timeoutMs || DEFAULT_WEBHOOK_TIMEOUT_MS)
+            });
+            if (!response.ok) {
+                throw new Error(`Webhook ${spec.url} answered ${response.status}`);
+            }
+        }
+    };
+}
+
+function smtpNotifier(name, spec, { env }) {
+    for (const field of ['host', 'from', 'to']) {
+        if (!spec[field]) throw new Error(`Notifier "${name}": ${field} is required`);
+    }
+    const to = [].concat(spec.to);
+    return {
+        name,
+        type: 'smtp',
+        async send(alert) {
+            await sendMail({
+                host: spec.host,
+                port: spec.port,
+                secure: spec.secure,
+                starttls: spec.starttls,
+                user: spec.user,
+                password: spec.passwordEnv ? env[spec.passwordEnv] : undefined,
+                from: spec.from,
+                to,
+                subject: alertSubject(alert),
+                text: alertText(alert)
+            });
+        }
+    };
+}
+
+const NOTIFIER_TYPES = {
+    console: consoleNotifier,
+    file: fileNotifier,
+    webhook: webhookNotifier,
+    smtp: smtpNotifier
+};
+
+/**
+ * Build a notifier from its declaration in the rules file.
+ *
+ * @param {string} name
+ * @param {{ type: string }} spec
+ * @param {{ logger?: object, env?: object }} context
+ */
+function createNotifier(name, spec, { logger = console, env = process.env } = {}) {
+    const factory = spec && NOTIFIER_TYPES[spec.type];
+    if (!factory) {
+        throw new Error(`Notifier "${name}": type must be one of ${Object.keys(NOTIFIER_TYPES).join(', ')}`);
+    }
+    return factory(name, spec, { logger, env });
+}
+
+module.exports = {
+    NOTIFIER_TYPES,
+    alertSubject,
+    alertText,
+    createNotifier
+};
@@ -0,0 +1,336 @@
+/**
+ * Canonical parsers for DAT ONE load board text.
+ *
+ * Every scraper runs raw cell text through these functions so the same row
+ * yields the same record whichever entry point extracted it. Parsers return
+ * typed values: money in integer cents, distances in whole miles, weights in
+ * pounds, equipment lengths in feet and dates as ISO strings. Anything
+ * unparseable becomes null.
+ */
+
+const EMPTY_VALUES = new Set(['', '–', '—', '-', 'N/A', 'n/a', 'undefined', 'null']);
+
+// "City, ST" (city may contain spaces, dots and apostrophes)
+const PLACE_PATTERN = /^(.+?),\s*([A-Z]{2})$/;
+
+// Two places run together, e.g. "Manteca, CAAurora, CO"
+const COMBINED_PLACES_PATTERN = /^(.+?,\s*[A-Z]{2})\s*([A-Z][A-Za-z.' -]*?,\s*[A-Z]{2})$/;
+
+/**
+ * Trim a raw cell value, mapping the board's placeholder values to null.
+ */
+function normalizeValue(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+
+    const text = String(value).replace(/\s+/g, ' ').trim();
+    if (EMPTY_VALUES.has(text)) {
+        return null;
+    }
+    return text;
+}
+
+/**
+ * Parse a dollar amount such as "$2,700" or "2.17" into integer cents.
+ */
+function parseMoneyToCents(text) {
+    const value = normalizeValue(text);
+    if (!value) return null;
+
+    const match = value.match(/\$?\s*(\d[\d,]*(?:\.\d+)?|\.\d+)/);
+    if (!match) return null;
+
+    const amount = parseFloat(match[1].replace(/,/g, ''));
+    return Number.isFinite(amount) ? Math.round(amount * 100) : null;
+}
+
+/**
+ * Parse a rate cell. DAT ONE renders the total and per-mile rates run
+ * together ("$2,700$2.17*" + "/mi"), either one alone, or a dash when no
+ * rate is posted.
+ *
+ * @returns {{ totalCents: number|null, perMileCents: number|null }}
+ */
+function parseRate(rateText) {
+    const text = normalizeValue(rateText);
+    if (!text) {
+        return { totalCents: null, perMileCents: null };
+    }
+
+    let remainder = text;
+    let perMileCents = null;
+
+    const perMileMatch = text.match(/\$?\s*(\d[\d,]*(?:\.\d+)?|\.\d+)\s*\*?\s*\/\s*mi\b/i);
+    if (perMileMatch) {
+        perMileCents = parseMoneyToCents(perMileMatch[1]);
+        remainder = text.slice(0, perMileMatch.index) + text.slice(perMileMatch.index + perMileMatch[0].length);
+    }
+
+    const totalCents = /\d/.test(remainder) ? parseMoneyToCents(remainder) : null;
+
+    return { totalCents, perMileCents };
+}
+
+/**
+ * Convert cents back to a dollar number for CSV columns.
+ */
+function centsToDollars(cents) {
+    if (cents === null || cents === undefined) return null;
+    return cents / 100;
+}
+
+/**
+ * Format cents for log output: "$2,700" or "$2.17".
+ */
+function formatUsd(cents) {
+    if (cents === null || cents === undefined) return 'N/A';
+    const dollars = cents / 100;
+    return '$' + dollars.toLocaleString('en-US', {
+        minimumFractionDigits: cents % 100 === 0 ? 0 : 2,
+        maximumFractionDigits: 2
+    });
+}
+
+/**
+ * Parse a rate cell straight into the record's rate columns.
+ *
+ * @returns {{ rate_total_usd: number|null, rate_per_mile: number|null }}
+ */
+function toRateColumns(rateText) {
+    const { totalCents, perMileCents } = parseRate(rateText);
+    return {
+        rate_total_usd: centsToDollars(totalCents),
+        rate_per_mile: centsToDollars(perMileCents)
+    };
+}
+
+/**
+ * A stored column as a number: numbers as they are, numeric text (CSV
+ * columns) parsed, and anything empty or not a number as null.
+ */
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Round a computed column to `digits` decimals (cents by default), keeping
+ * null as null.
+ */
+function round(value, digits = 2) {
+    if (value === null) return null;
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Normalize "Denver,CO" / "Denver ,  CO" to "Denver, CO".
+ */
+function formatPlace(text) {
+    const value = normalizeValue(text);
+    if (!value) return null;
+
+    const match = value.match(PLACE_PATTERN);
+    return match ? `${match[1].trim()}, ${match[2]}` : value;
+}
+
+/**
+ * Split the origin and destination cells into clean "City, ST" values.
+ *
+ * The origin cell frequently contains both places run together
+ * ("Castroville, CADenver, CO"), with or without a separate destination
+ * cell, so both shapes are handled here.
+ *
+ * @returns {{ origin: string|null, destination: string|null }}
+ */
+function parseOriginDestination(originText, destinationText) {
+    let origin = normalizeValue(originText);
+    let destination = normalizeValue(destinationText);
+
+    if (origin && destination && origin !== destination && origin.endsWith(destination)) {
+        origin = origin.slice(0, -destination.length);
+    }
+
+    if (origin) {
+        const combined = origin.match(COMBINED_PLACES_PATTERN);
+        if (combined) {
+            origin = combined[1];
+            destination = destination || combined[2];
+        }
+    }
+
+    return {
+        origin: formatPlace(origin),
+        destination: formatPlace(destination)
+    };
+}
+
+/**
+ * Parse a US phone number with optional extension. Accepts display text
+ * ("(209) 599-5418 x12") as well as tel: hrefs ("tel:2095995418").
+ *
+ * @returns {{ digits: string, e164: string, formatted: string, extension: string|null }|null}
+ */
+function parsePhoneNumber(phoneText) {
+    const text = normalizeValue(phoneText);
+    if (!text) return null;
+
+    const match = text
+        .replace(/^tel:/i, '')
+        .match(/(?:\+?1[-.\s]?)?\(?(\d{3})\)?[-.\s]?(\d{3})[-.\s]?(\d{4})(?:\s*(?:x|ext\.?|extension|#)\s*(\d{1,6}))?/i);
+    if (!match) return null;
+
+    const [, area, exchange, line, extension] = match;
+    return {
+        digits: `${area}${exchange}${line}`,
+        e164: `+1${area}${exchange}${line}`,
+        formatted: `(${area}) ${exchange}-${line}`,
+        extension: extension || null
+    };
+}
+
+/**
+ * Parse a weight cell ("42,000 lbs", "45k lbs", "45K") into pounds.
+ */
+function parseWeight(weightText) {
+    const text = normalizeValue(weightText);
+    if (!text) return null;
+
+    const match = text.match(/(\d[\d,]*(?:\.\d+)?)\s*(k\b|lbs?\b|pounds?\b)?/i);
+    if (!match) return null;
+
+    const amount = parseFloat(match[1].replace(/,/g, ''));
+    if (!Number.isFinite(amount)) return null;
+
+    const isThousands = match[2] && match[2].toLowerCase() === 'k';
+    return Math.round(isThousands ? amount * 1000 : amount);
+}
+
+/**
+ * Parse an equipment length cell ("53 ft", "48'") into feet.
+ */
+function parseEquipmentLength(lengthText) {
+    const text = normalizeValue(lengthText);
+    if (!text) return null;
+
+    const match = text.match(/(\d+(?:\.\d+)?)\s*(?:ft\b|feet\b|foot\b|')/i);
+    return match ? Math.round(parseFloat(match[1])) : null;
+}
+
+/**
+ * Parse a trip distance cell ("1,234 mi", "812 miles") into whole miles.
+ */
+function parseMiles(milesText) {
+    const text = normalizeValue(milesText);
+    if (!text) return null;
+
+    const match = text.match(/(\d[\d,]*(?:\.\d+)?)\s*(?:mi\b|miles?\b)/i);
+    if (!match) return null;
+
+    const miles = parseFloat(match[1].replace(/,/g, ''));
+    return Number.isFinite(miles) ? Math.round(miles) : null;
+}
+
+/**
+ * Parse DAT's posting age ("2m", "1h", "1h 15m", "3d") into minutes. Ages
+ * shown as "now" or "<1m" count as zero.
+ */
+function parseAgeMinutes(ageText) {
+    const text = normalizeValue(ageText);
+    if (!text) return null;
+    if (/^(now|just now|<\s*1\s*m)$/i.test(text)) return 0;
+
+    const units = { m: 1, h: 60, d: 24 * 60 };
+    const parts = [...text.matchAll(/(\d+)\s*([mhd])/gi)];
+    if (parts.length === 0) return null;
+
+    return parts.reduce((minutes, [, amount, unit]) => minutes + parseInt(amount, 10) * units[unit.toLowerCase()], 0);
+}
+
+// Dates on the board: "9/8", "09/08/2025", "9/8/25"
+const BOARD_DATE_PATTERN = /(\d{1,2})\/(\d{1,2})(?:\/(\d{4}|\d{2}))?/;
+
+// Times: "8:00 AM", "2pm", "14:00"
+const BOARD_TIME_PATTERN = /(\d{1,2})(?::(\d{2}))?\s*([ap])\.?m\.?|(\d{1,2}):(\d{2})/i;
+
+const pad = number => String(number).padStart(2, '0');
+
+// The year that puts month/day closest to the reference date, so a
+// January pickup seen in late December lands in the next year
+function closestYear(month, day, referenceDate) {
+    const year = referenceDate.getFullYear();
+    return [year - 1, year, year + 1].reduce((best, candidate) => {
+        const distance = Math.abs(new Date(candidate, month - 1, day) - referenceDate);
+        const bestDistance = Math.abs(new Date(best, month - 1, day) - referenceDate);
+        return distance < bestDistance ? candidate : best;
+    });
+}
+
+function parseWindowPoint(text, fallbackDate, referenceDate) {
+    let date = fallbackDate;
+    const dateMatch = text.match(BOARD_DATE_PATTERN);
+    if (dateMatch) {
+        const month = parseInt(dateMatch[1], 10);
+        const day = parseInt(dateMatch[2], 10);
+        if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+        let year = dateMatch[3] ? parseInt(dateMatch[3], 10) : closestYear(month, day, referenceDate);
+        if (year < 100) year += 2000;
+        date = `${year}-${pad(month)}-${pad(day)}`;
+    }
+    if (!date) return null;
+
+    const timeMatch = (dateMatch ? text.replace(dateMatch[0], '') : text).match(BOARD_TIME_PATTERN);
+    if (!timeMatch) return date;
+
+    let hours = parseInt(timeMatch[1] || timeMatch[4], 10);
+    const minutes = parseInt(timeMatch[2] || timeMatch[5] || '0', 10);
+    const meridiem = timeMatch[3] && timeMatch[3].toLowerCase();
+    if (meridiem) hours = (hours % 12) + (meridiem === 'p' ? 12 : 0);
+    if (hours > 23 || minutes > 59) return date;
+
+    return `${date}T${pad(hours)}:${pad(minutes)}`;
+}
+
+/**
+ * Parse a pickup or delivery window ("9/8", "9/8 - 9/10",
+ * "9/8 08:00 - 14:00", "9/8/2025 8:00 AM - 9/9/2025 5:00 PM") into start
+ * and end strings, "YYYY-MM-DD" or "YYYY-MM-DDTHH:MM" when a time is
+ * given. Times are local to the stop, so no timezone is attached. A date
+ * without a year takes the year closest to referenceDate; an end without a
+ * date shares the start's.
+ *
+ * @returns {{ start: string, end: string }|null}
+ */
+function parseDateWindow(windowText, referenceDate = new Date()) {
+    const text = normalizeValue(windowText);
+    if (!text) return null;
+
+    const [startText, endText] = text.split(/\s*(?:[-–—]|\bto\b)\s*/i);
+    const start = parseWindowPoint(startText, null, referenceDate);
+    if (!start) return null;
+
+    const end = endText ? parseWindowPoint(endText, start.substring(0, 10), referenceDate) : null;
+    return { start, end: end || start };
+}
+
+module.exports = {
+    normalizeValue,
+    parseMoneyToCents,
+    parseRate,
+    centsToDollars,
+    formatUsd,
+    toRateColumns,
+    toNumber,
+    round,
+    formatPlace,
+    parseOriginDestination,
+    parsePhoneNumber,
+    parseWeight,
+    parseEquipmentLength,
+    parseMiles,
+    parseAgeMinutes,
+    parseDateWindow
+};
@@ -0,0 +1,125 @@
+const { formatPlace, toNumber, round } = require('./parsers');
+
+/**
+ * What a load pays once the truck's costs are taken out.
+ *
+ * The truck profile comes from configuration: miles per gallon, diesel
+ * price per gallon, maintenance and driver pay per mile, and where the
+ * truck is now. For each load:
+ *
+ * - loaded_miles: the rate's own miles (total / per mile) when DAT shows
+ *   both, else the distance provider's miles from origin to destination
+ * - deadhead_miles: empty miles from the truck to the origin (0 without a
+ *   truck location)
+ * - fuel_cost_usd: all-in miles / MPG * diesel price
+ * - operating_cost_usd: fuel plus maintenance and driver pay per all-in mile
+ * - net_revenue_usd: the total rate less the operating cost
+ * - net_per_mile_usd: net revenue per all-in (loaded + deadhead) mile
+ *
+ * A load without a rate or with a place the distance provider cannot
+ * route leaves the columns it cannot compute empty, and the lane is
+ * logged.
+ */
+
+/**
+ * The truck profile from the configuration.
+ *
+ * @param {{ truckLocation: string|null, truckMpg: number, dieselPrice: number,
+ *           maintenancePerMile: number, driverPayPerMile: number }} config
+ */
+function truckProfile(config) {
+    if (!(config.truckMpg > 0)) {
+        throw new Error(`truckMpg must be above zero, got "${config.truckMpg}"`);
+    }
+    return {
+        location: formatPlace(config.truckLocation),
+        mpg: config.truckMpg,
+        dieselPrice: config.dieselPrice,
+        maintenancePerMile: config.maintenancePerMile,
+        driverPayPerMile: config.driverPayPerMile
+    };
+}
+
+// Where a load end is: its stored coordinates when it has them, so the
+// provider does not have to resolve the place again
+function routeEnd(load, side) {
+    const lat = toNumber(load[`${side}_lat`]);
+    const lon = toNumber(load[`${side}_lon`]);
+    return lat !== null && lon !== null ? { place: load[side], lat, lon } : load[side];
+}
+
+async function routeMiles(distanceProvider, origin, destination, logger) {
+    try {
+        return (await distanceProvider.route(origin, destination)).miles;
+    } catch (error) {
+        const place = end => (end && typeof end === 'object' ? end.place : end);
+        logger.warn('Could not route load, leaving its miles empty', { origin: place(origin), destination: place(destination), error: error.message });
+        return null;
+    }
+}
+
+/**
+ * The profitability columns of one load.
+ *
+ * @param {object} load a load record
+ * @param {object} truck as truckProfile returns it
+ * @param {import('./distance').DistanceProvider} distanceProvider
+ * @param {object} [logger] told about lanes the provider cannot route
+ * @returns {Promise<{ loaded_miles: number|null, deadhead_miles: number|null,
+ *          fuel_cost_usd: number|null, operating_cost_usd: number|null,
+ *          net_revenue_usd: number|null, net_per_mile_usd: number|null }>}
+ */
+async function estimateProfit(load, truck, distanceProvider, logger = console) {
+    const total = toNumber(load.rate_total_usd);
+    const perMile = toNumber(load.rate_per_mile);
+
+    let loadedMiles = total !== null && perMile ? total / perMile : null;
+    if (loadedMiles === null && load.origin && load.destination) {
+        loadedMiles = await routeMiles(distanceProvider, routeEnd(load, 'origin'), routeEnd(load, 'destination'), logger);
+    }
+    let deadheadMiles = 0;
+    if (truck.location) {
+        deadheadMiles = load.origin ? await routeMiles(distanceProvider, truck.location, routeEnd(load, 'origin'), logger) : null;
+    }
+
+    const columns = {
+        loaded_miles: round(loadedMiles, 1),
+        deadhead_miles: round(deadheadMiles, 1),
+        fuel_cost_usd: null,
+        operating_cost_usd: null,
+        net_revenue_usd: null,
+        net_per_mile_usd: null
+    };
+    if (loadedMiles === null || deadheadMiles === null) return columns;
+
+    const allInMiles = loadedMiles + deadheadMiles;
+    const fuelCost = allInMiles / truck.mpg * truck.dieselPrice;
+    const operatingCost = fuelCost + allInMiles * (truck.maintenancePerMile + truck.driverPayPerMile);
+    columns.fuel_cost_usd = round(fuelCost);
+    columns.operating_cost_usd = round(operatingCost);
+
+    const revenue = total !== null ? total : (perMile !== null ? perMile * loadedMiles : null);
+    if (revenue !== null && allInMiles > 0) {
+        columns.net_revenue_usd = round(revenue - operatingCost);
+        columns.net_per_mile_usd = round((revenue - operatingCost) / allInMiles);
+    }
+    return columns;
+}
+
+/**
+ * The records with their profitability columns, one load at a time so a
+ * remote distance provider sees requests in order.
+ */
+async function applyProfitability(records, { truck, distanceProvider, logger = console }) {
+    const results = [];
+    for (const record of records) {
+        results.push({ ...record, ...(await estimateProfit(record, truck, distanceProvider, logger)) });
+    }
+    return results;
+}
+
+module.exports = {
+    truckProfile,
+    estimateProfit,
+    applyProfitability
+};
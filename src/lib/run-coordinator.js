@@ -0,0 +1,280 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * One scrape at a time, within a process and across processes.
+ *
+ * RunCoordinator serializes the runs of one process. When a tick comes due
+ * while a run is still going, the overlap policy decides what happens to
+ * it:
+ *
+ * - skip: drop it
+ * - queue: run it after the current one, in order (up to maxQueue waiting)
+ * - coalesce: like queue, but a profile already waiting is not queued
+ *   twice, so a slow run delays the rotation instead of piling it up
+ *
+ * RunLock is a lock file in the output directory that every run holds,
+ * so a `dispatch scrape` started by hand, a second scheduler or any other
+ * process using the coordinator never scrapes into the same output at the
+ * same time. The holder touches the file while it runs. A lock whose
+ * process is gone (same host) or that has not been touched for staleMs is
+ * stale and is taken over.
+ */
+
+const RUN_OVERLAP_POLICIES = ['skip', 'queue', 'coalesce'];
+
+const DEFAULT_STALE_MS = 2 * 60 * 1000;
+const DEFAULT_MAX_QUEUE = 10;
+
+function processAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        // EPERM: it exists but belongs to someone else
+        return error.code === 'EPERM';
+    }
+}
+
+class RunLock {
+    /**
+     * @param {object} options
+     * @param {string} options.filePath
+     * @param {number} [options.staleMs] untouched this long, a lock is stale
+     * @param {object} [options.logger]
+     */
+    constructor({ filePath, staleMs = DEFAULT_STALE_MS, logger = console }) {
+        this.filePath = filePath;
+        this.staleMs = staleMs;
+        this.logger = logger;
+        this.token = null;
+        this.heartbeat = null;
+    }
+
+    get held() {
+        return this.token !== null;
+    }
+
+    /**
+     * Who holds the lock: { pid, hostname, token, label, acquiredAt, touchedAt }
+     * or null when nobody does. A lock file that cannot be read counts as
+     * held by an unknown process until it goes stale.
+     */
+    holder() {
+        let stat;
+        try {
+            stat = fs.statSync(this.filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+        let content = {};
+        try {
+            content = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            // Being written, or damaged; judged by its age alone
+        }
+        return { ...content, touchedAt: stat.mtime.toISOString() };
+    }
+
+    isStale(holder, now = Date.now()) {
+        if (now - Date.parse(holder.touchedAt) > this.staleMs) return true;
+        return holder.hostname === os.hostname() && Number.isInteger(holder.pid) && !processAlive(holder.pid);
+    }
+
+    /**
+     * Take the lock if it is free or stale.
+     *
+     * @param {string|null} [label] what the holder is doing, for the
+     *        message another process shows
+     * @returns {boolean}
+     */
+    acquire(label = null) {
+        if (this.held) return true;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+        const token = crypto.randomBytes(8).toString('hex');
+        const content = JSON.stringify({
+            pid: process.pid,
+            hostname: os.hostname(),
+            token,
+            label,
+            acquiredAt: new Date().toISOString()
+        });
+
+        for (let attempt = 0; attempt < 2; attempt++) {
+            try {
+                fs.writeFileSync(this.filePath, content, { flag: 'wx' });
+                this.token = token;
+                this.startHeartbeat();
+                return true;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            const holder = this.holder();
+            if (holder && !this.isStale(holder)) return false;
+            if (holder) this.breakStale(holder);
+        }
+        return false;
+    }
+
+    // Move the stale file aside before deleting it, and put it back if
+    // another process replaced it with a fresh lock in the meantime
+    breakStale(stale) {
+        const aside = `${this.filePath}.${process.pid}.stale`;
+        try {
+            fs.renameSync(this.filePath, aside);
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+        let moved = {};
+        try {
+            moved = JSON.parse(fs.readFileSync(aside, 'utf8'));
+        } catch (error) {
+            // Unreadable: the stale lock we judged by its age
+        }
+        if (moved.token && moved.token !== stale.token) {
+            fs.renameSync(aside, this.filePath);
+            return;
+        }
+        fs.rmSync(aside, { force: true });
+        this.logger.warn('Took over a stale run lock', {
+            lockFile: this.filePath,
+            pid: stale.pid || null,
+            hostname: stale.hostname || null,
+            touchedAt: stale.touchedAt
+        });
+    }
+
+    startHeartbeat() {
+        this.heartbeat = setInterval(() => {
+            try {
+                const now = new Date();
+                fs.utimesSync(this.filePath, now, now);
+            } catch (error) {
+                this.logger.warn('Could not refresh the run lock', { lockFile: this.filePath, error: error.message });
+            }
+        }, Math.max(this.staleMs / 4, 1000));
+        this.heartbeat.unref();
+    }
+
+    /**
+     * Give the lock up, if this process still holds it.
+     */
+    release() {
+        if (!this.held) return;
+        clearInterval(this.heartbeat);
+        this.heartbeat = null;
+        const holder = this.holder();
+        if (holder && holder.token === this.token) {
+            fs.rmSync(this.filePath, { force: true });
+        }
+        this.token = null;
+    }
+}
+
+/**
+ * Runs one task at a time; see the overlap policies above.
+ */
+class RunCoordinator {
+    /**
+     * @param {object} [options]
+     * @param {'skip'|'queue'|'coalesce'} [options.policy]
+     * @param {RunLock|null} [options.lock] held around every run
+     * @param {number} [options.maxQueue] most runs waiting at once
+     * @param {object} [options.logger]
+     */
+    constructor({ policy = 'coalesce', lock = null, maxQueue = DEFAULT_MAX_QUEUE, logger = console } = {}) {
+        if (!RUN_OVERLAP_POLICIES.includes(policy)) {
+            throw new Error(`Run overlap policy must be one of ${RUN_OVERLAP_POLICIES.join(', ')}, got "${policy}"`);
+        }
+        this.policy = policy;
+        this.lock = lock;
+        this.maxQueue = maxQueue;
+        this.logger = logger;
+        this.running = null;
+        this.pending = [];
+        this.skipped = 0;
+        this.lockedOut = 0;
+    }
+
+    /**
+     * Run a task now, later or not at all.
+     *
+     * @param {string} key names the run (the search profile) in logs and
+     *        for coalescing
+     * @param {function(): Promise<*>} task
+     * @returns {Promise<{ status: 'completed', result: * }|{ status: 'skipped', reason: string }>}
+     *          rejects when the task does
+     */
+    submit(key, task) {
+        if (this.running === null) {
+            return this.start(key, task);
+        }
+
+        const waiting = this.pending.find(run => run.key === key);
+        if (this.policy === 'coalesce' && waiting) {
+            return waiting.promise;
+        }
+        if (this.policy === 'skip' || this.pending.length >= this.maxQueue) {
+            const reason = this.policy === 'skip'
+                ? `run "${this.running}" is still in progress`
+                : `${this.pending.length} runs are already waiting`;
+            this.skipped++;
+            this.logger.warn('Run skipped', { run: key, reason, policy: this.policy });
+            return Promise.resolve({ status: 'skipped', reason });
+        }
+
+        const run = { key, task };
+        run.promise = new Promise((resolve, reject) => Object.assign(run, { resolve, reject }));
+        this.pending.push(run);
+        this.logger.info('Run waiting for the current one', { run: key, current: this.running, waiting: this.pending.length });
+        return run.promise;
+    }
+
+    async start(key, task) {
+        this.running = key;
+        try {
+            if (this.lock && !this.lock.acquire(key)) {
+                const holder = this.lock.holder() || {};
+                const reason = `run lock ${this.lock.filePath} is held by pid ${holder.pid || 'unknown'}` +
+                    `${holder.hostname ? ` on ${holder.hostname}` : ''}${holder.label ? ` (${holder.label})` : ''}`;
+                this.lockedOut++;
+                this.logger.warn('Run skipped', { run: key, reason });
+                return { status: 'skipped', reason };
+            }
+            try {
+                return { status: 'completed', result: await task() };
+            } finally {
+                if (this.lock) this.lock.release();
+            }
+        } finally {
+            this.running = null;
+            const next = this.pending.shift();
+            if (next) this.start(next.key, next.task).then(next.resolve, next.reject);
+        }
+    }
+
+    /**
+     * The coordinator's state for /health.
+     */
+    describe() {
+        return {
+            policy: this.policy,
+            running: this.running,
+            pending: this.pending.map(run => run.key),
+            skipped: this.skipped,
+            lockedOut: this.lockedOut
+        };
+    }
+}
+
+module.exports = {
+    RUN_OVERLAP_POLICIES,
+    RunLock,
+    RunCoordinator
+};
@@ -0,0 +1,174 @@
+/**
+ * Timed steps of a production run.
+ *
+ * A run records one span per step: browser (ensure the connection),
+ * navigate, search-form, wait-for-results, row-discovery, then a row span
+ * for each load with a detail-click span inside it, enrich (profitability
+ * and transit) and save. Each span has its start and duration in
+ * milliseconds from the start of the run, an outcome of ok or error and,
+ * for errors, the error class and message:
+ *
+ *   { "name": "wait-for-results", "startMs": 2140, "durationMs": 25003,
+ *     "outcome": "error", "errorClass": "TimeoutError",
+ *     "error": "Timeout 25000ms exceeded." }
+ *
+ * The stats file keeps each run's step spans (without the row and
+ * detail-click spans, which are one per load, and without error messages)
+ * and a per-step summary, and summarizeSteps averages the steps over the
+ * run history. All spans go into the run's failure bundle.
+ */
+
+// Steps in the order a run takes them
+const RUN_STEPS = [
+    'browser',
+    'navigate',
+    'search-form',
+    'wait-for-results',
+    'row-discovery',
+    'row',
+    'detail-click',
+    'enrich',
+    'save'
+];
+
+// Steps taken once per load
+const ROW_STEPS = ['row', 'detail-click'];
+
+/**
+ * The class of an error for grouping: its name when it has its own
+ * (Playwright's TimeoutError), else TimeoutError for timeout messages,
+ * else Error.
+ */
+function errorClass(error) {
+    if (error && error.name && error.name !== 'Error') return error.name;
+    return /timeout|timed out/i.test(error && error.message) ? 'TimeoutError' : 'Error';
+}
+
+class RunTrace {
+    /**
+     * @param {object} [options]
+     * @param {function(): number} [options.clock]
+     */
+    constructor({ clock = Date.now } = {}) {
+        this.clock = clock;
+        this.startedAt = clock();
+        this.spans = [];
+    }
+
+    /**
+     * Time a step. The error of a failed step is recorded and rethrown.
+     *
+     * @param {string} name
+     * @param {function(): Promise<*>|*} step
+     * @param {object} [attributes] kept on the span, e.g. { index: 3 }
+     */
+    async span(name, step, attributes = {}) {
+        const start = this.clock();
+        try {
+            const result = await step();
+            this.record(name, start, null, attributes);
+            return result;
+        } catch (error) {
+            this.record(name, start, error, attributes);
+            throw error;
+        }
+    }
+
+    record(name, start, error = null, attributes = {}) {
+        const span = {
+            name,
+            startMs: start - this.startedAt,
+            durationMs: this.clock() - start,
+            outcome: error ? 'error' : 'ok',
+            ...attributes
+        };
+        if (error) {
+            span.errorClass = errorClass(error);
+            span.error = error.message;
+        }
+        this.spans.push(span);
+        return span;
+    }
+
+    /**
+     * Per-step totals: { [step]: { count, totalMs, maxMs, errors } } in
+     * the order the steps ran.
+     */
+    summary() {
+        const steps = {};
+        for (const span of this.spans) {
+            const step = steps[span.name] || (steps[span.name] = { count: 0, totalMs: 0, maxMs: 0, errors: 0 });
+            step.count++;
+            step.totalMs += span.durationMs;
+            step.maxMs = Math.max(step.maxMs, span.durationMs);
+            if (span.outcome === 'error') step.errors++;
+        }
+        return steps;
+    }
+
+    /**
+     * The spans of the steps taken once per run, with their name, start,
+     * duration, outcome and error class only, for the run history.
+     */
+    stepSpans() {
+        return this.spans
+            .filter(span => !ROW_STEPS.includes(span.name))
+            .map(({ name, startMs, durationMs, outcome, errorClass }) => (
+                errorClass ? { name, startMs, durationMs, outcome, errorClass } : { name, startMs, durationMs, outcome }
+            ));
+    }
+
+    /**
+     * The step that took the longest in total, or null.
+     */
+    slowestStep() {
+        let slowest = null;
+        for (const [name, step] of Object.entries(this.summary())) {
+            if (!slowest || step.totalMs > slowest.totalMs) slowest = { name, totalMs: step.totalMs };
+        }
+        return slowest;
+    }
+}
+
+/**
+ * Average each step over the runs that recorded it:
+ * { [step]: { runs, averageMs, maxMs, errors, shareOfRun } }, where
+ * averageMs is the step's time per run, maxMs its longest single span and
+ * shareOfRun the percentage of those runs' time it took. detail-click
+ * spans lie inside row spans, so their shares overlap.
+ */
+function summarizeSteps(runs) {
+    const totals = {};
+    for (const run of runs) {
+        if (!run.steps) continue;
+        for (const [name, step] of Object.entries(run.steps)) {
+            const total = totals[name] || (totals[name] = { runs: 0, totalMs: 0, maxMs: 0, errors: 0, runMs: 0 });
+            total.runs++;
+            total.totalMs += step.totalMs;
+            total.maxMs = Math.max(total.maxMs, step.maxMs);
+            total.errors += step.errors;
+            total.runMs += run.duration || 0;
+        }
+    }
+
+    const order = name => (RUN_STEPS.includes(name) ? RUN_STEPS.indexOf(name) : RUN_STEPS.length);
+    const summary = {};
+    for (const name of Object.keys(totals).sort((a, b) => order(a) - order(b))) {
+        const total = totals[name];
+        summary[name] = {
+            runs: total.runs,
+            averageMs: Math.round(total.totalMs / total.runs),
+            maxMs: total.maxMs,
+            errors: total.errors,
+            shareOfRun: total.runMs > 0 ? Math.round(total.totalMs / total.runMs * 1000) / 10 : null
+        };
+    }
+    return summary;
+}
+
+module.exports = {
+    RUN_STEPS,
+    errorClass,
+    RunTrace,
+    summarizeSteps
+};
@@ -0,0 +1,389 @@
+const { ProfileRotation } = require('./search-profiles');
+
+/**
+ * When the production scheduler runs, and which search profile it runs.
+ *
+ * A profile may carry a five-field cron expression (minute, hour, day of
+ * month, month, day of week), read in the schedule's timezone:
+ *
+ *   { "name": "denver-bay-area-reefer", "origin": "Denver, CO",
+ *     "cron": "0,30 6-17 * * mon-fri" }
+ *
+ * Profiles without one take turns every intervalSeconds, as before. All
+ * runs are kept inside the operating window: business hours such as
+ * "06:00-18:00" (an end before the start runs overnight), days such as
+ * "mon-fri" and holiday dates such as "2025-12-25" that are skipped whole.
+ * Outside the window the scheduler idles until it opens again.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+// How far ahead to look for a run before deciding there is none
+const SEARCH_LIMIT_MS = 400 * 24 * 60 * MINUTE_MS;
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, firstName: 1 },
+    { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, firstName: 0 }
+];
+const DAY_OF_WEEK = CRON_FIELDS[4];
+
+// The values one cron field allows: "*", "5", "1-5", "mon-fri", "0,30",
+// each optionally with a "/step"
+function parseField(text, field) {
+    const value = part => {
+        const name = field.names ? field.names.indexOf(part.toLowerCase()) : -1;
+        const number = name >= 0 ? name + field.firstName : Number(part);
+        if (!Number.isInteger(number) || number < field.min || number > field.max) {
+            throw new Error(`${field.name} "${part}" is not between ${field.min} and ${field.max}`);
+        }
+        return number;
+    };
+
+    const values = new Set();
+    for (const item of text.split(',')) {
+        const [range, stepText] = item.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`${field.name} step "${stepText}" must be a whole number above zero`);
+        }
+
+        let start;
+        let end;
+        if (range === '*') {
+            [start, end] = [field.min, field.max];
+        } else if (range.includes('-')) {
+            [start, end] = range.split('-').map(value);
+            if (end < start) throw new Error(`${field.name} range "${range}" runs backwards`);
+        } else {
+            start = value(range);
+            end = stepText === undefined ? start : field.max;
+        }
+        for (let number = start; number <= end; number += step) {
+            values.add(number);
+        }
+    }
+    // Sunday is both 0 and 7
+    if (field === DAY_OF_WEEK && values.delete(7)) values.add(0);
+    return values;
+}
+
+/**
+ * Parse a five-field cron expression.
+ *
+ * @returns {{ expression: string, minutes: Set<number>, hours: Set<number>,
+ *           days: Set<number>, months: Set<number>, weekdays: Set<number>,
+ *           anyDay: boolean, anyWeekday: boolean }}
+ */
+function parseCron(expression) {
+    const parts = String(expression || '').trim().split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error(`Cron expression "${expression}" must have five fields: minute hour day-of-month month day-of-week`);
+    }
+    try {
+        const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, CRON_FIELDS[index]));
+        return { expression, minutes, hours, days, months, weekdays, anyDay: parts[2].startsWith('*'), anyWeekday: parts[4].startsWith('*') };
+    } catch (error) {
+        throw new Error(`Cron expression "${expression}": ${error.message}`);
+    }
+}
+
+// Like cron, a day matches either restricted day field when both are
+// restricted
+function cronDayMatches(cron, parts) {
+    if (!cron.months.has(parts.month)) return false;
+    const day = cron.days.has(parts.day);
+    const weekday = cron.weekdays.has(parts.weekday);
+    if (cron.anyDay || cron.anyWeekday) return day && weekday;
+    return day || weekday;
+}
+
+const formatters = new Map();
+
+function formatterFor(timezone) {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            weekday: 'short',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric'
+        }));
+    }
+    return formatters.get(timezone);
+}
+
+function localTimezone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * The wall-clock reading of an instant in a timezone.
+ *
+ * @returns {{ year: number, month: number, day: number, hour: number,
+ *           minute: number, weekday: number, date: string }} weekday 0 is
+ *          Sunday, date is YYYY-MM-DD
+ */
+function zonedParts(time, timezone) {
+    const parts = {};
+    for (const { type, value } of formatterFor(timezone).formatToParts(new Date(time))) {
+        parts[type] = value;
+    }
+    const result = {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        weekday: DAY_NAMES.indexOf(parts.weekday.toLowerCase())
+    };
+    result.date = `${result.year}-${String(result.month).padStart(2, '0')}-${String(result.day).padStart(2, '0')}`;
+    return result;
+}
+
+/**
+ * The first whole minute from `start` on whose wall-clock reading passes
+ * the day, hour and minute tests, skipping failed days and hours whole.
+ * null when there is none within SEARCH_LIMIT_MS.
+ */
+function findNext(start, timezone, test) {
+    let time = Math.ceil(start / MINUTE_MS) * MINUTE_MS;
+    const limit = start + SEARCH_LIMIT_MS;
+    while (time <= limit) {
+        const parts = zonedParts(time, timezone);
+        if (!test.day(parts)) {
+            // To 23:00 then by the hour, so a shorter daylight-saving day
+            // cannot step over midnight
+            const toMidnight = (24 - parts.hour) * 60 - parts.minute;
+            time += Math.max(toMidnight - 60, 60 - parts.minute) * MINUTE_MS;
+        } else if (!test.hour(parts)) {
+            time += (60 - parts.minute) * MINUTE_MS;
+        } else if (!test.minute(parts)) {
+            time += MINUTE_MS;
+        } else {
+            return time;
+        }
+    }
+    return null;
+}
+
+function parseClock(text, label) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(text.trim());
+    const minutes = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+    if (!match || Number(match[1]) > 24 || Number(match[2]) > 59 || minutes > 24 * 60) {
+        throw new Error(`operatingHours ${label} "${text}" must be a time such as 06:00`);
+    }
+    return minutes;
+}
+
+/**
+ * Business hours, working days and holidays, in one timezone.
+ */
+class OperatingWindow {
+    /**
+     * @param {object} [options]
+     * @param {string|null} [options.timezone] IANA name, e.g. America/Denver;
+     *        the machine's own zone by default
+     * @param {string|null} [options.hours] e.g. "06:00-18:00"
+     * @param {string|null} [options.days] e.g. "mon-fri" or "mon,wed,fri"
+     * @param {string|string[]|null} [options.holidays] YYYY-MM-DD dates,
+     *        comma separated or as a list
+     */
+    constructor({ timezone = null, hours = null, days = null, holidays = null } = {}) {
+        this.timezone = timezone || localTimezone();
+        try {
+            formatterFor(this.timezone);
+        } catch (error) {
+            throw new Error(`Unknown timezone "${this.timezone}"`);
+        }
+
+        this.hours = hours || null;
+        this.ranges = null;
+        if (this.hours) {
+            const [startText, endText] = this.hours.split('-');
+            if (endText === undefined) {
+                throw new Error(`operatingHours "${this.hours}" must be a range such as 06:00-18:00`);
+            }
+            const start = parseClock(startText, 'start');
+            const end = parseClock(endText, 'end');
+            if (start === end) throw new Error(`operatingHours "${this.hours}" is empty`);
+            this.ranges = start < end ? [[start, end]] : [[start, 24 * 60], [0, end]];
+        }
+
+        this.days = days || null;
+        try {
+            this.weekdays = this.days ? parseField(this.days, DAY_OF_WEEK) : null;
+        } catch (error) {
+            throw new Error(`operatingDays "${this.days}": ${error.message}`);
+        }
+
+        const dates = Array.isArray(holidays) ? holidays : String(holidays || '').split(',');
+        this.holidays = new Set(dates.map(date => String(date).trim()).filter(Boolean));
+        for (const date of this.holidays) {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) {
+                throw new Error(`holiday "${date}" must be a date such as 2025-12-25`);
+            }
+        }
+    }
+
+    /**
+     * The window the configuration describes (see config.js).
+     */
+    static fromConfig(config) {
+        return new OperatingWindow({
+            timezone: config.scheduleTimezone,
+            hours: config.operatingHours,
+            days: config.operatingDays,
+            holidays: config.holidays
+        });
+    }
+
+    dayOpen(parts) {
+        return (!this.weekdays || this.weekdays.has(parts.weekday)) && !this.holidays.has(parts.date);
+    }
+
+    hourOpen(parts) {
+        if (!this.ranges) return true;
+        const start = parts.hour * 60;
+        return this.ranges.some(([from, to]) => start < to && start + 60 > from);
+    }
+
+    minuteOpen(parts) {
+        if (!this.ranges) return true;
+        const minute = parts.hour * 60 + parts.minute;
+        return this.ranges.some(([from, to]) => minute >= from && minute < to);
+    }
+
+    isOpen(time = Date.now()) {
+        const parts = zonedParts(time, this.timezone);
+        return this.dayOpen(parts) && this.minuteOpen(parts);
+    }
+
+    /**
+     * `time` when the window is open then, else when it next opens.
+     */
+    nextOpen(time) {
+        if (this.isOpen(time)) return time;
+        return findNext(time, this.timezone, {
+            day: parts => this.dayOpen(parts),
+            hour: parts => this.hourOpen(parts),
+            minute: parts => this.minuteOpen(parts)
+        });
+    }
+
+    /**
+     * The next minute after `time` that a cron expression fires on inside
+     * the window.
+     */
+    nextCronTime(cron, time) {
+        return findNext(Math.floor(time / MINUTE_MS) * MINUTE_MS + MINUTE_MS, this.timezone, {
+            day: parts => cronDayMatches(cron, parts) && this.dayOpen(parts),
+            hour: parts => cron.hours.has(parts.hour) && this.hourOpen(parts),
+            minute: parts => cron.minutes.has(parts.minute) && this.minuteOpen(parts)
+        });
+    }
+
+    describe() {
+        return {
+            timezone: this.timezone,
+            hours: this.hours,
+            days: this.days,
+            holidays: [...this.holidays]
+        };
+    }
+}
+
+/**
+ * The production scheduler's plan: the cron profiles on their own
+ * expressions, the others rotating every interval.
+ *
+ * next() says what runs next and when; the scheduler waits for it and
+ * hands it back to take(), which returns the profile to run. A run that
+ * comes due late (a long run before it, a sleeping machine) runs once,
+ * not once for each slot it missed.
+ */
+class RunSchedule {
+    /**
+     * @param {object} options
+     * @param {object[]} options.profiles search profiles, none to run
+     *        whatever search is on screen
+     * @param {number} options.intervalSeconds
+     * @param {OperatingWindow} [options.window]
+     * @param {boolean} [options.immediate] run everything once at start
+     *        (when the window is open) instead of a first interval or cron
+     *        slot later
+     * @param {number} [options.now]
+     */
+    constructor({ profiles = [], intervalSeconds, window = new OperatingWindow(), immediate = false, now = Date.now() }) {
+        this.window = window;
+        this.intervalMs = intervalSeconds * 1000;
+        this.cronEntries = profiles
+            .filter(profile => profile.cron)
+            .map(profile => {
+                try {
+                    return { profile, cron: parseCron(profile.cron), after: now, immediate: immediate && window.isOpen(now) };
+                } catch (error) {
+                    throw new Error(`Search profile "${profile.name}": ${error.message}`);
+                }
+            });
+
+        const rotating = profiles.filter(profile => !profile.cron);
+        this.rotation = rotating.length > 0 || profiles.length === 0 ? new ProfileRotation(rotating) : null;
+        this.lastIntervalRun = immediate ? now - this.intervalMs : now;
+    }
+
+    /**
+     * The next run: { at (ms), profile, cron } with cron null for the
+     * rotation. null when nothing can run within the next 400 days.
+     */
+    next(now = Date.now()) {
+        const candidates = this.cronEntries.map(entry => ({
+            at: entry.immediate ? now : this.window.nextCronTime(entry.cron, entry.after),
+            profile: entry.profile,
+            cron: entry.cron.expression,
+            entry
+        }));
+        if (this.rotation) {
+            candidates.push({
+                at: this.window.nextOpen(Math.max(now, this.lastIntervalRun + this.intervalMs)),
+                profile: this.rotation.peek(),
+                cron: null,
+                entry: null
+            });
+        }
+
+        let earliest = null;
+        for (const candidate of candidates) {
+            if (candidate.at !== null && (!earliest || candidate.at < earliest.at)) earliest = candidate;
+        }
+        return earliest;
+    }
+
+    /**
+     * Record that a planned run is starting; returns its profile.
+     */
+    take(planned, now = Date.now()) {
+        if (!planned.entry) {
+            this.lastIntervalRun = now;
+            return this.rotation.next();
+        }
+        planned.entry.after = Math.max(planned.at, now);
+        planned.entry.immediate = false;
+        return planned.profile;
+    }
+}
+
+module.exports = {
+    parseCron,
+    zonedParts,
+    OperatingWindow,
+    RunSchedule
+};
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Screenshots of the page taken when a run fails, kept in the output
+ * directory's screenshots folder for the dashboard gallery. Files are named
+ * after the run ("failure-2025-09-01T01-00-00-000Z.png"), so the run
+ * history can point at them, and only the newest ones are kept.
+ */
+
+const DEFAULT_KEEP = 50;
+
+const SCREENSHOT_PATTERN = /^failure-[0-9TZ-]+\.png$/;
+
+/**
+ * File name of the failure screenshot for the run started at `timestamp`.
+ */
+function screenshotName(timestamp) {
+    return `failure-${timestamp.replace(/[:.]/g, '-')}.png`;
+}
+
+/**
+ * Whether a name is one of ours, and so safe to serve from the folder.
+ */
+function isScreenshotName(name) {
+    return SCREENSHOT_PATTERN.test(name);
+}
+
+/**
+ * Failure screenshots in `dir`, newest first.
+ *
+ * @returns {{ name: string, taken_at: string, size: number }[]}
+ */
+function listScreenshots(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(isScreenshotName)
+        .map(name => {
+            const stats = fs.statSync(path.join(dir, name));
+            return { name, taken_at: stats.mtime.toISOString(), size: stats.size };
+        })
+        .sort((a, b) => b.name.localeCompare(a.name));
+}
+
+/**
+ * Delete all but the newest `keep` screenshots.
+ *
+ * @returns {string[]} the names deleted
+ */
+function pruneScreenshots(dir, keep = DEFAULT_KEEP) {
+    const stale = listScreenshots(dir).slice(keep).map(screenshot => screenshot.name);
+    for (const name of stale) {
+        fs.unlinkSync(path.join(dir, name));
+    }
+    return stale;
+}
+
+/**
+ * Save a full-page screenshot for a failed run and prune old ones.
+ *
+ * @returns {Promise<string>} the file name
+ */
+async function saveFailureScreenshot(page, dir, timestamp, { keep = DEFAULT_KEEP, timeout = 10000 } = {}) {
+    fs.mkdirSync(dir, { recursive: true });
+    const name = screenshotName(timestamp);
+    await page.screenshot({ path: path.join(dir, name), fullPage: true, timeout });
+    pruneScreenshots(dir, keep);
+    return name;
+}
+
+module.exports = {
+    screenshotName,
+    isScreenshotName,
+    listScreenshots,
+    pruneScreenshots,
+    saveFailureScreenshot
+};
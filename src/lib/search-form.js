@@ -0,0 +1,198 @@
+/**
+ * Fill and submit the DAT ONE "Search Loads" form from a search profile.
+ *
+ * The form is an Angular Material page: origin and destination are plain
+ * inputs with data-test attributes, equipment is a chip list that only
+ * accepts a type once its autocomplete option is picked, and the pickup
+ * dates are a start/end pair. Deadhead and load type controls are filled
+ * when present and skipped with a warning otherwise, so a missing optional
+ * control never stops a run. Selectors come from the selector registry
+ * ("search.*" fields).
+ */
+
+const { resolveDateRange, formatSearchDate } = require('./search-profiles');
+const { SelectorTracker } = require('./selectors');
+
+const silentLogger = {
+    debug() {},
+    info() {},
+    warn() {},
+    error() {}
+};
+
+async function fillInput(field, value) {
+    await field.click();
+    await field.fill(''); // Clear first
+    await field.fill(String(value));
+}
+
+async function findRequired(page, tracker, field, timeout) {
+    const selector = await tracker.waitFor(page, field, timeout);
+    const element = selector && await page.$(selector);
+    if (!element) {
+        throw new Error(`Search form field not found: ${field}`);
+    }
+    return element;
+}
+
+async function fillPlaces(page, profile, timeout, logger, tracker) {
+    const originField = await findRequired(page, tracker, 'search.origin', timeout);
+    await fillInput(originField, profile.origin);
+    await page.waitForTimeout(300);
+    logger.info('Filled origin', { origin: profile.origin });
+
+    const destinationField = await findRequired(page, tracker, 'search.destination', timeout);
+    await fillInput(destinationField, profile.destination || '');
+    await page.waitForTimeout(300);
+    logger.info('Filled destination', { destination: profile.destination || 'anywhere' });
+}
+
+async function fillDeadhead(page, profile, logger, tracker) {
+    for (const end of ['origin', 'destination']) {
+        const { element } = await tracker.query(page, `search.${end}Deadhead`);
+        if (!element) {
+            logger.warn('Deadhead field not found, keeping the form default', { end });
+            continue;
+        }
+        await fillInput(element, profile.deadhead[end]);
+        logger.info('Filled deadhead', { end, miles: profile.deadhead[end] });
+    }
+}
+
+// Angular Material keeps the chip input invisible until the field is
+// focused, so the value is set and the input events fired from the page.
+async function typeEquipment(page, selector, equipmentType) {
+    return page.evaluate(({ selector, equipmentType }) => {
+        const field = document.querySelector(selector);
+        if (!field) return false;
+
+        field.focus();
+        field.click();
+        field.value = equipmentType;
+        field.dispatchEvent(new Event('focus', { bubbles: true }));
+        field.dispatchEvent(new Event('input', { bubbles: true }));
+        field.dispatchEvent(new Event('change', { bubbles: true }));
+        return true;
+    }, { selector, equipmentType });
+}
+
+async function selectEquipment(page, profile, logger, tracker) {
+    const { selector } = await tracker.query(page, 'search.equipment');
+    if (!selector) {
+        // The search still runs without equipment, just with broader results
+        logger.warn('Equipment field not found, searching all equipment types');
+        return;
+    }
+
+    for (const equipmentType of profile.equipment) {
+        await typeEquipment(page, selector, equipmentType);
+        await page.waitForTimeout(200); // Quick wait for the dropdown
+
+        try {
+            const option = await page.waitForSelector(
+                `mat-option:has-text("${equipmentType}"), [role="option"]:has-text("${equipmentType}")`,
+                { timeout: 1000 }
+            );
+            await option.click();
+            logger.info('Selected equipment type', { equipmentType });
+        } catch (e) {
+            // No autocomplete option: Enter adds the typed value as a chip
+            await page.keyboard.press('Enter');
+            logger.warn('Equipment option not offered, pressed Enter', { equipmentType });
+        }
+        await page.waitForTimeout(300);
+    }
+}
+
+async function selectLoadType(page, profile, logger, tracker) {
+    const { element } = await tracker.query(page, 'search.loadType');
+    if (!element) {
+        logger.warn('Load type control not found, keeping the form default', { loadType: profile.loadType });
+        return;
+    }
+
+    await element.click();
+    try {
+        const option = await page.waitForSelector(
+            `mat-option:text-is("${profile.loadType}"), [role="option"]:text-is("${profile.loadType}")`,
+            { timeout: 1000 }
+        );
+        await option.click();
+        logger.info('Selected load type', { loadType: profile.loadType });
+    } catch (e) {
+        await page.keyboard.press('Escape');
+        logger.warn('Load type option not offered', { loadType: profile.loadType });
+    }
+}
+
+async function fillDates(page, profile, now, logger, tracker) {
+    const { start, end } = resolveDateRange(profile.dateRange, now);
+    const startDate = formatSearchDate(start);
+    const endDate = formatSearchDate(end);
+
+    const { element: startDateField } = await tracker.query(page, 'search.startDate');
+    const { element: endDateField } = await tracker.query(page, 'search.endDate');
+
+    if (startDateField && endDateField) {
+        await fillInput(startDateField, startDate);
+        await page.waitForTimeout(200);
+        await fillInput(endDateField, endDate);
+        await page.waitForTimeout(200);
+    } else if (startDateField || endDateField) {
+        // Older layout: one field holding the whole range
+        await fillInput(startDateField || endDateField, `${startDate} - ${endDate}`);
+        await page.waitForTimeout(300);
+    } else {
+        logger.warn('No date fields found, skipping date range');
+        return;
+    }
+    logger.info('Filled date range', { startDate, endDate });
+}
+
+async function submitSearch(page, logger, tracker) {
+    const { element: searchButton, selector } = await tracker.query(page, 'search.submit');
+    if (!searchButton) {
+        logger.warn('Search button not found, pressing Enter');
+        await page.keyboard.press('Enter');
+        return;
+    }
+
+    try {
+        await searchButton.click({ timeout: 3000 });
+    } catch (e1) {
+        try {
+            await searchButton.click({ force: true, timeout: 3000 });
+        } catch (e2) {
+            await searchButton.evaluate(el => el.click());
+        }
+    }
+    logger.info('Submitted search', { selector });
+}
+
+/**
+ * Fill the search form for a profile and submit it. The caller waits for
+ * the results (see waitForLoadResults).
+ *
+ * @param {import('playwright').Page} page
+ * @param {object} profile a profile from loadSearchProfiles
+ * @param {{ logger?: object, timeout?: number, now?: Date,
+ *           selectorTracker?: SelectorTracker }} options
+ */
+async function fillSearchForm(page, profile, options = {}) {
+    const logger = options.logger || silentLogger;
+    const timeout = options.timeout || 10000;
+    const tracker = options.selectorTracker || new SelectorTracker();
+
+    logger.info('Filling search form', { profile: profile.name });
+
+    await fillPlaces(page, profile, timeout, logger, tracker);
+    await fillDeadhead(page, profile, logger, tracker);
+    await selectEquipment(page, profile, logger, tracker);
+    await selectLoadType(page, profile, logger, tracker);
+    await fillDates(page, profile, options.now || new Date(), logger, tracker);
+    await submitSearch(page, logger, tracker);
+}
+
+module.exports = {
+    fillSearchForm
+};
@@ -0,0 +1,271 @@
+const fs = require('fs');
+const { normalizeValue, parseAgeMinutes } = require('./parsers');
+
+/**
+ * Search profiles: the lanes the scrapers search, declared in
+ * search-profiles.json instead of hard-coded in each scraper.
+ *
+ * Each profile names one DAT ONE load search:
+ *
+ *   {
+ *     "name": "denver-bay-area-reefer",
+ *     "origin": "Denver, CO",
+ *     "destination": "San Francisco, CA",
+ *     "deadhead": { "origin": 150, "destination": 150 },
+ *     "equipment": ["Reefer"],
+ *     "loadType": "Full & Partial",
+ *     "dateRange": "next-week",
+ *     "maxAgeMinutes": 120
+ *   }
+ *
+ * Only name and origin are required; an empty destination searches
+ * anywhere. dateRange is "today", "next-week" (Monday to Sunday),
+ * { "startInDays": 0, "days": 3 } relative to the run, or fixed
+ * { "start": "2025-09-01", "end": "2025-09-07" } dates. Loads posted longer
+ * ago than maxAgeMinutes are dropped after extraction, since the search
+ * form has no age filter. An optional cron expression says when the
+ * production scheduler runs the profile (see schedule.js).
+ */
+
+const DEFAULT_PROFILES_PATH = './search-profiles.json';
+
+const LOAD_TYPES = ['Full & Partial', 'Full', 'Partial'];
+
+const PROFILE_DEFAULTS = {
+    destination: null,
+    deadhead: { origin: 150, destination: 150 },
+    equipment: ['Vans (Standard)'],
+    loadType: 'Full & Partial',
+    dateRange: 'next-week',
+    maxAgeMinutes: null
+};
+
+/**
+ * Validate one profile from the file and fill in defaults. Errors name the
+ * profile so a bad entry is easy to find in a long file.
+ */
+function normalizeProfile(raw, index) {
+    const label = raw && raw.name ? `"${raw.name}"` : `#${index + 1}`;
+    const fail = message => {
+        throw new Error(`Search profile ${label}: ${message}`);
+    };
+
+    if (!raw || typeof raw !== 'object') fail('must be an object');
+    if (!normalizeValue(raw.name)) fail('name is required');
+    if (!normalizeValue(raw.origin)) fail('origin is required');
+
+    const profile = {
+        ...PROFILE_DEFAULTS,
+        ...raw,
+        name: normalizeValue(raw.name),
+        origin: normalizeValue(raw.origin),
+        destination: normalizeValue(raw.destination),
+        deadhead: { ...PROFILE_DEFAULTS.deadhead, ...(raw.deadhead || {}) }
+    };
+
+    for (const end of ['origin', 'destination']) {
+        const miles = profile.deadhead[end];
+        if (!Number.isInteger(miles) || miles < 0) fail(`deadhead.${end} must be a whole number of miles`);
+    }
+
+    if (typeof profile.equipment === 'string') {
+        profile.equipment = [profile.equipment];
+    }
+    if (!Array.isArray(profile.equipment) || profile.equipment.length === 0 ||
+        profile.equipment.some(type => !normalizeValue(type))) {
+        fail('equipment must list at least one equipment type');
+    }
+
+    if (!LOAD_TYPES.includes(profile.loadType)) {
+        fail(`loadType must be one of ${LOAD_TYPES.join(', ')}`);
+    }
+
+    try {
+        resolveDateRange(profile.dateRange);
+    } catch (error) {
+        fail(error.message);
+    }
+
+    if (profile.maxAgeMinutes !== null &&
+        (!Number.isInteger(profile.maxAgeMinutes) || profile.maxAgeMinutes <= 0)) {
+        fail('maxAgeMinutes must be a positive whole number');
+    }
+
+    if (profile.cron !== undefined && typeof profile.cron !== 'string') {
+        fail('cron must be a cron expression such as "0,30 6-17 * * mon-fri"');
+    }
+
+    return profile;
+}
+
+/**
+ * Parse the profiles file contents: either { "profiles": [...] } or a bare
+ * array of profiles.
+ */
+function parseSearchProfiles(config) {
+    const list = Array.isArray(config) ? config : config && config.profiles;
+    if (!Array.isArray(list) || list.length === 0) {
+        throw new Error('Search profiles file must define at least one profile');
+    }
+
+    const profiles = list.map(normalizeProfile);
+    const names = new Set();
+    for (const profile of profiles) {
+        if (names.has(profile.name)) {
+            throw new Error(`Search profile "${profile.name}" is defined more than once`);
+        }
+        names.add(profile.name);
+    }
+    return profiles;
+}
+
+/**
+ * Load and validate the profiles file. Returns an empty list when the file
+ * does not exist, so callers can fall back to whatever search is on screen.
+ */
+function loadSearchProfiles(filePath = process.env.SEARCH_PROFILES || DEFAULT_PROFILES_PATH) {
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read search profiles from ${filePath}: ${error.message}`);
+    }
+    return parseSearchProfiles(config);
+}
+
+/**
+ * Pick a profile by name, or the first one when no name is given.
+ */
+function selectProfile(profiles, name) {
+    if (!name) return profiles[0] || null;
+
+    const profile = profiles.find(candidate => candidate.name === name);
+    if (!profile) {
+        throw new Error(`Unknown search profile "${name}" (known: ${profiles.map(p => p.name).join(', ') || 'none'})`);
+    }
+    return profile;
+}
+
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function addDays(date, days) {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+}
+
+function parseLocalDate(text) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(text));
+    return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+}
+
+/**
+ * Turn a profile's dateRange into the first and last pickup day for a run
+ * starting at `now`.
+ *
+ * @returns {{ start: Date, end: Date }}
+ */
+function resolveDateRange(dateRange, now = new Date()) {
+    const today = startOfDay(now);
+
+    if (dateRange === 'today') {
+        return { start: today, end: today };
+    }
+
+    if (dateRange === 'next-week') {
+        const dayOfWeek = today.getDay(); // 0 = Sunday, 1 = Monday, etc.
+        const nextMonday = addDays(today, dayOfWeek === 0 ? 1 : 8 - dayOfWeek);
+        return { start: nextMonday, end: addDays(nextMonday, 6) };
+    }
+
+    if (dateRange && typeof dateRange === 'object' && 'start' in dateRange) {
+        const start = parseLocalDate(dateRange.start);
+        const end = parseLocalDate(dateRange.end || dateRange.start);
+        if (!start || !end) throw new Error('dateRange start and end must be YYYY-MM-DD dates');
+        if (end < start) throw new Error('dateRange end is before its start');
+        return { start, end };
+    }
+
+    if (dateRange && typeof dateRange === 'object') {
+        const startInDays = dateRange.startInDays || 0;
+        const days = dateRange.days || 1;
+        if (!Number.isInteger(startInDays) || startInDays < 0 || !Number.isInteger(days) || days < 1) {
+            throw new Error('dateRange startInDays and days must be whole numbers (days at least 1)');
+        }
+        const start = addDays(today, startInDays);
+        return { start, end: addDays(start, days - 1) };
+    }
+
+    throw new Error('dateRange must be "today", "next-week", { startInDays, days } or { start, end }');
+}
+
+/**
+ * Format a date the way the DAT ONE date pickers expect it (M/D/YYYY).
+ */
+function formatSearchDate(date) {
+    return `${date.getMonth() + 1}/${date.getDate()}/${date.getFullYear()}`;
+}
+
+/**
+ * Apply a profile to the records one of its searches produced: drop loads
+ * older than the profile's maxAgeMinutes (loads with an unreadable age are
+ * kept) and tag the rest with the profile name and the equipment it
+ * searched for, which DAT does not repeat on each row.
+ */
+function applyProfile(records, profile) {
+    if (!profile) return records;
+
+    return records
+        .filter(record => {
+            if (profile.maxAgeMinutes === null) return true;
+            const age = parseAgeMinutes(record.age_posted);
+            return age === null || age <= profile.maxAgeMinutes;
+        })
+        .map(record => ({
+            ...record,
+            search_profile: profile.name,
+            equipment: record.equipment || profile.equipment.join(', ')
+        }));
+}
+
+/**
+ * Round-robin over the configured profiles, one profile per scheduled run.
+ */
+class ProfileRotation {
+    constructor(profiles) {
+        this.profiles = profiles;
+        this.position = 0;
+    }
+
+    get size() {
+        return this.profiles.length;
+    }
+
+    peek() {
+        return this.profiles.length > 0 ? this.profiles[this.position % this.profiles.length] : null;
+    }
+
+    next() {
+        const profile = this.peek();
+        this.position = (this.position + 1) % Math.max(this.profiles.length, 1);
+        return profile;
+    }
+}
+
+module.exports = {
+    DEFAULT_PROFILES_PATH,
+    LOAD_TYPES,
+    parseSearchProfiles,
+    loadSearchProfiles,
+    selectProfile,
+    resolveDateRange,
+    formatSearchDate,
+    applyProfile,
+    ProfileRotation
+};
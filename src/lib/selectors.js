@@ -0,0 +1,338 @@
+/**
+ * Selector registry for the DAT ONE pages the scrapers read.
+ *
+ * Every logical field (a results row, its origin cell, the search form's
+ * origin input, ...) maps to an ordered list of CSS selectors: the primary
+ * selector first, then fallbacks from older or alternative markup. Code asks
+ * for a field, never for a raw selector, so a markup change is fixed here
+ * once.
+ *
+ * A SelectorTracker records which entry matched for each lookup. When a
+ * field is only found through a fallback, or not at all, the primary has
+ * drifted from DAT's markup; the tracker reports that as "selector drift"
+ * so it can be fixed before the fallbacks stop matching too. Bump
+ * SELECTOR_REGISTRY_VERSION with every change to the lists so drift reports
+ * say which registry they were made against.
+ */
+
+const SELECTOR_REGISTRY_VERSION = 2;
+
+// Optional fields are often legitimately absent (a row without contacts, a
+// form without a load type control); only a fallback match counts as drift
+// for them, not a miss.
+const SELECTOR_REGISTRY = {
+    // Results grid
+    'results.ready': {
+        selectors: ['[data-test="load-origin-cell"]', '.row-container']
+    },
+    'results.row': {
+        selectors: [
+            '.row-container.ng-tns-c510-8.ng-star-inserted',
+            '.row-container:has([data-test="load-origin-cell"])'
+        ]
+    },
+
+    // Cells of one results row
+    'row.age': {
+        selectors: ['[data-test="load-age-cell"]', '.table-cell.cell-age']
+    },
+    'row.rate': {
+        selectors: ['[data-test="load-rate-cell"]', '[data-testid*="rate"]', '[class*="rate"]']
+    },
+    'row.origin': {
+        selectors: ['[data-test="load-origin-cell"]', '[data-testid*="origin"]', '[class*="origin"]']
+    },
+    'row.destination': {
+        selectors: ['[data-test="load-destination-cell"]', '[data-testid*="destination"]', '[class*="destination"]']
+    },
+    'row.company': {
+        selectors: ['[data-test="load-company-cell"]', '.cell-company .company-prefer-or-blocked', '.cell-company']
+    },
+    'row.contact': {
+        optional: true,
+        selectors: [
+            '.contact-state',
+            '.contact-info',
+            '.phone',
+            '.email',
+            '[class*="contact"]',
+            '[class*="phone"]',
+            '[class*="email"]',
+            '[data-test*="contact"]',
+            '[data-test*="phone"]',
+            '.company-contact',
+            '.load-contact'
+        ]
+    },
+
+    // Detail panel that opens on row click (Material dialogs carry the role)
+    'detail.panel': {
+        selectors: [
+            '[role="dialog"]',
+            '.modal-content',
+            '.popup-content',
+            '.load-details',
+            '.detail-panel',
+            '.overlay-content'
+        ]
+    },
+
+    // Inside the detail panel: labelled facts ("Weight", "Days to Pay", ...)
+    // and the posting contact
+    'detail.label': {
+        optional: true,
+        selectors: ['.data-label', '[class*="data-label"]']
+    },
+    'detail.contactName': {
+        optional: true,
+        selectors: ['.contacts__name', '[data-test="contact-name"]', '[class*="contact-name"]']
+    },
+    'detail.phone': {
+        optional: true,
+        selectors: ['a[href^="tel:"]', '.contacts__phone', '[class*="phone"]']
+    },
+    'detail.email': {
+        optional: true,
+        selectors: ['a[href^="mailto:"]', '.contacts__email', '[class*="email"]']
+    },
+
+    // Search form
+    'search.origin': {
+        selectors: ['input[data-test="origin-input"]', 'input[placeholder="Origin"]', 'input[placeholder*="origin" i]']
+    },
+    'search.destination': {
+        selectors: ['input[data-test="destination-input"]', 'input[placeholder="Destination"]', 'input[placeholder*="destination" i]']
+    },
+    'search.originDeadhead': {
+        optional: true,
+        selectors: ['input[data-test="origin-dh-input"]', 'input[formcontrolname="originDeadhead"]', 'input[placeholder="DH-O"]']
+    },
+    'search.destinationDeadhead': {
+        optional: true,
+        selectors: ['input[data-test="destination-dh-input"]', 'input[formcontrolname="destinationDeadhead"]', 'input[placeholder="DH-D"]']
+    },
+    'search.equipment': {
+        selectors: ['input[id^="mat-chip-list-input"]', 'input[placeholder="Equipment"]', 'input[id*="chip-list-input"]']
+    },
+    'search.loadType': {
+        optional: true,
+        selectors: [
+            '[data-test="load-type-select"]',
+            'mat-select[formcontrolname="loadType"]',
+            'mat-form-field:has(mat-label:text("Load Type")) mat-select'
+        ]
+    },
+    'search.startDate': {
+        optional: true,
+        selectors: ['input[placeholder="Start date"]']
+    },
+    'search.endDate': {
+        optional: true,
+        selectors: ['.mat-end-date']
+    },
+    'search.submit': {
+        selectors: [
+            'button:has-text("SEARCH")',
+            'button[type="submit"]',
+            'input[type="submit"]',
+            'button[aria-label*="search"]',
+            '.search-button',
+            '#search-button'
+        ]
+    }
+};
+
+/**
+ * Ordered selectors for a field, primary first.
+ */
+function selectorsFor(field) {
+    const entry = SELECTOR_REGISTRY[field];
+    if (!entry) {
+        throw new Error(`Unknown selector field: ${field}`);
+    }
+    return entry.selectors;
+}
+
+/**
+ * The primary selector of a field.
+ */
+function primarySelector(field) {
+    return selectorsFor(field)[0];
+}
+
+/**
+ * Records which registry entry matched for each lookup during one run.
+ */
+class SelectorTracker {
+    constructor() {
+        this.fields = new Map();
+    }
+
+    /**
+     * Note the result of one lookup: the index of the matching selector in
+     * the field's list, or -1 when none matched.
+     */
+    record(field, index) {
+        const selectors = selectorsFor(field);
+        if (!this.fields.has(field)) {
+            this.fields.set(field, { matches: new Array(selectors.length).fill(0), misses: 0 });
+        }
+
+        const counts = this.fields.get(field);
+        if (index >= 0 && index < selectors.length) {
+            counts.matches[index]++;
+        } else {
+            counts.misses++;
+        }
+    }
+
+    /**
+     * First element under root (a page or element handle) matching the
+     * field, trying its selectors in order.
+     *
+     * @returns {Promise<{ element: object|null, selector: string|null, index: number }>}
+     */
+    async query(root, field) {
+        const selectors = selectorsFor(field);
+        for (let index = 0; index < selectors.length; index++) {
+            try {
+                const element = await root.$(selectors[index]);
+                if (element) {
+                    this.record(field, index);
+                    return { element, selector: selectors[index], index };
+                }
+            } catch (e) {
+                continue;
+            }
+        }
+        this.record(field, -1);
+        return { element: null, selector: null, index: -1 };
+    }
+
+    /**
+     * All elements matching the first selector of the field that matches
+     * anything.
+     *
+     * @returns {Promise<{ elements: object[], selector: string|null, index: number }>}
+     */
+    async queryAll(root, field) {
+        const selectors = selectorsFor(field);
+        for (let index = 0; index < selectors.length; index++) {
+            try {
+                const elements = await root.$$(selectors[index]);
+                if (elements.length > 0) {
+                    this.record(field, index);
+                    return { elements, selector: selectors[index], index };
+                }
+            } catch (e) {
+                continue;
+            }
+        }
+        this.record(field, -1);
+        return { elements: [], selector: null, index: -1 };
+    }
+
+    /**
+     * Wait for a field to appear: half the timeout for the primary
+     * selector, then a quarter for any fallback. Throws the timeout error
+     * when nothing appears.
+     */
+    async waitFor(page, field, timeout) {
+        const [primary, ...fallbacks] = selectorsFor(field);
+        try {
+            await page.waitForSelector(primary, { timeout: timeout / 2 });
+            this.record(field, 0);
+            return primary;
+        } catch (error) {
+            if (fallbacks.length === 0) {
+                this.record(field, -1);
+                throw error;
+            }
+        }
+
+        try {
+            await page.waitForSelector(fallbacks.join(', '), { timeout: timeout / 4 });
+        } catch (error) {
+            this.record(field, -1);
+            throw error;
+        }
+
+        for (let index = 0; index < fallbacks.length; index++) {
+            if (await page.$(fallbacks[index])) {
+                this.record(field, index + 1);
+                return fallbacks[index];
+            }
+        }
+        this.record(field, -1);
+        return null;
+    }
+
+    /**
+     * Per-field match counts by selector for this run, plus the fields
+     * whose primary selector never matched.
+     */
+    report() {
+        const fields = {};
+        const drift = [];
+
+        for (const [field, counts] of this.fields) {
+            const selectors = selectorsFor(field);
+            const matches = {};
+            selectors.forEach((selector, index) => {
+                if (counts.matches[index] > 0) matches[selector] = counts.matches[index];
+            });
+            fields[field] = { matches, misses: counts.misses };
+
+            if (counts.matches[0] > 0) continue;
+
+            const fallbackIndex = counts.matches.findIndex(count => count > 0);
+            if (fallbackIndex === -1 && SELECTOR_REGISTRY[field].optional) continue;
+
+            drift.push({
+                field,
+                primary: selectors[0],
+                matched: fallbackIndex === -1 ? null : selectors[fallbackIndex],
+                fallbackIndex: fallbackIndex === -1 ? null : fallbackIndex,
+                lookups: counts.matches.reduce((sum, count) => sum + count, 0) + counts.misses
+            });
+        }
+
+        return { version: SELECTOR_REGISTRY_VERSION, fields, drift };
+    }
+}
+
+/**
+ * Carry drift warnings across runs. A field keeps its original `since`
+ * while it stays drifted, leaves the list once its primary matches again,
+ * and is kept as-is in runs that never looked it up.
+ *
+ * @param {object[]} previous drift entries from earlier runs
+ * @param {{ version: number, fields: object, drift: object[] }} report
+ * @param {string} at timestamp of this run
+ */
+function mergeSelectorDrift(previous = [], report, at) {
+    const current = new Map(report.drift.map(entry => [entry.field, entry]));
+    const merged = [];
+
+    for (const entry of previous) {
+        if (current.has(entry.field) || !(entry.field in report.fields)) {
+            merged.push(current.has(entry.field)
+                ? { ...current.get(entry.field), version: report.version, since: entry.since, lastSeenAt: at }
+                : entry);
+            current.delete(entry.field);
+        }
+    }
+    for (const entry of current.values()) {
+        merged.push({ ...entry, version: report.version, since: at, lastSeenAt: at });
+    }
+    return merged;
+}
+
+module.exports = {
+    SELECTOR_REGISTRY_VERSION,
+    SELECTOR_REGISTRY,
+    selectorsFor,
+    primarySelector,
+    SelectorTracker,
+    mergeSelectorDrift
+};
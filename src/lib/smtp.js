@@ -0,0 +1,181 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+/**
+ * Minimal SMTP client for alert emails: one plain-text message per
+ * connection, with implicit TLS (port 465) or STARTTLS when the server
+ * offers it, and AUTH PLAIN when credentials are given. Enough for Gmail,
+ * SES or a local relay without pulling in a mail library.
+ */
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+/**
+ * Reads SMTP replies off a socket. A reply may span several lines
+ * ("250-PIPELINING", "250 SMTPUTF8"); read() resolves with the whole reply.
+ */
+class ReplyReader {
+    constructor(socket) {
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        this.buffer = '';
+        this.lines = [];
+        this.replies = [];
+        this.waiting = null;
+        this.failure = null;
+
+        socket.setEncoding('utf8');
+        socket.on('data', chunk => this.receive(chunk));
+        socket.on('error', error => this.fail(error));
+        socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+    }
+
+    receive(chunk) {
+        this.buffer += chunk;
+        let newline;
+        while ((newline = this.buffer.indexOf('\n')) !== -1) {
+            const line = this.buffer.slice(0, newline).replace(/\r$/, '');
+            this.buffer = this.buffer.slice(newline + 1);
+            this.lines.push(line);
+            if (!/^\d{3}-/.test(line)) {
+                this.replies.push({ code: parseInt(line.slice(0, 3), 10), lines: this.lines.map(text => text.slice(4)) });
+                this.lines = [];
+            }
+        }
+        this.deliver();
+    }
+
+    fail(error) {
+        if (!this.failure) this.failure = error;
+        this.deliver();
+    }
+
+    deliver() {
+        if (!this.waiting) return;
+        const { resolve, reject } = this.waiting;
+        if (this.replies.length > 0) {
+            this.waiting = null;
+            resolve(this.replies.shift());
+        } else if (this.failure) {
+            this.waiting = null;
+            reject(this.failure);
+        }
+    }
+
+    read() {
+        return new Promise((resolve, reject) => {
+            this.waiting = { resolve, reject };
+            this.deliver();
+        });
+    }
+}
+
+function connect({ host, port, secure, timeoutMs }) {
+    return new Promise((resolve, reject) => {
+        const socket = secure
+            ? tls.connect({ host, port, servername: host })
+            : net.connect({ host, port });
+        socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`SMTP connection to ${host}:${port} timed out`)));
+        socket.once(secure ? 'secureConnect' : 'connect', () => resolve(socket));
+        socket.once('error', reject);
+    });
+}
+
+function upgrade(socket, host) {
+    return new Promise((resolve, reject) => {
+        const secured = tls.connect({ socket, servername: host }, () => resolve(secured));
+        secured.once('error', reject);
+    });
+}
+
+// Lines starting with a dot are escaped so they cannot end the message
+function dotStuff(text) {
+    return text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+}
+
+// Non-ASCII subjects ("Denver, CO → Fresno, CA") as an RFC 2047 encoded word
+function encodeHeader(value) {
+    return /[^\x20-\x7E]/.test(value) ? `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=` : value;
+}
+
+function buildMessage({ from, to, subject, text, date = new Date() }) {
+    return [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${date.toUTCString()}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit',
+        '',
+        text
+    ].join('\r\n');
+}
+
+/**
+ * Send one plain-text email.
+ *
+ * @param {{ host: string, port?: number, secure?: boolean, starttls?: boolean,
+ *           user?: string, password?: string, from: string, to: string[],
+ *           subject: string, text: string, timeoutMs?: number }} options
+ *        secure connects with TLS from the start (default for port 465);
+ *        otherwise STARTTLS is used when offered, unless starttls is false
+ */
+async function sendMail(options) {
+    const port = options.port || (options.secure ? 465 : 587);
+    const secure = options.secure ?? port === 465;
+    const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+
+    let socket = await connect({ host: options.host, port, secure, timeoutMs });
+    const reader = new ReplyReader(socket);
+
+    const command = async (line, expected) => {
+        if (line !== null) socket.write(`${line}\r\n`);
+        const reply = await reader.read();
+        if (!expected.includes(reply.code)) {
+            const shown = line && line.startsWith('AUTH') ? 'AUTH PLAIN' : line;
+            throw new Error(`SMTP ${shown || 'greeting'} failed: ${reply.code} ${reply.lines.join(' ')}`);
+        }
+        return reply;
+    };
+
+    try {
+        await command(null, [220]);
+        const hello = await command(`EHLO ${os.hostname()}`, [250]);
+
+        const offersStartTls = hello.lines.some(line => /^STARTTLS\b/i.test(line));
+        if (!secure && offersStartTls && options.starttls !== false) {
+            await command('STARTTLS', [220]);
+            socket.removeAllListeners('data');
+            socket.removeAllListeners('close');
+            socket = await upgrade(socket, options.host);
+            socket.setTimeout(timeoutMs, () => socket.destroy(new Error('SMTP connection timed out')));
+            reader.attach(socket);
+            await command(`EHLO ${os.hostname()}`, [250]);
+        }
+
+        if (options.user) {
+            const credentials = Buffer.from(`\0${options.user}\0${options.password || ''}`, 'utf8').toString('base64');
+            await command(`AUTH PLAIN ${credentials}`, [235]);
+        }
+
+        await command(`MAIL FROM:<${options.from.replace(/^.*<|>.*$/g, '')}>`, [250]);
+        for (const recipient of options.to) {
+            await command(`RCPT TO:<${recipient.replace(/^.*<|>.*$/g, '')}>`, [250, 251]);
+        }
+        await command('DATA', [354]);
+        await command(`${dotStuff(buildMessage(options))}\r\n.`, [250]);
+        await command('QUIT', [221]).catch(() => {});
+    } finally {
+        socket.removeAllListeners('close');
+        socket.destroy();
+    }
+}
+
+module.exports = {
+    sendMail
+};
@@ -0,0 +1,391 @@
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+const { LOAD_COLUMNS, LIFECYCLE_COLUMNS, LOAD_STATUS, LoadStore } = require('./load-store');
+const { brokerKey, brokerId } = require('./brokers');
+const { postedAt } = require('./load-query');
+
+// SQLite allows 999 bound parameters per statement in older builds
+const LOOKUP_CHUNK_SIZE = 500;
+
+// Columns worked out from the others on every save, so GET /loads can
+// filter and sort on them in SQL
+const DERIVED_COLUMNS = {
+    posted_at: load => postedAt(load),
+    broker_id: load => {
+        const key = brokerKey(load.company);
+        return key ? brokerId(key) : null;
+    }
+};
+
+const STORED_COLUMNS = [...LOAD_COLUMNS, ...LIFECYCLE_COLUMNS, ...Object.keys(DERIVED_COLUMNS)];
+
+function columnValue(row, column) {
+    return column in DERIVED_COLUMNS ? DERIVED_COLUMNS[column](row) : row[column];
+}
+
+/**
+ * Default load store: one row per load in a local SQLite database, with
+ * indexes on the columns the CLI and API filter by, and a load_history
+ * table of observed changes. queryLoads also takes the GET /loads filters,
+ * a sort and a keyset cursor (see load-query.js), so the API pages in SQL.
+ */
+class SqliteLoadStore extends LoadStore {
+    constructor(options = {}) {
+        super();
+        this.dbPath = options.dbPath || './output/loads.db';
+        this.db = null;
+    }
+
+    get queriesLoads() {
+        return true;
+    }
+
+    async open() {
+        const directory = path.dirname(this.dbPath);
+        if (!fs.existsSync(directory)) {
+            fs.mkdirSync(directory, { recursive: true });
+        }
+
+        this.db = await open({
+            filename: this.dbPath,
+            driver: sqlite3.Database
+        });
+
+        await this.db.exec('PRAGMA journal_mode = WAL');
+        await this.db.exec(`
+            CREATE TABLE IF NOT EXISTS loads (
+                load_id TEXT PRIMARY KEY,
+                reference_number TEXT,
+                origin TEXT COLLATE NOCASE,
+                destination TEXT COLLATE NOCASE,
+                rate_total_usd REAL,
+                rate_per_mile REAL,
+                company TEXT COLLATE NOCASE,
+                contact TEXT,
+                age_posted TEXT,
+                extracted_at TEXT
+            )
+        `);
+
+        // Columns added since the first release (migration for older stores)
+        const addedColumns = [
+            'search_profile TEXT',
+            'first_seen_at TEXT',
+            'last_seen_at TEXT',
+            `status TEXT NOT NULL DEFAULT '${LOAD_STATUS.ACTIVE}'`,
+            'vanished_at TEXT',
+            'missed_runs INTEGER NOT NULL DEFAULT 0',
+            'pickup_start TEXT',
+            'pickup_end TEXT',
+            'delivery_start TEXT',
+            'delivery_end TEXT',
+            'weight_lbs INTEGER',
+            'length_ft INTEGER',
+            'commodity TEXT',
+            'comments TEXT',
+            'credit_score INTEGER',
+            'days_to_pay INTEGER',
+            'contact_name TEXT',
+            'contact_phone TEXT',
+            'contact_extension TEXT',
+            'contact_email TEXT',
+            'contact_method TEXT',
+            'equipment TEXT',
+            'origin_lat REAL',
+            'origin_lon REAL',
+            'destination_lat REAL',
+            'destination_lon REAL',
+            'loaded_miles REAL',
+            'deadhead_miles REAL',
+            'fuel_cost_usd REAL',
+            'operating_cost_usd REAL',
+            'net_revenue_usd REAL',
+            'net_per_mile_usd REAL',
+            'transit_hours REAL',
+            'earliest_delivery TEXT',
+            'delivery_slack_hours REAL',
+            'posted_at TEXT',
+            'broker_id TEXT'
+        ];
+        const added = [];
+        for (const column of addedColumns) {
+            try {
+                await this.db.exec(`ALTER TABLE loads ADD COLUMN ${column}`);
+                added.push(column.split(' ')[0]);
+            } catch (e) {
+                // Column already exists, ignore
+            }
+        }
+        if (Object.keys(DERIVED_COLUMNS).some(column => added.includes(column))) {
+            await this.deriveColumns();
+        }
+        await this.db.exec(`
+            UPDATE loads SET first_seen_at = extracted_at WHERE first_seen_at IS NULL;
+            UPDATE loads SET last_seen_at = extracted_at WHERE last_seen_at IS NULL;
+        `);
+
+        await this.db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_loads_lane ON loads (origin, destination);
+            CREATE INDEX IF NOT EXISTS idx_loads_destination ON loads (destination);
+            CREATE INDEX IF NOT EXISTS idx_loads_company ON loads (company);
+            CREATE INDEX IF NOT EXISTS idx_loads_extracted_at ON loads (extracted_at);
+            CREATE INDEX IF NOT EXISTS idx_loads_last_seen_at ON loads (last_seen_at);
+            CREATE INDEX IF NOT EXISTS idx_loads_status ON loads (status, last_seen_at);
+            CREATE INDEX IF NOT EXISTS idx_loads_search_profile ON loads (search_profile, status);
+            CREATE INDEX IF NOT EXISTS idx_loads_posted_at ON loads (posted_at);
+            CREATE INDEX IF NOT EXISTS idx_loads_broker_id ON loads (broker_id);
+            CREATE INDEX IF NOT EXISTS idx_loads_vanished_at ON loads (vanished_at);
+
+            CREATE TABLE IF NOT EXISTS load_history (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                load_id TEXT NOT NULL,
+                observed_at TEXT NOT NULL,
+                field TEXT NOT NULL,
+                old_value TEXT,
+                new_value TEXT
+            );
+            CREATE INDEX IF NOT EXISTS idx_load_history_load ON load_history (load_id, observed_at);
+
+            CREATE TABLE IF NOT EXISTS migrations (
+                id TEXT PRIMARY KEY,
+                applied_at TEXT NOT NULL
+            );
+        `);
+        return this;
+    }
+
+    // Fill the derived columns of loads stored before they existed
+    async deriveColumns() {
+        const columns = Object.keys(DERIVED_COLUMNS);
+        const rows = await this.db.all('SELECT * FROM loads');
+        await this.transaction(async () => {
+            for (const row of rows) {
+                await this.db.run(
+                    `UPDATE loads SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE load_id = ?`,
+                    [...columns.map(column => columnValue(row, column)), row.load_id]
+                );
+            }
+        });
+    }
+
+    async fetchLoads(loadIds) {
+        const known = new Map();
+        for (let i = 0; i < loadIds.length; i += LOOKUP_CHUNK_SIZE) {
+            const chunk = loadIds.slice(i, i + LOOKUP_CHUNK_SIZE);
+            const placeholders = chunk.map(() => '?').join(', ');
+            const rows = await this.db.all(`SELECT * FROM loads WHERE load_id IN (${placeholders})`, chunk);
+            rows.forEach(row => known.set(row.load_id, row));
+        }
+        return known;
+    }
+
+    async saveLoads(changes, history = []) {
+        const columns = ['load_id', ...STORED_COLUMNS];
+        const updates = STORED_COLUMNS
+            .map(column => `${column} = excluded.${column}`)
+            .concat('missed_runs = 0')
+            .join(', ');
+        const sql = `
+            INSERT INTO loads (${columns.join(', ')})
+            VALUES (${columns.map(() => '?').join(', ')})
+            ON CONFLICT (load_id) DO UPDATE SET ${updates}
+        `;
+
+        await this.transaction(async () => {
+            for (const { row } of changes) {
+                await this.db.run(sql, columns.map(column => columnValue(row, column)));
+            }
+            await this.insertHistory(history);
+        });
+    }
+
+    async recordMissedRun(seenAt, vanishAfterRuns, searchProfile) {
+        let vanished = [];
+        const profileClause = searchProfile ? ' AND search_profile = ?' : '';
+        const profileParams = searchProfile ? [searchProfile] : [];
+
+        await this.transaction(async () => {
+            await this.db.run(
+                `UPDATE loads SET missed_runs = missed_runs + 1 WHERE status = ? AND last_seen_at < ?${profileClause}`,
+                [LOAD_STATUS.ACTIVE, seenAt, ...profileParams]
+            );
+
+            vanished = await this.db.all(
+                'SELECT * FROM loads WHERE status = ? AND missed_runs >= ?',
+                [LOAD_STATUS.ACTIVE, vanishAfterRuns]
+            );
+            if (vanished.length === 0) return;
+
+            await this.db.run(
+                'UPDATE loads SET status = ?, vanished_at = ? WHERE status = ? AND missed_runs >= ?',
+                [LOAD_STATUS.VANISHED, seenAt, LOAD_STATUS.ACTIVE, vanishAfterRuns]
+            );
+            await this.insertHistory(vanished.map(load => ({
+                load_id: load.load_id,
+                observed_at: seenAt,
+                field: 'status',
+                old_value: LOAD_STATUS.ACTIVE,
+                new_value: LOAD_STATUS.VANISHED
+            })));
+        });
+
+        return vanished.map(load => ({ ...load, status: LOAD_STATUS.VANISHED, vanished_at: seenAt }));
+    }
+
+    async getHistory(loadId) {
+        return this.db.all(
+            'SELECT load_id, observed_at, field, old_value, new_value FROM load_history WHERE load_id = ? ORDER BY observed_at, id',
+            loadId
+        );
+    }
+
+    async insertHistory(entries) {
+        for (const entry of entries) {
+            await this.db.run(
+                'INSERT INTO load_history (load_id, observed_at, field, old_value, new_value) VALUES (?, ?, ?, ?, ?)',
+                [entry.load_id, entry.observed_at, entry.field, entry.old_value, entry.new_value]
+            );
+        }
+    }
+
+    async transaction(work) {
+        await this.db.exec('BEGIN');
+        try {
+            await work();
+            await this.db.exec('COMMIT');
+        } catch (error) {
+            await this.db.exec('ROLLBACK');
+            throw error;
+        }
+    }
+
+    async getLoad(loadId) {
+        return (await this.db.get('SELECT * FROM loads WHERE load_id = ?', loadId)) || null;
+    }
+
+    async queryLoads(filters = {}) {
+        const { order, after } = buildOrder(filters.sort, filters.after);
+        const { where, params } = buildWhere(filters, after);
+        return this.db.all(
+            `SELECT * FROM loads ${where} ORDER BY ${order} LIMIT ? OFFSET ?`,
+            [...params, filters.limit || 100, filters.offset || 0]
+        );
+    }
+
+    async countLoads(filters = {}) {
+        const { where, params } = buildWhere(filters);
+        const row = await this.db.get(`SELECT COUNT(*) AS count FROM loads ${where}`, params);
+        return row.count;
+    }
+
+    async getAppliedMigrations() {
+        const rows = await this.db.all('SELECT id FROM migrations ORDER BY applied_at');
+        return rows.map(row => row.id);
+    }
+
+    async recordMigration(id, appliedAt) {
+        await this.db.run('INSERT OR IGNORE INTO migrations (id, applied_at) VALUES (?, ?)', [id, appliedAt]);
+    }
+
+    async close() {
+        if (this.db) {
+            await this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+// A numeric column's value, or NULL for text such as ''
+function numeric(column) {
+    return `(CASE WHEN typeof(${column}) IN ('integer', 'real') THEN ${column} END)`;
+}
+
+function escapeLike(text) {
+    return text.replace(/[\\%_]/g, character => `\\${character}`);
+}
+
+// The WHERE clause for the store filters, the GET /loads filters the query
+// module hands down (origin_state, destination_state, equipment,
+// min_rate_per_mile, broker_id, posted_since, late) and a keyset clause
+function buildWhere(filters, after = null) {
+    const clauses = [];
+    const params = [];
+
+    for (const column of ['origin', 'destination', 'company', 'status', 'search_profile', 'broker_id']) {
+        if (filters[column]) {
+            clauses.push(`${column} = ?`);
+            params.push(filters[column]);
+        }
+    }
+    for (const side of ['origin', 'destination']) {
+        if (filters[`${side}_state`]) {
+            clauses.push(`${side} LIKE ?`);
+            params.push(`%, ${filters[`${side}_state`]}`);
+        }
+    }
+    if (filters.equipment) {
+        clauses.push("equipment LIKE ? ESCAPE '\\'");
+        params.push(`%${escapeLike(filters.equipment)}%`);
+    }
+    if (filters.min_rate_per_mile !== undefined && filters.min_rate_per_mile !== null) {
+        clauses.push(`${numeric('rate_per_mile')} >= ?`);
+        params.push(filters.min_rate_per_mile);
+    }
+    if (filters.posted_since) {
+        clauses.push('posted_at >= ?');
+        params.push(filters.posted_since);
+    }
+    if (filters.late === true || filters.late === false) {
+        clauses.push(`${filters.late ? '' : 'NOT '}coalesce(${numeric('delivery_slack_hours')} < 0, 0)`);
+    }
+    if (filters.since) {
+        clauses.push('last_seen_at >= ?');
+        params.push(filters.since);
+    }
+    if (filters.until) {
+        clauses.push('last_seen_at < ?');
+        params.push(filters.until);
+    }
+    if (filters.vanished_since) {
+        clauses.push('vanished_at >= ?');
+        params.push(filters.vanished_since);
+    }
+    if (after) {
+        clauses.push(after.clause);
+        params.push(...after.params);
+    }
+
+    return {
+        where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+        params
+    };
+}
+
+// ORDER BY for a sort such as { field: 'rate_per_mile', descending: true,
+// numeric: true }: missing values last whichever way it runs, load_id
+// breaking ties, as sortLoads orders them. `after` ({ value, id }, from a
+// cursor) becomes the clause keeping the loads that come after it.
+function buildOrder(sort, after) {
+    if (!sort) return { order: 'last_seen_at DESC, load_id', after: null };
+    if (!STORED_COLUMNS.includes(sort.field)) {
+        throw new Error(`Cannot sort loads by ${sort.field}`);
+    }
+
+    const value = sort.numeric ? numeric(sort.field) : `NULLIF(${sort.field}, '') COLLATE NOCASE`;
+    const order = `${value} IS NULL, ${value} ${sort.descending ? 'DESC' : 'ASC'}, load_id`;
+    if (!after) return { order, after: null };
+    if (after.value === null) {
+        return { order, after: { clause: `(${value} IS NULL AND load_id > ?)`, params: [after.id] } };
+    }
+    return {
+        order,
+        after: {
+            clause: `(${value} IS NULL OR ${value} ${sort.descending ? '<' : '>'} ? OR (${value} = ? AND load_id > ?))`,
+            params: [after.value, after.value, after.id]
+        }
+    };
+}
+
+module.exports = SqliteLoadStore;
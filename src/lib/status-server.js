@@ -0,0 +1,172 @@
+const http = require('http');
+
+/**
+ * HTTP server answering health checks with the scraper's status.
+ *
+ * `getStatus` returns the status object (see ProductionScheduler#getStatus);
+ * the service counts as unhealthy, and the response is a 503, once its
+ * health status is 'critical'. Used by the production service and by
+ * `dispatch serve`.
+ *
+ * `routes` adds read-only endpoints (see api.js): each is a
+ * `{ path, handler }` pair, where path is a RegExp matched against the URL
+ * path and handler({ params, query, headers }) resolves to the response
+ * body, sent as JSON, or null for a 404. A handler that needs its own
+ * headers or another format (CSV) returns an HttpResponse. An error with a
+ * statusCode (see httpError) is answered with that status and its message;
+ * anything else is a 500.
+ *
+ * A route may instead have stream({ req, res, params, query, headers }),
+ * which owns the response and keeps it open (server-sent events), and
+ * upgrade({ req, socket, head, params, query, headers }), which takes
+ * WebSocket upgrades on its path. Errors thrown before they answer are
+ * sent like a handler's.
+ */
+
+function httpError(statusCode, message) {
+    return Object.assign(new Error(message), { statusCode });
+}
+
+/**
+ * A response with its own headers or status. A string or Buffer body is
+ * sent as is (set its Content-Type), anything else as JSON.
+ */
+class HttpResponse {
+    constructor(body, headers = {}, statusCode = 200) {
+        this.body = body;
+        this.headers = headers;
+        this.statusCode = statusCode;
+    }
+}
+
+function sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-cache'
+    });
+    res.end(JSON.stringify(body, null, 2));
+}
+
+function requestContext(match, req, url) {
+    return {
+        params: match.slice(1).map(decodeURIComponent),
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers
+    };
+}
+
+async function handleRoute(route, match, req, url, res, logger) {
+    try {
+        if (route.stream) {
+            await route.stream({ req, res, ...requestContext(match, req, url) });
+            return;
+        }
+        const body = await route.handler(requestContext(match, req, url));
+        if (body === null || body === undefined) {
+            sendJson(res, 404, { error: 'Not found' });
+        } else if (body instanceof HttpResponse && typeof body.body !== 'string' && !Buffer.isBuffer(body.body)) {
+            res.setHeader('Cache-Control', 'no-cache');
+            for (const [name, value] of Object.entries(body.headers)) res.setHeader(name, value);
+            sendJson(res, body.statusCode, body.body);
+        } else if (body instanceof HttpResponse) {
+            res.writeHead(body.statusCode, { 'Cache-Control': 'no-cache', ...body.headers });
+            res.end(body.body);
+        } else {
+            sendJson(res, 200, body);
+        }
+    } catch (error) {
+        if (!error.statusCode) {
+            logger.error('Status server request failed', { path: url.pathname, error: error.message });
+        }
+        if (res.headersSent) {
+            res.end();
+            return;
+        }
+        sendJson(res, error.statusCode || 500, { error: error.statusCode ? error.message : 'Internal error' });
+    }
+}
+
+async function handleUpgrade(route, match, req, socket, head, url, logger) {
+    try {
+        await route.upgrade({ req, socket, head, ...requestContext(match, req, url) });
+    } catch (error) {
+        if (!error.statusCode) {
+            logger.error('Status server upgrade failed', { path: url.pathname, error: error.message });
+        }
+        const status = error.statusCode || 500;
+        const body = JSON.stringify({ error: error.statusCode ? error.message : 'Internal error' });
+        socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n` +
+            `Content-Type: application/json\r\nContent-Length: ${Buffer.byteLength(body)}\r\nConnection: close\r\n\r\n${body}`);
+    }
+}
+
+function createStatusServer({ getStatus, routes = [], logger = console }) {
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (url.pathname === '/health' || url.pathname === '/') {
+            const status = getStatus();
+            const isHealthy = !status.health || status.health.status !== 'critical';
+
+            sendJson(res, isHealthy ? 200 : 503, {
+                status: isHealthy ? 'healthy' : 'unhealthy',
+                timestamp: new Date().toISOString(),
+                ...status
+            });
+            return;
+        }
+
+        if (req.method === 'GET') {
+            for (const route of routes) {
+                const match = url.pathname.match(route.path);
+                if (match) {
+                    handleRoute(route, match, req, url, res, logger);
+                    return;
+                }
+            }
+        }
+
+        res.writeHead(404);
+        res.end('Not Found');
+    });
+
+    server.on('upgrade', (req, socket, head) => {
+        const url = new URL(req.url, 'http://localhost');
+        for (const route of routes) {
+            const match = route.upgrade && url.pathname.match(route.path);
+            if (match) {
+                handleUpgrade(route, match, req, socket, head, url, logger);
+                return;
+            }
+        }
+        socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+    });
+
+    return server;
+}
+
+/**
+ * Create the status server and start listening.
+ *
+ * @param {{ port: number, getStatus: function, routes?: object[], logger: object }} options
+ * @returns {http.Server}
+ */
+function startStatusServer({ port, getStatus, routes = [], logger }) {
+    const server = createStatusServer({ getStatus, routes, logger });
+
+    server.listen(port, () => {
+        logger.info('Health check server started', {
+            port,
+            endpoints: ['/health', '/', ...routes.map(route => route.name || String(route.path))]
+        });
+    });
+
+    return server;
+}
+
+module.exports = {
+    httpError,
+    HttpResponse,
+    createStatusServer,
+    startStatusServer
+};
@@ -0,0 +1,236 @@
+const { toNumber, round } = require('./parsers');
+const { lookupPlace } = require('./gazetteer');
+
+/**
+ * Pickup-to-delivery transit time under the FMCSA hours-of-service rules
+ * for property-carrying drivers:
+ *
+ * - at most 11 hours of driving after 10 consecutive hours off duty
+ * - no driving after the 14th hour since coming on duty
+ * - a 30-minute break once 8 hours have been driven without one
+ * - 10 hours off duty before the 11- and 14-hour clocks start over
+ *
+ * A solo driver stops for the 10 hours. A team swaps drivers instead,
+ * as soon as the one in the sleeper has had their 10 hours, so the truck
+ * only stands still for the breaks neither driver can cover. Both drivers
+ * start rested at pickup, loading counts against the first driver's
+ * 14 hours, and the 60/70-hour weekly limits are not modelled.
+ *
+ * Transit runs from the start of loading to arrival at the receiver, which
+ * is what a delivery appointment has to be met by.
+ */
+
+const HOS_MODES = ['solo', 'team'];
+
+const MAX_DRIVING_HOURS = 11;
+const DUTY_WINDOW_HOURS = 14;
+const DRIVING_BEFORE_BREAK_HOURS = 8;
+const BREAK_HOURS = 0.5;
+const RESET_HOURS = 10;
+
+// Standard-time UTC offset of each state, by where most of its freight
+// moves; states split between zones take their larger side. Pickup and
+// delivery windows are local to their stop, so crossing zones shifts the
+// deadline. Daylight saving moves nearly every state together and is left
+// out.
+const STATE_UTC_OFFSETS = {
+    CT: -5, DC: -5, DE: -5, FL: -5, GA: -5, IN: -5, KY: -5, MA: -5, MD: -5,
+    ME: -5, MI: -5, NC: -5, NH: -5, NJ: -5, NY: -5, OH: -5, PA: -5, RI: -5, SC: -5,
+    VA: -5, VT: -5, WV: -5,
+    AL: -6, AR: -6, IA: -6, IL: -6, KS: -6, LA: -6, MN: -6, MO: -6, MS: -6, ND: -6,
+    NE: -6, OK: -6, SD: -6, TN: -6, TX: -6, WI: -6,
+    AZ: -7, CO: -7, ID: -7, MT: -7, NM: -7, UT: -7, WY: -7,
+    CA: -8, NV: -8, OR: -8, WA: -8,
+    AK: -9,
+    HI: -10
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Simulate the trip one duty-status change at a time.
+ *
+ * @param {object} options
+ * @param {number} [options.miles] loaded miles; driven at averageMph
+ * @param {number} [options.drivingHours] driving time when a routing
+ *        service knows it better than miles / averageMph
+ * @param {'solo'|'team'} [options.mode]
+ * @param {number} [options.averageMph] average moving speed
+ * @param {number} [options.loadingHours] on duty at the shipper before
+ *        the truck leaves
+ * @returns {{ mode: string, driving_hours: number, transit_hours: number,
+ *           breaks: number, resets: number, swaps: number }}
+ *          resets counts the 10-hour stops the truck made, swaps the
+ *          team's driver changes
+ */
+function estimateTransit({ miles, drivingHours, mode = 'solo', averageMph = 50, loadingHours = 2 }) {
+    if (!HOS_MODES.includes(mode)) {
+        throw new Error(`HOS mode must be one of ${HOS_MODES.join(', ')}, got "${mode}"`);
+    }
+    let remaining = drivingHours !== undefined && drivingHours !== null ? drivingHours : miles / averageMph;
+    if (!Number.isFinite(remaining) || remaining < 0) {
+        throw new Error(`Cannot estimate transit for ${miles} miles`);
+    }
+    const driving = remaining;
+
+    // Each driver's clocks; offAt is when they last went off duty
+    const rested = () => ({ window: 0, driven: 0, sinceBreak: 0, offAt: -Infinity });
+    const drivers = mode === 'team' ? [rested(), rested()] : [rested()];
+    let active = 0;
+    let hours = loadingHours;
+    let breaks = 0;
+    let resets = 0;
+    let swaps = 0;
+    drivers[active].window = loadingHours;
+
+    while (remaining > 1e-9) {
+        const driver = drivers[active];
+        const other = drivers.length > 1 ? drivers[1 - active] : null;
+        const otherRested = other !== null && hours - other.offAt >= RESET_HOURS;
+
+        if (driver.driven >= MAX_DRIVING_HOURS || driver.window >= DUTY_WINDOW_HOURS) {
+            driver.offAt = hours;
+            if (other) {
+                // Wait for the co-driver's 10 hours if they are not in yet
+                if (!otherRested) {
+                    hours = other.offAt + RESET_HOURS;
+                    resets++;
+                }
+                Object.assign(other, rested(), { offAt: other.offAt });
+                active = 1 - active;
+                swaps++;
+            } else {
+                hours += RESET_HOURS;
+                Object.assign(driver, rested());
+                resets++;
+            }
+            continue;
+        }
+        if (driver.sinceBreak >= DRIVING_BEFORE_BREAK_HOURS) {
+            if (otherRested) {
+                driver.offAt = hours;
+                Object.assign(other, rested(), { offAt: other.offAt });
+                active = 1 - active;
+                swaps++;
+            } else {
+                hours += BREAK_HOURS;
+                driver.window += BREAK_HOURS;
+                driver.sinceBreak = 0;
+                breaks++;
+            }
+            continue;
+        }
+
+        const stint = Math.min(
+            remaining,
+            MAX_DRIVING_HOURS - driver.driven,
+            DUTY_WINDOW_HOURS - driver.window,
+            DRIVING_BEFORE_BREAK_HOURS - driver.sinceBreak
+        );
+        hours += stint;
+        driver.window += stint;
+        driver.driven += stint;
+        driver.sinceBreak += stint;
+        remaining -= stint;
+    }
+
+    return {
+        mode,
+        driving_hours: round(driving),
+        transit_hours: round(hours),
+        breaks,
+        resets,
+        swaps
+    };
+}
+
+/**
+ * The standard-time UTC offset of a "City, ST" place, or null.
+ */
+function utcOffsetOf(place) {
+    const found = lookupPlace(place);
+    const state = found ? found.state : ((place || '').match(/,\s*([A-Za-z]{2})\s*$/) || [])[1];
+    const offset = state ? STATE_UTC_OFFSETS[state.toUpperCase()] : undefined;
+    return offset === undefined ? null : offset;
+}
+
+// A stop's local window point ("2025-09-08" or "2025-09-08T08:00") as a
+// UTC instant; a bare date means the start of the day, or its end for a
+// deadline
+function stopInstant(value, offsetHours, endOfDay) {
+    if (!value) return null;
+    const text = /T\d{2}:\d{2}/.test(value) ? value.substring(0, 16) : `${value.substring(0, 10)}T${endOfDay ? '23:59' : '00:00'}`;
+    const local = Date.parse(`${text}:00Z`);
+    return Number.isNaN(local) ? null : local - offsetHours * HOUR_MS;
+}
+
+function localTime(instant, offsetHours) {
+    return new Date(instant + offsetHours * HOUR_MS).toISOString().substring(0, 16);
+}
+
+/**
+ * The transit columns of one load:
+ *
+ * - transit_hours: from the start of loading to arrival at the receiver
+ * - earliest_delivery: the earliest legal arrival, local to the
+ *   destination like delivery_start, when the pickup window is known
+ * - delivery_slack_hours: the latest delivery (delivery_end, else
+ *   delivery_start) less the earliest arrival; below zero the posted
+ *   delivery cannot be met legally
+ *
+ * Transit needs loaded_miles (see profitability.js); without them the
+ * columns stay empty.
+ *
+ * @param {object} load a load record
+ * @param {{ mode?: string, averageMph?: number, loadingHours?: number }} [options]
+ */
+function planDelivery(load, options = {}) {
+    const columns = { transit_hours: null, earliest_delivery: null, delivery_slack_hours: null };
+    const miles = toNumber(load.loaded_miles);
+    if (miles === null) return columns;
+
+    const transit = estimateTransit({ ...options, miles });
+    columns.transit_hours = transit.transit_hours;
+
+    // Without both zones, both windows are read as the same clock
+    let originOffset = utcOffsetOf(load.origin);
+    let destinationOffset = utcOffsetOf(load.destination);
+    if (originOffset === null || destinationOffset === null) {
+        originOffset = 0;
+        destinationOffset = 0;
+    }
+
+    const pickup = stopInstant(load.pickup_start, originOffset, false);
+    if (pickup === null) return columns;
+    const arrival = pickup + transit.transit_hours * HOUR_MS;
+    columns.earliest_delivery = localTime(arrival, destinationOffset);
+
+    const deadline = stopInstant(load.delivery_end || load.delivery_start, destinationOffset, true);
+    if (deadline !== null) {
+        columns.delivery_slack_hours = round((deadline - arrival) / HOUR_MS, 1);
+    }
+    return columns;
+}
+
+/**
+ * Whether a load's posted delivery cannot be met under the HOS rules.
+ */
+function isLateDelivery(load) {
+    const slack = toNumber(load.delivery_slack_hours);
+    return slack !== null && slack < 0;
+}
+
+/**
+ * The records with their transit columns.
+ */
+function applyTransit(records, options = {}) {
+    return records.map(record => ({ ...record, ...planDelivery(record, options) }));
+}
+
+module.exports = {
+    HOS_MODES,
+    estimateTransit,
+    planDelivery,
+    isLateDelivery,
+    applyTransit
+};
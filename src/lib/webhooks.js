@@ -0,0 +1,465 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { RunLock } = require('./run-coordinator');
+
+/**
+ * Signed outbound webhooks for load events.
+ *
+ * Endpoints are declared in webhooks.json:
+ *
+ *   {
+ *     "endpoints": [
+ *       {
+ *         "name": "tms",
+ *         "url": "https://tms.example.com/hooks/dat",
+ *         "secretEnv": "TMS_WEBHOOK_SECRET",
+ *         "events": ["load.created", "load.updated", "load.removed"]
+ *       }
+ *     ],
+ *     "maxAttempts": 8,
+ *     "maxDeadLetters": 1000
+ *   }
+ *
+ * Each event becomes one delivery per subscribed endpoint. Deliveries are
+ * held in memory until save() writes them to a JSON outbox file in one
+ * go (the scraper saves a run's events when it has stored its loads), and
+ * are sent from there, so they survive restarts. A
+ * failed delivery is retried with exponential backoff; one that keeps
+ * failing, or that the endpoint rejects outright (a 4xx other than 408 or
+ * 429), moves to the dead letters, where it stays until replayed. Only
+ * the newest maxDeadLetters are kept. Every change to the outbox holds a
+ * lock file next to it, so the service and the CLI can both change it;
+ * while another process holds it, a change waits without blocking.
+ *
+ * Requests are POSTs of `{ id, type, created_at, data }` signed like
+ * Stripe's: the X-Dispatch-Signature header is `t=<unix time>,v1=<hex
+ * HMAC-SHA256 of "<t>.<body>">` with the endpoint's secret. Receivers can
+ * check it with verifySignature and should ignore repeated delivery ids,
+ * since a delivery whose answer was lost is sent again.
+ */
+
+const DEFAULT_WEBHOOKS_PATH = './webhooks.json';
+
+const WEBHOOK_EVENTS = ['load.created', 'load.updated', 'load.removed'];
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_MAX_DEAD_LETTERS = 1000;
+const BASE_BACKOFF_MS = 10 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const DEFAULT_FLUSH_INTERVAL_MS = 15 * 1000;
+
+// The outbox lock is held for one read and write of the file; a holder
+// gone this long has crashed
+const OUTBOX_LOCK_STALE_MS = 30 * 1000;
+const OUTBOX_LOCK_TIMEOUT_MS = 10 * 1000;
+const OUTBOX_LOCK_RETRY_MS = 50;
+
+// Signatures older than this are rejected by verifySignature
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+function normalizeEndpoint(raw, index, env) {
+    const label = raw && raw.name ? `"${raw.name}"` : `#${index + 1}`;
+    const fail = message => {
+        throw new Error(`Webhook endpoint ${label}: ${message}`);
+    };
+
+    if (!raw || typeof raw !== 'object') fail('must be an object');
+    if (!raw.name) fail('name is required');
+    try {
+        new URL(raw.url);
+    } catch (error) {
+        fail(`url must be an absolute URL, got "${raw.url}"`);
+    }
+
+    const events = raw.events || WEBHOOK_EVENTS;
+    for (const event of events) {
+        if (!WEBHOOK_EVENTS.includes(event)) fail(`unknown event "${event}" (known: ${WEBHOOK_EVENTS.join(', ')})`);
+    }
+
+    if (!raw.secretEnv) fail('secretEnv must name the environment variable holding the signing secret');
+    const secret = env[raw.secretEnv];
+    if (!secret) fail(`environment variable ${raw.secretEnv} is not set`);
+
+    return { name: raw.name, url: raw.url, secret, events, headers: raw.headers || {} };
+}
+
+/**
+ * Validate the parsed webhooks file. Secrets are read from the environment.
+ *
+ * @returns {{ endpoints: object[], maxAttempts: number, maxDeadLetters: number }}
+ */
+function parseWebhookConfig(config, env = process.env) {
+    const endpoints = (config && config.endpoints) || [];
+    if (!Array.isArray(endpoints)) throw new Error('Webhooks file: endpoints must be a list');
+
+    const maxAttempts = (config && config.maxAttempts) ?? DEFAULT_MAX_ATTEMPTS;
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+        throw new Error(`Webhooks file: maxAttempts must be a positive whole number, got "${maxAttempts}"`);
+    }
+
+    const maxDeadLetters = (config && config.maxDeadLetters) ?? DEFAULT_MAX_DEAD_LETTERS;
+    if (!Number.isInteger(maxDeadLetters) || maxDeadLetters < 1) {
+        throw new Error(`Webhooks file: maxDeadLetters must be a positive whole number, got "${maxDeadLetters}"`);
+    }
+
+    const parsed = endpoints.map((raw, index) => normalizeEndpoint(raw, index, env));
+    const names = new Set();
+    for (const endpoint of parsed) {
+        if (names.has(endpoint.name)) throw new Error(`Duplicate webhook endpoint name "${endpoint.name}"`);
+        names.add(endpoint.name);
+    }
+    return { endpoints: parsed, maxAttempts, maxDeadLetters };
+}
+
+/**
+ * Read the webhooks file. A missing file means no webhooks.
+ */
+function loadWebhookConfig(filePath = DEFAULT_WEBHOOKS_PATH, env = process.env) {
+    if (!fs.existsSync(filePath)) {
+        return { endpoints: [], maxAttempts: DEFAULT_MAX_ATTEMPTS, maxDeadLetters: DEFAULT_MAX_DEAD_LETTERS };
+    }
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read webhooks from ${filePath}: ${error.message}`);
+    }
+    return parseWebhookConfig(config, env);
+}
+
+/**
+ * The X-Dispatch-Signature header for a body sent at `timestamp` (seconds).
+ */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Check a received X-Dispatch-Signature header against the raw body.
+ */
+function verifySignature(secret, body, header, { now = Date.now(), toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS } = {}) {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+    const timestamp = Number(parts.t);
+    if (!Number.isInteger(timestamp) || !parts.v1) return false;
+    if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) return false;
+
+    const expected = Buffer.from(signPayload(secret, body, timestamp).split('v1=')[1], 'hex');
+    const actual = Buffer.from(parts.v1, 'hex');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Delay before the next attempt: 10s, 20s, 40s, ... capped at an hour,
+ * with up to 20% jitter so failed deliveries do not retry in lockstep.
+ */
+function backoffMs(attempts, random = Math.random) {
+    const delay = Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+    return Math.round(delay * (1 + random() * 0.2));
+}
+
+// 4xx answers mean the request itself is wrong; retrying will not help
+function isRetryable(status) {
+    return status === undefined || status >= 500 || status === 408 || status === 429;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Queues load events per endpoint in the outbox file and delivers them.
+ *
+ * The outbox is read and rewritten by every change, under the outbox
+ * lock, so the CLI can inspect and replay dead letters while the service
+ * runs. Changes from one dispatcher run one at a time.
+ */
+class WebhookDispatcher {
+    /**
+     * @param {{ endpoints: object[], maxAttempts?: number, maxDeadLetters?: number,
+     *           outboxPath: string, logger?: object, random?: function }} options
+     *        endpoints as parseWebhookConfig returns them
+     */
+    constructor({
+        endpoints,
+        maxAttempts = DEFAULT_MAX_ATTEMPTS,
+        maxDeadLetters = DEFAULT_MAX_DEAD_LETTERS,
+        outboxPath,
+        logger = console,
+        random = Math.random
+    }) {
+        this.endpoints = new Map(endpoints.map(endpoint => [endpoint.name, endpoint]));
+        this.maxAttempts = maxAttempts;
+        this.maxDeadLetters = maxDeadLetters;
+        this.outboxPath = outboxPath;
+        this.lock = new RunLock({ filePath: `${outboxPath}.lock`, staleMs: OUTBOX_LOCK_STALE_MS, logger });
+        this.logger = logger;
+        this.random = random;
+        this.queued = [];
+        this.updating = Promise.resolve();
+        this.flushing = null;
+        this.timer = null;
+    }
+
+    readOutbox() {
+        if (!fs.existsSync(this.outboxPath)) return { pending: [], dead: [] };
+        const outbox = JSON.parse(fs.readFileSync(this.outboxPath, 'utf8'));
+        return { pending: outbox.pending || [], dead: outbox.dead || [] };
+    }
+
+    // Written to a temporary file first so a crash never leaves half an outbox
+    writeOutbox(outbox) {
+        fs.mkdirSync(path.dirname(this.outboxPath), { recursive: true });
+        const temporary = `${this.outboxPath}.tmp`;
+        fs.writeFileSync(temporary, JSON.stringify(outbox, null, 2));
+        fs.renameSync(temporary, this.outboxPath);
+    }
+
+    /**
+     * Read the outbox, let `change` edit it and write it back, holding the
+     * outbox lock throughout.
+     *
+     * @param {function(object): *} change
+     * @returns {Promise<*>} what change returns
+     */
+    updateOutbox(change) {
+        const update = this.updating.then(() => this.changeLocked(change));
+        this.updating = update.catch(() => {});
+        return update;
+    }
+
+    async changeLocked(change) {
+        const deadline = Date.now() + OUTBOX_LOCK_TIMEOUT_MS;
+        while (!this.lock.acquire('webhook outbox')) {
+            if (Date.now() > deadline) {
+                throw new Error(`Webhook outbox ${this.outboxPath} is locked by another process`);
+            }
+            await sleep(OUTBOX_LOCK_RETRY_MS);
+        }
+        try {
+            const outbox = this.readOutbox();
+            const result = change(outbox);
+            this.writeOutbox(outbox);
+            return result;
+        } finally {
+            this.lock.release();
+        }
+    }
+
+    /**
+     * Queue an event for every endpoint subscribed to it, in memory until
+     * the next save().
+     *
+     * @param {string} type one of WEBHOOK_EVENTS
+     * @param {object} data the event body, e.g. { load } or { load, changes }
+     * @returns {number} deliveries queued
+     */
+    enqueue(type, data, { now = new Date() } = {}) {
+        const endpoints = [...this.endpoints.values()].filter(endpoint => endpoint.events.includes(type));
+        if (endpoints.length === 0) return 0;
+
+        const event = { id: crypto.randomUUID(), type, created_at: now.toISOString(), data };
+        for (const endpoint of endpoints) {
+            this.queued.push({
+                id: crypto.randomUUID(),
+                endpoint: endpoint.name,
+                event,
+                attempts: 0,
+                next_attempt_at: event.created_at,
+                last_error: null
+            });
+        }
+        return endpoints.length;
+    }
+
+    /**
+     * Write the queued deliveries to the outbox in one change. When that
+     * fails they stay queued for the next save.
+     *
+     * @returns {Promise<number>} deliveries written
+     */
+    async save() {
+        if (this.queued.length === 0) return 0;
+
+        const deliveries = this.queued;
+        this.queued = [];
+        try {
+            await this.updateOutbox(outbox => {
+                outbox.pending.push(...deliveries);
+            });
+        } catch (error) {
+            this.queued = [...deliveries, ...this.queued];
+            throw error;
+        }
+        return deliveries.length;
+    }
+
+    async send(delivery, now) {
+        const endpoint = this.endpoints.get(delivery.endpoint);
+        const body = JSON.stringify(delivery.event);
+        const response = await fetch(endpoint.url, {
+            method: 'POST',
+            headers: {
+                ...endpoint.headers,
+                'Content-Type': 'application/json',
+                'User-Agent': 'dispatch-webhooks',
+                'X-Dispatch-Event': delivery.event.type,
+                'X-Dispatch-Delivery': delivery.id,
+                'X-Dispatch-Signature': signPayload(endpoint.secret, body, Math.floor(now.getTime() / 1000))
+            },
+            body,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+        if (!response.ok) {
+            throw Object.assign(new Error(`${endpoint.url} answered ${response.status}`), { status: response.status });
+        }
+    }
+
+    /**
+     * Save the queued deliveries and send every delivery that is due. Only
+     * one flush runs at a time; a call made during a flush waits for it.
+     *
+     * @returns {Promise<{ delivered: number, retrying: number, dead: number }>}
+     */
+    flush(options = {}) {
+        if (!this.flushing) {
+            this.flushing = this.deliverDue(options).finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async deliverDue({ now = new Date() } = {}) {
+        await this.save();
+        const result = { delivered: 0, retrying: 0, dead: 0 };
+        const due = this.readOutbox().pending.filter(delivery =>
+            Date.parse(delivery.next_attempt_at) <= now.getTime());
+
+        for (const delivery of due) {
+            const outcome = { ...delivery, attempts: delivery.attempts + 1, last_attempt_at: now.toISOString() };
+            let status = null;
+            if (!this.endpoints.has(delivery.endpoint)) {
+                outcome.last_error = `endpoint "${delivery.endpoint}" is no longer configured`;
+                status = 'dead';
+            } else {
+                try {
+                    await this.send(delivery, now);
+                    status = 'delivered';
+                } catch (error) {
+                    // fetch hides the network error ("ECONNREFUSED") in its cause
+                    outcome.last_error = error.cause
+                        ? `${error.message} (${error.cause.code || error.cause.message})`
+                        : error.message;
+                    status = isRetryable(error.status) && outcome.attempts < this.maxAttempts ? 'retrying' : 'dead';
+                }
+            }
+
+            // Re-read so deliveries queued or replayed meanwhile are kept
+            await this.updateOutbox(outbox => {
+                outbox.pending = outbox.pending.filter(pending => pending.id !== delivery.id);
+                if (status === 'retrying') {
+                    outcome.next_attempt_at = new Date(now.getTime() + backoffMs(outcome.attempts, this.random)).toISOString();
+                    outbox.pending.push(outcome);
+                } else if (status === 'dead') {
+                    outbox.dead.push({ ...outcome, dead_at: now.toISOString() });
+                    this.dropOldDeadLetters(outbox);
+                }
+            });
+            if (status === 'dead') {
+                this.logger.warn('Webhook delivery failed for good', {
+                    endpoint: delivery.endpoint,
+                    event: delivery.event.type,
+                    deliveryId: delivery.id,
+                    attempts: outcome.attempts,
+                    error: outcome.last_error
+                });
+            }
+            result[status]++;
+        }
+
+        if (due.length > 0) {
+            this.logger.info('Webhooks flushed', result);
+        }
+        return result;
+    }
+
+    // Dead letters are appended oldest first; past the cap the oldest go
+    dropOldDeadLetters(outbox) {
+        const dropped = outbox.dead.length - this.maxDeadLetters;
+        if (dropped <= 0) return;
+
+        outbox.dead = outbox.dead.slice(dropped);
+        this.logger.warn('Dropped the oldest webhook dead letters', { dropped, kept: this.maxDeadLetters });
+    }
+
+    pending() {
+        return this.readOutbox().pending;
+    }
+
+    deadLetters() {
+        return this.readOutbox().dead;
+    }
+
+    /**
+     * Move dead letters back to the outbox with a fresh attempt count.
+     *
+     * @param {string[]|null} ids delivery ids, or null for all of them
+     * @returns {Promise<object[]>} the deliveries requeued
+     */
+    replay(ids = null, { now = new Date() } = {}) {
+        return this.updateOutbox(outbox => {
+            const chosen = outbox.dead.filter(delivery => !ids || ids.includes(delivery.id));
+            outbox.dead = outbox.dead.filter(delivery => !chosen.includes(delivery));
+            for (const { dead_at: deadAt, ...delivery } of chosen) {
+                outbox.pending.push({ ...delivery, attempts: 0, next_attempt_at: now.toISOString() });
+            }
+            return chosen;
+        });
+    }
+
+    /**
+     * Flush due deliveries every intervalMs, so retries go out between runs.
+     */
+    start(intervalMs = DEFAULT_FLUSH_INTERVAL_MS) {
+        if (this.timer || this.endpoints.size === 0) return;
+        this.timer = setInterval(() => {
+            this.flush().catch(error => {
+                this.logger.error('Webhook flush failed', { error: error.message });
+            });
+        }, intervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+/**
+ * Turn a store's load events into webhook events: 'inserted' is
+ * load.created, 'updated' load.updated and 'vanished' load.removed. They
+ * are only queued in memory; the caller saves them (see
+ * WebhookDispatcher#save) once the store's save is done.
+ */
+function watchLoadStore(store, dispatcher) {
+    store.on('inserted', load => dispatcher.enqueue('load.created', { load }));
+    store.on('updated', (load, changes) => dispatcher.enqueue('load.updated', { load, changes }));
+    store.on('vanished', load => dispatcher.enqueue('load.removed', { load }));
+}
+
+module.exports = {
+    DEFAULT_WEBHOOKS_PATH,
+    WEBHOOK_EVENTS,
+    parseWebhookConfig,
+    loadWebhookConfig,
+    signPayload,
+    verifySignature,
+    backoffMs,
+    WebhookDispatcher,
+    watchLoadStore
+};
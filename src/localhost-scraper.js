@@ -1,9 +1,15 @@
 const { chromium } = require('playwright');
 const fs = require('fs');
 const path = require('path');
-const createCsvWriter = require('csv-writer').createObjectCsvWriter;
 const csv = require('csv-parser');
 const GmailAPI = require('./gmail-api');
+const { normalizeValue, parseOriginDestination, toRateColumns } = require('./lib/parsers');
+const { createLoadStore } = require('./lib/load-store');
+const { normalizeContact, formatContact } = require('./lib/contacts');
+const { loadSearchProfiles, selectProfile, applyProfile } = require('./lib/search-profiles');
+const { fillSearchForm } = require('./lib/search-form');
+const { selectorsFor } = require('./lib/selectors');
+const { FailureRecorder, writeFailureBundle } = require('./lib/failure-bundles');
 require('dotenv').config();
 
 // Localhost-specific configuration
@@ -11,6 +17,9 @@ const CONFIG = {
     intervalSeconds: 30,
     maxEntries: 25,
     outputFile: 'dat_one_loads_localhost.csv',
+    loadStore: process.env.LOAD_STORE || 'sqlite', // 'sqlite' or 'csv'
+    databaseFile: 'loads_localhost.db',
+    searchProfile: process.env.SEARCH_PROFILE || null, // Profile name from search-profiles.json (first one if unset)
     headless: true, // Run headless for efficiency
     timeout: 10000, // Very fast timeout for testing
     maxRetries: 3,
@@ -22,19 +31,38 @@ const CONFIG = {
 };
 
 class LocalhostScraper {
-    constructor() {
+    constructor(options = {}) {
         this.browser = null;
         this.context = null;
         this.page = null;
         this.isLoggedIn = false;
+        this.outputDir = options.outputDir || './output';
+        // Recent log lines, for a failure bundle
+        this.logLines = [];
+    }
+
+    outputPath(fileName) {
+        return path.join(this.outputDir, fileName);
     }
 
     log(level, message, data = {}) {
         const timestamp = new Date().toISOString();
         const logEntry = { timestamp, level: level.toUpperCase(), message, ...data };
+        this.logLines.push(JSON.stringify(logEntry));
+        if (this.logLines.length > 5000) this.logLines.shift();
         console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data);
     }
 
+    // Logger interface expected by the shared lib modules
+    logger() {
+        return {
+            debug: (message, data) => this.log('debug', message, data),
+            info: (message, data) => this.log('info', message, data),
+            warn: (message, data) => this.log('warn', message, data),
+            error: (message, data) => this.log('error', message, data)
+        };
+    }
+
     async initialize() {
         try {
             this.log('info', '🏠 LOCALHOST: Starting browser for automated login with email verification');
@@ -96,7 +124,7 @@ class LocalhostScraper {
                 await this.page.waitForTimeout(300);
                 
                 // Take initial screenshot
-                await this.page.screenshot({ path: './output/initial-login-page.png', fullPage: true });
+                await this.page.screenshot({ path: this.outputPath('initial-login-page.png'), fullPage: true });
                 this.log('info', '📸 Initial page screenshot saved');
                 
                 // Check if we have the username field
@@ -147,7 +175,7 @@ class LocalhostScraper {
                     }
                     
                     // Take a screenshot after clicking to see what happened
-                    await this.page.screenshot({ path: './output/after-click-debug.png', fullPage: true });
+                    await this.page.screenshot({ path: this.outputPath('after-click-debug.png'), fullPage: true });
                     this.log('info', '📸 Screenshot after click saved to output/after-click-debug.png');
                     
                     const currentUrl = this.page.url();
@@ -168,7 +196,7 @@ class LocalhostScraper {
             this.log('info', `Current URL: ${currentUrl}`);
             
             // Take a screenshot for debugging
-            await this.page.screenshot({ path: './output/login-form-debug.png', fullPage: true });
+            await this.page.screenshot({ path: this.outputPath('login-form-debug.png'), fullPage: true });
             this.log('info', '📸 Screenshot saved to output/login-form-debug.png');
             
             // Check what input fields are available now - look both on page and in modal
@@ -561,7 +589,7 @@ class LocalhostScraper {
             await this.page.waitForTimeout(1500);
             
             // Take a screenshot to see what's on the page
-            await this.page.screenshot({ path: './output/verification-check.png', fullPage: true });
+            await this.page.screenshot({ path: this.outputPath('verification-check.png'), fullPage: true });
             this.log('info', '📸 Screenshot saved to output/verification-check.png');
             
             // Get current URL to see where we are
@@ -1069,7 +1097,7 @@ class LocalhostScraper {
             await this.page.waitForTimeout(3000);
             
             this.log('info', '📸 Taking screenshot of load board page for debugging');
-            await this.page.screenshot({ path: 'output/load-board-debug.png', fullPage: true });
+            await this.page.screenshot({ path: this.outputPath('load-board-debug.png'), fullPage: true });
             
             // Check current URL and page content
             const currentUrl = this.page.url();
@@ -1077,8 +1105,7 @@ class LocalhostScraper {
             
             // Try to find any load-related elements with more flexible selectors
             const loadSelectors = [
-                '[data-test="load-origin-cell"]',
-                '.row-container',
+                ...selectorsFor('results.ready'),
                 '[data-testid*="load"]',
                 '[class*="load"]',
                 '[class*="row"]',
@@ -1128,16 +1155,16 @@ class LocalhostScraper {
         }
     }
 
-    async fillSearchForm() {
+    async fillSearchForm(profile) {
         try {
-            this.log('info', '📝 Filling out search form for load search');
+            this.log('info', `📝 Filling out search form for profile "${profile.name}"`);
             
             // Wait for the search form to be ready - first let's analyze what's on the page
         this.log('info', '🔍 Analyzing search page structure...');
         await this.page.waitForTimeout(500);
             
             // Take a screenshot for debugging
-            await this.page.screenshot({ path: 'output/search-form-debug.png', fullPage: true });
+            await this.page.screenshot({ path: this.outputPath('search-form-debug.png'), fullPage: true });
             
             // Check what input fields are available
             const allInputs = await this.page.$$('input');
@@ -1159,7 +1186,7 @@ class LocalhostScraper {
                 await this.page.waitForSelector('input[placeholder="Origin"], input[placeholder*="Origin"], [aria-label*="Origin"], input', { timeout: 15000 });
             } catch (error) {
                 this.log('error', '❌ Could not find Origin field, taking screenshot and analyzing page');
-                await this.page.screenshot({ path: 'output/origin-field-not-found.png', fullPage: true });
+                await this.page.screenshot({ path: this.outputPath('origin-field-not-found.png'), fullPage: true });
                 
                 // Get page content for analysis
                 const pageContent = await this.page.content();
@@ -1172,309 +1199,16 @@ class LocalhostScraper {
                 throw error;
             }
             
-            // Fill Origin field using the exact data-test attribute
-            this.log('info', '🔍 Looking for Origin field with data-test="origin-input"...');
-            const originField = await this.page.waitForSelector('input[data-test="origin-input"]', { timeout: 10000 });
-            
-            if (originField) {
-                this.log('info', '✅ Found origin field with data-test="origin-input"');
-                await originField.click();
-                await originField.fill(''); // Clear first
-                await originField.fill('Denver, CO');
-                await this.page.waitForTimeout(300);
-                this.log('info', '✅ Filled origin: Denver, CO');
-            } else {
-                throw new Error('Origin field not found with data-test="origin-input"');
-            }
-            
-            // Fill Destination field using the exact data-test attribute
-            this.log('info', '🔍 Looking for Destination field with data-test="destination-input"...');
-            const destinationField = await this.page.waitForSelector('input[data-test="destination-input"]', { timeout: 10000 });
-            
-            if (destinationField) {
-                this.log('info', '✅ Found destination field with data-test="destination-input"');
-                await destinationField.click();
-                await destinationField.fill(''); // Clear first
-                await destinationField.fill('San Francisco, CA');
-                await this.page.waitForTimeout(300);
-                this.log('info', '✅ Filled destination: San Francisco, CA');
-            } else {
-                throw new Error('Destination field not found with data-test="destination-input"');
-            }
-            
-            // Fill Equipment Type - REQUIRED for search to work
-            this.log('info', '🔍 Looking for Equipment Type field (REQUIRED for search)...');
-            try {
-                // Target the specific equipment input we saw in debug output
-                let equipmentField = null;
-                const equipmentSelectors = [
-                    'input[id^="mat-chip-list-input"]',  // Any mat-chip-list-input ID
-                    'label:has-text("Equipment Type*") + * input',  // Input after Equipment Type label
-                    'mat-form-field:has(mat-label:text("Equipment Type*")) input',  // Input within Equipment Type form field
-                    '#mat-chip-list-input-3',  // The specific ID from your HTML
-                    'input[placeholder="Equipment"]',  // Fallback placeholder
-                    'input[id*="chip-list-input"]'  // General chip list input
-                ];
-                
-            
-                for (const selector of equipmentSelectors) {
-                    try {
-                        equipmentField = await this.page.$(selector);
-                        if (equipmentField) {
-                            this.log('info', `✅ Found equipment field with selector: ${selector}`);
-                            break;
-                        }
-                    } catch (e) {
-                        continue;
-                    }
-                }
-                
-                if (equipmentField) {
-                    // Try JavaScript-based interaction for invisible Angular Material elements
-                    this.log('debug', 'Using JavaScript to interact with equipment field...');
-                    
-                    // Use JavaScript to focus and fill the field directly
-                    const jsResult = await this.page.evaluate(() => {
-                        // Try multiple selectors in JavaScript
-                        const selectors = [
-                            'input[id^="mat-chip-list-input"]',
-                            '#mat-chip-list-input-3',
-                            'input[placeholder="Equipment"]',
-                            'input[id*="chip-list-input"]'
-                        ];
-                        
-                        for (const selector of selectors) {
-                            const field = document.querySelector(selector);
-                            if (field) {
-                                // Make sure it's visible and focusable
-                                field.style.visibility = 'visible';
-                                field.style.display = 'block';
-                                field.style.opacity = '1';
-                                
-                                // Focus and trigger events
-                                field.focus();
-                                field.click();
-                                
-                                // Trigger input events
-                                field.dispatchEvent(new Event('focus', { bubbles: true }));
-                                field.dispatchEvent(new Event('click', { bubbles: true }));
-                                
-                                return { success: true, selector: selector };
-                            }
-                        }
-                        return { success: false };
-                    });
-                    
-                    this.log('info', '✅ JavaScript interaction completed');
-                    await this.page.waitForTimeout(500);
-                    
-                    // Type "Reefer" using JavaScript to trigger autocomplete
-                    await this.page.evaluate(() => {
-                        // Find the equipment field dynamically
-                        const selectors = [
-                            'input[id^="mat-chip-list-input"]',
-                            '#mat-chip-list-input-3',
-                            'input[placeholder="Equipment"]'
-                        ];
-                        
-                        for (const selector of selectors) {
-                            const field = document.querySelector(selector);
-                            if (field) {
-                                field.value = 'Reefer';
-                                field.dispatchEvent(new Event('input', { bubbles: true }));
-                                field.dispatchEvent(new Event('change', { bubbles: true }));
-                                field.dispatchEvent(new KeyboardEvent('keydown', { key: 'r', bubbles: true }));
-                                field.dispatchEvent(new KeyboardEvent('keyup', { key: 'r', bubbles: true }));
-                                return true;
-                            }
-                        }
-                        return false;
-                    });
-                    
-                    this.log('info', '✅ Typed "Reefer" using JavaScript');
-                    await this.page.waitForTimeout(200); // Quick wait for dropdown
-                    
-                    // Look for autocomplete options
-                    try {
-                        // Try multiple variations of Reefer options
-                        const reeferOptions = [
-                            'mat-option:has-text("Reefer")',
-                            'mat-option:has-text("Reefers")', 
-                            'mat-option:contains("Reefer")',
-                            '[role="option"]:has-text("Reefer")'
-                        ];
-                        
-                        let optionSelected = false;
-                        for (const optionSelector of reeferOptions) {
-                            try {
-                                const option = await this.page.waitForSelector(optionSelector, { timeout: 1000 });
-                                if (option) {
-                                    await option.click();
-                                    this.log('info', `✅ Selected Reefer option with selector: ${optionSelector}`);
-                                    optionSelected = true;
-                                    break;
-                                }
-                            } catch (e) {
-                                continue;
-                            }
-                        }
-                        
-                        if (!optionSelected) {
-                            // If no dropdown option found, try pressing Enter
-                            await this.page.keyboard.press('Enter');
-                            this.log('info', '✅ Pressed Enter for Reefer selection');
-                        }
-                        
-                    } catch (e) {
-                        // Fallback: press Tab to confirm selection
-                        await this.page.keyboard.press('Tab');
-                        this.log('info', '✅ Pressed Tab to confirm Reefer selection');
-                    }
-                    
-                    // Wait a moment for the selection to register
-                    await this.page.waitForTimeout(500);
-                    
-                } else {
-                    throw new Error('Equipment field not found with any selector - search will fail!');
-                }
-            } catch (e) {
-                this.log('error', `❌ Equipment field handling failed: ${e.message}`);
-                this.log('warn', '⚠️ Continuing anyway to test search button...');
-                // Don't throw - let's see if search works without equipment
-            }
-            
-            // Set date range to next week using the specific date range inputs
-            this.log('info', '🔍 Looking for Date Range fields...');
-            const startDateField = await this.page.$('input[placeholder="Start date"]');
-            const endDateField = await this.page.$('.mat-end-date');
-            
-            let dateField = startDateField || endDateField;
-            
-            if (startDateField && endDateField) {
-                // Calculate next full week's date range (Monday to Sunday)
-                const today = new Date();
-                
-                // Find next Monday
-                const currentDayOfWeek = today.getDay(); // 0 = Sunday, 1 = Monday, etc.
-                const daysUntilNextMonday = currentDayOfWeek === 0 ? 1 : (8 - currentDayOfWeek); // Days until next Monday
-                
-                const nextMonday = new Date(today);
-                nextMonday.setDate(today.getDate() + daysUntilNextMonday);
-                
-                // Next Sunday (6 days after Monday)
-                const nextSunday = new Date(nextMonday);
-                nextSunday.setDate(nextMonday.getDate() + 6);
-                
-                const formatDate = (date) => {
-                    return `${(date.getMonth() + 1)}/${date.getDate()}/${date.getFullYear()}`;
-                };
-                
-                const startDate = formatDate(nextMonday);
-                const endDate = formatDate(nextSunday);
-                
-                this.log('info', `📅 Calculating full week: Monday ${startDate} to Sunday ${endDate}`);
-                
-                // Fill start date
-                this.log('info', '📅 Filling start date field...');
-                await startDateField.click();
-                await startDateField.fill(''); // Clear first
-                await startDateField.fill(startDate);
-                await this.page.waitForTimeout(200);
-                
-                // Fill end date
-                this.log('info', '📅 Filling end date field...');
-                await endDateField.click();
-                await endDateField.fill(''); // Clear first
-                await endDateField.fill(endDate);
-                await this.page.waitForTimeout(200);
-                
-                this.log('info', `✅ Filled date range: ${startDate} to ${endDate}`);
-            } else if (dateField) {
-                // Fallback to single date field
-                this.log('info', '📅 Using single date field as fallback...');
-                const today = new Date();
-                const currentDayOfWeek = today.getDay();
-                const daysUntilNextMonday = currentDayOfWeek === 0 ? 1 : (8 - currentDayOfWeek);
-                
-                const nextMonday = new Date(today);
-                nextMonday.setDate(today.getDate() + daysUntilNextMonday);
-                
-                const nextSunday = new Date(nextMonday);
-                nextSunday.setDate(nextMonday.getDate() + 6);
-                
-                const formatDate = (date) => {
-                    return `${(date.getMonth() + 1)}/${date.getDate()}/${date.getFullYear()}`;
-                };
-                
-                const dateRange = `${formatDate(nextMonday)} - ${formatDate(nextSunday)}`;
-                
-                await dateField.click();
-                await dateField.fill(''); // Clear first
-                await dateField.fill(dateRange);
-                await this.page.waitForTimeout(300);
-                this.log('info', `✅ Filled date range: ${dateRange}`);
-            } else {
-                this.log('warn', '⚠️ No date fields found, skipping date range...');
-            }
-            
-            // Click the SEARCH button
-            const searchSelectors = [
-                'button:has-text("SEARCH")',
-                'button:text("SEARCH")',
-                'button[type="submit"]',
-                'input[type="submit"]',
-                'button[aria-label*="search"]',
-                '.search-button',
-                '#search-button'
-            ];
-            
-            let searchButton = null;
-            for (const selector of searchSelectors) {
-                try {
-                    searchButton = await this.page.$(selector);
-                    if (searchButton) {
-                        this.log('info', `✅ Found search button with selector: ${selector}`);
-                        break;
-                    }
-                } catch (e) {
-                    continue;
-                }
-            }
-            
-            if (searchButton) {
-                this.log('info', '🔍 Attempting to click SEARCH button...');
-                
-                // Try multiple click strategies
-                try {
-                    // Strategy 1: Normal click
-                    await searchButton.click({ timeout: 3000 });
-                    this.log('info', '✅ Clicked SEARCH button normally');
-                } catch (e1) {
-                    try {
-                        // Strategy 2: Force click
-                        await searchButton.click({ force: true, timeout: 3000 });
-                        this.log('info', '✅ Force-clicked SEARCH button');
-                    } catch (e2) {
-                        try {
-                            // Strategy 3: JavaScript click
-                            await searchButton.evaluate(el => el.click());
-                            this.log('info', '✅ JavaScript-clicked SEARCH button');
-                        } catch (e3) {
-                            // Strategy 4: Try pressing Enter on the form
-                            await this.page.keyboard.press('Enter');
-                            this.log('info', '✅ Pressed Enter to submit search');
-                        }
-                    }
-                }
-                
-                // Wait for search results to load
-                await this.page.waitForTimeout(2000);
-                this.log('info', '⏳ Waiting for search results to load...');
-            } else {
-                this.log('error', '❌ Search button not found, trying Enter key...');
-                await this.page.keyboard.press('Enter');
-            }
-            
+            // Fill and submit the form from the search profile
+            await fillSearchForm(this.page, profile, {
+                timeout: CONFIG.timeout,
+                logger: this.logger()
+            });
+
+            // Wait for search results to load
+            await this.page.waitForTimeout(2000);
+            this.log('info', '⏳ Waiting for search results to load...');
+
         } catch (error) {
             this.log('error', 'Failed to fill search form', { error: error.message });
             throw error;
@@ -1490,7 +1224,7 @@ class LocalhostScraper {
             await this.page.waitForTimeout(3000); // Wait for loads to load
         
         // Take a screenshot to see what's actually on the page
-        await this.page.screenshot({ path: 'output/search-results-debug.png', fullPage: true });
+        await this.page.screenshot({ path: this.outputPath('search-results-debug.png'), fullPage: true });
         this.log('info', '📸 Screenshot saved to output/search-results-debug.png for debugging');
             
             // Try multiple selectors to find load rows, excluding headers and loading elements
@@ -1550,7 +1284,7 @@ class LocalhostScraper {
             if (targetRows.length === 0) {
                 // If no rows found, let's take a screenshot and analyze the page structure
                 this.log('warn', '⚠️ No load rows found, analyzing page structure...');
-                await this.page.screenshot({ path: 'output/no-loads-debug.png', fullPage: true });
+                await this.page.screenshot({ path: this.outputPath('no-loads-debug.png'), fullPage: true });
                 
                 // Try to find any elements that might contain load data
                 const pageContent = await this.page.content();
@@ -1586,7 +1320,15 @@ class LocalhostScraper {
                     this.log('debug', `Processing load ${i + 1}/${targetRows.length}`);
                     
                     // Extract basic data from row with flexible selectors
-                    const basicLoadData = await row.evaluate(el => {
+                    // Registry selectors first, then this scraper's positional fallbacks
+                    const registry = {
+                        origin: selectorsFor('row.origin'),
+                        destination: selectorsFor('row.destination'),
+                        rate: selectorsFor('row.rate'),
+                        company: selectorsFor('row.company'),
+                        age: selectorsFor('row.age')
+                    };
+                    const basicLoadData = await row.evaluate((el, registry) => {
                         const getTextContent = (selectors) => {
                             // Try multiple selectors until one works
                             for (const selector of selectors) {
@@ -1603,9 +1345,7 @@ class LocalhostScraper {
                         
                         // Try to find data using multiple selector strategies
                         const originSelectors = [
-                            '[data-test="load-origin-cell"]',
-                            '[data-testid*="origin"]',
-                            '[class*="origin"]',
+                            ...registry.origin,
                             '[aria-label*="origin"]',
                             'td:first-child',
                             'div:first-child',
@@ -1613,9 +1353,7 @@ class LocalhostScraper {
                         ];
                         
                         const destinationSelectors = [
-                            '[data-test="load-destination-cell"]',
-                            '[data-testid*="destination"]',
-                            '[class*="destination"]',
+                            ...registry.destination,
                             '[aria-label*="destination"]',
                             'td:nth-child(2)',
                             'div:nth-child(2)',
@@ -1623,9 +1361,7 @@ class LocalhostScraper {
                         ];
                         
                         const rateSelectors = [
-                            '[data-test="load-rate-cell"]',
-                            '[data-testid*="rate"]',
-                            '[class*="rate"]',
+                            ...registry.rate,
                             '[class*="price"]',
                             '[class*="amount"]',
                             '[aria-label*="rate"]',
@@ -1635,7 +1371,7 @@ class LocalhostScraper {
                         ];
                         
                         const companySelectors = [
-                            '[data-test="load-company-cell"]',
+                            ...registry.company,
                             '[data-testid*="company"]',
                             '[class*="company"]',
                             '[class*="shipper"]',
@@ -1646,7 +1382,7 @@ class LocalhostScraper {
                         ];
                         
                         const ageSelectors = [
-                            '[data-test="load-age-cell"]',
+                            ...registry.age,
                             '[data-testid*="age"]',
                             '[class*="age"]',
                             '[class*="time"]',
@@ -1737,7 +1473,7 @@ class LocalhostScraper {
                             rawText: allText, // Include raw text for debugging
                             elementHTML: el.outerHTML.substring(0, 500) // Include HTML structure for debugging
                         };
-                    });
+                    }, registry);
 
                     // Now click into the load detail to get phone and reference number
                     let detailedData = { phone: '', reference: '' };
@@ -1752,7 +1488,7 @@ class LocalhostScraper {
                         this.log('info', `🖱️ DOUBLE-CLICKING into load ${i + 1} for detailed contact info...`);
                         
                         // Take a screenshot before clicking
-                        await this.page.screenshot({ path: `output/before-click-load-${i + 1}.png`, fullPage: false });
+                        await this.page.screenshot({ path: this.outputPath(`before-click-load-${i + 1}.png`), fullPage: false });
                         this.log('info', `📸 Screenshot saved: before-click-load-${i + 1}.png`);
                         
                         // Click on the load row to open details
@@ -1762,7 +1498,7 @@ class LocalhostScraper {
                         await this.page.waitForTimeout(1000); // Wait for basic view to load
                         
                         // Take a screenshot after first click
-                        await this.page.screenshot({ path: `output/after-first-click-load-${i + 1}.png`, fullPage: false });
+                        await this.page.screenshot({ path: this.outputPath(`after-first-click-load-${i + 1}.png`), fullPage: false });
                         this.log('info', `📸 Screenshot after first click: after-first-click-load-${i + 1}.png`);
                         
                         // SECOND CLICK to expand/roll down the detailed view with contact info
@@ -1773,7 +1509,7 @@ class LocalhostScraper {
                         await this.page.waitForTimeout(1500); // Wait for detailed view to expand
                         
                         // Take a screenshot after second click to see the expanded details
-                        await this.page.screenshot({ path: `output/after-second-click-load-${i + 1}.png`, fullPage: false });
+                        await this.page.screenshot({ path: this.outputPath(`after-second-click-load-${i + 1}.png`), fullPage: false });
                         this.log('info', `📸 Screenshot after second click: after-second-click-load-${i + 1}.png`);
                         
                         this.log('info', `🔍 Analyzing expanded modal content for load ${i + 1}...`);
@@ -1830,7 +1566,7 @@ class LocalhostScraper {
                                         await this.page.waitForTimeout(1500); // Wait longer for expansion
                                         
                                         // Take a screenshot after expansion
-                                        await this.page.screenshot({ path: `output/after-expand-load-${i + 1}.png`, fullPage: false });
+                                        await this.page.screenshot({ path: this.outputPath(`after-expand-load-${i + 1}.png`), fullPage: false });
                                         this.log('info', `📸 Screenshot after expansion: after-expand-load-${i + 1}.png`);
                                         
                                         // Wait specifically for CONTACT INFORMATION section to appear
@@ -2090,20 +1826,21 @@ class LocalhostScraper {
                         elementHTML: loadData.elementHTML.substring(0, 200) + '...'
                     });
 
-                    // Parse rate information
-                    const rateMatch = loadData.rate.match(/\$([0-9,]+)/);
-                    const perMileMatch = loadData.rate.match(/\$([0-9.]+).*?\/mi/);
+                    const { origin, destination } = parseOriginDestination(loadData.origin, loadData.destination);
+                    const rateColumns = toRateColumns(loadData.rate);
+                    const contact = normalizeContact({ phone: loadData.phone, email: loadData.email });
 
                     const processedLoad = {
                         reference_number: loadData.reference || `LOCALHOST_${Date.now()}_${i}`,
-                        origin: loadData.origin || '',
-                        destination: loadData.destination || '',
-                        rate_total_usd: rateMatch ? parseInt(rateMatch[1].replace(/,/g, '')) : null,
-                        rate_per_mile: perMileMatch ? parseFloat(perMileMatch[1]) : null,
-                        company: loadData.company || '',
-                        contact: loadData.email || loadData.phone || 'N/A',
-                        age_posted: loadData.age || '',
-                        extracted_at: new Date().toISOString()
+                        origin: origin || '',
+                        destination: destination || '',
+                        rate_total_usd: rateColumns.rate_total_usd,
+                        rate_per_mile: rateColumns.rate_per_mile,
+                        company: normalizeValue(loadData.company) || '',
+                        contact: formatContact(contact),
+                        age_posted: normalizeValue(loadData.age) || '',
+                        extracted_at: new Date().toISOString(),
+                        ...contact
                     };
 
                     this.log('info', `✅ Processed load ${i + 1}:`, {
@@ -2130,49 +1867,28 @@ class LocalhostScraper {
     }
 
     async saveData(data) {
-        try {
-            const outputDir = './output';
-            if (!fs.existsSync(outputDir)) {
-                fs.mkdirSync(outputDir, { recursive: true });
-            }
+        const store = createLoadStore({
+            type: CONFIG.loadStore,
+            sqlitePath: this.outputPath(CONFIG.databaseFile),
+            csvPath: this.outputPath(CONFIG.outputFile)
+        });
 
-            const csvPath = path.join(outputDir, CONFIG.outputFile);
-            
-            // Always start fresh - wipe the file each run
-            this.log('info', '🗑️ Starting fresh - wiping previous data file');
-            if (fs.existsSync(csvPath)) {
-                fs.unlinkSync(csvPath);
-            }
-
-            const csvWriter = createCsvWriter({
-                path: csvPath,
-                header: [
-                    { id: 'reference_number', title: 'reference_number' },
-                    { id: 'origin', title: 'origin' },
-                    { id: 'destination', title: 'destination' },
-                    { id: 'rate_total_usd', title: 'rate_total_usd' },
-                    { id: 'rate_per_mile', title: 'rate_per_mile' },
-                    { id: 'company', title: 'company' },
-                    { id: 'contact', title: 'contact' },
-                    { id: 'age_posted', title: 'age_posted' },
-                    { id: 'extracted_at', title: 'extracted_at' }
-                ]
-                // No append mode - always create fresh
-            });
+        try {
+            await store.open();
 
             if (!data || data.length === 0) {
-                // Write empty file with just headers
-                await csvWriter.writeRecords([]);
-                this.log('warn', 'No data to save - created fresh empty file with headers');
+                this.log('warn', 'No data to save');
                 return;
             }
 
-            await csvWriter.writeRecords(data);
-            this.log('info', `💾 Saved ${data.length} records to fresh ${csvPath}`);
+            const result = await store.upsertLoads(data);
+            this.log('info', `💾 Saved ${data.length} records to ${CONFIG.loadStore} store`, result);
 
         } catch (error) {
             this.log('error', 'Failed to save data', { error: error.message });
             throw error;
+        } finally {
+            await store.close();
         }
     }
 
@@ -2182,14 +1898,19 @@ class LocalhostScraper {
                 await this.loginToDAT();
             }
 
+            const profile = selectProfile(loadSearchProfiles(), CONFIG.searchProfile);
+            if (!profile) {
+                throw new Error('No search profiles configured - add one to search-profiles.json');
+            }
+
             await this.navigateToLoadBoard();
             
-            // Fill the search form with the specified criteria
-            await this.fillSearchForm();
+            // Fill the search form with the profile's criteria
+            await this.fillSearchForm(profile);
             
             // Now scrape the actual load data from the search results
             this.log('info', '🚛 Scraping load data from search results...');
-            const data = await this.scrapeLoads();
+            const data = applyProfile(await this.scrapeLoads(), profile);
             await this.saveData(data);
 
             this.log('info', '🎉 Scraping cycle completed successfully');
@@ -2216,6 +1937,8 @@ class LocalhostScraper {
 // Main execution
 async function main() {
     const scraper = new LocalhostScraper();
+    const startedAt = new Date().toISOString();
+    const recorder = new FailureRecorder();
     
     try {
         console.log('🏠 LOCALHOST SCRAPER - Automated Login with Email Verification');
@@ -2230,27 +1953,30 @@ async function main() {
         console.log('');
 
         await scraper.initialize();
+        await recorder.attach(scraper.page);
         const data = await scraper.runSingleScrape();
+        await recorder.discard();
         
         console.log('');
         console.log(`🎉 SUCCESS! Scraped ${data.length} loads`);
-        console.log(`📁 Data saved to: output/${CONFIG.outputFile}`);
+        console.log(`📁 Data saved to: ${scraper.outputPath(CONFIG.loadStore === 'csv' ? CONFIG.outputFile : CONFIG.databaseFile)}`);
         console.log('');
 
     } catch (error) {
         console.error('❌ SCRAPER FAILED:', error.message);
         
-        // Take error screenshot for debugging in headless mode
+        // Keep the trace, page, console, network and log for debugging
         try {
-            if (scraper.page) {
-                await scraper.page.screenshot({ 
-                    path: 'output/error-screenshot.png', 
-                    fullPage: true 
-                });
-                console.log('📸 Error screenshot saved to output/error-screenshot.png');
-            }
-        } catch (screenshotError) {
-            console.log('⚠️ Could not take error screenshot');
+            const bundle = await writeFailureBundle(scraper.outputPath('failures'), {
+                timestamp: startedAt,
+                error,
+                page: scraper.page,
+                recorder: recorder.page ? recorder : null,
+                logLines: scraper.logLines
+            });
+            console.log(`📸 Failure bundle saved to ${scraper.outputPath(path.join('failures', bundle.name))}`);
+        } catch (bundleError) {
+            console.log('⚠️ Could not save failure bundle:', bundleError.message);
         }
         
         process.exit(1);
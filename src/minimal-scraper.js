@@ -3,6 +3,7 @@ const fs = require('fs');
 const path = require('path');
 const createCsvWriter = require('csv-writer').createObjectCsvWriter;
 const csv = require('csv-parser');
+const { normalizeValue, parseRate, parseOriginDestination, centsToDollars, formatUsd } = require('./lib/parsers');
 require('dotenv').config();
 
 // MINIMAL: Only basic load info, no contacts
@@ -41,41 +42,6 @@ async function humanLikeMouseMove(page) {
     await page.mouse.move(x, y, { steps: 5 });
 }
 
-function normalizeValue(value) {
-    if (!value || value === '–' || value === '-' || value === '' || value.trim() === '' || value === 'N/A') {
-        return null;
-    }
-    return value.trim();
-}
-
-function parseRate(rateText) {
-    if (!rateText || rateText === '–' || rateText === '-') {
-        return { totalRate: null, ratePerMile: null };
-    }
-    
-    const combinedRatePattern = /\$?([\d,]+)\$?([\d.]+)\*?\/mi/;
-    const combinedMatch = rateText.match(combinedRatePattern);
-    
-    if (combinedMatch) {
-        return {
-            totalRate: `$${combinedMatch[1]}`,
-            ratePerMile: `$${combinedMatch[2]}/mi`
-        };
-    }
-    
-    const totalRatePattern = /\$?([\d,]+)$/;
-    const totalMatch = rateText.match(totalRatePattern);
-    
-    if (totalMatch) {
-        return {
-            totalRate: `$${totalMatch[1]}`,
-            ratePerMile: null
-        };
-    }
-    
-    return { totalRate: rateText, ratePerMile: null };
-}
-
 async function runMinimalScraping() {
     const timestamp = new Date().toISOString();
     console.log(`\n🚀 Starting MINIMAL scraping run at ${timestamp}`);
@@ -191,11 +157,12 @@ async function runMinimalScraping() {
                     };
                 });
                 
+                const cleanedOriginDest = parseOriginDestination(basicInfo.origin, basicInfo.destination);
                 const cleanedRate = parseRate(basicInfo.rate);
                 
-                console.log(`📍 ${basicInfo.origin} → ${basicInfo.destination}`);
+                console.log(`📍 ${cleanedOriginDest.origin} → ${cleanedOriginDest.destination}`);
                 console.log(`🏢 ${basicInfo.company}`);
-                console.log(`💰 ${cleanedRate.totalRate || 'N/A'}`);
+                console.log(`💰 ${formatUsd(cleanedRate.totalCents)}`);
                 
                 // Click to get reference number for THIS specific load
                 await row.click();
@@ -262,29 +229,12 @@ async function runMinimalScraping() {
                 
                 console.log(`🔢 Reference: ${detailedInfo.referenceNumber} (${detailedInfo.visibleModals}/${detailedInfo.modalCount} modals)`);
                 
-                let rateTotal = null;
-                let ratePerMileNumeric = null;
-                
-                if (cleanedRate.totalRate) {
-                    const totalMatch = cleanedRate.totalRate.match(/\$?([\d,]+)/);
-                    if (totalMatch) {
-                        rateTotal = parseInt(totalMatch[1].replace(/,/g, ''));
-                    }
-                }
-                
-                if (cleanedRate.ratePerMile) {
-                    const perMileMatch = cleanedRate.ratePerMile.match(/\$?([\d.]+)/);
-                    if (perMileMatch) {
-                        ratePerMileNumeric = parseFloat(perMileMatch[1]);
-                    }
-                }
-                
                 const loadData = {
                     reference_number: normalizeValue(detailedInfo.referenceNumber),
-                    origin: normalizeValue(basicInfo.origin),
-                    destination: normalizeValue(basicInfo.destination),
-                    rate_total_usd: rateTotal,
-                    rate_per_mile: ratePerMileNumeric,
+                    origin: cleanedOriginDest.origin,
+                    destination: cleanedOriginDest.destination,
+                    rate_total_usd: centsToDollars(cleanedRate.totalCents),
+                    rate_per_mile: centsToDollars(cleanedRate.perMileCents),
                     company: normalizeValue(basicInfo.company),
                     contact: null, // ALWAYS NULL - never extract contacts
                     age_posted: normalizeValue(basicInfo.age),
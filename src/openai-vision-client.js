@@ -1,11 +1,20 @@
+const path = require('path');
 const OpenAI = require('openai');
+const { loadConfig } = require('./lib/config');
+const { recordAiUsage } = require('./lib/metrics');
 
 /**
  * OpenAI Vision API Client for analyzing DAT ONE screenshots
  * This handles the actual AI vision API calls for load extraction
  */
 class OpenAIVisionClient {
-    constructor(apiKey) {
+    /**
+     * @param {string} apiKey
+     * @param {object} [options]
+     * @param {string} [options.usagePath] where tokens are added up for
+     *        /metrics (default: aiUsageFile in the output directory)
+     */
+    constructor(apiKey, { usagePath = null } = {}) {
         if (!apiKey) {
             throw new Error('OpenAI API key is required');
         }
@@ -13,6 +22,21 @@ class OpenAIVisionClient {
         this.openai = new OpenAI({
             apiKey: apiKey
         });
+
+        if (!usagePath) {
+            const config = loadConfig();
+            usagePath = path.join(config.outputDir, config.aiUsageFile);
+        }
+        this.usagePath = usagePath;
+    }
+
+    // Token accounting must never fail an analysis
+    async recordUsage(response) {
+        try {
+            await recordAiUsage(this.usagePath, response.model || 'gpt-4o', response.usage);
+        } catch (error) {
+            console.warn(`⚠️ Could not record token usage: ${error.message}`);
+        }
     }
 
     /**
@@ -58,6 +82,7 @@ class OpenAIVisionClient {
 
             console.log('✅ OpenAI analysis completed');
             console.log(`📊 Tokens used: ${response.usage?.total_tokens || 'unknown'}`);
+            await this.recordUsage(response);
             
             return content;
 
@@ -141,6 +166,7 @@ class OpenAIVisionClient {
                 ],
                 max_tokens: 50
             });
+            await this.recordUsage(response);
 
             console.log('✅ OpenAI API connection test successful');
             return true;
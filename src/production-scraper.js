@@ -1,29 +1,46 @@
 const { chromium } = require('playwright');
 const fs = require('fs');
 const path = require('path');
-const createCsvWriter = require('csv-writer').createObjectCsvWriter;
-const csv = require('csv-parser');
+const { getRandomDelay, safeWait, waitForLoadResults, extractLoads } = require('./lib/load-extractor');
+const { createLoadStore } = require('./lib/load-store');
+const { runMigrations } = require('./lib/migrations');
+const { loadSearchProfiles, selectProfile, applyProfile } = require('./lib/search-profiles');
+const { OperatingWindow, RunSchedule } = require('./lib/schedule');
+const { RunLock, RunCoordinator } = require('./lib/run-coordinator');
+const { fillSearchForm } = require('./lib/search-form');
+const { SelectorTracker, mergeSelectorDrift, selectorsFor } = require('./lib/selectors');
+const { loadConfig } = require('./lib/config');
+const { startStatusServer } = require('./lib/status-server');
+const { createApiRoutes } = require('./lib/api');
+const { createDashboardRoutes } = require('./lib/dashboard');
+const { metrics, recordRun, recordSelectorFallbacks, createMetricsRoutes } = require('./lib/metrics');
+const { loadAlertRules, AlertEngine } = require('./lib/alerts');
+const { loadWebhookConfig, WebhookDispatcher, watchLoadStore } = require('./lib/webhooks');
+const { LoadStream } = require('./lib/load-stream');
+const { saveFailureScreenshot } = require('./lib/screenshots');
+const { FailureRecorder, writeFailureBundle } = require('./lib/failure-bundles');
+const { createDistanceProvider } = require('./lib/distance');
+const { truckProfile, applyProfitability } = require('./lib/profitability');
+const { applyTransit, isLateDelivery } = require('./lib/transit');
+const { RunTrace, summarizeSteps } = require('./lib/run-trace');
 require('dotenv').config();
 
-// Production-ready configuration optimized for GCP deployment
+// Production-ready configuration optimized for GCP deployment. Settings
+// shared with the dispatch CLI (store, output paths, interval, profiles...)
+// come from the config loader; the rest are tuning constants.
+const settings = loadConfig();
 const CONFIG = {
-    intervalSeconds: 30,       // Run every 30 seconds
-    maxEntries: 25,           // Optimize for speed
-    outputFile: 'dat_one_loads_production.csv',  // ALWAYS use this file - no new CSV files
-    statsFile: 'production_stats.json',
-    healthFile: 'health_status.json',
+    ...settings,               // intervalSeconds (30s), maxEntries (25), timeout (25s to fit the interval), ...
     runImmediately: true,
     enablePagination: false,  // Disabled for speed
     maxRetries: 3,
     retryDelay: 5000,
-    timeout: 25000,          // 25s timeout to fit 30s interval
     maxMemoryMB: 512,        // Memory limit for GCP
     maxConcurrentBrowsers: 1,
     browserCleanupInterval: 300, // Clean browser every 5 minutes
-    healthCheckPort: process.env.HEALTH_CHECK_PORT || 8080,
     
     // Cloud optimization
-    headless: process.env.NODE_ENV === 'production',
+    headless: settings.headless ?? process.env.NODE_ENV === 'production',
     disableImages: true,
     disableCSS: true,
     disableJavaScript: false,
@@ -34,7 +51,6 @@ const CONFIG = {
     maxConsecutiveFailures: 5,
     
     // Data management
-    maxFileSize: 50 * 1024 * 1024, // 50MB max CSV file
     archiveAfterDays: 7,
     cleanupOldFiles: true
 };
@@ -42,8 +58,16 @@ const CONFIG = {
 // Enhanced logging with structured output
 class Logger {
     constructor() {
-        this.logLevel = process.env.LOG_LEVEL || 'info';
+        this.logLevel = CONFIG.logLevel;
         this.enableColors = process.env.NODE_ENV !== 'production';
+        // Lines logged during the current run, for its failure bundle
+        this.runLog = null;
+    }
+
+    keep(level, message, meta) {
+        if (this.runLog) {
+            this.runLog.push(JSON.stringify({ timestamp: new Date().toISOString(), level: level.toUpperCase(), message, ...meta }));
+        }
     }
 
     formatMessage(level, message, meta = {}) {
@@ -89,19 +113,23 @@ class Logger {
     }
 
     error(message, meta = {}) {
+        this.keep('error', message, meta);
         console.error(this.formatMessage('error', message, meta));
     }
 
     warn(message, meta = {}) {
+        this.keep('warn', message, meta);
         console.warn(this.formatMessage('warn', message, meta));
     }
 
     info(message, meta = {}) {
+        this.keep('info', message, meta);
         console.log(this.formatMessage('info', message, meta));
     }
 
     debug(message, meta = {}) {
         if (this.logLevel === 'debug') {
+            this.keep('debug', message, meta);
             console.log(this.formatMessage('debug', message, meta));
         }
     }
@@ -124,7 +152,8 @@ class HealthMonitor {
             uptimeStart: Date.now(),
             currentRun: null,
             memoryUsage: null,
-            errorRate: 0
+            errorRate: 0,
+            selectorDrift: []
         };
         this.updateHealthFile();
     }
@@ -166,12 +195,11 @@ class HealthMonitor {
 
     updateHealthFile() {
         try {
-            const outputDir = './output';
-            if (!fs.existsSync(outputDir)) {
-                fs.mkdirSync(outputDir, { recursive: true });
+            if (!fs.existsSync(CONFIG.outputDir)) {
+                fs.mkdirSync(CONFIG.outputDir, { recursive: true });
             }
             
-            const healthPath = path.join(outputDir, CONFIG.healthFile);
+            const healthPath = path.join(CONFIG.outputDir, CONFIG.healthFile);
             fs.writeFileSync(healthPath, JSON.stringify(this.status, null, 2));
         } catch (error) {
             logger.error('Failed to update health file', { error: error.message });
@@ -194,6 +222,12 @@ class BrowserManager {
         this.lastCleanup = Date.now();
         this.connectionRetries = 0;
         this.maxRetries = CONFIG.maxRetries;
+        this.launches = 0;
+    }
+
+    // Every launch or connection after the first is a restart
+    launched() {
+        if (this.launches++ > 0) metrics.browserRestarts.inc();
     }
 
     async initialize() {
@@ -243,6 +277,7 @@ class BrowserManager {
                     }
 
                     this.connectionRetries = 0;
+                    this.launched();
                     logger.info('🏠 LOCALHOST: Browser connection established - ready for manual login');
                     return true;
                 } catch (localhostError) {
@@ -282,15 +317,21 @@ class BrowserManager {
                 args: browserArgs
             });
 
+            // Reuse the session saved by `dispatch login` / `dispatch save-session`
+            const hasSession = fs.existsSync(CONFIG.sessionFile);
+            logger.info(hasSession ? 'Using saved session' : 'No saved session found', { sessionFile: CONFIG.sessionFile });
+
             this.context = await this.browser.newContext({
                 viewport: { width: 1280, height: 720 },
-                userAgent: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+                userAgent: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+                storageState: hasSession ? CONFIG.sessionFile : undefined
             });
 
             this.page = await this.context.newPage();
             await this.configurePage();
 
             this.connectionRetries = 0;
+            this.launched();
             logger.info('Local browser launched successfully for Cloud Run');
             return true;
 
@@ -423,124 +464,16 @@ class BrowserManager {
 
 const browserManager = new BrowserManager();
 
-// Enhanced utility functions with error handling
-function getRandomDelay(min = 200, max = 800) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
-}
-
-async function safeWait(page, delay) {
-    try {
-        await page.waitForTimeout(delay);
-    } catch (error) {
-        logger.debug('Wait interrupted', { error: error.message });
-    }
-}
-
-async function humanLikeMouseMove(page) {
-    try {
-        const viewport = await page.viewportSize();
-        if (!viewport) return;
-        
-        const x = Math.floor(Math.random() * viewport.width * 0.8) + viewport.width * 0.1;
-        const y = Math.floor(Math.random() * viewport.height * 0.8) + viewport.height * 0.1;
-        
-        await page.mouse.move(x, y, { 
-            steps: Math.floor(Math.random() * 5) + 3 
-        });
-    } catch (error) {
-        logger.debug('Mouse movement failed', { error: error.message });
-    }
-}
-
-function normalizeValue(value) {
-    if (!value || value === '–' || value === '-' || value === '' || value.trim() === '' || value === 'N/A') {
-        return null;
-    }
-    return value.trim();
-}
-
-function parseRate(rateText) {
-    if (!rateText || rateText === '–' || rateText === '-') {
-        return { totalRate: null, ratePerMile: null };
-    }
-    
-    // Enhanced rate parsing with better error handling
-    try {
-        const combinedRatePattern = /\$?([\d,]+)\$?([\d.]+)\*?\/mi/;
-        const combinedMatch = rateText.match(combinedRatePattern);
-        
-        if (combinedMatch) {
-            return {
-                totalRate: parseInt(combinedMatch[1].replace(/,/g, '')),
-                ratePerMile: parseFloat(combinedMatch[2])
-            };
-        }
-        
-        const totalRatePattern = /\$?([\d,]+)$/;
-        const totalMatch = rateText.match(totalRatePattern);
-        
-        if (totalMatch) {
-            return {
-                totalRate: parseInt(totalMatch[1].replace(/,/g, '')),
-                ratePerMile: null
-            };
-        }
-        
-        const perMilePattern = /\$?([\d.]+)\*?\/mi/;
-        const perMileMatch = rateText.match(perMilePattern);
-        
-        if (perMileMatch) {
-            return {
-                totalRate: null,
-                ratePerMile: parseFloat(perMileMatch[1])
-            };
-        }
-        
-        return { totalRate: null, ratePerMile: null };
-    } catch (error) {
-        logger.debug('Rate parsing failed', { rateText, error: error.message });
-        return { totalRate: null, ratePerMile: null };
-    }
-}
-
-function parseOriginDestination(combinedText) {
-        if (!combinedText) return { origin: '', destination: '' };
-        
-        // Handle cases like "Manteca, CAAurora, CO" or "Salinas, CADenver, CO"
-        const text = combinedText.trim();
-        
-        // Look for pattern: City, StateCity, State
-        const match = text.match(/^(.+?,\s*[A-Z]{2})([A-Z][a-z]+.*?,\s*[A-Z]{2})$/);
-        if (match) {
-            return {
-                origin: match[1].trim(),
-                destination: match[2].trim()
-            };
-        }
-        
-        // Fallback: try to split on state abbreviation pattern
-        const statePattern = /([A-Z]{2})([A-Z][a-z]+)/;
-        const stateMatch = text.match(statePattern);
-        if (stateMatch) {
-            const splitPoint = text.indexOf(stateMatch[0]);
-            if (splitPoint > 0) {
-                const origin = text.substring(0, splitPoint + 2).trim();
-                const destination = text.substring(splitPoint + 2).trim();
-                return { origin, destination };
-            }
-        }
-        
-        // Final fallback
-        return { origin: text, destination: '' };
-    };
-
 // Enhanced stats management
 class StatsManager {
     constructor() {
-        this.statsPath = path.join('./output', CONFIG.statsFile);
         this.initializeStats();
     }
 
+    get statsPath() {
+        return path.join(CONFIG.outputDir, CONFIG.statsFile);
+    }
+
     initializeStats() {
         const defaultStats = {
             service: 'production-scraper',
@@ -548,6 +481,7 @@ class StatsManager {
             totalEntriesCrawled: 0,
             totalNewEntriesAdded: 0,
             totalDuplicatesSkipped: 0,
+            totalLoadsVanished: 0,
             totalErrors: 0,
             firstRun: null,
             lastRun: null,
@@ -555,6 +489,9 @@ class StatsManager {
             averageNewEntriesPerRun: 0,
             averageRunDuration: 0,
             successRate: 0,
+            selectorRegistryVersion: null,
+            selectorMatches: {},
+            selectorDrift: [],
             runs: [],
             performance: {
                 fastestRun: null,
@@ -563,8 +500,8 @@ class StatsManager {
             }
         };
 
-        if (!fs.existsSync('./output')) {
-            fs.mkdirSync('./output', { recursive: true });
+        if (!fs.existsSync(CONFIG.outputDir)) {
+            fs.mkdirSync(CONFIG.outputDir, { recursive: true });
         }
 
         if (!fs.existsSync(this.statsPath)) {
@@ -598,6 +535,8 @@ class StatsManager {
         stats.totalEntriesCrawled += runData.entriesCrawled;
         stats.totalNewEntriesAdded += runData.newEntriesAdded;
         stats.totalDuplicatesSkipped += runData.duplicatesSkipped;
+        stats.totalLoadsVanished = (stats.totalLoadsVanished || 0) + (runData.loadsVanished || 0);
+        stats.totalAlertsSent = (stats.totalAlertsSent || 0) + (runData.alertsSent || 0);
         
         if (runData.error) {
             stats.totalErrors++;
@@ -633,22 +572,49 @@ class StatsManager {
         if (stats.runs.length > 100) {
             stats.runs = stats.runs.slice(0, 100);
         }
+        stats.stepTimings = summarizeSteps(stats.runs);
         
         this.saveStats(stats);
         return stats;
     }
 
+    // Add one run's selector lookups to the running totals and carry the
+    // drift warnings forward; returns the current drift list
+    recordSelectorReport(report, timestamp) {
+        const stats = this.loadStats();
+        const totals = stats.selectorMatches || {};
+
+        for (const [field, { matches, misses }] of Object.entries(report.fields)) {
+            const fieldTotals = totals[field] || { matches: {}, misses: 0 };
+            for (const [selector, count] of Object.entries(matches)) {
+                fieldTotals.matches[selector] = (fieldTotals.matches[selector] || 0) + count;
+            }
+            fieldTotals.misses += misses;
+            totals[field] = fieldTotals;
+        }
+
+        stats.selectorRegistryVersion = report.version;
+        stats.selectorMatches = totals;
+        stats.selectorDrift = mergeSelectorDrift(stats.selectorDrift, report, timestamp);
+        this.saveStats(stats);
+        return stats.selectorDrift;
+    }
+
     getDefaultStats() {
         return {
             totalRuns: 0,
             totalEntriesCrawled: 0,
             totalNewEntriesAdded: 0,
             totalDuplicatesSkipped: 0,
+            totalLoadsVanished: 0,
             totalErrors: 0,
             firstRun: null,
             lastRun: null,
             averageEntriesPerRun: 0,
             averageNewEntriesPerRun: 0,
+            selectorMatches: {},
+            selectorDrift: [],
+            stepTimings: {},
             runs: []
         };
     }
@@ -658,31 +624,9 @@ const statsManager = new StatsManager();
 
 // File management utilities
 class FileManager {
-    static async checkFileSize(filePath) {
-        try {
-            const stats = fs.statSync(filePath);
-            return stats.size;
-        } catch (error) {
-            return 0;
-        }
-    }
-
-    static async archiveFile(filePath) {
-        try {
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const archivePath = filePath.replace('.csv', `_archived_${timestamp}.csv`);
-            fs.renameSync(filePath, archivePath);
-            logger.info('File archived', { originalPath: filePath, archivePath });
-            return archivePath;
-        } catch (error) {
-            logger.error('File archiving failed', { filePath, error: error.message });
-            throw error;
-        }
-    }
-
     static async cleanupOldFiles() {
         try {
-            const outputDir = './output';
+            const outputDir = CONFIG.outputDir;
             const files = fs.readdirSync(outputDir);
             const cutoffDate = Date.now() - (CONFIG.archiveAfterDays * 24 * 60 * 60 * 1000);
             
@@ -703,553 +647,154 @@ class FileManager {
     }
 }
 
-// Main production scraping function
-async function runProductionScraping() {
+// Main production scraping function. With a search profile the run fills
+// the search form for that lane; without one it scrapes whatever search is
+// already on screen. Failures are recorded rather than thrown; the returned
+// run data carries the error.
+async function runProductionScraping(profile = null) {
     const timestamp = new Date().toISOString();
     const runStartTime = Date.now();
     let runData = {
         timestamp,
+        searchProfile: profile ? profile.name : null,
         duration: null,
         entriesCrawled: 0,
         newEntriesAdded: 0,
         duplicatesSkipped: 0,
+        loadsVanished: 0,
+        alertsSent: 0,
+        selectorDrift: [],
         error: null,
-        memoryUsage: logger.getMemoryUsage()
+        screenshot: null,
+        failureBundle: null,
+        memoryUsage: logger.getMemoryUsage(),
+        steps: {},
+        spans: []
     };
+    const selectorTracker = new SelectorTracker();
+    const trace = new RunTrace();
+    let recorder = null;
 
     healthMonitor.startRun();
+    logger.runLog = [];
     logger.info('Starting production scraping run', { 
         timestamp, 
+        searchProfile: runData.searchProfile,
         interval: `${CONFIG.intervalSeconds}s`,
         maxEntries: CONFIG.maxEntries 
     });
 
     try {
         // Ensure browser connection
-        await browserManager.ensureConnection();
+        await trace.span('browser', () => browserManager.ensureConnection());
         const page = browserManager.getPage();
+        recorder = new FailureRecorder({ trace: CONFIG.recordTraces, logger });
+        await recorder.attach(page);
 
         // Check if we're on the right page
         const currentUrl = page.url();
         logger.debug('Current page URL', { url: currentUrl });
 
-        // Navigate to load search if needed
-        if (!currentUrl.includes('dat.com') || !currentUrl.includes('search-loads')) {
+        // Navigate to load search if needed; a profile run always starts
+        // from a fresh search form
+        if (profile || !currentUrl.includes('dat.com') || !currentUrl.includes('search-loads')) {
             logger.info('Navigating to search loads page...');
-            await page.goto('https://one.dat.com/search-loads-ow', { 
-                waitUntil: 'networkidle',
-                timeout: CONFIG.timeout 
-            });
-            await safeWait(page, getRandomDelay(1000, 2000));
-        }
-
-        // Wait for load results with timeout
-        logger.debug('Waiting for load results...');
-        try {
-            await page.waitForSelector('[data-test="load-origin-cell"]', { 
-                timeout: CONFIG.timeout / 2 
-            });
-        } catch (error) {
-            // Try fallback selector
-            await page.waitForSelector('.row-container', { 
-                timeout: CONFIG.timeout / 4 
+            await trace.span('navigate', async () => {
+                await page.goto('https://one.dat.com/search-loads-ow', { 
+                    waitUntil: 'networkidle',
+                    timeout: CONFIG.timeout 
+                });
+                await safeWait(page, getRandomDelay(1000, 2000));
             });
         }
 
-        // Get load rows efficiently - use more flexible selector
-        let loadRows = await page.$$('.row-container.ng-tns-c510-8.ng-star-inserted');
-        
-        // Fallback to broader selector if specific one doesn't work
-        if (loadRows.length === 0) {
-            loadRows = await page.$$('.row-container');
-            // Filter to only get load rows (ones with data-test attributes)
-            const validRows = [];
-            for (const row of loadRows) {
-                const hasLoadData = await row.$('[data-test="load-origin-cell"]');
-                if (hasLoadData) {
-                    validRows.push(row);
-                }
-            }
-            loadRows = validRows;
+        if (profile) {
+            await trace.span('search-form', () => fillSearchForm(page, profile, { timeout: CONFIG.timeout, logger, selectorTracker }));
         }
-        
-        const targetRows = loadRows.slice(0, CONFIG.maxEntries);
-        
-        logger.info('Found loads to process', { 
-            totalFound: loadRows.length, 
-            processing: targetRows.length 
-        });
 
-        if (targetRows.length === 0) {
-            throw new Error('No load rows found');
-        }
+        await trace.span('wait-for-results', () => waitForLoadResults(page, CONFIG.timeout, logger, selectorTracker));
 
-        const extractedData = [];
         const processStartTime = Date.now();
-
-        // Process loads with optimized timing
-        for (let idx = 0; idx < targetRows.length; idx++) {
-            try {
-                const row = targetRows[idx];
-                const progress = ((idx + 1) / targetRows.length * 100).toFixed(1);
-                
-                logger.debug('Processing load', { 
-                    index: idx + 1, 
-                    total: targetRows.length, 
-                    progress: `${progress}%` 
-                });
-
-                // Human-like hover (reduced for speed)
-                await row.hover();
-                await safeWait(page, getRandomDelay(100, 300));
-
-                // Extract basic information efficiently (DAT One specific)
-                const basicInfo = await row.evaluate(el => {
-                    const normalizeValue = (value) => {
-                        if (!value || value === 'N/A' || value === 'undefined' || value === '') return '';
-                        return String(value).trim();
-                    };
-
-                    // Parse origin/destination from DAT One format
-                    const parseOriginDestination = (text) => {
-                        if (!text) return { origin: '', destination: '' };
-                        
-                        // Handle cases like "Manteca, CAAurora, CO" or "Salinas, CADenver, CO"
-                        const cleanText = text.trim();
-                        
-                        // Look for pattern: City, StateCity, State (handles "Manteca, CAAurora, CO")
-                        let match = cleanText.match(/^(.+?,\s*[A-Z]{2})([A-Z][a-z]+.*?,\s*[A-Z]{2})$/);
-                        if (match) {
-                            return {
-                                origin: match[1].trim(),
-                                destination: match[2].trim()
-                            };
-                        }
-                        
-                        // Handle cases without comma spacing: "Manteca, CAAurora, CO"
-                        match = cleanText.match(/^(.+?,\s*[A-Z]{2})([A-Z][a-zA-Z\s,]+[A-Z]{2})$/);
-                        if (match) {
-                            return {
-                                origin: match[1].trim(),
-                                destination: match[2].trim()
-                            };
-                        }
-                        
-                        // Fallback: try to split on state abbreviation pattern
-                        const statePattern = /([A-Z]{2})([A-Z][a-z]+)/;
-                        const stateMatch = cleanText.match(statePattern);
-                        if (stateMatch) {
-                            const splitPoint = cleanText.indexOf(stateMatch[0]);
-                            if (splitPoint > 0) {
-                                const origin = cleanText.substring(0, splitPoint + 2).trim();
-                                const destination = cleanText.substring(splitPoint + 2).trim();
-                                return { origin, destination };
-                            }
-                        }
-                        
-                        // Final fallback
-                        return { origin: cleanText, destination: '' };
-                    };
-
-                    const ageElement = el.querySelector('[data-test="load-age-cell"]');
-                    const rateElement = el.querySelector('[data-test="load-rate-cell"]');
-                    const originElement = el.querySelector('[data-test="load-origin-cell"]');
-                    const destinationElement = el.querySelector('[data-test="load-destination-cell"]');
-                    const companyElement = el.querySelector('[data-test="load-company-cell"]');
-                    
-                    let origin = '';
-                    let destination = '';
-                    let companyName = 'N/A';
-                    let contactInfo = 'N/A';
-                    
-                    // Handle origin/destination parsing
-                    if (originElement) {
-                        const originText = originElement.textContent.trim();
-                        if (destinationElement) {
-                            // Separate cells available
-                            origin = originText;
-                            destination = destinationElement.textContent.trim();
-                        } else {
-                            // Combined in origin cell - need to parse
-                            const parsed = parseOriginDestination(originText);
-                            origin = parsed.origin;
-                            destination = parsed.destination;
-                        }
-                    }
-
-                    // Extract company name
-                    if (companyElement) {
-                        companyName = normalizeValue(companyElement.textContent);
-                        
-                        // Look for contact information in company cell
-                        const contactSelectors = [
-                            '.contact-state',
-                            '.contact-info', 
-                            '.phone',
-                            '.email',
-                            '[class*="contact"]',
-                            '[class*="phone"]',
-                            '[class*="email"]',
-                            '[data-test*="contact"]',
-                            '[data-test*="phone"]',
-                            '.company-contact',
-                            '.load-contact'
-                        ];
-                        
-                        for (const selector of contactSelectors) {
-                            const contactEl = companyElement.querySelector(selector);
-                            if (contactEl) {
-                                const contactText = contactEl.textContent.trim();
-                                if (contactText && contactText !== 'N/A' && contactText.length > 0) {
-                                    contactInfo = contactText;
-                                    break;
-                                }
-                            }
-                        }
-                        
-                        // If no specific contact element, look for patterns in company text
-                        if (contactInfo === 'N/A') {
-                            const companyText = companyElement.textContent;
-                            
-                            // More comprehensive phone number patterns
-                            const phonePatterns = [
-                                /\(\d{3}\)\s*\d{3}[-\s]?\d{4}/g,  // (123) 123-1234
-                                /\d{3}[-\.]\d{3}[-\.]\d{4}/g,       // 123-123-1234 or 123.123.1234
-                                /\d{3}\s\d{3}\s\d{4}/g,           // 123 123 1234
-                                /\(\d{3}\)\d{3}-\d{4}/g,          // (123)123-1234
-                                /\d{10}/g,                           // 1234567890
-                                /\+1[-\s]?\d{3}[-\s]?\d{3}[-\s]?\d{4}/g // +1-123-123-1234
-                            ];
-                            
-                            for (const pattern of phonePatterns) {
-                                const phoneMatch = companyText.match(pattern);
-                                if (phoneMatch) {
-                                    contactInfo = phoneMatch[0];
-                                    break;
-                                }
-                            }
-                            
-                            // If no phone found, look for email with more patterns
-                            if (contactInfo === 'N/A') {
-                                const emailPatterns = [
-                                    /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g,
-                                    /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}\.[a-zA-Z]{2,}/g,
-                                    /[a-zA-Z0-9._%-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,4}/g
-                                ];
-                                
-                                for (const pattern of emailPatterns) {
-                                    const emailMatch = companyText.match(pattern);
-                                    if (emailMatch) {
-                                        contactInfo = emailMatch[0];
-                                        break;
-                                    }
-                                }
-                            }
-                            
-                            // Last resort: look in the entire row for contact info
-                            if (contactInfo === 'N/A') {
-                                const rowText = el.textContent;
-                                
-                                // Try to find any phone number in the entire row
-                                for (const pattern of phonePatterns) {
-                                    const phoneMatch = rowText.match(pattern);
-                                    if (phoneMatch) {
-                                        contactInfo = phoneMatch[0];
-                                        break;
-                                    }
-                                }
-                                
-                                // Try to find any email in the entire row
-                                if (contactInfo === 'N/A') {
-                                    for (const pattern of emailPatterns) {
-                                        const emailMatch = rowText.match(pattern);
-                                        if (emailMatch) {
-                                            contactInfo = emailMatch[0];
-                                            break;
-                                        }
-                                    }
-                                }
-                            }
-                        }
-                    }
-                    
-                    // Parse rate information
-                    let rateText = rateElement?.textContent.trim() || '';
-                    const totalMatch = rateText.match(/\$([0-9,]+)/);
-                    const perMileMatch = rateText.match(/\$([0-9.]+).*?\/mi/);
-                    
-                    return {
-                        age: ageElement?.textContent.trim() || 'N/A',
-                        rate: rateText,
-                        totalRate: totalMatch ? totalMatch[1].replace(/,/g, '') : '',
-                        ratePerMile: perMileMatch ? perMileMatch[1] : '',
-                        origin: normalizeValue(origin),
-                        destination: normalizeValue(destination),
-                        company: companyName,
-                        contactInfo: contactInfo
-                    };
-                });
-
-                // Click to get details (with timeout)
-                await row.click();
-                await safeWait(page, getRandomDelay(800, 1500));
-
-                // Extract detailed information from the specific load modal
-                const detailedInfo = await Promise.race([
-                    page.evaluate(() => {
-                        // Wait for modal to appear and extract from the specific modal context
-                        const waitForModal = () => {
-                            return new Promise((resolve) => {
-                                let attempts = 0;
-                                const checkModal = () => {
-                                    attempts++;
-                                    // Look for modal containers
-                                    const modalSelectors = [
-                                        '.modal-content',
-                                        '.popup-content', 
-                                        '.load-details',
-                                        '.detail-panel',
-                                        '[role="dialog"]',
-                                        '.overlay-content'
-                                    ];
-                                    
-                                    let modal = null;
-                                    for (const selector of modalSelectors) {
-                                        modal = document.querySelector(selector);
-                                        if (modal && modal.offsetParent !== null) {
-                                            break;
-                                        }
-                                    }
-                                    
-                                    if (modal || attempts > 10) {
-                                        resolve(modal);
-                                    } else {
-                                        setTimeout(checkModal, 200);
-                                    }
-                                };
-                                checkModal();
-                            });
-                        };
-
-                        return waitForModal().then((modal) => {
-                            const modalContext = modal || document;
-                            const modalText = modal ? modal.textContent : document.body.textContent;
-                            
-                            // Extract reference number using the specific DAT One selectors
-                            const findReferenceNumber = () => {
-                                // Look for the specific Reference ID structure you provided
-                                const referenceLabels = modalContext.querySelectorAll('.data-label');
-                                
-                                for (const label of referenceLabels) {
-                                    if (label.textContent.trim().toLowerCase().includes('reference id')) {
-                                        // Find the associated data-item (could be previous or next sibling)
-                                        let dataItem = label.previousElementSibling;
-                                        if (!dataItem || !dataItem.classList.contains('data-item')) {
-                                            dataItem = label.nextElementSibling;
-                                        }
-                                        
-                                        if (dataItem && dataItem.classList.contains('data-item')) {
-                                            const refId = dataItem.textContent.trim();
-                                            if (refId && refId.length >= 4) {
-                                                return refId;
-                                            }
-                                        }
-                                    }
-                                }
-                                
-                                // Enhanced fallback: look for data-item near "Reference ID" text or with reference patterns
-                                const allDataItems = modalContext.querySelectorAll('.data-item');
-                                for (const item of allDataItems) {
-                                    const refId = item.textContent.trim();
-                                    const nearbyText = item.parentElement ? item.parentElement.textContent : '';
-                                    
-                                    // First check if this item is near "Reference ID" text
-                                    if (nearbyText.toLowerCase().includes('reference id') && refId && refId.length >= 4) {
-                                        return refId;
-                                    }
-                                }
-                                
-                                // Second pass: look for reference ID patterns anywhere in modal
-                                for (const item of allDataItems) {
-                                    const text = item.textContent.trim();
-                                    // Look for reference ID patterns:
-                                    // - Pure numeric (like 92394820)
-                                    // - Alphanumeric (like B211849)
-                                    // - At least 6 characters, not containing common words
-                                    if (text && (
-                                        /^\d{6,}$/.test(text) ||                    // Pure numbers like 92394820
-                                        /^[A-Z]\d{6,}$/i.test(text) ||             // Letter + numbers like B211849
-                                        /^[A-Z0-9]{6,}$/i.test(text)               // General alphanumeric
-                                    ) && !text.toLowerCase().match(/reference|load|freight|transport|logistics|company/)) {
-                                        return text;
-                                    }
-                                }
-                                
-                                return null;
-                            };
-
-                            // Extract contact info from modal context only
-                            const findModalContacts = () => {
-                                const contacts = [];
-                                
-                                // Phone patterns
-                                const phonePatterns = [
-                                    /\(\d{3}\)\s*\d{3}[-\s]?\d{4}/g,
-                                    /\d{3}[-\.]\d{3}[-\.]\d{4}/g,
-                                    /\d{3}\s\d{3}\s\d{4}/g
-                                ];
-                                
-                                // Email patterns  
-                                const emailPatterns = [
-                                    /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g
-                                ];
-                                
-                                // Extract phones from modal only
-                                phonePatterns.forEach(pattern => {
-                                    const matches = modalText.match(pattern);
-                                    if (matches) {
-                                        matches.slice(0, 3).forEach(match => { // Limit to first 3 phones
-                                            const clean = match.trim();
-                                            if (contacts.indexOf(clean) === -1 && clean.length >= 10) {
-                                                contacts.push(clean);
-                                            }
-                                        });
-                                    }
-                                });
-                                
-                                // Extract emails from modal only
-                                emailPatterns.forEach(pattern => {
-                                    const matches = modalText.match(pattern);
-                                    if (matches) {
-                                        matches.slice(0, 2).forEach(match => { // Limit to first 2 emails
-                                            const clean = match.trim().toLowerCase();
-                                            if (contacts.indexOf(clean) === -1 && clean.includes('@')) {
-                                                contacts.push(clean);
-                                            }
-                                        });
-                                    }
-                                });
-                                
-                                return contacts;
-                            };
-
-                            const referenceNumber = findReferenceNumber();
-                            const modalContacts = findModalContacts();
-                            
-                            return {
-                                referenceNumber: referenceNumber || 'N/A',
-                                contactInfo: modalContacts.length > 0 ? modalContacts.join('; ') : 'N/A',
-                                contactCount: modalContacts.length,
-                                hasModalData: !!modal,
-                                modalFound: !!modal
-                            };
-                        });
-                    }),
-                    new Promise(resolve => setTimeout(() => resolve({ 
-                        referenceNumber: 'N/A', 
-                        contactInfo: 'N/A',
-                        contactCount: 0,
-                        hasModalData: false,
-                        modalFound: false 
-                    }), 3000))
-                ]);
-
-                // Use enhanced contact information from detailed extraction
-                let finalContactInfo = normalizeValue(basicInfo.contactInfo);
-                
-                // If detailed extraction found better contact info, use that
-                if (detailedInfo.contactInfo && detailedInfo.contactInfo !== 'N/A' && detailedInfo.contactCount > 0) {
-                    finalContactInfo = detailedInfo.contactInfo;
-                }
-
-                // Use real reference number from detailed extraction
-                let referenceId = normalizeValue(detailedInfo.referenceNumber);
-                if (!referenceId || referenceId === 'N/A') {
-                    // Only generate AUTO_ ID if no real reference found
-                    const loadDetails = `${basicInfo.origin}-${basicInfo.destination}-${normalizeValue(basicInfo.company)}-${basicInfo.totalRate}`;
-                    referenceId = 'AUTO_' + Buffer.from(loadDetails).toString('base64').substring(0, 8).toUpperCase();
-                }
-
-                const loadData = {
-                    reference_number: referenceId,
-                                                origin: basicInfo.origin || '',
-                            destination: basicInfo.destination || '',
-                    rate_total_usd: basicInfo.totalRate,
-                    rate_per_mile: basicInfo.ratePerMile,
-                    company: normalizeValue(basicInfo.company),
-                    contact: finalContactInfo,
-                    age_posted: normalizeValue(basicInfo.age),
-                    extracted_at: new Date().toISOString()
-                };
-
-                if (loadData.origin && loadData.destination) {
-                    extractedData.push(loadData);
-                }
-
-                // Close modal efficiently
-                await page.keyboard.press('Escape');
-                await safeWait(page, getRandomDelay(200, 500));
-
-                // Add minimal human behavior occasionally
-                if (Math.random() < 0.1) {
-                    await humanLikeMouseMove(page);
-                }
-
-            } catch (error) {
-                logger.warn('Failed to process load', { 
-                    index: idx + 1, 
-                    error: error.message 
-                });
-                
-                // Try to recover
-                try {
-                    await page.keyboard.press('Escape');
-                    await safeWait(page, 500);
-                } catch (recoveryError) {
-                    logger.debug('Recovery failed', { error: recoveryError.message });
-                }
-            }
+        const { records } = await extractLoads(page, {
+            maxEntries: CONFIG.maxEntries,
+            logger,
+            selectorTracker,
+            trace
+        });
+        const extractedData = await trace.span('enrich', async () => {
+            const priced = await applyProfitability(applyProfile(records, profile), { truck: getTruck(), distanceProvider: getDistanceProvider(), logger });
+            return applyTransit(priced, getTransitOptions());
+        });
+        for (const load of extractedData.filter(isLateDelivery)) {
+            logger.warn('Load cannot legally deliver on time', {
+                reference: load.reference_number,
+                lane: `${load.origin} → ${load.destination}`,
+                earliestDelivery: load.earliest_delivery,
+                deliveryEnd: load.delivery_end || load.delivery_start,
+                slackHours: load.delivery_slack_hours
+            });
         }
 
         runData.entriesCrawled = extractedData.length;
         logger.info('Extraction completed', { 
             entriesExtracted: extractedData.length,
+            droppedByMaxAge: records.length - extractedData.length,
             duration: `${Date.now() - processStartTime}ms` 
         });
 
         // Save data efficiently
         if (extractedData.length > 0) {
-            const result = await saveExtractedData(extractedData);
+            const result = await trace.span('save', () => saveExtractedData(extractedData, timestamp, runData.searchProfile));
             runData.newEntriesAdded = result.newRecords;
             runData.duplicatesSkipped = result.duplicates;
+            runData.loadsVanished = result.vanished;
+            runData.alertsSent = result.alertsSent;
         }
 
+        // Nothing to keep from a run that worked
+        await recorder.discard();
+
         // Browser cleanup
         await browserManager.cleanup();
 
         // Record success
         runData.duration = Date.now() - runStartTime;
+        recordSteps(runData, trace);
+        runData.selectorDrift = recordSelectorUsage(selectorTracker, timestamp);
         statsManager.updateStats(runData);
+        recordRun(metrics, runData);
         healthMonitor.recordSuccess();
 
         logger.info('Production run completed successfully', {
+            searchProfile: runData.searchProfile,
             duration: runData.duration,
             entriesCrawled: runData.entriesCrawled,
             newEntriesAdded: runData.newEntriesAdded,
-            duplicatesSkipped: runData.duplicatesSkipped
+            duplicatesSkipped: runData.duplicatesSkipped,
+            loadsVanished: runData.loadsVanished,
+            alertsSent: runData.alertsSent,
+            slowestStep: runData.slowestStep
         });
 
     } catch (error) {
         runData.error = error.message;
         runData.duration = Date.now() - runStartTime;
+        recordSteps(runData, trace);
+        const failedSpan = trace.stepSpans().filter(span => span.outcome === 'error').pop();
         
         logger.error('Production run failed', {
             error: error.message,
+            step: failedSpan ? failedSpan.name : null,
+            errorClass: failedSpan ? failedSpan.errorClass : null,
             duration: runData.duration,
             entriesCrawled: runData.entriesCrawled
         });
 
+        runData.selectorDrift = recordSelectorUsage(selectorTracker, timestamp);
+        runData.screenshot = await captureFailureScreenshot(timestamp);
+        runData.failureBundle = await captureFailureBundle(runData, error, recorder, trace);
         statsManager.updateStats(runData);
+        recordRun(metrics, runData);
         healthMonitor.recordFailure(error);
 
         // If browser is broken, try to reinitialize
@@ -1263,139 +808,333 @@ async function runProductionScraping() {
             }
         }
     }
+
+    logger.runLog = null;
+    return runData;
+}
+
+// Keep the run's timed steps with its run data, and the slowest step
+// ("wait-for-results 18.2s") for the completion log
+function recordSteps(runData, trace) {
+    runData.spans = trace.stepSpans();
+    runData.steps = trace.summary();
+    const slowest = trace.slowestStep();
+    runData.slowestStep = slowest ? `${slowest.name} ${(slowest.totalMs / 1000).toFixed(1)}s` : null;
+}
+
+// Keep what the page showed when a run failed, for the dashboard gallery;
+// returns the file name, or null when there was no page to capture
+async function captureFailureScreenshot(timestamp) {
+    const page = browserManager.getPage();
+    if (!page || page.isClosed()) return null;
+
+    try {
+        const dir = path.join(CONFIG.outputDir, CONFIG.screenshotsDir);
+        const name = await saveFailureScreenshot(page, dir, timestamp, { keep: CONFIG.keepScreenshots });
+        logger.info('Saved failure screenshot', { file: path.join(dir, name) });
+        return name;
+    } catch (error) {
+        logger.warn('Could not save failure screenshot', { error: error.message });
+        return null;
+    }
+}
+
+// Keep the run's trace, page, console, network and log lines for
+// debugging; returns the bundle's folder name, or null when it could not
+// be written
+async function captureFailureBundle(runData, error, recorder, trace) {
+    const page = browserManager.getPage();
+    const dir = path.join(CONFIG.outputDir, CONFIG.failuresDir);
+    try {
+        const bundle = await writeFailureBundle(dir, {
+            timestamp: runData.timestamp,
+            searchProfile: runData.searchProfile,
+            error,
+            page,
+            recorder,
+            spans: trace.spans,
+            logLines: logger.runLog || [],
+            screenshotFile: runData.screenshot && path.join(CONFIG.outputDir, CONFIG.screenshotsDir, runData.screenshot)
+        }, { keep: CONFIG.keepFailureBundles, maxAgeDays: CONFIG.failureBundleMaxAgeDays });
+        logger.info('Saved failure bundle', { dir: path.join(dir, bundle.name), missing: Object.keys(bundle.missing) });
+        return bundle.name;
+    } catch (bundleError) {
+        logger.warn('Could not save failure bundle', { error: bundleError.message });
+        return null;
+    }
+}
+
+// Fold a run's selector lookups into the stats. Fields whose primary
+// selector no longer matches are logged as "Selector drift" and listed in
+// the health output until the primary matches again.
+function recordSelectorUsage(tracker, timestamp) {
+    const report = tracker.report();
+    for (const entry of report.drift) {
+        logger.warn('Selector drift', { ...entry, registryVersion: report.version });
+    }
+    recordSelectorFallbacks(metrics, report, selectorsFor);
+
+    const selectorDrift = statsManager.recordSelectorReport(report, timestamp);
+    healthMonitor.updateStatus({ selectorDrift });
+    return report.drift;
 }
 
 // Optimized data saving function
-async function saveExtractedData(extractedData) {
-    const outputDir = './output';
-    if (!fs.existsSync(outputDir)) {
-        fs.mkdirSync(outputDir, { recursive: true });
+let loadStore = null;
+
+// Alert rules and webhooks are read on first use from the final settings,
+// by the scheduler at startup and by a single `dispatch scrape` alike
+let alertEngine = null;
+let webhookDispatcher = null;
+
+function getAlertEngine() {
+    if (!alertEngine) {
+        alertEngine = new AlertEngine({
+            ...loadAlertRules(CONFIG.alertRulesFile),
+            statePath: path.join(CONFIG.outputDir, CONFIG.alertStateFile),
+            logger
+        });
     }
-    
+    return alertEngine;
+}
+
+function getWebhookDispatcher() {
+    if (!webhookDispatcher) {
+        webhookDispatcher = new WebhookDispatcher({
+            ...loadWebhookConfig(CONFIG.webhooksFile),
+            outboxPath: path.join(CONFIG.outputDir, CONFIG.webhookOutboxFile),
+            logger
+        });
+    }
+    return webhookDispatcher;
+}
+
+// Stop the retry timer and wait for the deliveries a run started, so a
+// single scrape sends its events before the process exits; events still
+// queued go to the outbox for the scheduler
+async function closeWebhooks() {
+    if (!webhookDispatcher) return;
+
+    const dispatcher = webhookDispatcher;
+    webhookDispatcher = null;
+    dispatcher.stop();
+    if (dispatcher.flushing) {
+        await dispatcher.flushing.catch(() => {});
+    }
+    try {
+        await dispatcher.save();
+    } catch (error) {
+        logger.error('Could not queue webhook events', { queued: dispatcher.queued.length, error: error.message });
+    }
+}
+
+// Pushes stored loads to /loads/stream clients; resuming clients read the
+// store for anything older than its buffer
+const loadStream = new LoadStream({ getStore: getLoadStore, logger });
+
+// Every extracted load is priced for the configured truck, with distances
+// from the configured provider and its lane cache. Both are built on first
+// use from the final settings, so configure() can set the truck, the
+// provider and the output directory its cache lives in first.
+let truck = null;
+let distanceProvider = null;
+
+function getTruck() {
+    if (!truck) {
+        truck = truckProfile(CONFIG);
+    }
+    return truck;
+}
+
+function getDistanceProvider() {
+    if (!distanceProvider) {
+        distanceProvider = createDistanceProvider(CONFIG, { logger });
+    }
+    return distanceProvider;
+}
+
+// ...and timed from pickup to delivery under the hours-of-service rules
+// read at every run, so the rules configure() resolved are the ones used
+function getTransitOptions() {
+    return { mode: CONFIG.hosMode, averageMph: CONFIG.averageMph, loadingHours: CONFIG.loadingHours };
+}
+
+// Open the configured load store once per process. A fresh SQLite store
+// starts by importing the production CSV so no history is lost; then any
+// pending data migrations are applied.
+async function getLoadStore() {
+    if (loadStore) return loadStore;
+
+    const outputDir = CONFIG.outputDir;
     const csvPath = path.join(outputDir, CONFIG.outputFile);
-    
-    // Check file size and archive if necessary
-    const fileSize = await FileManager.checkFileSize(csvPath);
-    if (fileSize > CONFIG.maxFileSize) {
-        await FileManager.archiveFile(csvPath);
+    const store = createLoadStore({
+        type: CONFIG.loadStore,
+        sqlitePath: path.join(outputDir, CONFIG.databaseFile),
+        csvPath
+    });
+    await store.open();
+
+    store.on('listenerError', (error, event) => {
+        logger.error('Load store listener failed', { event, error: error.message });
+    });
+    store.on('vanished', (load) => {
+        logger.info('Load vanished', {
+            loadId: load.load_id,
+            origin: load.origin,
+            destination: load.destination,
+            company: load.company,
+            firstSeenAt: load.first_seen_at,
+            lastSeenAt: load.last_seen_at
+        });
+    });
+
+    if (CONFIG.loadStore === 'sqlite' && fs.existsSync(csvPath) && await store.countLoads() === 0) {
+        const result = await store.importCsv(csvPath);
+        logger.info('Imported existing CSV into load store', { file: csvPath, ...result });
     }
 
-    // Read existing data efficiently
-    let existingData = [];
-    if (fs.existsSync(csvPath)) {
-        try {
-            existingData = await new Promise((resolve, reject) => {
-                const results = [];
-                const timeout = setTimeout(() => reject(new Error('CSV read timeout')), 5000);
-                
-                fs.createReadStream(csvPath)
-                    .pipe(csv())
-                    .on('data', (data) => {
-                        results.push({
-                            reference_number: data.reference_number || null,
-                            origin: data.origin || null,
-                            destination: data.destination || null,
-                            rate_total_usd: data.rate_total_usd ? parseInt(data.rate_total_usd) : null,
-                            rate_per_mile: data.rate_per_mile ? parseFloat(data.rate_per_mile) : null,
-                            company: data.company || null,
-                            contact: data.contact || null,
-                            age_posted: data.age_posted || null,
-                            extracted_at: data.extracted_at || null
-                        });
-                    })
-                    .on('end', () => {
-                        clearTimeout(timeout);
-                        resolve(results);
-                    })
-                    .on('error', (error) => {
-                        clearTimeout(timeout);
-                        reject(error);
-                    });
-            });
-        } catch (error) {
-            logger.warn('Failed to read existing CSV', { error: error.message });
-            existingData = [];
-        }
+    for (const { id, changed } of await runMigrations(store)) {
+        logger.info('Applied load store migration', { migration: id, loadsChanged: changed.length });
     }
 
-    // Efficient duplicate checking
-    const newRecords = [];
-    let duplicateCount = 0;
-    
-    const existingSet = new Set();
-    existingData.forEach(record => {
-        // Use the same key format for existing records (ignore reference numbers for duplicate detection)
-        const key = `${record.origin}|${record.destination}|${record.company}|${record.rate_total_usd}|${record.contact}`;
-        existingSet.add(key);
+    // Only loads the scraper sees from here on are webhook and stream
+    // events, not the import or migrations above
+    watchLoadStore(store, getWebhookDispatcher());
+    loadStream.watch(store);
+
+    loadStore = store;
+    return loadStore;
+}
+
+async function closeLoadStore() {
+    if (!loadStore) return;
+
+    const store = loadStore;
+    loadStore = null;
+    await store.close();
+}
+
+// Runs one scrape at a time in this process and, through the lock file in
+// the output directory, with any other process scraping into it. Built on
+// first use so configure() can set the output directory first.
+let runCoordinator = null;
+
+function getRunCoordinator() {
+    if (runCoordinator) return runCoordinator;
+
+    runCoordinator = new RunCoordinator({
+        policy: CONFIG.runOverlapPolicy,
+        lock: new RunLock({
+            filePath: path.join(CONFIG.outputDir, CONFIG.runLockFile),
+            staleMs: CONFIG.runLockStaleSeconds * 1000,
+            logger
+        }),
+        logger
     });
+    return runCoordinator;
+}
 
-                for (const newRecord of extractedData) {
-                // Create a more reliable duplicate key that ignores auto-generated reference numbers
-                const key = `${newRecord.origin}|${newRecord.destination}|${newRecord.company}|${newRecord.rate_total_usd}|${newRecord.contact}`;
-                
-                if (!existingSet.has(key)) {
-                    newRecords.push(newRecord);
-                    existingSet.add(key);
-                } else {
-                    duplicateCount++;
-                }
-            }
+async function saveExtractedData(extractedData, seenAt = new Date().toISOString(), searchProfile = null) {
+    const store = await getLoadStore();
+    const newLoads = [];
+    const collectNewLoad = load => newLoads.push(load);
 
-    // Save new records
-    if (newRecords.length > 0) {
-        const writeHeader = !fs.existsSync(csvPath);
-        
-        const csvWriter = createCsvWriter({
-            path: csvPath,
-            header: [
-                { id: 'reference_number', title: 'reference_number' },
-                { id: 'origin', title: 'origin' },
-                { id: 'destination', title: 'destination' },
-                { id: 'rate_total_usd', title: 'rate_total_usd' },
-                { id: 'rate_per_mile', title: 'rate_per_mile' },
-                { id: 'company', title: 'company' },
-                { id: 'contact', title: 'contact' },
-                { id: 'age_posted', title: 'age_posted' },
-                { id: 'extracted_at', title: 'extracted_at' }
-            ],
-            append: !writeHeader
-        });
+    store.on('inserted', collectNewLoad);
+    let result;
+    try {
+        result = await store.upsertLoads(extractedData, { seenAt });
+    } finally {
+        store.off('inserted', collectNewLoad);
+    }
+    const vanished = await store.markUnseenLoads({ seenAt, vanishAfterRuns: CONFIG.vanishAfterRuns, searchProfile });
+    const totalRecords = await store.countLoads();
+
+    logger.info('Loads saved', {
+        store: CONFIG.loadStore,
+        newRecords: result.inserted,
+        updated: result.updated,
+        unchanged: result.unchanged,
+        vanished: vanished.length,
+        totalRecords
+    });
 
-        await csvWriter.writeRecords(newRecords);
-        
-        logger.info('Data saved to CSV', {
-            newRecords: newRecords.length,
-            duplicates: duplicateCount,
-            totalRecords: existingData.length + newRecords.length,
-            file: csvPath
-        });
+    // Write the run's webhook events to the outbox in one go, then deliver
+    // them without holding up the run; failures stay in the outbox for the
+    // next flush. Events that cannot be written must not fail the run.
+    const dispatcher = getWebhookDispatcher();
+    try {
+        await dispatcher.save();
+    } catch (error) {
+        logger.error('Could not queue webhook events', { queued: dispatcher.queued.length, error: error.message });
+    }
+    dispatcher.flush().catch(error => {
+        logger.error('Webhook flush failed', { error: error.message });
+    });
+
+    // Alerting must never fail a run whose loads are already saved
+    let alertsSent = 0;
+    try {
+        alertsSent = (await getAlertEngine().evaluate(newLoads)).length;
+    } catch (error) {
+        logger.error('Alert evaluation failed', { error: error.message });
     }
 
     return {
-        newRecords: newRecords.length,
-        duplicates: duplicateCount,
-        totalRecords: existingData.length + newRecords.length
+        newRecords: result.inserted,
+        duplicates: result.updated + result.unchanged,
+        vanished: vanished.length,
+        alertsSent,
+        totalRecords
     };
 }
 
+// Longest delay setTimeout accepts
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
 // Production scheduler with enhanced error handling
 class ProductionScheduler {
     constructor() {
-        this.intervalId = null;
+        this.timer = null;
         this.isRunning = false;
         this.startTime = Date.now();
+        this.schedule = null;
+        this.nextPlanned = null;
     }
 
     start() {
+        // An invalid profiles file, cron expression or operating window
+        // should stop the service at startup, not fail every run. A
+        // configured profile pins the scheduler to that lane.
+        const profiles = loadSearchProfiles(CONFIG.searchProfilesFile);
+        const window = OperatingWindow.fromConfig(CONFIG);
+        this.schedule = new RunSchedule({
+            profiles: CONFIG.searchProfile ? [selectProfile(profiles, CONFIG.searchProfile)] : profiles,
+            intervalSeconds: CONFIG.intervalSeconds,
+            window,
+            immediate: CONFIG.runImmediately
+        });
+
+        // Bad alert rules stop the service too, rather than alerting on nothing
+        const { rules: alertRules } = getAlertEngine();
+
+        const dispatcher = getWebhookDispatcher();
+        dispatcher.start();
+
         logger.info('Starting production scheduler', {
             interval: `${CONFIG.intervalSeconds}s`,
             maxEntries: CONFIG.maxEntries,
             outputFile: CONFIG.outputFile,
+            loadStore: CONFIG.loadStore,
+            searchProfiles: profiles.map(profile => (profile.cron ? `${profile.name} (${profile.cron})` : profile.name)),
+            operatingWindow: window.describe(),
+            alertRules: alertRules.map(rule => rule.name),
+            webhooks: [...dispatcher.endpoints.keys()],
             runImmediately: CONFIG.runImmediately
         });
 
         // Show current stats
         const stats = statsManager.loadStats();
+        healthMonitor.updateStatus({ selectorDrift: stats.selectorDrift || [] });
         if (stats.totalRuns > 0) {
             logger.info('Current statistics', {
                 totalRuns: stats.totalRuns,
@@ -1410,23 +1149,13 @@ class ProductionScheduler {
             logger.error('Initial browser setup failed', { error: error.message });
         });
 
-        // Run immediately if configured
-        if (CONFIG.runImmediately) {
-            logger.info('Running initial scrape...');
-            this.runWithErrorHandling();
-        }
-
-        // Set up recurring schedule
-        const intervalMs = CONFIG.intervalSeconds * 1000;
-        this.intervalId = setInterval(() => {
-            this.runWithErrorHandling();
-        }, intervalMs);
-
         this.isRunning = true;
         healthMonitor.updateStatus({ status: 'running' });
+        this.scheduleNext();
 
         logger.info('Production scheduler started', {
-            nextRun: `${CONFIG.intervalSeconds}s`,
+            nextRun: this.nextPlanned ? new Date(this.nextPlanned.at).toISOString() : null,
+            nextSearchProfile: this.nextPlanned && this.nextPlanned.profile ? this.nextPlanned.profile.name : null,
             pid: process.pid
         });
 
@@ -1438,10 +1167,37 @@ class ProductionScheduler {
         }
     }
 
-    async runWithErrorHandling() {
+    // Wait for the next planned run, start it and plan the one after. A
+    // timer can wait at most ~24 days, so longer waits plan again instead.
+    scheduleNext() {
+        const planned = this.schedule.next(Date.now());
+        this.nextPlanned = planned;
+        if (!planned) {
+            logger.warn('No run falls inside the schedule in the next 400 days');
+            return;
+        }
+
+        // A closed window just before the run means the scheduler idles
+        const delay = Math.max(planned.at - Date.now(), 0);
+        if (delay > 60000 && !this.schedule.window.isOpen(planned.at - 60000)) {
+            logger.info('Outside operating hours, idle until the next run', {
+                nextRun: new Date(planned.at).toISOString(),
+                searchProfile: planned.profile ? planned.profile.name : null
+            });
+        }
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            if (delay <= MAX_TIMER_DELAY) {
+                this.runWithErrorHandling(this.schedule.take(planned, Date.now()));
+            }
+            if (this.isRunning) this.scheduleNext();
+        }, Math.min(delay, MAX_TIMER_DELAY));
+    }
+
+    async runWithErrorHandling(profile) {
         if (this.isRunning) {
             try {
-                await runProductionScraping();
+                await getRunCoordinator().submit(profile ? profile.name : 'current search', () => runProductionScraping(profile));
             } catch (error) {
                 logger.error('Scheduled run failed with unhandled error', { 
                     error: error.message,
@@ -1452,9 +1208,13 @@ class ProductionScheduler {
     }
 
     stop() {
-        if (this.intervalId) {
-            clearInterval(this.intervalId);
-            this.intervalId = null;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.nextPlanned = null;
+        if (webhookDispatcher) {
+            webhookDispatcher.stop();
         }
         
         this.isRunning = false;
@@ -1474,7 +1234,10 @@ class ProductionScheduler {
         return {
             isRunning: this.isRunning,
             uptime: Date.now() - this.startTime,
-            nextRun: this.intervalId ? CONFIG.intervalSeconds : null,
+            nextRun: this.nextPlanned ? new Date(this.nextPlanned.at).toISOString() : null,
+            nextSearchProfile: this.nextPlanned && this.nextPlanned.profile ? this.nextPlanned.profile.name : null,
+            schedule: this.schedule ? { ...this.schedule.window.describe(), open: this.schedule.window.isOpen() } : null,
+            runs: runCoordinator ? runCoordinator.describe() : null,
             health: healthMonitor.getStatus(),
             stats: statsManager.loadStats()
         };
@@ -1482,38 +1245,23 @@ class ProductionScheduler {
 }
 
 // Health check endpoint for GCP
-const http = require('http');
-
 function startHealthCheckServer() {
-    const server = http.createServer((req, res) => {
-        if (req.url === '/health' || req.url === '/') {
-            const status = scheduler.getStatus();
-            const isHealthy = status.health.status !== 'critical';
-            
-            res.writeHead(isHealthy ? 200 : 503, {
-                'Content-Type': 'application/json',
-                'Cache-Control': 'no-cache'
-            });
-            
-            res.end(JSON.stringify({
-                status: isHealthy ? 'healthy' : 'unhealthy',
-                timestamp: new Date().toISOString(),
-                ...status
-            }, null, 2));
-        } else {
-            res.writeHead(404);
-            res.end('Not Found');
-        }
-    });
-
-    server.listen(CONFIG.healthCheckPort, () => {
-        logger.info('Health check server started', { 
-            port: CONFIG.healthCheckPort,
-            endpoints: ['/health', '/']
-        });
+    // AI tokens are added up by the AI scrapers in this file
+    metrics.aiUsagePath = path.join(CONFIG.outputDir, CONFIG.aiUsageFile);
+    return startStatusServer({
+        port: CONFIG.healthCheckPort,
+        getStatus: () => scheduler.getStatus(),
+        routes: [
+            ...createApiRoutes({
+                getStore: getLoadStore,
+                getRuns: () => statsManager.loadStats().runs || [],
+                loadStream
+            }),
+            ...createDashboardRoutes({ screenshotsDir: path.join(CONFIG.outputDir, CONFIG.screenshotsDir) }),
+            ...createMetricsRoutes({ registry: metrics.registry })
+        ],
+        logger
     });
-
-    return server;
 }
 
 // Global error handlers
@@ -1554,10 +1302,17 @@ function gracefulShutdown(signal) {
     
     scheduler.stop();
     
+    // Stream connections stay open until closed, which would hold the
+    // server open too
+    loadStream.close();
     if (healthServer) {
         healthServer.close();
     }
-    
+
+    closeLoadStore().catch(error => {
+        logger.warn('Error closing load store', { error: error.message });
+    });
+
     setTimeout(() => {
         logger.info('Graceful shutdown completed');
         process.exit(0);
@@ -1567,8 +1322,27 @@ function gracefulShutdown(signal) {
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 
+// Apply settings resolved by the caller (the dispatch CLI passes its
+// config file and flags here) on top of the ones read at startup
+function configure(overrides = {}) {
+    const { headless, ...rest } = overrides;
+    Object.assign(CONFIG, rest);
+    if (headless !== null && headless !== undefined) {
+        CONFIG.headless = headless; // Unset keeps the NODE_ENV default
+    }
+    logger.logLevel = CONFIG.logLevel;
+    statsManager.initializeStats();
+    truck = null;
+    distanceProvider = null;
+    alertEngine = null;
+    if (webhookDispatcher) {
+        webhookDispatcher.stop();
+        webhookDispatcher = null;
+    }
+}
+
 // Memory monitoring
-setInterval(() => {
+function monitorMemory() {
     const usage = process.memoryUsage();
     const usedMB = Math.round(usage.rss / 1024 / 1024);
     
@@ -1585,10 +1359,11 @@ setInterval(() => {
             logger.debug('Forced garbage collection');
         }
     }
-}, 30000); // Check every 30 seconds
+}
 
-// Start the production system
-if (require.main === module) {
+// Start the production system: health check server, scheduler and memory
+// monitoring
+function startService() {
     logger.info('Starting production scraper service', {
         version: '1.0.0',
         nodeVersion: process.version,
@@ -1599,7 +1374,8 @@ if (require.main === module) {
             intervalSeconds: CONFIG.intervalSeconds,
             maxEntries: CONFIG.maxEntries,
             headless: CONFIG.headless,
-            maxMemoryMB: CONFIG.maxMemoryMB
+            maxMemoryMB: CONFIG.maxMemoryMB,
+            configFile: CONFIG.configFile
         }
     });
 
@@ -1608,11 +1384,28 @@ if (require.main === module) {
     
     // Start the scheduler
     scheduler.start();
+
+    setInterval(monitorMemory, 30000); // Check every 30 seconds
+    return scheduler;
+}
+
+if (require.main === module) {
+    startService();
 }
 
 module.exports = {
     ProductionScheduler,
     runProductionScraping,
+    getRunCoordinator,
+    getTruck,
+    getDistanceProvider,
+    getTransitOptions,
+    getAlertEngine,
+    getWebhookDispatcher,
+    closeWebhooks,
+    startService,
+    configure,
+    closeLoadStore,
     CONFIG,
     logger,
     healthMonitor,
@@ -131,7 +131,7 @@ async function saveUpdatedDATOneSession() {
         
         console.log('✅ Session saved successfully to session.json');
         console.log('\n🎉 You can now use the automated DAT ONE crawler!');
-        console.log('💡 Run: npm run crawl');
+        console.log('💡 Run: node src/index.js');
         
     } catch (error) {
         console.error('❌ Error saving session:', error.message);
@@ -2,7 +2,7 @@ const { chromium } = require('playwright');
 const fs = require('fs');
 const readline = require('readline');
 
-async function saveDATOneSession() {
+async function saveDATOneSession(sessionFile = 'session.json') {
     console.log('🚀 DAT ONE Session Saver');
     console.log('This tool will help you save your DAT ONE login session for automated crawling.\n');
     
@@ -83,9 +83,9 @@ async function saveDATOneSession() {
         // Save the session
         console.log('💾 Saving session...');
         const sessionData = await context.storageState();
-        fs.writeFileSync('session.json', JSON.stringify(sessionData, null, 2));
+        fs.writeFileSync(sessionFile, JSON.stringify(sessionData, null, 2));
         
-        console.log('✅ Session saved successfully to session.json');
+        console.log(`✅ Session saved successfully to ${sessionFile}`);
         console.log('\n🎉 You can now use the automated DAT ONE crawler!');
         console.log('💡 Run: node src/index.js');
         
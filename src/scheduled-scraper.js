@@ -4,6 +4,9 @@ const path = require('path');
 const createCsvWriter = require('csv-writer').createObjectCsvWriter;
 const csv = require('csv-parser');
 const axios = require('axios');
+const { normalizeValue, parseRate, parseOriginDestination, centsToDollars, formatUsd } = require('./lib/parsers');
+const { primarySelector } = require('./lib/selectors');
+const { normalizeContact, formatContact } = require('./lib/contacts');
 require('dotenv').config();
 
 // Completely avoid logging contact info to prevent app triggers
@@ -58,86 +61,6 @@ function getReadingDelay(textLength = 100) {
     return Math.max(getRandomDelay(800, 1500), readingTimeMs * (0.5 + Math.random()));
 }
 
-function normalizeValue(value) {
-    if (!value || value === '–' || value === '-' || value === '' || value.trim() === '' || value === 'N/A') {
-        return null;
-    }
-    return value.trim();
-}
-
-function parseRate(rateText) {
-    if (!rateText || rateText === '–' || rateText === '-') {
-        return { totalRate: null, ratePerMile: null };
-    }
-    
-    const combinedRatePattern = /\$?([\d,]+)\$?([\d.]+)\*?\/mi/;
-    const combinedMatch = rateText.match(combinedRatePattern);
-    
-    if (combinedMatch) {
-        return {
-            totalRate: `$${combinedMatch[1]}`,
-            ratePerMile: `$${combinedMatch[2]}/mi`
-        };
-    }
-    
-    const totalRatePattern = /\$?([\d,]+)$/;
-    const totalMatch = rateText.match(totalRatePattern);
-    
-    if (totalMatch) {
-        return {
-            totalRate: `$${totalMatch[1]}`,
-            ratePerMile: null
-        };
-    }
-    
-    const perMilePattern = /\$?([\d.]+)\*?\/mi/;
-    const perMileMatch = rateText.match(perMilePattern);
-    
-    if (perMileMatch) {
-        return {
-            totalRate: null,
-            ratePerMile: `$${perMileMatch[1]}/mi`
-        };
-    }
-    
-    return {
-        totalRate: rateText,
-        ratePerMile: null
-    };
-}
-
-function parseOriginDestination(originText, destinationText) {
-    if (!originText) return { origin: null, destination: destinationText };
-    if (!destinationText) return { origin: originText, destination: null };
-    
-    const concatenatedPattern = /^(.+?),\s*([A-Z]{2})([A-Z][a-zA-Z\s]+),\s*([A-Z]{2})$/;
-    const match = originText.match(concatenatedPattern);
-    
-    if (match) {
-        const [, city1, state1, city2, state2] = match;
-        return {
-            origin: `${city1}, ${state1}`,
-            destination: `${city2}, ${state2}`
-        };
-    }
-    
-    const simplePattern = /^(.+?),\s*([A-Z]{2})(.+?),\s*([A-Z]{2})$/;
-    const simpleMatch = originText.match(simplePattern);
-    
-    if (simpleMatch && destinationText && destinationText.includes(',')) {
-        const [, city1, state1, city2, state2] = simpleMatch;
-        return {
-            origin: `${city1}, ${state1}`,
-            destination: `${city2}, ${state2}`
-        };
-    }
-    
-    return {
-        origin: normalizeValue(originText),
-        destination: normalizeValue(destinationText)
-    };
-}
-
 // Stats tracking functions
 function loadStats() {
     const statsPath = path.join('./output', CONFIG.statsFile);
@@ -267,7 +190,7 @@ async function runScheduledScraping() {
         let hasLoadResults = false;
         
         try {
-            await page.waitForSelector('[data-test="load-origin-cell"]', { timeout: 5000 });
+            await page.waitForSelector(primarySelector('results.ready'), { timeout: 5000 });
             hasLoadResults = true;
             console.log('✅ Found load results on current page');
         } catch (error) {
@@ -291,7 +214,7 @@ async function runScheduledScraping() {
         
         // Wait for load results to appear
         console.log('⏳ Waiting for load results...');
-        await page.waitForSelector('[data-test="load-origin-cell"]', { timeout: 30000 });
+        await page.waitForSelector(primarySelector('results.ready'), { timeout: 30000 });
         
         // Human-like scanning behavior
         for (let i = 0; i < 3; i++) {
@@ -301,7 +224,7 @@ async function runScheduledScraping() {
         await occasionalScroll(page);
         
         // Get load rows (limited to maxEntries)
-        const allLoadRows = await page.$$('.row-container.ng-tns-c510-8.ng-star-inserted');
+        const allLoadRows = await page.$$(primarySelector('results.row'));
         const loadRows = allLoadRows.slice(0, CONFIG.maxEntries);
         console.log(`📋 Found ${allLoadRows.length} total loads, processing ${loadRows.length} loads`);
         
@@ -396,7 +319,7 @@ async function runScheduledScraping() {
                 // Clean and normalize data
                 const cleanedOriginDest = parseOriginDestination(basicInfo.origin, basicInfo.destination);
                 const cleanedRate = parseRate(basicInfo.rate);
-                const cleanedContact = normalizeValue(basicInfo.contactInfo);
+                const cleanedContact = formatContact(normalizeContact({ text: basicInfo.contactInfo }));
                 
                 // Log contact info safely (prevent Thunderbird/FaceTime)
                 let safeContact = cleanedContact;
@@ -414,8 +337,8 @@ async function runScheduledScraping() {
                 console.log(`📍 ${cleanedOriginDest.origin} → ${cleanedOriginDest.destination} (${normalizeValue(basicInfo.company)})`);
                 // COMPLETELY SKIP contact logging to prevent Thunderbird/FaceTime triggers
                 console.log(`📞 Contact: [SAVED_TO_CSV_ONLY]`);
-                if (cleanedRate.totalRate || cleanedRate.ratePerMile) {
-                    console.log(`💰 Rate: ${cleanedRate.totalRate || 'N/A'} | Per Mile: ${cleanedRate.ratePerMile || 'N/A'}`);
+                if (cleanedRate.totalCents !== null || cleanedRate.perMileCents !== null) {
+                    console.log(`💰 Rate: ${formatUsd(cleanedRate.totalCents)} | Per Mile: ${formatUsd(cleanedRate.perMileCents)}`);
                 }
                 
                 // Click to get detailed information including reference number
@@ -466,31 +389,13 @@ async function runScheduledScraping() {
                     return { referenceNumber };
                 });
                 
-                // Convert rates to numeric values
-                let rateTotal = null;
-                let ratePerMileNumeric = null;
-                
-                if (cleanedRate.totalRate) {
-                    const totalMatch = cleanedRate.totalRate.match(/\$?([\d,]+)/);
-                    if (totalMatch) {
-                        rateTotal = parseInt(totalMatch[1].replace(/,/g, ''));
-                    }
-                }
-                
-                if (cleanedRate.ratePerMile) {
-                    const perMileMatch = cleanedRate.ratePerMile.match(/\$?([\d.]+)/);
-                    if (perMileMatch) {
-                        ratePerMileNumeric = parseFloat(perMileMatch[1]);
-                    }
-                }
-                
                 // Create data in the specified format
                 const loadData = {
                     reference_number: normalizeValue(detailedInfo.referenceNumber),
                     origin: cleanedOriginDest.origin,
                     destination: cleanedOriginDest.destination,
-                    rate_total_usd: rateTotal,
-                    rate_per_mile: ratePerMileNumeric,
+                    rate_total_usd: centsToDollars(cleanedRate.totalCents),
+                    rate_per_mile: centsToDollars(cleanedRate.perMileCents),
                     company: normalizeValue(basicInfo.company),
                     contact: cleanedContact,
                     age_posted: normalizeValue(basicInfo.age),
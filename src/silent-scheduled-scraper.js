@@ -3,6 +3,7 @@ const fs = require('fs');
 const path = require('path');
 const createCsvWriter = require('csv-writer').createObjectCsvWriter;
 const csv = require('csv-parser');
+const { normalizeValue, parseRate, parseOriginDestination, centsToDollars, formatUsd } = require('./lib/parsers');
 require('dotenv').config();
 
 // Completely avoid logging contact info to prevent app triggers
@@ -48,86 +49,6 @@ async function occasionalScroll(page) {
     }
 }
 
-function normalizeValue(value) {
-    if (!value || value === '–' || value === '-' || value === '' || value.trim() === '' || value === 'N/A') {
-        return null;
-    }
-    return value.trim();
-}
-
-function parseRate(rateText) {
-    if (!rateText || rateText === '–' || rateText === '-') {
-        return { totalRate: null, ratePerMile: null };
-    }
-    
-    const combinedRatePattern = /\$?([\d,]+)\$?([\d.]+)\*?\/mi/;
-    const combinedMatch = rateText.match(combinedRatePattern);
-    
-    if (combinedMatch) {
-        return {
-            totalRate: `$${combinedMatch[1]}`,
-            ratePerMile: `$${combinedMatch[2]}/mi`
-        };
-    }
-    
-    const totalRatePattern = /\$?([\d,]+)$/;
-    const totalMatch = rateText.match(totalRatePattern);
-    
-    if (totalMatch) {
-        return {
-            totalRate: `$${totalMatch[1]}`,
-            ratePerMile: null
-        };
-    }
-    
-    const perMilePattern = /\$?([\d.]+)\*?\/mi/;
-    const perMileMatch = rateText.match(perMilePattern);
-    
-    if (perMileMatch) {
-        return {
-            totalRate: null,
-            ratePerMile: `$${perMileMatch[1]}/mi`
-        };
-    }
-    
-    return {
-        totalRate: rateText,
-        ratePerMile: null
-    };
-}
-
-function parseOriginDestination(originText, destinationText) {
-    if (!originText) return { origin: null, destination: destinationText };
-    if (!destinationText) return { origin: originText, destination: null };
-    
-    const concatenatedPattern = /^(.+?),\s*([A-Z]{2})([A-Z][a-zA-Z\s]+),\s*([A-Z]{2})$/;
-    const match = originText.match(concatenatedPattern);
-    
-    if (match) {
-        const [, city1, state1, city2, state2] = match;
-        return {
-            origin: `${city1}, ${state1}`,
-            destination: `${city2}, ${state2}`
-        };
-    }
-    
-    const simplePattern = /^(.+?),\s*([A-Z]{2})(.+?),\s*([A-Z]{2})$/;
-    const simpleMatch = originText.match(simplePattern);
-    
-    if (simpleMatch && destinationText && destinationText.includes(',')) {
-        const [, city1, state1, city2, state2] = simpleMatch;
-        return {
-            origin: `${city1}, ${state1}`,
-            destination: `${city2}, ${state2}`
-        };
-    }
-    
-    return {
-        origin: normalizeValue(originText),
-        destination: normalizeValue(destinationText)
-    };
-}
-
 // Stats tracking functions
 function loadStats() {
     const statsPath = path.join('./output', CONFIG.statsFile);
@@ -422,7 +343,7 @@ async function runSilentScraping() {
                 // SILENT logging - no contact display
                 console.log(`📍 ${cleanedOriginDest.origin} → ${cleanedOriginDest.destination}`);
                 console.log(`🏢 Company: ${normalizeValue(basicInfo.company)}`);
-                console.log(`💰 Rate: ${cleanedRate.totalRate || 'N/A'}`);
+                console.log(`💰 Rate: ${formatUsd(cleanedRate.totalCents)}`);
                 
                 await row.click();
                 await page.waitForTimeout(getRandomDelay(1500, 3000));
@@ -544,29 +465,12 @@ async function runSilentScraping() {
                     };
                 });
                 
-                let rateTotal = null;
-                let ratePerMileNumeric = null;
-                
-                if (cleanedRate.totalRate) {
-                    const totalMatch = cleanedRate.totalRate.match(/\$?([\d,]+)/);
-                    if (totalMatch) {
-                        rateTotal = parseInt(totalMatch[1].replace(/,/g, ''));
-                    }
-                }
-                
-                if (cleanedRate.ratePerMile) {
-                    const perMileMatch = cleanedRate.ratePerMile.match(/\$?([\d.]+)/);
-                    if (perMileMatch) {
-                        ratePerMileNumeric = parseFloat(perMileMatch[1]);
-                    }
-                }
-                
                 const loadData = {
                     reference_number: normalizeValue(detailedInfo.referenceNumber),
                     origin: cleanedOriginDest.origin,
                     destination: cleanedOriginDest.destination,
-                    rate_total_usd: rateTotal,
-                    rate_per_mile: ratePerMileNumeric,
+                    rate_total_usd: centsToDollars(cleanedRate.totalCents),
+                    rate_per_mile: centsToDollars(cleanedRate.perMileCents),
                     company: normalizeValue(basicInfo.company),
                     contact: cleanedContact,  // Only saved to CSV, never logged
                     age_posted: normalizeValue(basicInfo.age),
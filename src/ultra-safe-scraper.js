@@ -3,6 +3,7 @@ const fs = require('fs');
 const path = require('path');
 const createCsvWriter = require('csv-writer').createObjectCsvWriter;
 const csv = require('csv-parser');
+const { normalizeValue: normalizeRawValue, parseRate, parseOriginDestination, centsToDollars, formatUsd } = require('./lib/parsers');
 require('dotenv').config();
 
 // ULTRA SAFE: Filter all text to remove email/phone patterns
@@ -80,78 +81,9 @@ async function occasionalScroll(page) {
     }
 }
 
+// Shared normalization, then filtered so nothing contact-like reaches the output
 function normalizeValue(value) {
-    if (!value || value === '–' || value === '-' || value === '' || value.trim() === '' || value === 'N/A') {
-        return null;
-    }
-    return ultraSafeFilter(value.trim());
-}
-
-function parseRate(rateText) {
-    if (!rateText || rateText === '–' || rateText === '-') {
-        return { totalRate: null, ratePerMile: null };
-    }
-    
-    const safeRateText = ultraSafeFilter(rateText);
-    
-    const combinedRatePattern = /\$?([\d,]+)\$?([\d.]+)\*?\/mi/;
-    const combinedMatch = safeRateText.match(combinedRatePattern);
-    
-    if (combinedMatch) {
-        return {
-            totalRate: `$${combinedMatch[1]}`,
-            ratePerMile: `$${combinedMatch[2]}/mi`
-        };
-    }
-    
-    const totalRatePattern = /\$?([\d,]+)$/;
-    const totalMatch = safeRateText.match(totalRatePattern);
-    
-    if (totalMatch) {
-        return {
-            totalRate: `$${totalMatch[1]}`,
-            ratePerMile: null
-        };
-    }
-    
-    const perMilePattern = /\$?([\d.]+)\*?\/mi/;
-    const perMileMatch = safeRateText.match(perMilePattern);
-    
-    if (perMileMatch) {
-        return {
-            totalRate: null,
-            ratePerMile: `$${perMileMatch[1]}/mi`
-        };
-    }
-    
-    return {
-        totalRate: safeRateText,
-        ratePerMile: null
-    };
-}
-
-function parseOriginDestination(originText, destinationText) {
-    const safeOrigin = ultraSafeFilter(originText || '');
-    const safeDestination = ultraSafeFilter(destinationText || '');
-    
-    if (!safeOrigin) return { origin: null, destination: safeDestination };
-    if (!safeDestination) return { origin: safeOrigin, destination: null };
-    
-    const concatenatedPattern = /^(.+?),\s*([A-Z]{2})([A-Z][a-zA-Z\s]+),\s*([A-Z]{2})$/;
-    const match = safeOrigin.match(concatenatedPattern);
-    
-    if (match) {
-        const [, city1, state1, city2, state2] = match;
-        return {
-            origin: `${city1}, ${state1}`,
-            destination: `${city2}, ${state2}`
-        };
-    }
-    
-    return {
-        origin: normalizeValue(safeOrigin),
-        destination: normalizeValue(safeDestination)
-    };
+    return ultraSafeFilter(normalizeRawValue(value));
 }
 
 // Stats functions
@@ -414,7 +346,7 @@ async function runUltraSafeScraping() {
                 
                 console.log(`📍 ${cleanedOriginDest.origin} → ${cleanedOriginDest.destination}`);
                 console.log(`🏢 Company: ${normalizeValue(basicInfo.company)}`);
-                console.log(`💰 Rate: ${cleanedRate.totalRate || 'N/A'}`);
+                console.log(`💰 Rate: ${formatUsd(cleanedRate.totalCents)}`);
                 console.log(`🛡️ Contact: [ULTRA_SAFE_DISABLED]`);
                 
                 await row.click();
@@ -434,29 +366,12 @@ async function runUltraSafeScraping() {
                     return { referenceNumber };
                 });
                 
-                let rateTotal = null;
-                let ratePerMileNumeric = null;
-                
-                if (cleanedRate.totalRate) {
-                    const totalMatch = cleanedRate.totalRate.match(/\$?([\d,]+)/);
-                    if (totalMatch) {
-                        rateTotal = parseInt(totalMatch[1].replace(/,/g, ''));
-                    }
-                }
-                
-                if (cleanedRate.ratePerMile) {
-                    const perMileMatch = cleanedRate.ratePerMile.match(/\$?([\d.]+)/);
-                    if (perMileMatch) {
-                        ratePerMileNumeric = parseFloat(perMileMatch[1]);
-                    }
-                }
-                
                 const loadData = {
                     reference_number: normalizeValue(detailedInfo.referenceNumber),
                     origin: cleanedOriginDest.origin,
                     destination: cleanedOriginDest.destination,
-                    rate_total_usd: rateTotal,
-                    rate_per_mile: ratePerMileNumeric,
+                    rate_total_usd: centsToDollars(cleanedRate.totalCents),
+                    rate_per_mile: centsToDollars(cleanedRate.perMileCents),
                     company: normalizeValue(basicInfo.company),
                     contact: null, // ALWAYS NULL in ultra-safe mode
                     age_posted: normalizeValue(basicInfo.age),
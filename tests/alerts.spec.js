@@ -0,0 +1,196 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const net = require('net');
+const { test, expect } = require('@playwright/test');
+const { parseAlertRules, matchRule, AlertEngine } = require('../src/lib/alerts');
+const { normalizeContact } = require('../src/lib/contacts');
+const { makeLoad: baseLoad } = require('./support/make-load');
+
+function makeLoad(overrides = {}) {
+    return baseLoad({
+        load_id: 'ref:B212555',
+        company: 'ABC Logistics LLC',
+        ...normalizeContact({ text: '(209) 599-5418 x12' }),
+        age_posted: '4m',
+        ...overrides
+    });
+}
+
+const rule = raw => parseAlertRules({ rules: [{ name: 'test', ...raw }] }).rules[0];
+
+test.describe('alert rules', () => {
+    test('compare fields', () => {
+        const reefer = rule({
+            where: [
+                { field: 'rate_per_mile', op: '>=', value: 3 },
+                { field: 'equipment', op: 'contains', value: 'reefer' },
+                { field: 'reference_number', op: 'matches', value: '^B\\d+' }
+            ]
+        });
+        expect(matchRule(reefer, makeLoad())).toBe(true);
+        expect(matchRule(reefer, makeLoad({ rate_per_mile: 2.9 }))).toBe(false);
+        expect(matchRule(reefer, makeLoad({ rate_per_mile: null }))).toBe(false);
+        expect(matchRule(reefer, makeLoad({ equipment: 'Vans (Standard)' }))).toBe(false);
+
+        expect(matchRule(rule({ where: [{ field: 'origin', op: 'in', value: ['denver, co', 'Aurora, CO'] }] }), makeLoad())).toBe(true);
+        expect(matchRule(rule({ where: [{ field: 'weight_lbs', op: 'exists', value: false }] }), makeLoad())).toBe(true);
+    });
+
+    test('match lanes by state, place and radius', () => {
+        expect(matchRule(rule({ lane: { origin: 'co', destination: 'Fresno,CA' } }), makeLoad())).toBe(true);
+        expect(matchRule(rule({ lane: { origin: 'CA' } }), makeLoad())).toBe(false);
+
+        // Aurora is about 9 miles from Denver, Colorado Springs about 65
+        const nearDenver = rule({ lane: { origin: { place: 'Denver, CO', lat: 39.7392, lon: -104.9903, radiusMiles: 25 } } });
+        expect(matchRule(nearDenver, makeLoad({ origin: 'Aurora, CO', origin_lat: 39.7294, origin_lon: -104.8319 }))).toBe(true);
+        expect(matchRule(nearDenver, makeLoad({ origin: 'Colorado Springs, CO', origin_lat: 38.8339, origin_lon: -104.8214 }))).toBe(false);
+        // Without coordinates only the circle's own place matches
+        expect(matchRule(nearDenver, makeLoad())).toBe(true);
+        expect(matchRule(nearDenver, makeLoad({ origin: 'Aurora, CO' }))).toBe(false);
+    });
+
+    test('filter brokers and posting age', () => {
+        expect(matchRule(rule({ brokers: { allow: ['ABC Logistics'] } }), makeLoad())).toBe(true);
+        expect(matchRule(rule({ brokers: { allow: ['Mesa Logistics'] } }), makeLoad())).toBe(false);
+        expect(matchRule(rule({ brokers: { deny: ['abc logistics, inc.'] } }), makeLoad())).toBe(false);
+
+        const fresh = rule({ maxAgeMinutes: 15 });
+        expect(matchRule(fresh, makeLoad())).toBe(true);
+        expect(matchRule(fresh, makeLoad({ age_posted: '1h' }))).toBe(false);
+        expect(matchRule(fresh, makeLoad({ age_posted: null }))).toBe(false);
+    });
+
+    test('reject invalid rules', () => {
+        expect(() => rule({ where: [{ field: 'rate', op: '>', value: 3 }] })).toThrow('Alert rule "test": unknown field "rate"');
+        expect(() => rule({ where: [{ field: 'rate_per_mile', op: '~', value: 3 }] })).toThrow('operator must be one of');
+        expect(() => rule({ lane: { origin: { place: 'Denver, CO', radiusMiles: 25 } } })).toThrow('numeric lat, lon');
+        expect(() => rule({ notify: ['pager'] })).toThrow('unknown notifier "pager"');
+        expect(() => parseAlertRules({ rules: [{ name: 'a' }, { name: 'a' }] })).toThrow('Duplicate alert rule name "a"');
+    });
+});
+
+test.describe('alert engine', () => {
+    let dir;
+
+    test.beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-alerts-'));
+    });
+
+    test.afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('notifies matches once per cooldown and survives restarts', async () => {
+        const requests = [];
+        const server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                requests.push(JSON.parse(body));
+                res.end();
+            });
+        });
+        await new Promise(resolve => server.listen(0, resolve));
+
+        const config = parseAlertRules({
+            notifiers: {
+                log: { type: 'file', path: path.join(dir, 'alerts.jsonl') },
+                hook: { type: 'webhook', url: `http://127.0.0.1:${server.address().port}/alerts` },
+                broken: { type: 'webhook', url: 'http://127.0.0.1:9/unreachable' }
+            },
+            rules: [
+                { name: 'reefer-3', where: [{ field: 'rate_per_mile', op: '>=', value: 3 }], notify: ['log', 'hook', 'broken'], cooldownMinutes: 60 }
+            ]
+        });
+        const warnings = [];
+        const logger = { info() {}, warn: (message, meta) => warnings.push(meta.notifier) };
+        const statePath = path.join(dir, 'alert_state.json');
+        const now = new Date('2025-09-01T01:00:00.000Z');
+
+        try {
+            const engine = new AlertEngine({ ...config, statePath, logger });
+            const sent = await engine.evaluate([makeLoad(), makeLoad({ load_id: 'ref:C418220', rate_per_mile: 2 })], { now });
+            expect(sent.map(alert => alert.load.load_id)).toEqual(['ref:B212555']);
+            expect(warnings).toEqual(['broken']);
+            expect(requests).toEqual([expect.objectContaining({ rule: 'reefer-3', text: '[reefer-3] Denver, CO → Fresno, CA $3.20/mi' })]);
+
+            const logged = fs.readFileSync(path.join(dir, 'alerts.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+            expect(logged).toHaveLength(1);
+            expect(logged[0].load.reference_number).toBe('B212555');
+
+            // A restarted engine remembers the cooldown until it runs out
+            const restarted = new AlertEngine({ ...config, statePath, logger });
+            expect(await restarted.evaluate([makeLoad()], { now: new Date('2025-09-01T01:30:00.000Z') })).toEqual([]);
+            expect(await restarted.evaluate([makeLoad()], { now: new Date('2025-09-01T02:01:00.000Z') })).toHaveLength(1);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    test('sends email over SMTP', async () => {
+        const received = [];
+        const server = net.createServer(socket => {
+            let inData = false;
+            let buffer = '';
+            socket.write('220 localhost ESMTP\r\n');
+            socket.on('data', chunk => {
+                buffer += chunk;
+                let newline;
+                while ((newline = buffer.indexOf('\r\n')) !== -1) {
+                    const line = buffer.slice(0, newline);
+                    buffer = buffer.slice(newline + 2);
+                    if (inData) {
+                        if (line === '.') {
+                            inData = false;
+                            socket.write('250 queued\r\n');
+                        } else {
+                            received.push(line);
+                        }
+                        continue;
+                    }
+                    received.push(line);
+                    if (/^EHLO/.test(line)) socket.write('250-localhost\r\n250 AUTH PLAIN\r\n');
+                    else if (/^AUTH/.test(line)) socket.write('235 ok\r\n');
+                    else if (/^DATA/.test(line)) { inData = true; socket.write('354 go ahead\r\n'); }
+                    else if (/^QUIT/.test(line)) { socket.write('221 bye\r\n'); socket.end(); }
+                    else socket.write('250 ok\r\n');
+                }
+            });
+        });
+        await new Promise(resolve => server.listen(0, resolve));
+
+        const config = parseAlertRules({
+            notifiers: {
+                email: {
+                    type: 'smtp',
+                    host: '127.0.0.1',
+                    port: server.address().port,
+                    user: 'alerts@example.com',
+                    passwordEnv: 'TEST_SMTP_PASSWORD',
+                    from: 'Load Alerts <alerts@example.com>',
+                    to: ['dispatch@example.com']
+                }
+            },
+            rules: [{ name: 'any', notify: ['email'] }]
+        });
+
+        try {
+            const engine = new AlertEngine({ ...config, env: { TEST_SMTP_PASSWORD: 'secret' } });
+            expect(await engine.evaluate([makeLoad()])).toHaveLength(1);
+
+            const credentials = Buffer.from('\0alerts@example.com\0secret').toString('base64');
+            expect(received).toEqual(expect.arrayContaining([
+                `AUTH PLAIN ${credentials}`,
+                'MAIL FROM:<alerts@example.com>',
+                'RCPT TO:<dispatch@example.com>',
+                'Subject: =?UTF-8?B?' + Buffer.from('[any] Denver, CO → Fresno, CA $3.20/mi').toString('base64') + '?=',
+                'Contact: (209) 599-5418 x12',
+                'QUIT'
+            ]));
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const { createLoadStore } = require('../src/lib/load-store');
+const { brokerKey, buildBrokerDirectory } = require('../src/lib/brokers');
+const { createStatusServer } = require('../src/lib/status-server');
+const { createApiRoutes } = require('../src/lib/api');
+const { normalizeContact } = require('../src/lib/contacts');
+const { makeLoad: baseLoad } = require('./support/make-load');
+
+function makeLoad(overrides = {}) {
+    return baseLoad({
+        origin: 'Manteca, CA',
+        destination: 'Aurora, CO',
+        rate_total_usd: 2700,
+        rate_per_mile: 2.2,
+        equipment: null,
+        ...normalizeContact({ text: '(209) 599-5418' }),
+        contact: '(209) 599-5418',
+        ...overrides
+    });
+}
+
+const loads = [
+    makeLoad(),
+    makeLoad({ reference_number: 'B212556', company: 'ABC LOGISTICS LLC', rate_per_mile: 2.4 }),
+    makeLoad({
+        reference_number: 'B212557',
+        company: 'ABC Logistics, Inc. ops@abclogistics.com',
+        destination: 'Denver, CO',
+        rate_per_mile: null,
+        extracted_at: '2025-09-03T01:00:00.000Z',
+        ...normalizeContact({ name: 'Maria Lopez', email: 'ops@abclogistics.com' })
+    }),
+    makeLoad({ reference_number: 'C418220', company: 'Mesa Logistics Inc', rate_per_mile: 3.1, contact_phone: null, contact_method: null })
+];
+
+test.describe('broker directory', () => {
+    test('merges spellings of the same broker', () => {
+        expect(brokerKey('ABC Logistics')).toBe('ABC LOGISTICS');
+        expect(brokerKey('ABC LOGISTICS LLC')).toBe('ABC LOGISTICS');
+        expect(brokerKey('abc logistics, L.L.C. 209-599-5418')).toBe('ABC LOGISTICS');
+        expect(brokerKey('A & B Freight Co.')).toBe('A AND B FREIGHT');
+        expect(brokerKey('–')).toBeNull();
+    });
+
+    test('aggregates contacts, lanes, volume and rates', () => {
+        const directory = buildBrokerDirectory(loads.map(load => ({ ...load, last_seen_at: load.extracted_at })));
+
+        expect(directory.map(broker => [broker.id, broker.postings])).toEqual([['abc-logistics', 3], ['mesa-logistics', 1]]);
+        expect(directory[0]).toMatchObject({
+            // Each spelling was seen once, so the latest one names the broker
+            name: 'ABC Logistics, Inc.',
+            aliases: ['ABC LOGISTICS LLC', 'ABC Logistics', 'ABC Logistics, Inc.'],
+            active_postings: 3,
+            avg_rate_per_mile: 2.3,
+            last_seen_at: '2025-09-03T01:00:00.000Z',
+            contacts: [
+                { name: 'Maria Lopez', phone: null, email: 'ops@abclogistics.com', method: 'email', display: 'ops@abclogistics.com' },
+                { name: null, phone: '+12095995418', email: null, method: 'phone', display: '(209) 599-5418' }
+            ].map(contact => expect.objectContaining(contact)),
+            lanes: [
+                { origin: 'Manteca, CA', destination: 'Aurora, CO', postings: 2, avg_rate_per_mile: 2.3, last_seen_at: '2025-09-01T01:00:00.000Z' },
+                { origin: 'Manteca, CA', destination: 'Denver, CO', postings: 1, avg_rate_per_mile: null, last_seen_at: '2025-09-03T01:00:00.000Z' }
+            ]
+        });
+        expect(directory[1].contacts).toEqual([]);
+    });
+
+    test('is served over HTTP', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-brokers-'));
+        const store = createLoadStore({ type: 'sqlite', sqlitePath: path.join(dir, 'loads.db') });
+        await store.open();
+        await store.upsertLoads(loads);
+
+        const server = createStatusServer({
+            getStatus: () => ({}),
+            routes: createApiRoutes({ getStore: async () => store })
+        });
+        await new Promise(resolve => server.listen(0, resolve));
+        const base = `http://127.0.0.1:${server.address().port}`;
+
+        try {
+            const list = await (await fetch(`${base}/brokers?search=abc%20logistics%20llc`)).json();
+            expect(list.total).toBe(1);
+            expect(list.brokers[0]).toMatchObject({ id: 'abc-logistics', postings: 3 });
+
+            expect(await (await fetch(`${base}/brokers/mesa-logistics`)).json()).toMatchObject({ name: 'Mesa Logistics Inc' });
+            expect((await fetch(`${base}/brokers/unknown`)).status).toBe(404);
+            expect((await fetch(`${base}/brokers?limit=0`)).status).toBe(400);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+            await store.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
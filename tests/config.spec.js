@@ -0,0 +1,56 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const { loadConfig } = require('../src/lib/config');
+
+test.describe('config loader', () => {
+    let dir;
+    let configFile;
+
+    test.beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-config-'));
+        configFile = path.join(dir, 'dispatch.config.json');
+    });
+
+    test.afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('layers defaults, config file, environment and flags', () => {
+        fs.writeFileSync(configFile, JSON.stringify({ maxEntries: 40, loadStore: 'csv', intervalSeconds: 60 }));
+
+        const config = loadConfig({
+            env: { DISPATCH_CONFIG: configFile, MAX_ENTRIES: '50', PORT: '9090', HEADLESS: 'true' },
+            flags: { maxEntries: '10', searchProfile: 'reno-any', format: 'json' }
+        });
+
+        expect(config).toMatchObject({
+            configFile,
+            outputDir: './output',
+            loadStore: 'csv',
+            intervalSeconds: 60,
+            maxEntries: 10,
+            healthCheckPort: 9090,
+            headless: true,
+            searchProfile: 'reno-any'
+        });
+        expect(config).not.toHaveProperty('format');
+    });
+
+    test('works without a config file', () => {
+        const config = loadConfig({ env: {}, flags: { config: undefined } });
+        expect(config).toMatchObject({ loadStore: 'sqlite', maxEntries: 25, headless: null, searchProfile: null, recordTraces: true });
+    });
+
+    test('rejects bad values and unknown settings', () => {
+        expect(() => loadConfig({ env: { MAX_ENTRIES: 'lots' } })).toThrow('MAX_ENTRIES: maxEntries must be a whole number, got "lots"');
+        expect(() => loadConfig({ env: {}, flags: { loadStore: 'postgres' } })).toThrow('loadStore must be one of sqlite, csv');
+        expect(() => loadConfig({ env: { HEADLESS: 'maybe' } })).toThrow('headless must be true or false');
+        expect(() => loadConfig({ env: {}, flags: { circuityFactor: '-1' } })).toThrow('circuityFactor must be a number of zero or more');
+        expect(() => loadConfig({ env: {}, flags: { config: path.join(dir, 'missing.json') } })).toThrow('Config file not found');
+
+        fs.writeFileSync(configFile, JSON.stringify({ maxEntrys: 40 }));
+        expect(() => loadConfig({ env: {}, flags: { config: configFile } })).toThrow('Unknown setting "maxEntrys"');
+    });
+});
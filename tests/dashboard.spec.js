@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const { createLoadStore } = require('../src/lib/load-store');
+const { LoadStream } = require('../src/lib/load-stream');
+const { screenshotName, listScreenshots, pruneScreenshots } = require('../src/lib/screenshots');
+const { createStatusServer } = require('../src/lib/status-server');
+const { createApiRoutes } = require('../src/lib/api');
+const { createDashboardRoutes } = require('../src/lib/dashboard');
+const { makeLoad: baseLoad } = require('./support/make-load');
+
+function makeLoad(overrides = {}) {
+    return baseLoad({ extracted_at: new Date().toISOString(), ...overrides });
+}
+
+const PNG = Buffer.from('89504e470d0a1a0a', 'hex');
+
+test.describe('dashboard', () => {
+    let dir;
+    let screenshotsDir;
+    let store;
+    let stream;
+    let server;
+    let base;
+
+    test.beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-dashboard-'));
+        screenshotsDir = path.join(dir, 'screenshots');
+        fs.mkdirSync(screenshotsDir);
+        store = createLoadStore({ type: 'sqlite', sqlitePath: path.join(dir, 'loads.db') });
+        await store.open();
+        stream = new LoadStream({ getStore: async () => store, logger: { info() {}, warn() {} } });
+        stream.watch(store);
+
+        const runs = [
+            { timestamp: '2025-09-01T01:01:00.000Z', searchProfile: 'colorado-reefer', duration: 8200, entriesCrawled: 0, newEntriesAdded: 0, error: 'Timeout 25000ms exceeded', screenshot: screenshotName('2025-09-01T01:01:00.000Z') },
+            { timestamp: '2025-09-01T01:00:00.000Z', searchProfile: 'colorado-reefer', duration: 6400, entriesCrawled: 25, newEntriesAdded: 4, error: null }
+        ];
+        server = createStatusServer({
+            getStatus: () => ({
+                isRunning: true,
+                nextRun: new Date(Date.now() + 30000).toISOString(),
+                nextSearchProfile: 'colorado-reefer',
+                schedule: { timezone: 'America/Denver', hours: '06:00-18:00', days: 'mon-fri', holidays: [], open: true },
+                health: { status: 'healthy' },
+                stats: { totalRuns: 2 }
+            }),
+            routes: [
+                ...createApiRoutes({ getStore: async () => store, getRuns: () => runs, loadStream: stream }),
+                ...createDashboardRoutes({ screenshotsDir })
+            ]
+        });
+        await new Promise(resolve => server.listen(0, resolve));
+        base = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    test.afterEach(async () => {
+        stream.close();
+        await new Promise(resolve => server.close(resolve));
+        await store.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('lists, prunes and serves failure screenshots', async () => {
+        for (const timestamp of ['2025-09-01T01:00:00.000Z', '2025-09-01T01:01:00.000Z', '2025-09-01T01:02:00.000Z']) {
+            fs.writeFileSync(path.join(screenshotsDir, screenshotName(timestamp)), PNG);
+        }
+        fs.writeFileSync(path.join(screenshotsDir, 'notes.txt'), 'not a screenshot');
+        fs.writeFileSync(path.join(dir, 'secret.png'), PNG);
+
+        expect(pruneScreenshots(screenshotsDir, 2)).toEqual(['failure-2025-09-01T01-00-00-000Z.png']);
+        expect(listScreenshots(screenshotsDir).map(screenshot => screenshot.name)).toEqual([
+            'failure-2025-09-01T01-02-00-000Z.png',
+            'failure-2025-09-01T01-01-00-000Z.png'
+        ]);
+
+        const { screenshots } = await (await fetch(`${base}/screenshots`)).json();
+        expect(screenshots[0]).toMatchObject({ name: 'failure-2025-09-01T01-02-00-000Z.png', url: '/screenshots/failure-2025-09-01T01-02-00-000Z.png', size: PNG.length });
+
+        const image = await fetch(`${base}${screenshots[0].url}`);
+        expect(image.headers.get('content-type')).toBe('image/png');
+        expect(Buffer.from(await image.arrayBuffer())).toEqual(PNG);
+        expect((await fetch(`${base}/screenshots/..%2Fsecret.png`)).status).toBe(404);
+        expect((await fetch(`${base}/screenshots/notes.txt`)).status).toBe(404);
+    });
+
+    test('serves the page and its assets without outside links', async () => {
+        const html = await (await fetch(`${base}/dashboard`)).text();
+        expect(html).toContain('<title>Dispatch Dashboard</title>');
+        for (const asset of ['dashboard.js', 'dashboard.css']) {
+            const response = await fetch(`${base}/dashboard/${asset}`);
+            expect(response.status).toBe(200);
+            expect(await response.text()).not.toMatch(/https?:\/\//);
+        }
+        expect(html).not.toMatch(/(src|href)="https?:/);
+        expect((await fetch(`${base}/dashboard/missing.js`)).status).toBe(404);
+    });
+
+    test('shows loads, runs and the scheduler, and adds streamed loads', async ({ page }) => {
+        await page.route(url => !['127.0.0.1', 'localhost'].includes(url.hostname), route => route.abort());
+        await store.upsertLoads([makeLoad(), makeLoad({ reference_number: 'C418220', origin: 'Manteca, CA', rate_per_mile: 2.1 })]);
+
+        await page.goto(`${base}/dashboard`);
+        await expect(page.locator('#load-table tbody tr')).toHaveCount(2);
+        await expect(page.locator('#service-status')).toHaveText('healthy');
+        await expect(page.locator('#scheduler-state')).toContainText('colorado-reefer');
+        await expect(page.locator('#scheduler-state')).toContainText('open · mon-fri 06:00-18:00 (America/Denver)');
+        await expect(page.locator('#run-table tbody tr')).toHaveCount(2);
+        await expect(page.locator('#run-table tbody tr').first()).toContainText('Timeout 25000ms exceeded');
+
+        await page.fill('input[name="origin"]', 'CO');
+        await expect(page.locator('#load-table tbody tr')).toHaveCount(1);
+        await expect(page.locator('#live')).toHaveText('live');
+
+        await store.upsertLoads([makeLoad({ reference_number: 'D100001', origin: 'Aurora, CO', rate_per_mile: 2.8 })]);
+        await expect(page.locator('#load-table tbody tr')).toHaveCount(2);
+        await expect(page.locator('#load-table tbody tr').first()).toContainText('Aurora, CO');
+
+        await page.click('th[data-sort="rate_per_mile"]');
+        await expect(page.locator('th[data-sort="rate_per_mile"]')).toHaveAttribute('aria-sort', 'descending');
+        await expect(page.locator('#load-table tbody tr').first()).toContainText('Denver, CO');
+    });
+});
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { test, expect } = require('@playwright/test');
+const {
+    laneKey,
+    HaversineDistanceProvider,
+    GoogleDistanceProvider,
+    OsrmDistanceProvider,
+    LaneDistanceCache,
+    CachingDistanceProvider,
+    createDistanceProvider
+} = require('../src/lib/distance');
+
+const quietLogger = { info() {}, warn() {} };
+
+test.describe('distance providers', () => {
+    let dir;
+    let server;
+    let base;
+    let requests;
+    let answer;
+
+    test.beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-distance-'));
+        requests = [];
+        answer = (req, res) => res.end(JSON.stringify({ code: 'Ok', routes: [{ distance: 1609344, duration: 64800 }] }));
+        server = http.createServer((req, res) => {
+            requests.push(req.url);
+            res.setHeader('Content-Type', 'application/json');
+            answer(req, res);
+        });
+        await new Promise(resolve => server.listen(0, resolve));
+        base = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    test.afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('estimates offline from great-circle miles and a circuity factor', async () => {
+        const provider = new HaversineDistanceProvider({ circuityFactor: 1.25 });
+        const route = await provider.route('Ft Morgan, CO', { place: 'Somewhere, CA', lat: 37.7974, lon: -121.2161 });
+        expect(route.provider).toBe('haversine');
+        expect(route.miles).toBeCloseTo(1185.6, 0);
+        expect(route.hours).toBeCloseTo(route.miles / 55, 1);
+
+        // A place the gazetteer misses is put in the middle of its state,
+        // and logged once
+        const warnings = [];
+        const estimating = new HaversineDistanceProvider({ logger: { warn: (message, meta) => warnings.push([message, meta]) } });
+        const smallville = await estimating.route('Denver, CO', 'Smallville, KS');
+        expect(smallville.miles).toBeGreaterThan(300);
+        expect(smallville.miles).toBeLessThan(600);
+        await estimating.route('Smallville, KS', 'Denver, CO');
+        await expect(estimating.route('Denver, CO', 'Smallville')).rejects.toThrow('No coordinates for "Smallville"');
+        expect(warnings).toEqual([
+            ['Place not in the gazetteer, estimating from the middle of its state', { place: 'Smallville, KS', state: 'KS' }],
+            ['Place not in the gazetteer and has no known state', { place: 'Smallville' }]
+        ]);
+
+        expect(laneKey('Ft Morgan, CO', 'manteca,CA')).toBe(laneKey('Fort Morgan, CO', 'Manteca, CA'));
+    });
+
+    test('asks OSRM and Google compatible services', async () => {
+        const osrm = new OsrmDistanceProvider({ baseUrl: `${base}/`, minIntervalMs: 0 });
+        expect(await osrm.route('Denver, CO', 'Fresno, CA')).toEqual({ miles: 1000, hours: 18, provider: 'osrm' });
+        expect(requests[0]).toBe('/route/v1/driving/-104.9903,39.7392;-119.7871,36.7378?overview=false');
+
+        answer = (req, res) => res.end(JSON.stringify({
+            status: 'OK',
+            rows: [{ elements: [{ status: 'OK', distance: { value: 1609344 }, duration: { value: 54000 } }] }]
+        }));
+        const google = new GoogleDistanceProvider({ apiKey: 'key', baseUrl: `${base}/distancematrix/json`, minIntervalMs: 0 });
+        expect(await google.route('Denver, CO', 'Fresno, CA')).toEqual({ miles: 1000, hours: 15, provider: 'google' });
+        const query = new URL(requests[1], base).searchParams;
+        expect(query.get('origins')).toBe('Denver, CO');
+        expect(query.get('avoid')).toBe('tolls');
+
+        answer = (req, res) => res.end(JSON.stringify({ status: 'OK', rows: [{ elements: [{ status: 'ZERO_RESULTS' }] }] }));
+        await expect(google.route('Denver, CO', 'Honolulu, HI')).rejects.toThrow('google: ZERO_RESULTS');
+        expect(() => new GoogleDistanceProvider({})).toThrow('needs GOOGLE_MAPS_API_KEY');
+    });
+
+    test('caches lanes on disk, keeps to the budget and falls back to the estimate', async () => {
+        const cacheFile = path.join(dir, 'distance_cache.json');
+        let now = new Date('2025-09-01T10:00:00.000Z');
+        const cached = () => new CachingDistanceProvider({
+            provider: new OsrmDistanceProvider({ baseUrl: base, minIntervalMs: 0 }),
+            fallback: new HaversineDistanceProvider({ logger: quietLogger }),
+            cache: new LaneDistanceCache({ filePath: cacheFile }),
+            dailyBudget: 2,
+            logger: quietLogger,
+            clock: () => now
+        });
+
+        let provider = cached();
+        expect(await provider.route('Denver, CO', 'Fresno, CA')).toMatchObject({ miles: 1000, provider: 'osrm', cached: false });
+
+        // Another process reads the same cache file
+        provider = cached();
+        expect(await provider.route('Denver, CO', 'Fresno, CA')).toMatchObject({ miles: 1000, provider: 'osrm', cached: true });
+        expect(requests).toHaveLength(1);
+
+        answer = (req, res) => {
+            res.statusCode = 500;
+            res.end('{}');
+        };
+        expect(await provider.route('Reno, NV', 'Fresno, CA')).toMatchObject({ provider: 'haversine', cached: false });
+        expect(await provider.route('Stockton, CA', 'Fresno, CA')).toMatchObject({ provider: 'haversine' });
+        expect(requests).toHaveLength(2);
+
+        // The budget is spent, and the estimate still answers for small towns
+        expect(await provider.route('Smallville, KS', 'Fresno, CA')).toMatchObject({ provider: 'haversine', cached: false });
+
+        now = new Date('2025-09-02T10:00:00.000Z');
+        answer = (req, res) => res.end(JSON.stringify({ code: 'Ok', routes: [{ distance: 160934.4, duration: 7200 }] }));
+        expect(await provider.route('Stockton, CA', 'Fresno, CA')).toMatchObject({ miles: 100, hours: 2, provider: 'osrm' });
+        expect(JSON.parse(fs.readFileSync(cacheFile, 'utf8'))).toMatchObject({
+            lanes: {
+                'denver, co|fresno, ca': { miles: 1000, provider: 'osrm', cached_at: '2025-09-01T10:00:00.000Z' },
+                'stockton, ca|fresno, ca': { miles: 100 }
+            },
+            usage: { day: '2025-09-02', lookups: 1 }
+        });
+    });
+
+    test('picks the provider from configuration', () => {
+        const config = { outputDir: dir, distanceCacheFile: 'distance_cache.json', distanceDailyBudget: 10, circuityFactor: 1.2, osrmUrl: base };
+        expect(createDistanceProvider({ ...config, distanceProvider: null }, { env: {} })).toBeInstanceOf(HaversineDistanceProvider);
+        expect(createDistanceProvider({ ...config, distanceProvider: null }, { env: { GOOGLE_MAPS_API_KEY: 'key' } }).name).toBe('google');
+
+        const osrm = createDistanceProvider({ ...config, distanceProvider: 'osrm' }, { env: {} });
+        expect(osrm).toBeInstanceOf(CachingDistanceProvider);
+        expect(osrm.cache.filePath).toBe(path.join(dir, 'distance_cache.json'));
+        expect(() => createDistanceProvider({ ...config, distanceProvider: 'google' }, { env: {} })).toThrow('GOOGLE_MAPS_API_KEY');
+    });
+});
@@ -0,0 +1,169 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const { waitForLoadResults, extractLoads } = require('../src/lib/load-extractor');
+const { DETAIL_COLUMNS } = require('../src/lib/load-store');
+const { RunTrace } = require('../src/lib/run-trace');
+const LocalhostScraper = require('../src/localhost-scraper');
+
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+const NO_DETAILS = Object.fromEntries(DETAIL_COLUMNS.map(column => [column, null]));
+
+function withoutTimestamp({ extracted_at, ...record }) {
+    expect(extracted_at).toMatch(ISO_TIMESTAMP);
+    return record;
+}
+
+test.beforeEach(async ({ page }) => {
+    // Keep the suite offline: the captured page source still links DAT's CDNs
+    await page.route(url => !['127.0.0.1', 'localhost'].includes(url.hostname), route => route.abort());
+});
+
+test.describe('production extraction', () => {
+    test('extracts every load on the results grid', async ({ page }) => {
+        await page.goto('/search-results.html');
+        await waitForLoadResults(page, 5000);
+
+        const { rowsFound, records } = await extractLoads(page, { maxEntries: 25 });
+
+        expect(rowsFound).toBe(4);
+        expect(records.map(withoutTimestamp)).toEqual([
+            {
+                reference_number: 'B212555',
+                origin: 'Manteca, CA',
+                destination: 'Aurora, CO',
+                rate_total_usd: 2700,
+                rate_per_mile: 2.17,
+                company: 'Sunrise Freight LLC',
+                contact: '(209) 599-5418 x12; dispatch@sunrisefreight.com',
+                age_posted: '2m',
+                ...NO_DETAILS,
+                // The fixture's dates carry no year
+                pickup_start: expect.stringMatching(/^\d{4}-09-08T08:00$/),
+                pickup_end: expect.stringMatching(/^\d{4}-09-08T14:00$/),
+                delivery_start: expect.stringMatching(/^\d{4}-09-10$/),
+                delivery_end: expect.stringMatching(/^\d{4}-09-10$/),
+                weight_lbs: 44500,
+                length_ft: 53,
+                commodity: 'Canned Tomatoes',
+                comments: 'Tarps required. Call before loading.',
+                credit_score: 96,
+                days_to_pay: 28,
+                contact_name: 'Maria Lopez',
+                contact_phone: '+12095995418',
+                contact_extension: '12',
+                contact_email: 'dispatch@sunrisefreight.com',
+                contact_method: 'phone'
+            },
+            {
+                reference_number: 'C418220',
+                origin: 'Castroville, CA',
+                destination: 'Denver, CO',
+                rate_total_usd: 1850,
+                rate_per_mile: null,
+                company: 'Mesa Logistics Inc',
+                contact: 'ops@mesalogistics.com',
+                age_posted: '14m',
+                ...NO_DETAILS,
+                credit_score: 88,
+                days_to_pay: 41,
+                contact_email: 'ops@mesalogistics.com',
+                contact_method: 'email'
+            },
+            {
+                reference_number: 'AUTO_RM9YDCBX',
+                origin: 'Fort Worth, TX',
+                destination: 'St. Louis, MO',
+                rate_total_usd: null,
+                rate_per_mile: null,
+                company: 'Prairie Transport',
+                contact: '(817) 555-0142',
+                age_posted: '1h',
+                ...NO_DETAILS,
+                weight_lbs: 42000,
+                length_ft: 53,
+                contact_phone: '+18175550142',
+                contact_method: 'phone'
+            }
+        ]);
+    });
+
+    test('honours maxEntries', async ({ page }) => {
+        await page.goto('/search-results.html');
+
+        const trace = new RunTrace();
+        const { rowsFound, records } = await extractLoads(page, { maxEntries: 1, trace });
+
+        expect(rowsFound).toBe(4);
+        expect(records.map(record => record.reference_number)).toEqual(['B212555']);
+        expect(trace.spans.map(span => [span.name, span.index, span.outcome])).toEqual([
+            ['row-discovery', undefined, 'ok'],
+            ['detail-click', 1, 'ok'],
+            ['row', 1, 'ok']
+        ]);
+    });
+
+    test('fails cleanly on a page without results', async ({ page }) => {
+        await page.goto('/page-source.html');
+
+        await expect(waitForLoadResults(page, 2000)).rejects.toThrow();
+        await expect(extractLoads(page, { maxEntries: 25 })).rejects.toThrow('No load rows found');
+    });
+});
+
+test.describe('LocalhostScraper.scrapeLoads', () => {
+    let outputDir;
+
+    test.beforeEach(() => {
+        outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-test-'));
+    });
+
+    test.afterEach(() => {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+    });
+
+    test('extracts the first loads with their detail panel contacts', async ({ page }) => {
+        await page.goto('/search-results.html');
+
+        const scraper = new LocalhostScraper({ outputDir });
+        scraper.log = () => {};
+        scraper.page = page;
+
+        const records = await scraper.scrapeLoads();
+
+        expect(records.map(withoutTimestamp)).toEqual([
+            {
+                reference_number: 'B212555',
+                origin: 'Manteca, CA',
+                destination: 'Aurora, CO',
+                rate_total_usd: 2700,
+                rate_per_mile: 2.17,
+                company: 'Sunrise Freight LLC',
+                contact: '(209) 599-5418; dispatch@sunrisefreight.com',
+                age_posted: '2m',
+                contact_name: null,
+                contact_phone: '+12095995418',
+                contact_extension: null,
+                contact_email: 'dispatch@sunrisefreight.com',
+                contact_method: 'phone'
+            },
+            {
+                reference_number: 'C418220',
+                origin: 'Castroville, CA',
+                destination: 'Denver, CO',
+                rate_total_usd: 1850,
+                rate_per_mile: null,
+                company: 'Mesa Logistics Inc',
+                contact: 'ops@mesalogistics.com',
+                age_posted: '14m',
+                contact_name: null,
+                contact_phone: null,
+                contact_extension: null,
+                contact_email: 'ops@mesalogistics.com',
+                contact_method: 'email'
+            }
+        ]);
+        expect(fs.existsSync(path.join(outputDir, 'search-results-debug.png'))).toBe(true);
+    });
+});
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const {
+    FailureRecorder,
+    ScraperFailureBundles,
+    writeFailureBundle,
+    listFailureBundles,
+    pruneFailureBundles
+} = require('../src/lib/failure-bundles');
+
+test.describe('failure bundles', () => {
+    let dir;
+
+    test.beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-failures-'));
+    });
+
+    test.afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('keeps the trace, page, console, network and log of a failed run', async ({ page }) => {
+        // Offline: anything not served by the fixture server fails
+        await page.route(url => !['127.0.0.1', 'localhost'].includes(url.hostname), route => route.abort());
+        const recorder = new FailureRecorder();
+        await recorder.attach(page);
+        await page.goto('/search-results.html');
+        await page.evaluate(() => console.warn('grid not ready'));
+        await page.evaluate(() => fetch('https://cdn.example.com/grid.js').catch(() => null));
+
+        const error = Object.assign(new Error('Timeout 25000ms exceeded.'), { name: 'TimeoutError' });
+        const bundle = await writeFailureBundle(dir, {
+            timestamp: '2025-09-01T01:00:00.000Z',
+            searchProfile: 'denver-bay-area-reefer',
+            error,
+            page,
+            recorder,
+            logLines: ['{"level":"ERROR","message":"Production run failed"}']
+        }, { maxAgeDays: 3650 });
+
+        expect(bundle).toMatchObject({
+            name: 'failure-2025-09-01T01-00-00-000Z',
+            searchProfile: 'denver-bay-area-reefer',
+            error: 'Timeout 25000ms exceeded.',
+            errorClass: 'TimeoutError',
+            files: ['trace.zip', 'screenshot.png', 'page.html', 'console.log', 'network.har', 'run.log'],
+            missing: {}
+        });
+        expect(bundle.url).toContain('/search-results.html');
+
+        const file = name => path.join(dir, bundle.name, name);
+        expect(fs.statSync(file('trace.zip')).size).toBeGreaterThan(0);
+        expect(fs.readFileSync(file('page.html'), 'utf8')).toContain('<html');
+        expect(fs.readFileSync(file('console.log'), 'utf8')).toMatch(/warning: grid not ready/);
+        expect(fs.readFileSync(file('run.log'), 'utf8')).toBe('{"level":"ERROR","message":"Production run failed"}\n');
+
+        const har = JSON.parse(fs.readFileSync(file('network.har'), 'utf8'));
+        const documentEntry = har.log.entries.find(entry => entry.request.url.endsWith('/search-results.html'));
+        expect(documentEntry.response.status).toBe(200);
+        const failed = har.log.entries.find(entry => entry.request.url === 'https://cdn.example.com/grid.js');
+        expect(failed.response).toMatchObject({ status: 0, _failureText: expect.any(String) });
+
+        // Listeners are gone once the bundle is written
+        await page.evaluate(() => console.warn('after the bundle'));
+        expect(recorder.consoleLog()).not.toContain('after the bundle');
+    });
+
+    test('stops tracing when the bundle cannot be written', async ({ page }) => {
+        const recorder = new FailureRecorder({ trace: true });
+        await recorder.attach(page);
+
+        // The failures folder is a file
+        const blocked = path.join(dir, 'failures');
+        fs.writeFileSync(blocked, '');
+        await expect(writeFailureBundle(blocked, {
+            timestamp: '2025-09-01T01:00:00.000Z',
+            error: new Error('No load rows found'),
+            page,
+            recorder
+        })).rejects.toThrow();
+
+        // A context still tracing could not start again
+        await page.context().tracing.start();
+        await page.context().tracing.stop();
+    });
+
+    test('keeps a scraper step failure in the configured failures folder', async ({ page }) => {
+        const reported = [];
+        const config = { outputDir: dir, failuresDir: 'failures', keepFailureBundles: 20, failureBundleMaxAgeDays: 3650, recordTraces: false };
+        const failures = new ScraperFailureBundles(config, (level, message) => reported.push(`${level}: ${message}`));
+        await failures.attach(page);
+        await page.goto('/search-results.html');
+        await page.evaluate(() => console.warn('grid not ready'));
+        failures.log('error', 'Search form filling failed', { error: 'no origin field' });
+
+        const name = await failures.save(new Error('no origin field'));
+        const bundleDir = path.join(dir, 'failures', name);
+        expect(listFailureBundles(path.join(dir, 'failures'))[0]).toMatchObject({
+            name,
+            error: 'no origin field',
+            files: ['console.log', 'network.har', 'page.html', 'run.log', 'screenshot.png']
+        });
+        expect(fs.readFileSync(path.join(bundleDir, 'console.log'), 'utf8')).toMatch(/warning: grid not ready/);
+        expect(JSON.parse(fs.readFileSync(path.join(bundleDir, 'run.log'), 'utf8'))).toMatchObject({
+            level: 'ERROR',
+            message: 'Search form filling failed',
+            error: 'no origin field'
+        });
+        expect(reported).toEqual([`info: 📸 Failure bundle saved: ${bundleDir}`]);
+
+        // The next failure is recorded from where this one left off
+        await page.evaluate(() => console.warn('second step'));
+        expect(failures.recorder.consoleLog()).toMatch(/second step/);
+        expect(failures.recorder.consoleLog()).not.toMatch(/grid not ready/);
+        expect(failures.logLines).toEqual([]);
+    });
+
+    test('lists what it could not capture, and keeps only recent bundles', async () => {
+        const bundle = await writeFailureBundle(dir, {
+            timestamp: '2025-09-03T08:00:00.000Z',
+            error: new Error('Failed to initialize browser after 3 attempts'),
+            spans: [{ name: 'row', startMs: 900, durationMs: 40, outcome: 'error', index: 2, errorClass: 'Error', error: 'element is not attached to the DOM' }],
+            logLines: []
+        }, { keep: 2, maxAgeDays: 3650 });
+        expect(bundle.files).toEqual(['run.log']);
+        const manifest = JSON.parse(fs.readFileSync(path.join(dir, bundle.name, 'bundle.json'), 'utf8'));
+        expect(manifest.spans).toEqual([expect.objectContaining({ name: 'row', index: 2, error: 'element is not attached to the DOM' })]);
+        expect(bundle.missing).toEqual({
+            'trace.zip': 'the run was not recorded',
+            'screenshot.png': 'the run had no open page',
+            'page.html': 'the run had no open page',
+            'console.log': 'the run was not recorded',
+            'network.har': 'the run was not recorded'
+        });
+
+        for (const timestamp of ['2025-09-01T08:00:00.000Z', '2025-09-02T08:00:00.000Z']) {
+            await writeFailureBundle(dir, { timestamp, error: new Error('No load rows found') }, { keep: 10, maxAgeDays: 3650 });
+        }
+        fs.mkdirSync(path.join(dir, 'not-a-bundle'));
+        expect(listFailureBundles(dir).map(listed => listed.name)).toEqual([
+            'failure-2025-09-03T08-00-00-000Z',
+            'failure-2025-09-02T08-00-00-000Z',
+            'failure-2025-09-01T08-00-00-000Z'
+        ]);
+        expect(listFailureBundles(dir)[1]).toMatchObject({ error: 'No load rows found', files: ['run.log'] });
+
+        const now = Date.parse('2025-09-03T08:00:00.000Z');
+        expect(pruneFailureBundles(dir, { keep: 5, maxAgeDays: 1, now })).toEqual(['failure-2025-09-01T08-00-00-000Z']);
+        expect(pruneFailureBundles(dir, { keep: 1, maxAgeDays: 30, now })).toEqual(['failure-2025-09-02T08-00-00-000Z']);
+        expect(fs.readdirSync(dir).sort()).toEqual(['failure-2025-09-03T08-00-00-000Z', 'not-a-bundle']);
+    });
+});
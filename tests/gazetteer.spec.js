@@ -0,0 +1,88 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const { cityKeys, lookupPlace, stateCentroid, marketAt, locateLoad } = require('../src/lib/gazetteer');
+const { createLoadStore } = require('../src/lib/load-store');
+const { migrateCoordinates, unlocatedLoads } = require('../src/lib/migrations');
+const { makeLoad: baseLoad } = require('./support/make-load');
+
+function makeLoad(overrides = {}) {
+    return baseLoad({ origin: 'Ft Morgan, CO', destination: 'Manteca, CA', ...overrides });
+}
+
+test.describe('gazetteer', () => {
+    test('spells out abbreviations in city names', () => {
+        expect(cityKeys('Ft. Morgan')).toEqual(['fort morgan']);
+        expect(cityKeys('E St Louis')).toEqual(['east saint louis']);
+        expect(cityKeys('Pt Arthur')).toEqual(['port arthur', 'point arthur']);
+        expect(cityKeys('Winston-Salem')).toEqual(['winston salem']);
+    });
+
+    test('resolves places to coordinates, county, ZIP3 and market', () => {
+        expect(lookupPlace('Ft Morgan, CO')).toEqual({
+            city: 'Fort Morgan',
+            state: 'CO',
+            county: 'Morgan',
+            zip3: '807',
+            lat: 40.2503,
+            lon: -103.7999,
+            market: 'CO_DEN',
+            market_name: 'Denver'
+        });
+        expect(lookupPlace('Saint Louis,mo')).toMatchObject({ city: 'St. Louis', market: 'MO_STL' });
+        expect(lookupPlace('Mt Vernon, IL')).toMatchObject({ city: 'Mount Vernon', zip3: '628' });
+        expect(lookupPlace('Colorado Spgs, CO')).toMatchObject({ city: 'Colorado Springs', market: 'CO_DEN' });
+        expect(lookupPlace('Council Bluffs, IA')).toMatchObject({ market: 'NE_OMA' });
+        expect(lookupPlace('Aurora, IL')).toMatchObject({ county: 'Kane', market: 'IL_CHI' });
+
+        expect(lookupPlace('Smallville, CO')).toBeNull();
+        expect(lookupPlace('Denver')).toBeNull();
+        expect(lookupPlace(null)).toBeNull();
+        expect(marketAt(37.8, -121.2)).toMatchObject({ code: 'CA_STO', name: 'Stockton' });
+
+        const kansas = stateCentroid('Smallville, KS');
+        expect(kansas.state).toBe('KS');
+        expect(kansas.lat).toBeGreaterThan(37);
+        expect(kansas.lat).toBeLessThan(40);
+        expect(kansas.lon).toBeGreaterThan(-102);
+        expect(kansas.lon).toBeLessThan(-94.6);
+        expect(stateCentroid('co')).toMatchObject({ state: 'CO' });
+        expect(stateCentroid('Smallville, ZZ')).toBeNull();
+        expect(stateCentroid('Denver')).toBeNull();
+    });
+
+    test('stores coordinates with every load and backfills older ones', async () => {
+        expect(locateLoad(makeLoad({ origin_lat: 40, origin_lon: -104, destination: 'Anywhere' }))).toMatchObject({
+            origin_lat: 40,
+            origin_lon: -104,
+            destination_lat: null,
+            destination_lon: null
+        });
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-gazetteer-'));
+        const store = createLoadStore({ type: 'sqlite', sqlitePath: path.join(dir, 'loads.db') });
+        await store.open();
+        try {
+            await store.upsertLoads([makeLoad()]);
+            expect(await store.getLoad('ref:B212555')).toMatchObject({
+                origin_lat: 40.2503,
+                origin_lon: -103.7999,
+                destination_lat: 37.7974,
+                destination_lon: -121.2161
+            });
+        } finally {
+            await store.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+
+        const stored = [
+            { load_id: 'ref:A1', ...makeLoad({ origin_lat: null, origin_lon: null, destination_lat: null, destination_lon: null }) },
+            { load_id: 'ref:A2', ...makeLoad({ origin: 'Smallville, CO', destination: 'Anywhere' }) }
+        ];
+        expect(migrateCoordinates(stored)).toEqual([
+            expect.objectContaining({ load_id: 'ref:A1', origin_lat: 40.2503, destination_lon: -121.2161 })
+        ]);
+        expect(unlocatedLoads(stored).map(load => load.load_id)).toEqual(['ref:A2']);
+    });
+});
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const { createLoadStore } = require('../src/lib/load-store');
+const { marketOf, buildLaneReport, parseWindows } = require('../src/lib/lanes');
+const { createStatusServer } = require('../src/lib/status-server');
+const { createApiRoutes } = require('../src/lib/api');
+const { makeLoad: baseLoad } = require('./support/make-load');
+
+const NOW = new Date('2025-09-30T12:00:00.000Z');
+
+function daysAgo(days) {
+    return new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function makeLoad(reference, days, overrides = {}) {
+    return baseLoad({
+        reference_number: reference,
+        rate_total_usd: 2000,
+        rate_per_mile: 2,
+        extracted_at: daysAgo(days),
+        last_seen_at: daysAgo(days),
+        ...overrides
+    });
+}
+
+const loads = [
+    makeLoad('A1', 1, { rate_per_mile: 2.5, rate_total_usd: 2500 }),
+    makeLoad('A2', 3, { rate_per_mile: 3, rate_total_usd: 3000 }),
+    makeLoad('A3', 10, { rate_per_mile: 2, rate_total_usd: 2000 }),
+    makeLoad('A4', 20, { rate_per_mile: null, rate_total_usd: null }),
+    makeLoad('A5', 60, { rate_per_mile: 4, rate_total_usd: 4100 }),
+    makeLoad('A6', 120, { rate_per_mile: 9 }),
+    makeLoad('B1', 2, { origin: 'Aurora, CO', destination: 'Stockton, CA', equipment: 'Vans (Standard)', rate_per_mile: 1.8 }),
+    makeLoad('C1', 5, { equipment: null, rate_per_mile: 2.2 }),
+    makeLoad('D1', 5, { destination: 'Anywhere' })
+];
+
+test.describe('lane analytics', () => {
+    test('maps places to markets and parses windows', () => {
+        expect(marketOf('Denver, CO')).toBe('CO_DEN');
+        expect(marketOf('Ft Morgan,CO')).toBe('CO_DEN');
+        expect(marketOf('Manteca, CA')).toBe('CA_STO');
+        expect(marketOf('Smallville, CO')).toBe('CO');
+        expect(marketOf('Anywhere')).toBeNull();
+        expect(marketOf(null)).toBeNull();
+
+        expect(parseWindows(undefined)).toEqual([7, 30, 90]);
+        expect(parseWindows('14, 28d')).toEqual([14, 28]);
+        expect(() => parseWindows('7,soon')).toThrow('whole numbers of days');
+    });
+
+    test('computes rate statistics per lane and window', () => {
+        const report = buildLaneReport(loads, { now: NOW });
+
+        expect(report.windows).toEqual([7, 30, 90]);
+        expect(report.lanes.map(lane => [lane.origin_market, lane.destination_market, lane.equipment])).toEqual([
+            ['CO_DEN', 'CA_FRE', 'Reefer'],
+            ['CO_DEN', 'CA_FRE', 'Unknown'],
+            ['CO_DEN', 'CA_STO', 'Vans (Standard)']
+        ]);
+        expect(report.lanes[0].windows).toEqual({
+            '7d': { count: 2, rated: 2, min_rate_per_mile: 2.5, median_rate_per_mile: 2.75, p90_rate_per_mile: 3, total_rate_usd: 5500 },
+            '30d': { count: 4, rated: 3, min_rate_per_mile: 2, median_rate_per_mile: 2.5, p90_rate_per_mile: 3, total_rate_usd: 7500 },
+            '90d': { count: 5, rated: 4, min_rate_per_mile: 2, median_rate_per_mile: 2.75, p90_rate_per_mile: 4, total_rate_usd: 11600 }
+        });
+    });
+
+    test('is served over HTTP', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-lanes-'));
+        const store = createLoadStore({ type: 'sqlite', sqlitePath: path.join(dir, 'loads.db') });
+        await store.open();
+        const recent = loads.map(load => ({ ...load, extracted_at: new Date().toISOString(), last_seen_at: null }));
+        await store.upsertLoads(recent);
+
+        const server = createStatusServer({
+            getStatus: () => ({}),
+            routes: createApiRoutes({ getStore: async () => store })
+        });
+        await new Promise(resolve => server.listen(0, resolve));
+        const base = `http://127.0.0.1:${server.address().port}`;
+
+        try {
+            const report = await (await fetch(`${base}/lanes?windows=7&equipment=reefer&origin=CO`)).json();
+            expect(report.windows).toEqual([7]);
+            expect(report.lanes).toEqual([
+                expect.objectContaining({ origin_market: 'CO_DEN', destination_market: 'CA_FRE', equipment: 'Reefer' })
+            ]);
+            expect(report.lanes[0].windows['7d'].count).toBe(6);
+
+            expect((await fetch(`${base}/lanes?windows=week`)).status).toBe(400);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+            await store.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,433 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { test, expect } = require('@playwright/test');
+const { createLoadStore, loadIdentity } = require('../src/lib/load-store');
+const { runMigrations } = require('../src/lib/migrations');
+const { makeLoad: baseLoad } = require('./support/make-load');
+
+// Sunrise Freight's posting from Manteca to Aurora, found without a profile
+function makeLoad(overrides = {}) {
+    return baseLoad({
+        origin: 'Manteca, CA',
+        destination: 'Aurora, CO',
+        rate_total_usd: 2700,
+        rate_per_mile: 2.17,
+        company: 'Sunrise Freight LLC',
+        equipment: null,
+        contact: '(209) 599-5418',
+        ...overrides
+    });
+}
+
+test.describe('loadIdentity', () => {
+    test('prefers the DAT reference ID', () => {
+        expect(loadIdentity(makeLoad())).toBe('ref:B212555');
+        expect(loadIdentity(makeLoad({ rate_total_usd: 3000 }))).toBe('ref:B212555');
+    });
+
+    test('falls back to lane, broker and rate for generated references', () => {
+        const auto = loadIdentity(makeLoad({ reference_number: 'AUTO_Q29TBWVY' }));
+        expect(auto).toMatch(/^lane:[0-9a-f]{16}$/);
+        expect(loadIdentity(makeLoad({ reference_number: null, rate_total_usd: '2700', contact: null, age_posted: '9m' }))).toBe(auto);
+        expect(loadIdentity(makeLoad({ reference_number: null, company: 'Other Broker' }))).not.toBe(auto);
+
+        // Without a total, the rate per mile
+        const perMile = makeLoad({ reference_number: null, rate_total_usd: null, rate_per_mile: 2.17 });
+        expect(loadIdentity(perMile)).toBe(loadIdentity({ ...perMile, rate_per_mile: '2.17' }));
+        expect(loadIdentity(perMile)).not.toBe(loadIdentity({ ...perMile, rate_per_mile: null }));
+    });
+
+    test('keeps a broker\'s postings on one lane apart by their rate without references', () => {
+        const first = makeLoad({ reference_number: null, rate_total_usd: 2700, pickup_start: '2025-09-02T08:00:00.000Z', equipment: 'Reefer' });
+        const second = makeLoad({ reference_number: null, rate_total_usd: 1900, pickup_start: '2025-09-05T08:00:00.000Z' });
+        expect(loadIdentity(second)).not.toBe(loadIdentity(first));
+
+        // A sighting without details is still the same posting
+        expect(loadIdentity({ ...first, pickup_start: null, equipment: null })).toBe(loadIdentity(first));
+    });
+});
+
+for (const type of ['sqlite', 'csv']) {
+    test.describe(`${type} load store`, () => {
+        let dir;
+        let store;
+
+        const openStore = async () => {
+            store = createLoadStore({
+                type,
+                sqlitePath: path.join(dir, 'loads.db'),
+                csvPath: path.join(dir, 'loads.csv')
+            });
+            return store.open();
+        };
+
+        test.beforeEach(async () => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-store-'));
+            await openStore();
+        });
+
+        test.afterEach(async () => {
+            await store.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test('upserts on load identity', async () => {
+            const inserted = [];
+            const updated = [];
+            store.on('inserted', load => inserted.push(load.load_id));
+            store.on('updated', (load, changes) => updated.push([load.load_id, changes]));
+
+            expect(await store.upsertLoads([makeLoad()])).toEqual({ inserted: 1, updated: 0, unchanged: 0 });
+            expect(await store.upsertLoads([makeLoad({ age_posted: '5m' })])).toEqual({ inserted: 0, updated: 0, unchanged: 1 });
+            expect(await store.upsertLoads([makeLoad({ rate_total_usd: 2900, age_posted: '9m' })])).toEqual({ inserted: 0, updated: 1, unchanged: 0 });
+
+            const load = await store.getLoad('ref:B212555');
+            expect(load.rate_total_usd).toBe(2900);
+            expect(load.age_posted).toBe('9m');
+            expect(await store.countLoads()).toBe(1);
+            expect(inserted).toEqual(['ref:B212555']);
+            expect(updated).toEqual([['ref:B212555', { rate_total_usd: { old: 2700, new: 2900 } }]]);
+        });
+
+        test('keeps the known contact when a sighting has none', async () => {
+            await store.upsertLoads([makeLoad()]);
+            expect(await store.upsertLoads([makeLoad({ contact: null })])).toEqual({ inserted: 0, updated: 0, unchanged: 1 });
+            expect((await store.getLoad('ref:B212555')).contact).toBe('(209) 599-5418');
+        });
+
+        test('filters, orders and pages queries', async () => {
+            await store.upsertLoads([
+                makeLoad(),
+                makeLoad({ reference_number: 'C418220', origin: 'Castroville, CA', destination: 'Denver, CO', extracted_at: '2025-09-01T02:00:00.000Z' }),
+                makeLoad({ reference_number: 'D730004', destination: 'Denver, CO', extracted_at: '2025-09-01T03:00:00.000Z' })
+            ]);
+
+            const refs = loads => loads.map(load => load.reference_number);
+            expect(refs(await store.queryLoads())).toEqual(['D730004', 'C418220', 'B212555']);
+            expect(refs(await store.queryLoads({ destination: 'denver, co' }))).toEqual(['D730004', 'C418220']);
+            expect(refs(await store.queryLoads({ origin: 'Manteca, CA', destination: 'Denver, CO' }))).toEqual(['D730004']);
+            expect(refs(await store.queryLoads({ since: '2025-09-01T02:00:00.000Z' }))).toEqual(['D730004', 'C418220']);
+            expect(refs(await store.queryLoads({ limit: 1, offset: 1 }))).toEqual(['C418220']);
+            expect(await store.countLoads({ destination: 'Denver, CO' })).toBe(2);
+        });
+
+        test('persists across reopen', async () => {
+            await store.upsertLoads([makeLoad(), makeLoad({ rate_total_usd: 3100 })]);
+            await store.close();
+            await openStore();
+
+            expect(await store.countLoads()).toBe(1);
+            expect((await store.getLoad('ref:B212555')).rate_total_usd).toBe(3100);
+        });
+
+        test('imports a legacy production CSV', async () => {
+            const csvPath = path.join(dir, 'legacy.csv');
+            fs.writeFileSync(csvPath, [
+                'reference_number,origin,destination,rate_total_usd,rate_per_mile,company,contact,age_posted,extracted_at',
+                'AUTO_Q2FZDHJV,"Castroville, CADenver, CO","Denver, CO",3800,,Armstrong Transport Group Inc,(224) 529-0290,2h,2025-08-18T06:39:30.580Z',
+                'AUTO_Q2FZDHJW,"Castroville, CADenver, CO","Denver, CO",3800,,Armstrong Transport Group Inc,(224) 529-0290,3h,2025-08-18T06:40:00.000Z',
+                'AUTO_TWFUDGVJ,"Manteca, CAAurora, CO","Aurora, CO",3600,,Circle Logistics Inc,(260) 296-6329,2h,2025-08-18T06:39:36.460Z',
+                ''
+            ].join('\n'));
+
+            expect(await store.importCsv(csvPath)).toEqual({ rows: 3, inserted: 2, updated: 0, unchanged: 1 });
+
+            const [load] = await store.queryLoads({ company: 'Armstrong Transport Group Inc' });
+            expect(load).toMatchObject({
+                origin: 'Castroville, CA',
+                destination: 'Denver, CO',
+                age_posted: '3h',
+                rate_total_usd: 3800,
+                first_seen_at: '2025-08-18T06:39:30.580Z',
+                last_seen_at: '2025-08-18T06:40:00.000Z'
+            });
+        });
+
+        test('stores a broker\'s postings on one lane at different rates as separate loads', async () => {
+            const posting = overrides => makeLoad({ reference_number: 'AUTO_Q29TBWVY', ...overrides });
+            expect(await store.upsertLoads([posting(), posting({ rate_total_usd: 1900, rate_per_mile: 1.53 })])).toEqual({ inserted: 2, updated: 0, unchanged: 0 });
+            expect(await store.upsertLoads([posting({ age_posted: '9m' })])).toEqual({ inserted: 0, updated: 0, unchanged: 1 });
+
+            await store.close();
+            await openStore();
+            expect((await store.queryLoads({ company: 'Sunrise Freight LLC' })).map(load => load.rate_total_usd).sort()).toEqual([1900, 2700]);
+        });
+
+        test('tracks first and last sighting with a history of changes', async () => {
+            await store.upsertLoads([makeLoad()], { seenAt: '2025-09-01T01:00:00.000Z' });
+            await store.upsertLoads([makeLoad({ age_posted: '5m' })], { seenAt: '2025-09-01T01:00:30.000Z' });
+            await store.upsertLoads([makeLoad({ age_posted: '6m', rate_total_usd: 2900, contact: 'dispatch@sunrisefreight.com' })], { seenAt: '2025-09-01T01:01:00.000Z' });
+
+            expect(await store.getLoad('ref:B212555')).toMatchObject({
+                first_seen_at: '2025-09-01T01:00:00.000Z',
+                last_seen_at: '2025-09-01T01:01:00.000Z',
+                status: 'active'
+            });
+            expect(await store.getHistory('ref:B212555')).toEqual([
+                { load_id: 'ref:B212555', observed_at: '2025-09-01T01:00:30.000Z', field: 'age_posted', old_value: '2m', new_value: '5m' },
+                { load_id: 'ref:B212555', observed_at: '2025-09-01T01:01:00.000Z', field: 'rate_total_usd', old_value: '2700', new_value: '2900' },
+                { load_id: 'ref:B212555', observed_at: '2025-09-01T01:01:00.000Z', field: 'contact', old_value: '(209) 599-5418', new_value: 'dispatch@sunrisefreight.com' },
+                { load_id: 'ref:B212555', observed_at: '2025-09-01T01:01:00.000Z', field: 'age_posted', old_value: '5m', new_value: '6m' }
+            ]);
+        });
+
+        test('marks loads vanished after missing N runs and revives them', async () => {
+            const vanishedEvents = [];
+            store.on('vanished', load => vanishedEvents.push(load.load_id));
+            const other = makeLoad({ reference_number: 'C418220' });
+            const run = async (minute, loads) => {
+                const seenAt = `2025-09-01T01:0${minute}:00.000Z`;
+                await store.upsertLoads(loads, { seenAt });
+                return store.markUnseenLoads({ seenAt, vanishAfterRuns: 2 });
+            };
+
+            expect(await run(0, [makeLoad(), other])).toEqual([]);
+            expect(await run(1, [other])).toEqual([]);
+            const vanished = await run(2, [other]);
+
+            expect(vanished.map(load => load.load_id)).toEqual(['ref:B212555']);
+            expect(vanishedEvents).toEqual(['ref:B212555']);
+            expect(await store.getLoad('ref:B212555')).toMatchObject({
+                status: 'vanished',
+                last_seen_at: '2025-09-01T01:00:00.000Z',
+                vanished_at: '2025-09-01T01:02:00.000Z'
+            });
+            expect(await store.countLoads({ status: 'active' })).toBe(1);
+            expect(await run(3, [other])).toEqual([]);
+
+            // A load back on the board counts as updated
+            expect(await store.upsertLoads([makeLoad()], { seenAt: '2025-09-01T01:04:00.000Z' }))
+                .toEqual({ inserted: 0, updated: 1, unchanged: 0 });
+            expect((await store.getLoad('ref:B212555')).status).toBe('active');
+            expect((await store.getHistory('ref:B212555')).filter(entry => entry.field === 'status')).toEqual([
+                { load_id: 'ref:B212555', observed_at: '2025-09-01T01:02:00.000Z', field: 'status', old_value: 'active', new_value: 'vanished' },
+                { load_id: 'ref:B212555', observed_at: '2025-09-01T01:04:00.000Z', field: 'status', old_value: 'vanished', new_value: 'active' }
+            ]);
+        });
+
+        test('tells every listener about saved loads even when one throws', async () => {
+            const heard = [];
+            const failures = [];
+            store.on('inserted', () => { throw new Error('outbox is full'); });
+            store.on('inserted', load => heard.push(load.load_id));
+            store.on('listenerError', (error, event) => failures.push([event, error.message]));
+
+            expect(await store.upsertLoads([makeLoad()])).toEqual({ inserted: 1, updated: 0, unchanged: 0 });
+            expect(heard).toEqual(['ref:B212555']);
+            expect(failures).toEqual([['inserted', 'outbox is full']]);
+            expect(await store.countLoads()).toBe(1);
+        });
+
+        test('only counts missed runs against the searched profile', async () => {
+            const reefer = makeLoad({ search_profile: 'denver-bay-area-reefer' });
+            const van = makeLoad({ reference_number: 'C418220', search_profile: 'bay-area-denver-van' });
+            const run = async (minute, loads, searchProfile) => {
+                const seenAt = `2025-09-01T01:0${minute}:00.000Z`;
+                await store.upsertLoads(loads, { seenAt });
+                return store.markUnseenLoads({ seenAt, vanishAfterRuns: 1, searchProfile });
+            };
+
+            await run(0, [reefer, van], 'denver-bay-area-reefer');
+            expect(await run(1, [van], 'bay-area-denver-van')).toEqual([]);
+            expect((await run(2, [], 'denver-bay-area-reefer')).map(load => load.load_id)).toEqual(['ref:B212555']);
+
+            // An untagged sighting keeps the profile that found the load
+            await store.upsertLoads([makeLoad({ reference_number: 'C418220' })]);
+            expect(await store.queryLoads({ search_profile: 'bay-area-denver-van' })).toMatchObject([
+                { load_id: 'ref:C418220', status: 'active' }
+            ]);
+        });
+
+        test('migrates free-text contacts into structured columns once', async () => {
+            await store.upsertLoads([
+                makeLoad({ contact: null, company: 'Sunrise Freight LLC 209-599-5418 x12' }),
+                makeLoad({ reference_number: 'C418220', contact: 'OPS@Ridge.com', company: 'Ridge Logistics' }),
+                makeLoad({ reference_number: 'D730004', contact: 'ask for Pat', company: 'Prairie Transport' })
+            ], { seenAt: '2025-09-01T01:00:00.000Z' });
+
+            const [preview] = await runMigrations(store, { dryRun: true });
+            expect(preview.id).toBe('2025-09-structured-contacts');
+            expect(preview.changed.map(load => load.contact)).toEqual(['(209) 599-5418 x12', 'ops@ridge.com']);
+            expect((await store.getLoad('ref:B212555')).contact).toBeNull();
+
+            await runMigrations(store, { now: '2025-09-02T00:00:00.000Z' });
+            expect(await store.getLoad('ref:B212555')).toMatchObject({
+                contact: '(209) 599-5418 x12',
+                contact_phone: '+12095995418',
+                contact_extension: '12',
+                contact_email: null,
+                contact_method: 'phone',
+                last_seen_at: '2025-09-01T01:00:00.000Z'
+            });
+            expect(await store.getLoad('ref:C418220')).toMatchObject({ contact_email: 'ops@ridge.com', contact_method: 'email' });
+            expect((await store.getLoad('ref:D730004')).contact).toBe('ask for Pat');
+            expect(await store.getHistory('ref:B212555')).toEqual([{
+                load_id: 'ref:B212555',
+                observed_at: '2025-09-02T00:00:00.000Z',
+                field: 'contact',
+                old_value: null,
+                new_value: '(209) 599-5418 x12'
+            }]);
+
+            await store.close();
+            await openStore();
+            expect(await store.getLoad('ref:C418220')).toMatchObject({ contact: 'ops@ridge.com', contact_email: 'ops@ridge.com' });
+            expect(await runMigrations(store)).toEqual([]);
+        });
+    });
+}
+
+test.describe('sqlite load store upgrade', () => {
+    test('fills the posted time and broker id of loads stored before them', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-store-'));
+        const sqlitePath = path.join(dir, 'loads.db');
+        const sqlite3 = require('sqlite3');
+        const { open } = require('sqlite');
+        const db = await open({ filename: sqlitePath, driver: sqlite3.Database });
+        await db.exec(`
+            CREATE TABLE loads (load_id TEXT PRIMARY KEY, reference_number TEXT, origin TEXT, destination TEXT,
+                rate_total_usd REAL, rate_per_mile REAL, company TEXT, contact TEXT, age_posted TEXT, extracted_at TEXT);
+            INSERT INTO loads VALUES ('ref:B212555', 'B212555', 'Manteca, CA', 'Aurora, CO', 2700, 2.17,
+                'Sunrise Freight, LLC', NULL, '30m', '2025-09-01T01:00:00.000Z');
+        `);
+        await db.close();
+
+        const store = createLoadStore({ type: 'sqlite', sqlitePath });
+        try {
+            await store.open();
+            expect(await store.getLoad('ref:B212555')).toMatchObject({
+                posted_at: '2025-09-01T00:30:00.000Z',
+                broker_id: 'sunrise-freight'
+            });
+            expect(await store.countLoads({ broker_id: 'sunrise-freight', posted_since: '2025-09-01T00:00:00.000Z' })).toBe(1);
+        } finally {
+            await store.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+test.describe('csv load store migration', () => {
+    test('rewrites a pre-lifecycle file once and keeps the original', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-store-'));
+        const csvPath = path.join(dir, 'loads.csv');
+        fs.writeFileSync(csvPath, [
+            'reference_number,origin,destination,rate_total_usd,rate_per_mile,company,contact,age_posted,extracted_at',
+            'B212555,"Manteca, CA","Aurora, CO",2700,2.17,Sunrise Freight LLC,(209) 599-5418,2m,2025-09-01T01:00:00.000Z',
+            'B212555,"Manteca, CA","Aurora, CO",2900,2.33,Sunrise Freight LLC,(209) 599-5418,9m,2025-09-01T01:07:00.000Z',
+            ''
+        ].join('\n'));
+
+        try {
+            const store = createLoadStore({ type: 'csv', csvPath });
+            await store.open();
+            await store.upsertLoads([makeLoad({ rate_total_usd: 3000 })], { seenAt: '2025-09-01T02:00:00.000Z' });
+
+            expect(fs.existsSync(path.join(dir, 'loads_pre_lifecycle.csv'))).toBe(true);
+
+            const reopened = createLoadStore({ type: 'csv', csvPath });
+            await reopened.open();
+            expect(await reopened.getLoad('ref:B212555')).toMatchObject({
+                rate_total_usd: 3000,
+                first_seen_at: '2025-09-01T01:00:00.000Z',
+                last_seen_at: '2025-09-01T02:00:00.000Z',
+                status: 'active'
+            });
+            expect((await reopened.getHistory('ref:B212555')).map(entry => entry.field))
+                .toEqual(['rate_total_usd', 'rate_per_mile', 'age_posted']);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+test.describe('csv load store data migrations', () => {
+    test('writes coordinates the migration resolved, though no sighting tracks them', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-store-'));
+        const csvPath = path.join(dir, 'loads.csv');
+        fs.writeFileSync(csvPath, [
+            'reference_number,origin,destination,rate_total_usd,rate_per_mile,company,contact,age_posted,extracted_at',
+            'B212555,"Manteca, CA","Aurora, CO",2700,2.17,Sunrise Freight LLC,(209) 599-5418,2m,2025-09-01T01:00:00.000Z',
+            'C418220,"Smallville, KS","Aurora, CO",1200,2.4,Prairie Transport,(316) 555-0100,5m,2025-09-01T01:00:00.000Z',
+            ''
+        ].join('\n'));
+
+        try {
+            const store = createLoadStore({ type: 'csv', csvPath });
+            await store.open();
+            expect(await store.getLoad('ref:B212555')).toMatchObject({ origin_lat: null, destination_lat: null });
+
+            const applied = await runMigrations(store, { now: '2025-09-02T00:00:00.000Z' });
+            const coordinates = applied.find(migration => migration.id === '2026-10-place-coordinates');
+            // Smallville gets the coordinates of Aurora only
+            expect(coordinates.changed.map(load => load.load_id)).toEqual(['ref:B212555', 'ref:C418220']);
+            expect(coordinates.unresolved.map(load => load.load_id)).toEqual(['ref:C418220']);
+            await store.close();
+
+            const reopened = createLoadStore({ type: 'csv', csvPath });
+            await reopened.open();
+            const load = await reopened.getLoad('ref:B212555');
+            expect(load.origin_lat).toBeCloseTo(37.8, 1);
+            expect(load.destination_lon).toBeCloseTo(-104.8, 1);
+            expect(await runMigrations(reopened)).toEqual([]);
+            await reopened.close();
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+test.describe('csv load store compaction', () => {
+    test('counts an older file without touching it on a dry run, then keeps its original', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-store-'));
+        const csvPath = path.join(dir, 'loads.csv');
+        const legacy = [
+            'reference_number,origin,destination,rate_total_usd,rate_per_mile,company,contact,age_posted,extracted_at',
+            'B212555,"Manteca, CA","Aurora, CO",2700,2.17,Sunrise Freight LLC,(209) 599-5418,2m,2025-09-01T01:00:00.000Z',
+            'B212555,"Manteca, CA","Aurora, CO",2900,2.33,Sunrise Freight LLC,(209) 599-5418,9m,2025-09-01T01:07:00.000Z',
+            ''
+        ].join('\n');
+        fs.writeFileSync(csvPath, legacy);
+        const dedupe = (...flags) => execFileSync(process.execPath, [path.join(__dirname, '../src/cli.js'), 'dedupe', '--file', csvPath, ...flags], { encoding: 'utf8' });
+
+        try {
+            expect(dedupe('--dry-run')).toContain('2 rows, 1 loads: 1 rows would be removed');
+            expect(fs.readFileSync(csvPath, 'utf8')).toBe(legacy);
+            expect(fs.readdirSync(dir)).toEqual(['loads.csv']);
+
+            expect(dedupe()).toContain('Superseded rows removed: 1');
+            expect(fs.readFileSync(path.join(dir, 'loads_pre_lifecycle.csv'), 'utf8')).toBe(legacy);
+            expect(fs.readFileSync(csvPath, 'utf8').trim().split('\n')).toHaveLength(2);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('keeps one row per load', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-store-'));
+        const csvPath = path.join(dir, 'loads.csv');
+
+        try {
+            const store = createLoadStore({ type: 'csv', csvPath });
+            await store.open();
+            await store.upsertLoads([makeLoad(), makeLoad({ reference_number: 'C418220' })], { seenAt: '2025-09-01T01:00:00.000Z' });
+            await store.upsertLoads([makeLoad({ rate_total_usd: 2900 })], { seenAt: '2025-09-01T01:05:00.000Z' });
+            await store.upsertLoads([makeLoad({ rate_total_usd: 3000 })], { seenAt: '2025-09-01T01:10:00.000Z' });
+
+            expect(await store.compact()).toEqual({ rows: 4, loads: 2, removed: 2 });
+            expect(fs.readFileSync(csvPath, 'utf8').trim().split('\n')).toHaveLength(3);
+
+            const reopened = createLoadStore({ type: 'csv', csvPath });
+            await reopened.open();
+            expect(await reopened.getLoad('ref:B212555')).toMatchObject({
+                rate_total_usd: 3000,
+                first_seen_at: '2025-09-01T01:00:00.000Z',
+                last_seen_at: '2025-09-01T01:10:00.000Z'
+            });
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,188 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const net = require('net');
+const WebSocket = require('ws');
+const { test, expect } = require('@playwright/test');
+const { createLoadStore } = require('../src/lib/load-store');
+const { LoadStream } = require('../src/lib/load-stream');
+const { createStatusServer } = require('../src/lib/status-server');
+const { createApiRoutes } = require('../src/lib/api');
+const { makeLoad } = require('./support/make-load');
+
+// Read server-sent events until `count` load events (or, with `pings`, any
+// events) arrived
+function readEvents(base, query, count, { headers = {}, pings = false } = {}) {
+    return new Promise((resolve, reject) => {
+        const events = [];
+        const req = http.get(`${base}/loads/stream${query}`, { headers }, res => {
+            if (res.statusCode !== 200) {
+                req.destroy();
+                resolve({ status: res.statusCode, events });
+                return;
+            }
+            let buffer = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                buffer += chunk;
+                let end;
+                while ((end = buffer.indexOf('\n\n')) !== -1) {
+                    const block = buffer.slice(0, end);
+                    buffer = buffer.slice(end + 2);
+                    const fields = Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+                    if (fields.event && (pings || fields.event !== 'ping')) {
+                        events.push({ id: fields.id, event: fields.event, data: JSON.parse(fields.data) });
+                    }
+                    if (events.length === count) {
+                        req.destroy();
+                        resolve({ status: 200, events });
+                    }
+                }
+            });
+        });
+        req.on('error', error => {
+            if (events.length < count) reject(error);
+        });
+    });
+}
+
+test.describe('load stream', () => {
+    let dir;
+    let store;
+    let stream;
+    let server;
+    let base;
+    let clock;
+
+    test.beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-stream-'));
+        store = createLoadStore({ type: 'sqlite', sqlitePath: path.join(dir, 'loads.db') });
+        await store.open();
+        clock = Date.parse('2025-09-01T01:00:00.000Z');
+        stream = new LoadStream({ getStore: async () => store, heartbeatMs: 50, clock: () => clock, logger: { info() {}, warn() {} } });
+        stream.watch(store);
+        server = createStatusServer({
+            getStatus: () => ({}),
+            routes: createApiRoutes({ getStore: async () => store, loadStream: stream })
+        });
+        await new Promise(resolve => server.listen(0, resolve));
+        base = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    test.afterEach(async () => {
+        stream.close();
+        await new Promise(resolve => server.close(resolve));
+        await store.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('pushes filtered loads over server-sent events with pings', async () => {
+        const received = readEvents(base, '?origin=CO&min_rate_per_mile=3', 2);
+        await expect.poll(() => stream.clients.size).toBe(1);
+
+        await store.upsertLoads([
+            makeLoad(),
+            makeLoad({ reference_number: 'C418220', rate_per_mile: 2.1 }),
+            makeLoad({ reference_number: 'D100001', origin: 'Manteca, CA' })
+        ], { seenAt: '2025-09-01T01:00:00.000Z' });
+        clock += 60000;
+        await store.upsertLoads([makeLoad({ rate_per_mile: 3.5 })], { seenAt: '2025-09-01T01:01:00.000Z' });
+
+        const { events: loadEvents } = await received;
+        expect(loadEvents.map(event => [event.id, event.event, event.data.load.load_id])).toEqual([
+            [`${Date.parse('2025-09-01T01:00:00.000Z')}-0`, 'load.created', 'ref:B212555'],
+            [`${Date.parse('2025-09-01T01:01:00.000Z')}-0`, 'load.updated', 'ref:B212555']
+        ]);
+        expect(loadEvents[1].data.changes).toEqual({ rate_per_mile: { old: 3.2, new: 3.5 } });
+
+        const ping = await readEvents(base, '', 1, { pings: true });
+        expect(ping.events[0]).toMatchObject({ event: 'ping', data: { type: 'ping' } });
+        expect((await readEvents(base, '?events=load.sold', 1)).status).toBe(400);
+    });
+
+    test('resumes from the last event id, from memory or from the store', async () => {
+        await store.upsertLoads([makeLoad()], { seenAt: '2025-09-01T01:00:00.000Z' });
+        clock += 60000;
+        await store.upsertLoads([makeLoad({ reference_number: 'C418220' })], { seenAt: '2025-09-01T01:01:00.000Z' });
+        const [first, second] = stream.buffer;
+
+        const resumed = await readEvents(base, '?events=load.created', 1, { headers: { 'Last-Event-ID': first.id } });
+        expect(resumed.events.map(event => event.id)).toEqual([second.id]);
+
+        // After a restart the buffer is empty, so the store fills the gap.
+        // Loads seen in the same millisecond as the last event come again.
+        const restarted = new LoadStream({ getStore: async () => store, heartbeatMs: 0 });
+        await store.upsertLoads([makeLoad({ rate_per_mile: 3.5 })], { seenAt: '2025-09-01T01:02:00.000Z' });
+        const missed = await restarted.missedEvents(second.id);
+        expect(missed.map(event => [event.type, event.load.load_id, event.replayed])).toEqual([
+            ['load.created', 'ref:C418220', true],
+            ['load.updated', 'ref:B212555', true]
+        ]);
+
+        // Loads that vanished since come as removed, the newest maxReplay
+        // loads at most
+        await store.markUnseenLoads({ seenAt: '2025-09-01T01:03:00.000Z', vanishAfterRuns: 1 });
+        const [removed] = await restarted.missedEvents(`${Date.parse('2025-09-01T01:02:30.000Z')}-0`);
+        expect(removed).toMatchObject({ type: 'load.removed', replayed: true });
+        expect(await store.countLoads({ vanished_since: '2025-09-01T01:03:00.000Z' })).toBe(2);
+        const warnings = [];
+        const capped = new LoadStream({ getStore: async () => store, heartbeatMs: 0, maxReplay: 1, logger: { warn: message => warnings.push(message) } });
+        expect((await capped.missedEvents(second.id)).map(event => event.type)).toEqual(['load.removed']);
+        expect(warnings).toEqual(['Load stream replay cut to the newest loads']);
+        capped.close();
+        restarted.close();
+    });
+
+    test('pushes loads over a WebSocket', async () => {
+        const socket = new WebSocket(`${base.replace('http', 'ws')}/loads/stream?equipment=reefer`);
+        const messages = [];
+        socket.on('message', data => messages.push(JSON.parse(data)));
+        await new Promise((resolve, reject) => {
+            socket.on('open', resolve);
+            socket.on('error', reject);
+        });
+
+        try {
+            await store.upsertLoads([makeLoad(), makeLoad({ reference_number: 'C418220', equipment: 'Flatbed' })]);
+            await expect.poll(() => messages.filter(message => message.type !== 'ping').map(message => message.load.load_id)).toEqual(['ref:B212555']);
+            await expect.poll(() => messages.some(message => message.type === 'ping')).toBe(true);
+        } finally {
+            socket.close();
+        }
+
+        const rejected = new WebSocket(`${base.replace('http', 'ws')}/loads/stream?sort=weight`);
+        const status = await new Promise(resolve => rejected.on('unexpected-response', (req, res) => resolve(res.statusCode)));
+        expect(status).toBe(400);
+    });
+
+    test('drops a WebSocket client that sends a malformed frame', async () => {
+        const warnings = [];
+        stream.logger = { info() {}, warn: (message, meta) => warnings.push([message, meta.error]) };
+
+        const socket = net.connect(server.address().port, '127.0.0.1');
+        const upgraded = new Promise(resolve => socket.once('data', data => resolve(data.toString())));
+        socket.write([
+            'GET /loads/stream HTTP/1.1',
+            'Host: 127.0.0.1',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+            'Sec-WebSocket-Version: 13',
+            '',
+            ''
+        ].join('\r\n'));
+        expect(await upgraded).toContain('101 Switching Protocols');
+        await expect.poll(() => stream.clients.size).toBe(1);
+
+        // Clients must mask their frames; this text frame is not masked
+        const closed = new Promise(resolve => socket.on('close', resolve));
+        socket.write(Buffer.from([0x81, 0x02, 0x68, 0x69]));
+        await closed;
+
+        expect(stream.clients.size).toBe(0);
+        expect(warnings).toEqual([['Load stream WebSocket error', 'Invalid WebSocket frame: MASK must be set']]);
+        const health = await new Promise(resolve => http.get(`${base}/health`, res => resolve(res.statusCode)));
+        expect(health).toBe(200);
+    });
+});
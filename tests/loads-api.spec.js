@@ -0,0 +1,177 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const { createLoadStore } = require('../src/lib/load-store');
+const { parseLoadQuery, selectLoads, queryLoadPage } = require('../src/lib/load-query');
+const { createStatusServer } = require('../src/lib/status-server');
+const { createApiRoutes } = require('../src/lib/api');
+const { makeLoad: baseLoad } = require('./support/make-load');
+
+function makeLoad(overrides = {}) {
+    return baseLoad({
+        load_id: 'ref:B212555',
+        age_posted: '30m',
+        extracted_at: '2025-09-01T02:00:00.000Z',
+        last_seen_at: '2025-09-01T02:00:00.000Z',
+        ...overrides
+    });
+}
+
+const loads = [
+    makeLoad(),
+    makeLoad({ load_id: 'ref:B212556', origin: 'Aurora, CO', origin_lat: 39.7294, origin_lon: -104.8319, rate_per_mile: 2.4, company: 'ABC LOGISTICS LLC' }),
+    makeLoad({ load_id: 'ref:C418220', origin: 'Manteca, CA', destination: 'Aurora, CO', rate_per_mile: null, equipment: 'Flatbed', company: 'Mesa Logistics', age_posted: '3h' }),
+    makeLoad({ load_id: 'ref:D100001', origin: 'Colorado Springs, CO', origin_lat: 38.8339, origin_lon: -104.8214, rate_per_mile: 2.9, equipment: 'Reefer, Flatbeds', age_posted: null, first_seen_at: '2025-08-30T00:00:00.000Z' })
+];
+
+const select = query => selectLoads(loads, parseLoadQuery(query));
+const ids = page => page.loads.map(load => load.load_id);
+
+test.describe('load query', () => {
+    test('filters by lane, equipment, rate, broker and posting time', () => {
+        expect(ids(select({ origin: 'co', sort: 'origin' }))).toEqual(['ref:B212556', 'ref:D100001', 'ref:B212555']);
+        expect(ids(select({ destination: 'Aurora, CO' }))).toEqual(['ref:C418220']);
+        // Aurora is about 9 miles from Denver, Colorado Springs about 65
+        expect(ids(select({ origin: 'Denver, CO', origin_near: '39.7392,-104.9903', origin_radius: '25', sort: 'origin' })))
+            .toEqual(['ref:B212556', 'ref:B212555']);
+        expect(ids(select({ equipment: 'flatbed', sort: 'origin' }))).toEqual(['ref:D100001', 'ref:C418220']);
+        expect(ids(select({ min_rate_per_mile: '2.9', sort: '-rate_per_mile' }))).toEqual(['ref:B212555', 'ref:D100001']);
+        expect(ids(select({ broker: 'abc-logistics' }))).toEqual(['ref:B212555', 'ref:B212556', 'ref:D100001']);
+        expect(ids(select({ broker: 'Mesa Logistics Inc' }))).toEqual(['ref:C418220']);
+
+        // Posted 30 minutes before extraction; without an age, when first seen
+        const page = select({ posted_since: '2025-09-01T01:00:00Z' });
+        expect(ids(page)).toEqual(['ref:B212555', 'ref:B212556']);
+        expect(page.loads[0].posted_at).toBe('2025-09-01T01:30:00.000Z');
+        expect(select({ sort: 'posted_at' }).loads[0]).toMatchObject({ load_id: 'ref:D100001', posted_at: '2025-08-30T00:00:00.000Z' });
+
+        expect(() => parseLoadQuery({ sort: 'weight' })).toThrow('sort must be one of');
+        expect(() => parseLoadQuery({ origin_near: '39.7,-104.9' })).toThrow('origin_near radius needs numeric lat, lon');
+        expect(() => parseLoadQuery({ min_rate_per_mile: 'lots' })).toThrow('min_rate_per_mile must be a number');
+        expect(() => parseLoadQuery({ limit: '5000' })).toThrow('limit must be a whole number from 1 to 1000');
+    });
+
+    test('sorts with missing values last and pages by cursor', () => {
+        expect(ids(select({ sort: 'rate_per_mile' }))).toEqual(['ref:B212556', 'ref:D100001', 'ref:B212555', 'ref:C418220']);
+        expect(ids(select({ sort: '-rate_per_mile' }))).toEqual(['ref:B212555', 'ref:D100001', 'ref:B212556', 'ref:C418220']);
+
+        const first = select({ sort: '-rate_per_mile', limit: '2' });
+        expect(first.total).toBe(4);
+        expect(ids(first)).toEqual(['ref:B212555', 'ref:D100001']);
+
+        const second = select({ sort: '-rate_per_mile', limit: '2', cursor: first.next_cursor });
+        expect(ids(second)).toEqual(['ref:B212556', 'ref:C418220']);
+        expect(second.next_cursor).toBeNull();
+
+        expect(() => parseLoadQuery({ sort: 'origin', cursor: first.next_cursor }))
+            .toThrow('cursor was issued for sort=-rate_per_mile, not sort=origin');
+        expect(() => parseLoadQuery({ cursor: 'garbage' })).toThrow('cursor is not valid');
+    });
+
+    test('filters, sorts and pages a SQLite store in SQL like it does in memory', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-loads-api-'));
+        const store = createLoadStore({ type: 'sqlite', sqlitePath: path.join(dir, 'loads.db') });
+        await store.open();
+
+        try {
+            await store.upsertLoads([
+                ...loads.map(({ load_id, last_seen_at, origin_lat, origin_lon, first_seen_at, ...load }) =>
+                    ({ ...load, reference_number: load_id.replace('ref:', '') })),
+                makeLoad({ reference_number: 'E500001', origin: 'Fresno, CA', rate_per_mile: null, equipment: null, delivery_slack_hours: -3, age_posted: '2h' })
+            ], { seenAt: '2025-09-01T02:00:00.000Z' });
+            const stored = await store.queryLoads({ limit: 100 });
+
+            const queried = [];
+            const queryLoads = store.queryLoads.bind(store);
+            store.queryLoads = filters => {
+                queried.push(filters);
+                return queryLoads(filters);
+            };
+
+            for (const query of [
+                { origin: 'co', sort: 'origin' },
+                { destination: 'aurora, co' },
+                { equipment: 'flatbed', sort: '-origin' },
+                { min_rate_per_mile: '2.9', sort: '-rate_per_mile' },
+                { broker: 'abc-logistics', sort: 'posted_at' },
+                { posted_since: '2025-09-01T01:00:00Z' },
+                { late: 'true' },
+                { late: 'false', sort: '-delivery_slack_hours' },
+                { origin: 'Denver, CO', origin_near: '39.7392,-104.9903', origin_radius: '25', sort: 'origin' }
+            ]) {
+                const expected = selectLoads(stored, parseLoadQuery(query));
+                const page = await queryLoadPage(store, parseLoadQuery(query));
+                expect({ query, total: page.total, ids: ids(page) }).toEqual({ query, total: expected.total, ids: ids(expected) });
+            }
+            // Only the radius query read every match
+            expect(queried.map(filters => filters.limit)).toEqual([101, 101, 101, 101, 101, 101, 101, 101, stored.length]);
+
+            for (const sort of ['rate_per_mile', '-rate_per_mile', 'company', '-posted_at']) {
+                const walked = [];
+                let cursor;
+                do {
+                    const page = await queryLoadPage(store, parseLoadQuery({ sort, limit: '1', ...(cursor ? { cursor } : {}) }));
+                    walked.push(...ids(page));
+                    cursor = page.next_cursor;
+                } while (cursor);
+                expect({ sort, walked }).toEqual({ sort, walked: ids(selectLoads(stored, parseLoadQuery({ sort }))) });
+            }
+        } finally {
+            await store.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('is served over HTTP as JSON and CSV', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-loads-api-'));
+        const store = createLoadStore({ type: 'sqlite', sqlitePath: path.join(dir, 'loads.db') });
+        await store.open();
+        const records = loads.map(({ load_id, last_seen_at, origin_lat, origin_lon, first_seen_at, ...load }) =>
+            ({ ...load, reference_number: load_id.replace('ref:', '') }));
+        await store.upsertLoads(records, { seenAt: '2025-09-01T02:00:00.000Z' });
+        await store.upsertLoads([{ ...records[0], rate_per_mile: 3.5 }], { seenAt: '2025-09-01T02:05:00.000Z' });
+
+        const runs = [
+            { timestamp: '2025-09-01T02:05:00.000Z', searchProfile: 'colorado-reefer', newEntriesAdded: 0, error: null },
+            { timestamp: '2025-09-01T02:00:00.000Z', searchProfile: 'colorado-reefer', newEntriesAdded: 4, error: 'Timeout' }
+        ];
+        const server = createStatusServer({
+            getStatus: () => ({}),
+            routes: createApiRoutes({ getStore: async () => store, getRuns: () => runs })
+        });
+        await new Promise(resolve => server.listen(0, resolve));
+        const base = `http://127.0.0.1:${server.address().port}`;
+
+        try {
+            const response = await fetch(`${base}/loads?origin=CO&sort=-rate_per_mile&limit=2`);
+            const page = await response.json();
+            expect(page.total).toBe(3);
+            expect(ids(page)).toEqual(['ref:B212555', 'ref:D100001']);
+            expect(response.headers.get('link')).toBe(`</loads?origin=CO&sort=-rate_per_mile&limit=2&cursor=${page.next_cursor}>; rel="next"`);
+
+            const csv = await fetch(`${base}/loads?origin=CO&sort=-rate_per_mile&limit=2&cursor=${page.next_cursor}`, { headers: { Accept: 'text/csv' } });
+            expect(csv.headers.get('content-type')).toBe('text/csv; charset=utf-8');
+            expect(csv.headers.get('x-total-count')).toBe('3');
+            expect(csv.headers.get('x-next-cursor')).toBeNull();
+            const lines = (await csv.text()).trim().split('\n');
+            expect(lines[0]).toMatch(/^load_id,reference_number,origin,/);
+            expect(lines.slice(1).map(line => line.split(',')[0])).toEqual(['ref:B212556']);
+
+            expect((await fetch(`${base}/loads?format=xml`)).status).toBe(400);
+            expect((await fetch(`${base}/loads?sort=weight`)).status).toBe(400);
+
+            const load = await (await fetch(`${base}/loads/ref%3AB212555`)).json();
+            expect(load.rate_per_mile).toBe(3.5);
+            expect(load.history).toEqual([expect.objectContaining({ field: 'rate_per_mile', old_value: '3.2', new_value: '3.5' })]);
+            expect((await fetch(`${base}/loads/ref%3Aunknown`)).status).toBe(404);
+
+            expect(await (await fetch(`${base}/runs?status=failed`)).json()).toEqual({ total: 1, runs: [runs[1]] });
+            expect((await (await fetch(`${base}/runs?limit=1`)).json()).runs).toEqual([runs[0]]);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+            await store.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
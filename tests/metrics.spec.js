@@ -0,0 +1,131 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { test, expect } = require('@playwright/test');
+const { createStatusServer } = require('../src/lib/status-server');
+const {
+    CONTENT_TYPE,
+    MetricsRegistry,
+    createCrawlerMetrics,
+    recordRun,
+    recordSelectorFallbacks,
+    readAiUsage,
+    recordAiUsage,
+    createMetricsRoutes
+} = require('../src/lib/metrics');
+
+const SELECTORS = {
+    rate: ['[data-test="load-rate"]', '.rate'],
+    origin: ['[data-test="load-origin"]', '.origin']
+};
+
+test.describe('metrics', () => {
+    test('renders counters, gauges and histograms in the Prometheus text format', () => {
+        const registry = new MetricsRegistry();
+        const hits = registry.counter({ name: 'hits_total', help: 'Hits.', labelNames: ['path'] });
+        const depth = registry.gauge({ name: 'queue_depth', help: 'Depth.', collect: gauge => gauge.set({}, 3) });
+        const latency = registry.histogram({ name: 'latency_seconds', help: 'Latency.', buckets: [1, 0.5] });
+
+        hits.inc({ path: '/loads "all"' });
+        hits.inc({ path: '/loads "all"' }, 2);
+        latency.observe(0.2);
+        latency.observe(0.7);
+        latency.observe(4);
+
+        expect(registry.render()).toBe([
+            '# HELP hits_total Hits.',
+            '# TYPE hits_total counter',
+            'hits_total{path="/loads \\"all\\""} 3',
+            '# HELP queue_depth Depth.',
+            '# TYPE queue_depth gauge',
+            'queue_depth 3',
+            '# HELP latency_seconds Latency.',
+            '# TYPE latency_seconds histogram',
+            'latency_seconds_bucket{le="0.5"} 1',
+            'latency_seconds_bucket{le="1"} 2',
+            'latency_seconds_bucket{le="+Inf"} 3',
+            'latency_seconds_sum 4.9',
+            'latency_seconds_count 3',
+            ''
+        ].join('\n'));
+
+        expect(() => hits.inc({ status: 200 })).toThrow('Metric hits_total has no label "status"');
+        expect(() => hits.inc({}, -1)).toThrow('Counter hits_total cannot go down');
+        expect(() => registry.counter({ name: 'hits_total', help: 'Again.' })).toThrow('already registered');
+        expect(() => registry.counter({ name: 'hits-total', help: 'Dashed.' })).toThrow('is not valid');
+    });
+
+    test('counts runs, loads, fallbacks and tokens and serves them at /metrics', async () => {
+        const crawler = createCrawlerMetrics();
+        recordRun(crawler, { duration: 18400, entriesCrawled: 25, newEntriesAdded: 4, duplicatesSkipped: 21, error: null });
+        recordRun(crawler, { duration: 25010, entriesCrawled: 0, newEntriesAdded: 0, duplicatesSkipped: 0, error: 'Timeout' });
+        recordSelectorFallbacks(crawler, {
+            fields: {
+                rate: { matches: { '.rate': 24, '[data-test="load-rate"]': 1 }, misses: 0 },
+                origin: { matches: { '[data-test="load-origin"]': 25 }, misses: 0 }
+            }
+        }, field => SELECTORS[field]);
+        crawler.browserRestarts.inc();
+
+        // Tokens are spent by the AI scrapers in other processes
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-metrics-'));
+        crawler.aiUsagePath = path.join(dir, 'ai_usage.json');
+        await recordAiUsage(crawler.aiUsagePath, 'gpt-4o', { prompt_tokens: 1000, completion_tokens: 300, total_tokens: 1300 });
+        await recordAiUsage(crawler.aiUsagePath, 'gpt-4o', { prompt_tokens: 200, completion_tokens: 40, total_tokens: 240 });
+
+        const server = createStatusServer({ getStatus: () => ({}), routes: createMetricsRoutes({ registry: crawler.registry }) });
+        await new Promise(resolve => server.listen(0, resolve));
+        try {
+            const response = await fetch(`http://127.0.0.1:${server.address().port}/metrics`);
+            expect(response.status).toBe(200);
+            expect(response.headers.get('content-type')).toBe(CONTENT_TYPE);
+
+            const lines = (await response.text()).split('\n');
+            expect(lines).toEqual(expect.arrayContaining([
+                'dispatch_runs_total{outcome="success"} 1',
+                'dispatch_runs_total{outcome="failure"} 1',
+                'dispatch_run_duration_seconds_bucket{le="20"} 1',
+                'dispatch_run_duration_seconds_bucket{le="25"} 1',
+                'dispatch_run_duration_seconds_bucket{le="30"} 2',
+                'dispatch_run_duration_seconds_count 2',
+                'dispatch_loads_extracted_total 25',
+                'dispatch_loads_new_total 4',
+                'dispatch_loads_duplicate_total 21',
+                'dispatch_selector_fallback_hits_total{field="rate",selector=".rate"} 24',
+                'dispatch_browser_restarts_total 1',
+                'dispatch_ai_tokens_total{model="gpt-4o",type="prompt"} 1200',
+                'dispatch_ai_tokens_total{model="gpt-4o",type="completion"} 340'
+            ]));
+            expect(lines.filter(line => line.startsWith('dispatch_selector_fallback_hits_total{'))).toHaveLength(1);
+            expect(lines.find(line => line.startsWith('dispatch_memory_bytes{type="rss"}'))).toMatch(/ \d+$/);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('adds up the tokens of AI scrapers running side by side', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-metrics-'));
+        const usagePath = path.join(dir, 'ai_usage.json');
+        const script = `
+            const { recordAiUsage } = require(${JSON.stringify(path.join(__dirname, '../src/lib/metrics'))});
+            (async () => {
+                for (let i = 0; i < 20; i++) {
+                    await recordAiUsage(process.argv[1], 'gpt-4o', { prompt_tokens: 10, completion_tokens: 1 });
+                }
+            })();
+        `;
+        const scraper = () => new Promise((resolve, reject) => {
+            execFile(process.execPath, ['-e', script, usagePath], error => (error ? reject(error) : resolve()));
+        });
+
+        try {
+            await Promise.all([scraper(), scraper(), scraper()]);
+            expect(readAiUsage(usagePath)).toEqual({ 'gpt-4o': { prompt: 600, completion: 60 } });
+            expect(fs.readdirSync(dir)).toEqual(['ai_usage.json']);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,166 @@
+const { test, expect } = require('@playwright/test');
+const {
+    normalizeValue,
+    parseRate,
+    toRateColumns,
+    formatUsd,
+    toNumber,
+    round,
+    parseOriginDestination,
+    parsePhoneNumber,
+    parseWeight,
+    parseEquipmentLength,
+    parseMiles,
+    parseAgeMinutes,
+    parseDateWindow
+} = require('../src/lib/parsers');
+const { parseLoadDetails } = require('../src/lib/load-details');
+const { normalizeContact, formatContact } = require('../src/lib/contacts');
+
+test.describe('parsers', () => {
+    test('normalizeValue maps board placeholders to null', () => {
+        expect(normalizeValue('  Sunrise   Freight ')).toBe('Sunrise Freight');
+        for (const placeholder of ['', '–', '—', '-', 'N/A', 'undefined', null, undefined]) {
+            expect(normalizeValue(placeholder)).toBeNull();
+        }
+    });
+
+    test('parseRate splits total and per-mile rates run together', () => {
+        expect(parseRate('$2,700$2.17*/mi')).toEqual({ totalCents: 270000, perMileCents: 217 });
+        expect(parseRate('$1,850')).toEqual({ totalCents: 185000, perMileCents: null });
+        expect(parseRate('$3.05*/mi')).toEqual({ totalCents: null, perMileCents: 305 });
+        expect(parseRate('–')).toEqual({ totalCents: null, perMileCents: null });
+        expect(toRateColumns('$2,700$2.17*/mi')).toEqual({ rate_total_usd: 2700, rate_per_mile: 2.17 });
+    });
+
+    test('formatUsd prints whole dollars without cents', () => {
+        expect(formatUsd(270000)).toBe('$2,700');
+        expect(formatUsd(217)).toBe('$2.17');
+        expect(formatUsd(null)).toBe('N/A');
+    });
+
+    test('toNumber and round coerce stored and computed columns', () => {
+        expect(toNumber('2.17')).toBe(2.17);
+        expect(toNumber(2700)).toBe(2700);
+        for (const empty of ['', null, undefined, 'n/a', Infinity]) {
+            expect(toNumber(empty)).toBeNull();
+        }
+        expect(round(2 / 3)).toBe(0.67);
+        expect(round(1185.649, 1)).toBe(1185.6);
+        expect(round(null)).toBeNull();
+    });
+
+    test('parseOriginDestination separates combined origin cells', () => {
+        expect(parseOriginDestination('Castroville, CADenver, CO', 'Denver, CO'))
+            .toEqual({ origin: 'Castroville, CA', destination: 'Denver, CO' });
+        expect(parseOriginDestination('Manteca, CAAurora, CO', ''))
+            .toEqual({ origin: 'Manteca, CA', destination: 'Aurora, CO' });
+        expect(parseOriginDestination('St. Louis,MO', 'Fort Worth , TX'))
+            .toEqual({ origin: 'St. Louis, MO', destination: 'Fort Worth, TX' });
+    });
+
+    test('parsePhoneNumber accepts tel: links and extensions', () => {
+        expect(parsePhoneNumber('tel:2095995418'))
+            .toEqual({ digits: '2095995418', e164: '+12095995418', formatted: '(209) 599-5418', extension: null });
+        expect(parsePhoneNumber('+1 817.555.0142 ext. 12'))
+            .toEqual({ digits: '8175550142', e164: '+18175550142', formatted: '(817) 555-0142', extension: '12' });
+        expect(parsePhoneNumber('call dispatch')).toBeNull();
+    });
+
+    test('weight, length and miles parse to typed units', () => {
+        expect(parseWeight('42,000 lbs')).toBe(42000);
+        expect(parseWeight('45k')).toBe(45000);
+        expect(parseEquipmentLength('53 ft')).toBe(53);
+        expect(parseEquipmentLength("48'")).toBe(48);
+        expect(parseMiles('1,234 mi')).toBe(1234);
+        expect(parseMiles('–')).toBeNull();
+    });
+
+    test('parseAgeMinutes reads posting ages', () => {
+        expect(parseAgeMinutes('2m')).toBe(2);
+        expect(parseAgeMinutes('1h 15m')).toBe(75);
+        expect(parseAgeMinutes('3d')).toBe(3 * 24 * 60);
+        expect(parseAgeMinutes('<1m')).toBe(0);
+        expect(parseAgeMinutes('–')).toBeNull();
+    });
+
+    test('parseDateWindow reads pickup and delivery windows', () => {
+        const seenAt = new Date(2025, 11, 28);
+        expect(parseDateWindow('9/8', seenAt)).toEqual({ start: '2025-09-08', end: '2025-09-08' });
+        expect(parseDateWindow('9/8 08:00 - 14:00', seenAt)).toEqual({ start: '2025-09-08T08:00', end: '2025-09-08T14:00' });
+        expect(parseDateWindow('9/8/2025 8:00 AM - 9/9/2025 5:00 PM', seenAt))
+            .toEqual({ start: '2025-09-08T08:00', end: '2025-09-09T17:00' });
+        // Early January seen in late December is next year's
+        expect(parseDateWindow('1/2', seenAt)).toEqual({ start: '2026-01-02', end: '2026-01-02' });
+        expect(parseDateWindow('13/40', seenAt)).toBeNull();
+        expect(parseDateWindow('–', seenAt)).toBeNull();
+    });
+});
+
+test.describe('parseLoadDetails', () => {
+    const seenAt = new Date(2025, 8, 1);
+
+    test('maps panel labels onto detail columns', () => {
+        const details = parseLoadDetails({
+            fields: [
+                { label: 'Reference ID', value: 'B212555' },
+                { label: 'Pick Up', value: '9/8 08:00 - 14:00' },
+                { label: 'Drop', value: '9/10' },
+                { label: 'Weight', value: '45k lbs' },
+                { label: 'Length', value: "48'" },
+                { label: 'Commodity', value: 'Produce' },
+                { label: 'Comments', value: 'Team only' },
+                { label: 'Comments 2', value: 'No touch' },
+                { label: 'Credit', value: '92 CS / 35 DTP' }
+            ],
+            contact: { name: 'Maria Lopez', phone: 'tel:2095995418', email: 'mailto:Ops@Example.com' }
+        }, seenAt);
+
+        expect(details).toEqual({
+            pickup_start: '2025-09-08T08:00',
+            pickup_end: '2025-09-08T14:00',
+            delivery_start: '2025-09-10',
+            delivery_end: '2025-09-10',
+            weight_lbs: 45000,
+            length_ft: 48,
+            commodity: 'Produce',
+            comments: 'Team only / No touch',
+            credit_score: 92,
+            days_to_pay: 35,
+            contact_name: 'Maria Lopez',
+            contact_phone: '+12095995418',
+            contact_extension: null,
+            contact_email: 'ops@example.com',
+            contact_method: 'phone'
+        });
+    });
+
+    test('leaves missing details null', () => {
+        const details = parseLoadDetails({ fields: [{ label: 'Weight', value: '–' }] }, seenAt);
+        expect(Object.values(details).every(value => value === null)).toBe(true);
+        expect(parseLoadDetails(undefined, seenAt)).toEqual(details);
+    });
+});
+
+test.describe('contacts', () => {
+    test('normalizeContact structures phones, extensions and emails', () => {
+        expect(normalizeContact({ name: ' Maria  Lopez ', phone: 'tel:+1-209-599-5418', extension: '12', email: 'mailto:Ops@Example.com' }))
+            .toEqual({
+                contact_name: 'Maria Lopez',
+                contact_phone: '+12095995418',
+                contact_extension: '12',
+                contact_email: 'ops@example.com',
+                contact_method: 'phone'
+            });
+        expect(normalizeContact({ text: 'Call (775) 501-3565 ext 4 or ops@ridge.com', preferred: 'Email' }))
+            .toMatchObject({ contact_phone: '+17755013565', contact_extension: '4', contact_email: 'ops@ridge.com', contact_method: 'email' });
+        expect(normalizeContact({ text: 'Ridge Logistics', preferred: 'phone' }))
+            .toEqual({ contact_name: null, contact_phone: null, contact_extension: null, contact_email: null, contact_method: null });
+    });
+
+    test('formatContact renders the readable contact', () => {
+        expect(formatContact(normalizeContact({ text: '775.501.3565 x4; OPS@ridge.com' }))).toBe('(775) 501-3565 x4; ops@ridge.com');
+        expect(formatContact(normalizeContact({ email: 'ops@ridge.com' }))).toBe('ops@ridge.com');
+        expect(formatContact(normalizeContact({}))).toBeNull();
+    });
+});
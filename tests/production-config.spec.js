@@ -0,0 +1,131 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const { loadConfig } = require('../src/lib/config');
+
+// The scraper reads the environment when it is loaded; keep its startup
+// stats file out of the repository's output folder
+function loadScraper(outputDir) {
+    const saved = process.env.OUTPUT_DIR;
+    process.env.OUTPUT_DIR = outputDir;
+    try {
+        return require('../src/production-scraper');
+    } finally {
+        if (saved === undefined) delete process.env.OUTPUT_DIR;
+        else process.env.OUTPUT_DIR = saved;
+    }
+}
+
+test.describe('production scraper configuration', () => {
+    let dir;
+    let scraper;
+
+    test.beforeAll(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-production-'));
+        scraper = loadScraper(dir);
+    });
+
+    test.afterAll(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // What `dispatch scrape --config <file>` does before the run
+    function configureFromFile(settings) {
+        const configFile = path.join(dir, 'dispatch.config.json');
+        fs.writeFileSync(configFile, JSON.stringify({ outputDir: path.join(dir, 'out'), ...settings }));
+        scraper.configure(loadConfig({ flags: { config: configFile }, env: {} }));
+    }
+
+    test('prices loads for the truck of the resolved config', () => {
+        configureFromFile({ truckLocation: 'Denver, CO', truckMpg: 7.2, dieselPrice: 4.1, driverPayPerMile: 0.65 });
+
+        expect(scraper.getTruck()).toEqual({
+            location: 'Denver, CO',
+            mpg: 7.2,
+            dieselPrice: 4.1,
+            maintenancePerMile: 0.2,
+            driverPayPerMile: 0.65
+        });
+
+        configureFromFile({ dieselPrice: 3.5 });
+        expect(scraper.getTruck()).toMatchObject({ location: null, mpg: 6.5, dieselPrice: 3.5 });
+    });
+
+    test('times transit under the hours-of-service rules of the resolved config', () => {
+        configureFromFile({ hosMode: 'team', averageMph: 55, loadingHours: 1.5 });
+        expect(scraper.getTransitOptions()).toEqual({ mode: 'team', averageMph: 55, loadingHours: 1.5 });
+
+        configureFromFile({});
+        expect(scraper.getTransitOptions()).toEqual({ mode: 'solo', averageMph: 50, loadingHours: 2 });
+    });
+
+    test('alerts on the rules of the resolved config without the scheduler', () => {
+        const alertRulesFile = path.join(dir, 'alert-rules.json');
+        fs.writeFileSync(alertRulesFile, JSON.stringify({
+            notifiers: { log: { type: 'file', path: path.join(dir, 'alerts.jsonl') } },
+            rules: [{ name: 'reefer-3', where: [{ field: 'rate_per_mile', op: '>=', value: 3 }], notify: ['log'] }]
+        }));
+        configureFromFile({ alertRulesFile });
+
+        const engine = scraper.getAlertEngine();
+        expect(engine.rules.map(rule => rule.name)).toEqual(['reefer-3']);
+        expect(engine.statePath).toBe(path.join(dir, 'out', 'alert_state.json'));
+        expect(scraper.getAlertEngine()).toBe(engine);
+
+        configureFromFile({ alertRulesFile: path.join(dir, 'missing.json') });
+        expect(scraper.getAlertEngine().rules).toEqual([]);
+    });
+
+    test('sends the webhooks of the resolved config before a single scrape exits', async () => {
+        const received = [];
+        const server = http.createServer((request, response) => {
+            let body = '';
+            request.on('data', chunk => { body += chunk; });
+            request.on('end', () => {
+                received.push(JSON.parse(body));
+                response.end();
+            });
+        });
+        await new Promise(resolve => server.listen(0, resolve));
+
+        const webhooksFile = path.join(dir, 'webhooks.json');
+        fs.writeFileSync(webhooksFile, JSON.stringify({
+            endpoints: [{ name: 'tms', url: `http://127.0.0.1:${server.address().port}/hooks`, secretEnv: 'DISPATCH_TEST_WEBHOOK_SECRET' }]
+        }));
+        process.env.DISPATCH_TEST_WEBHOOK_SECRET = 'secret';
+        try {
+            configureFromFile({ webhooksFile });
+
+            const dispatcher = scraper.getWebhookDispatcher();
+            expect([...dispatcher.endpoints.keys()]).toEqual(['tms']);
+            expect(dispatcher.outboxPath).toBe(path.join(dir, 'out', 'webhook_outbox.json'));
+
+            // What a run's saved loads leave behind: queued events and a flush
+            // nobody waits for
+            dispatcher.enqueue('load.created', { load: { load_id: 'ref:B212555' } });
+            dispatcher.flush();
+            await scraper.closeWebhooks();
+
+            expect(received.map(event => event.data.load.load_id)).toEqual(['ref:B212555']);
+            expect(dispatcher.pending()).toEqual([]);
+        } finally {
+            delete process.env.DISPATCH_TEST_WEBHOOK_SECRET;
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    test('uses the distance provider and cache of the resolved config', () => {
+        configureFromFile({ distanceProvider: 'osrm', osrmUrl: 'http://osrm.test:5000/', distanceDailyBudget: 250 });
+
+        const provider = scraper.getDistanceProvider();
+        expect(provider.provider.baseUrl).toBe('http://osrm.test:5000');
+        expect(provider.dailyBudget).toBe(250);
+        expect(provider.cache.filePath).toBe(path.join(dir, 'out', 'distance_cache.json'));
+        expect(scraper.getDistanceProvider()).toBe(provider);
+
+        configureFromFile({ distanceProvider: 'haversine' });
+        expect(scraper.getDistanceProvider().constructor.name).toBe('HaversineDistanceProvider');
+    });
+});
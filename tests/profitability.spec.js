@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const { truckProfile, estimateProfit, applyProfitability } = require('../src/lib/profitability');
+const { sortLoads } = require('../src/lib/load-query');
+const { createLoadStore } = require('../src/lib/load-store');
+const { makeLoad: baseLoad } = require('./support/make-load');
+
+// Distances by lane; anything else cannot be routed
+const MILES = {
+    'Aurora, CO|Denver, CO': 10,
+    'Aurora, CO|Ft Morgan, CO': 80,
+    'Ft Morgan, CO|Manteca, CA': 1200
+};
+
+const distanceProvider = {
+    async route(origin, destination) {
+        const miles = MILES[`${origin.place || origin}|${destination.place || destination}`];
+        if (miles === undefined) throw new Error('No route');
+        return { miles, hours: miles / 50, provider: 'test' };
+    }
+};
+
+const truck = truckProfile({
+    truckLocation: 'Aurora, CO',
+    truckMpg: 6,
+    dieselPrice: 3.6,
+    maintenancePerMile: 0.2,
+    driverPayPerMile: 0.6
+});
+
+function makeLoad(overrides = {}) {
+    return baseLoad({ rate_total_usd: 3000, rate_per_mile: 3, ...overrides });
+}
+
+test.describe('profitability', () => {
+    test('prices a load for the truck, deadhead included', async () => {
+        // 1000 loaded + 10 deadhead miles: fuel 1010 / 6 * 3.6, plus 0.80 a mile
+        expect(await estimateProfit(makeLoad(), truck, distanceProvider)).toEqual({
+            loaded_miles: 1000,
+            deadhead_miles: 10,
+            fuel_cost_usd: 606,
+            operating_cost_usd: 1414,
+            net_revenue_usd: 1586,
+            net_per_mile_usd: 1.57
+        });
+
+        // No rate miles: the provider's; no total: per mile times loaded miles
+        expect(await estimateProfit(makeLoad({ origin: 'Ft Morgan, CO', destination: 'Manteca, CA', rate_total_usd: null, rate_per_mile: 2.5 }), truck, distanceProvider)).toMatchObject({
+            loaded_miles: 1200,
+            deadhead_miles: 80,
+            net_revenue_usd: 1200 * 2.5 - 1280 / 6 * 3.6 - 1280 * 0.8
+        });
+
+        expect(await estimateProfit(makeLoad({ origin: 'Ft Morgan, CO', destination: 'Manteca, CA', rate_total_usd: null, rate_per_mile: null }), truck, distanceProvider)).toMatchObject({
+            loaded_miles: 1200,
+            operating_cost_usd: 1792,
+            net_revenue_usd: null,
+            net_per_mile_usd: null
+        });
+        const warnings = [];
+        const logger = { warn: (message, meta) => warnings.push([message, meta]) };
+        expect(await estimateProfit(makeLoad({ origin: 'Smallville, KS' }), truck, distanceProvider, logger)).toMatchObject({
+            loaded_miles: 1000,
+            deadhead_miles: null,
+            net_per_mile_usd: null
+        });
+        expect(warnings).toEqual([
+            ['Could not route load, leaving its miles empty', { origin: 'Aurora, CO', destination: 'Smallville, KS', error: 'No route' }]
+        ]);
+
+        const parked = truckProfile({ truckLocation: null, truckMpg: 6, dieselPrice: 3.6, maintenancePerMile: 0.2, driverPayPerMile: 0.6 });
+        expect(await estimateProfit(makeLoad(), parked, distanceProvider)).toMatchObject({ deadhead_miles: 0, net_per_mile_usd: 1.6 });
+        expect(() => truckProfile({ truckMpg: 0 })).toThrow('truckMpg must be above zero');
+    });
+
+    test('stores the columns and sorts exports by them', async () => {
+        const loads = await applyProfitability([
+            makeLoad(),
+            makeLoad({ reference_number: 'C418220', rate_total_usd: 2000, rate_per_mile: 2 }),
+            makeLoad({ reference_number: 'D730004', rate_total_usd: null, rate_per_mile: null, destination: 'Anywhere' })
+        ], { truck, distanceProvider, logger: { warn() {} } });
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-profit-'));
+        const store = createLoadStore({ type: 'sqlite', sqlitePath: path.join(dir, 'loads.db') });
+        await store.open();
+        try {
+            await store.upsertLoads(loads);
+            // An import without the columns keeps the stored ones
+            await store.upsertLoads([makeLoad({ extracted_at: '2025-09-01T02:00:00.000Z' })]);
+
+            const stored = await store.queryLoads({ limit: 10 });
+            expect(sortLoads(stored, '-net_per_mile_usd').map(load => [load.load_id, load.net_per_mile_usd])).toEqual([
+                ['ref:B212555', 1.57],
+                ['ref:C418220', 0.58],
+                ['ref:D730004', null]
+            ]);
+            expect(sortLoads(stored, 'deadhead_miles')[0].deadhead_miles).toBe(10);
+            expect(() => sortLoads(stored, 'profit')).toThrow('sort must be one of');
+        } finally {
+            await store.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
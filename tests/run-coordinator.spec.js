@@ -0,0 +1,112 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const { RunLock, RunCoordinator } = require('../src/lib/run-coordinator');
+
+const quiet = { info() {}, warn() {} };
+
+// A task that runs until released, recording when it starts
+function gate(log, name) {
+    let open;
+    const task = () => {
+        log.push(name);
+        return new Promise(resolve => {
+            open = () => resolve(name);
+        });
+    };
+    return { task, open: () => open() };
+}
+
+test.describe('run coordinator', () => {
+    let dir;
+
+    test.beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-runs-'));
+    });
+
+    test.afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('skips, queues or coalesces runs that come due during another', async () => {
+        for (const [policy, expected] of [
+            ['skip', ['a']],
+            ['queue', ['a', 'b', 'b', 'c']],
+            ['coalesce', ['a', 'b', 'c']]
+        ]) {
+            const log = [];
+            const coordinator = new RunCoordinator({ policy, logger: quiet });
+            const first = gate(log, 'a');
+            const running = coordinator.submit('a', first.task);
+            const later = ['b', 'b', 'c'].map(name => coordinator.submit(name, async () => {
+                log.push(name);
+                return name;
+            }));
+            expect(coordinator.describe().running).toBe('a');
+
+            first.open();
+            expect(await running).toEqual({ status: 'completed', result: 'a' });
+            const outcomes = await Promise.all(later);
+            expect(log).toEqual(expected);
+            if (policy === 'skip') {
+                expect(outcomes[0]).toEqual({ status: 'skipped', reason: 'run "a" is still in progress' });
+                expect(coordinator.describe().skipped).toBe(3);
+            } else {
+                expect(outcomes.map(outcome => outcome.status)).toEqual(['completed', 'completed', 'completed']);
+            }
+            expect(coordinator.describe()).toMatchObject({ running: null, pending: [] });
+        }
+        expect(() => new RunCoordinator({ policy: 'pile-up' })).toThrow('Run overlap policy must be one of skip, queue, coalesce');
+    });
+
+    test('keeps a second process out with the lock file', async () => {
+        const filePath = path.join(dir, 'scrape.lock');
+        const ours = new RunLock({ filePath, logger: quiet });
+        const theirs = new RunLock({ filePath, logger: quiet });
+
+        expect(ours.acquire('denver-bay-area-reefer')).toBe(true);
+        expect(theirs.acquire()).toBe(false);
+        expect(theirs.holder()).toMatchObject({ pid: process.pid, hostname: os.hostname(), label: 'denver-bay-area-reefer' });
+
+        const coordinator = new RunCoordinator({ lock: theirs, logger: quiet });
+        const outcome = await coordinator.submit('bay-area-denver-van', async () => 'ran');
+        expect(outcome.status).toBe('skipped');
+        expect(outcome.reason).toContain(`is held by pid ${process.pid}`);
+        expect(coordinator.describe().lockedOut).toBe(1);
+
+        // A lock is only given up by its holder
+        theirs.release();
+        expect(fs.existsSync(filePath)).toBe(true);
+        ours.release();
+        expect(fs.existsSync(filePath)).toBe(false);
+
+        expect(await coordinator.submit('bay-area-denver-van', async () => 'ran')).toEqual({ status: 'completed', result: 'ran' });
+        expect(fs.existsSync(filePath)).toBe(false);
+    });
+
+    test('takes over stale locks', () => {
+        const filePath = path.join(dir, 'scrape.lock');
+        const warnings = [];
+        const lock = new RunLock({ filePath, staleMs: 60000, logger: { warn: message => warnings.push(message) } });
+
+        // Left by a process that is gone (above the largest pid Linux hands out)
+        fs.writeFileSync(filePath, JSON.stringify({ pid: 2 ** 22 + 1, hostname: os.hostname(), token: 'dead' }));
+        expect(lock.acquire()).toBe(true);
+        expect(lock.holder().pid).toBe(process.pid);
+        lock.release();
+
+        // Not touched for longer than staleMs, on another machine
+        fs.writeFileSync(filePath, JSON.stringify({ pid: 1, hostname: 'elsewhere', token: 'old' }));
+        const longAgo = new Date(Date.now() - 5 * 60000);
+        fs.utimesSync(filePath, longAgo, longAgo);
+        expect(lock.acquire()).toBe(true);
+        lock.release();
+
+        // Fresh on another machine
+        fs.writeFileSync(filePath, JSON.stringify({ pid: 1, hostname: 'elsewhere', token: 'live' }));
+        expect(lock.acquire()).toBe(false);
+        expect(warnings).toEqual(['Took over a stale run lock', 'Took over a stale run lock']);
+        expect(fs.readdirSync(dir)).toEqual(['scrape.lock']);
+    });
+});
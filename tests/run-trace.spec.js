@@ -0,0 +1,88 @@
+const { test, expect } = require('@playwright/test');
+const { errorClass, RunTrace, summarizeSteps } = require('../src/lib/run-trace');
+
+// A clock that only moves when told to
+function manualClock(start = 1000) {
+    let now = start;
+    const clock = () => now;
+    clock.advance = ms => {
+        now += ms;
+    };
+    return clock;
+}
+
+test.describe('run trace', () => {
+    test('times each step and records failures with their error class', async () => {
+        const clock = manualClock();
+        const trace = new RunTrace({ clock });
+
+        await trace.span('browser', () => clock.advance(300));
+        clock.advance(50);
+        const timeout = Object.assign(new Error('Timeout 25000ms exceeded.'), { name: 'TimeoutError' });
+        await expect(trace.span('wait-for-results', () => {
+            clock.advance(25000);
+            throw timeout;
+        })).rejects.toBe(timeout);
+        await expect(trace.span('row', async () => {
+            clock.advance(40);
+            throw new Error('element is not attached to the DOM');
+        }, { index: 2 })).rejects.toThrow('not attached');
+
+        expect(trace.spans).toEqual([
+            { name: 'browser', startMs: 0, durationMs: 300, outcome: 'ok' },
+            {
+                name: 'wait-for-results',
+                startMs: 350,
+                durationMs: 25000,
+                outcome: 'error',
+                errorClass: 'TimeoutError',
+                error: 'Timeout 25000ms exceeded.'
+            },
+            {
+                name: 'row',
+                startMs: 25350,
+                durationMs: 40,
+                outcome: 'error',
+                index: 2,
+                errorClass: 'Error',
+                error: 'element is not attached to the DOM'
+            }
+        ]);
+        expect(trace.stepSpans()).toEqual([
+            { name: 'browser', startMs: 0, durationMs: 300, outcome: 'ok' },
+            { name: 'wait-for-results', startMs: 350, durationMs: 25000, outcome: 'error', errorClass: 'TimeoutError' }
+        ]);
+        expect(trace.summary()['wait-for-results']).toEqual({ count: 1, totalMs: 25000, maxMs: 25000, errors: 1 });
+        expect(trace.slowestStep()).toEqual({ name: 'wait-for-results', totalMs: 25000 });
+
+        expect(errorClass(new Error('page.goto: net::ERR_NAME_NOT_RESOLVED'))).toBe('Error');
+        expect(errorClass(new Error('Navigation timed out'))).toBe('TimeoutError');
+    });
+
+    test('averages the steps over the run history', () => {
+        const runs = [
+            {
+                duration: 10000,
+                steps: {
+                    save: { count: 1, totalMs: 500, maxMs: 500, errors: 0 },
+                    row: { count: 4, totalMs: 6000, maxMs: 2000, errors: 1 }
+                }
+            },
+            {
+                duration: 30000,
+                steps: {
+                    'wait-for-results': { count: 1, totalMs: 25000, maxMs: 25000, errors: 1 },
+                    row: { count: 2, totalMs: 2000, maxMs: 1200, errors: 0 }
+                }
+            },
+            // Recorded before runs were timed
+            { duration: 8000 }
+        ];
+
+        const summary = summarizeSteps(runs);
+        expect(Object.keys(summary)).toEqual(['wait-for-results', 'row', 'save']);
+        expect(summary.row).toEqual({ runs: 2, averageMs: 4000, maxMs: 2000, errors: 1, shareOfRun: 20 });
+        expect(summary['wait-for-results']).toMatchObject({ averageMs: 25000, shareOfRun: 83.3 });
+        expect(summarizeSteps([])).toEqual({});
+    });
+});
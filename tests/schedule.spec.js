@@ -0,0 +1,108 @@
+const { test, expect } = require('@playwright/test');
+const { parseCron, zonedParts, OperatingWindow, RunSchedule } = require('../src/lib/schedule');
+
+const MINUTE = 60 * 1000;
+
+// 2025-09-01 was a Monday (Labor Day); Denver is UTC-6 in September
+const at = local => Date.parse(`${local}-06:00`);
+const iso = time => new Date(time).toISOString();
+
+const PROFILES = [
+    { name: 'denver-bay-area-reefer', origin: 'Denver, CO' },
+    { name: 'bay-area-denver-van', origin: 'San Francisco, CA' },
+    { name: 'morning-board', origin: 'Denver, CO', cron: '*/30 6-9 * * mon-fri' }
+];
+
+test.describe('schedule', () => {
+    test('parses cron expressions and rejects bad ones', () => {
+        const cron = parseCron('*/15 6-17 * * mon-fri');
+        expect([...cron.minutes]).toEqual([0, 15, 30, 45]);
+        expect([...cron.weekdays]).toEqual([1, 2, 3, 4, 5]);
+        expect([...parseCron('0 0 1,15 jan-mar 7').weekdays]).toEqual([0]);
+        expect([...parseCron('5/20 * * * *').minutes]).toEqual([5, 25, 45]);
+
+        expect(() => parseCron('* * * *')).toThrow('must have five fields');
+        expect(() => parseCron('60 * * * *')).toThrow('minute "60" is not between 0 and 59');
+        expect(() => parseCron('* 18-6 * * *')).toThrow('hour range "18-6" runs backwards');
+        expect(() => parseCron('* * * * funday')).toThrow('day of week "funday"');
+    });
+
+    test('keeps to business hours, working days and holidays in the timezone', () => {
+        const window = new OperatingWindow({
+            timezone: 'America/Denver',
+            hours: '06:00-18:00',
+            days: 'mon-fri',
+            holidays: '2025-09-01'
+        });
+        expect(zonedParts(at('2025-09-02T05:59:00'), 'America/Denver')).toMatchObject({ date: '2025-09-02', hour: 5, weekday: 2 });
+
+        expect(window.isOpen(at('2025-09-02T06:00:00'))).toBe(true);
+        expect(window.isOpen(at('2025-09-02T18:00:00'))).toBe(false);
+        expect(window.isOpen(at('2025-09-01T12:00:00'))).toBe(false);
+
+        // Friday evening waits past the weekend and the Labor Day holiday
+        expect(iso(window.nextOpen(at('2025-08-29T18:30:00')))).toBe(iso(at('2025-09-02T06:00:00')));
+        expect(iso(window.nextCronTime(parseCron('*/30 * * * *'), at('2025-09-02T17:45:00')))).toBe(iso(at('2025-09-03T06:00:00')));
+
+        const overnight = new OperatingWindow({ timezone: 'America/Denver', hours: '22:00-06:00' });
+        expect(overnight.isOpen(at('2025-09-02T23:30:00'))).toBe(true);
+        expect(overnight.isOpen(at('2025-09-02T12:00:00'))).toBe(false);
+
+        expect(() => new OperatingWindow({ timezone: 'Mars/Olympus' })).toThrow('Unknown timezone "Mars/Olympus"');
+        expect(() => new OperatingWindow({ hours: '6am-6pm' })).toThrow('operatingHours start "6am"');
+        expect(() => new OperatingWindow({ holidays: 'christmas' })).toThrow('holiday "christmas"');
+    });
+
+    test('plans cron profiles alongside the interval rotation', () => {
+        const window = new OperatingWindow({ timezone: 'America/Denver', hours: '06:00-18:00', days: 'mon-fri' });
+        let now = at('2025-09-02T05:50:00');
+        const schedule = new RunSchedule({ profiles: PROFILES, intervalSeconds: 300, window, now });
+
+        // Closed until 06:00, when the cron profile and the rotation are both due
+        let planned = schedule.next(now);
+        expect(iso(planned.at)).toBe(iso(at('2025-09-02T06:00:00')));
+        expect(planned.profile.name).toBe('morning-board');
+        now = planned.at;
+        expect(schedule.take(planned, now).name).toBe('morning-board');
+
+        planned = schedule.next(now);
+        expect(iso(planned.at)).toBe(iso(now));
+        expect(schedule.take(planned, now).name).toBe('denver-bay-area-reefer');
+
+        planned = schedule.next(now);
+        expect(iso(planned.at)).toBe(iso(now + 5 * MINUTE));
+        expect(planned.profile.name).toBe('bay-area-denver-van');
+
+        // A run that overran the 06:30 and 07:00 slots makes the cron profile
+        // due once, right away
+        now = planned.at;
+        schedule.take(planned, now);
+        now = at('2025-09-02T07:10:00');
+        planned = schedule.next(now);
+        expect(planned.profile.name).toBe('morning-board');
+        expect(iso(planned.at)).toBe(iso(at('2025-09-02T06:30:00')));
+        schedule.take(planned, now);
+
+        planned = schedule.next(now);
+        expect(planned.profile.name).toBe('denver-bay-area-reefer');
+        expect(iso(planned.at)).toBe(iso(now));
+        schedule.take(planned, now);
+
+        planned = schedule.next(now);
+        expect(planned.profile.name).toBe('bay-area-denver-van');
+        expect(iso(planned.at)).toBe(iso(at('2025-09-02T07:15:00')));
+
+        expect(() => new RunSchedule({ profiles: [{ name: 'bad', cron: 'often' }], intervalSeconds: 30 }))
+            .toThrow('Search profile "bad": Cron expression "often" must have five fields');
+    });
+
+    test('runs straight away when asked to and the window is open', () => {
+        const now = at('2025-09-02T12:00:00');
+        const window = new OperatingWindow({ timezone: 'America/Denver' });
+        const schedule = new RunSchedule({ profiles: [], intervalSeconds: 30, window, immediate: true, now });
+        const planned = schedule.next(now);
+        expect(planned).toMatchObject({ at: now, profile: null, cron: null });
+        schedule.take(planned, now);
+        expect(schedule.next(now).at).toBe(now + 30000);
+    });
+});
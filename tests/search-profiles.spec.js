@@ -0,0 +1,127 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const {
+    parseSearchProfiles,
+    loadSearchProfiles,
+    selectProfile,
+    resolveDateRange,
+    formatSearchDate,
+    applyProfile,
+    ProfileRotation
+} = require('../src/lib/search-profiles');
+const { fillSearchForm } = require('../src/lib/search-form');
+
+const REEFER_PROFILE = {
+    name: 'denver-bay-area-reefer',
+    origin: 'Denver, CO',
+    destination: 'San Francisco, CA',
+    deadhead: { origin: 100, destination: 75 },
+    equipment: ['Reefer', 'Flatbeds'],
+    loadType: 'Full',
+    dateRange: 'next-week',
+    maxAgeMinutes: 30
+};
+
+test.describe('search profiles', () => {
+    test('fills in defaults and validates each profile', () => {
+        const [profile] = parseSearchProfiles({ profiles: [{ name: 'reno-any', origin: ' Reno, NV ', equipment: 'Reefer' }] });
+        expect(profile).toEqual({
+            name: 'reno-any',
+            origin: 'Reno, NV',
+            destination: null,
+            deadhead: { origin: 150, destination: 150 },
+            equipment: ['Reefer'],
+            loadType: 'Full & Partial',
+            dateRange: 'next-week',
+            maxAgeMinutes: null
+        });
+
+        expect(() => parseSearchProfiles({ profiles: [] })).toThrow('at least one profile');
+        expect(() => parseSearchProfiles([{ name: 'a' }])).toThrow('Search profile "a": origin is required');
+        expect(() => parseSearchProfiles([{ origin: 'Reno, NV' }])).toThrow('Search profile #1: name is required');
+        expect(() => parseSearchProfiles([{ ...REEFER_PROFILE, loadType: 'LTL' }])).toThrow('loadType must be one of');
+        expect(() => parseSearchProfiles([{ ...REEFER_PROFILE, deadhead: { origin: -5 } }])).toThrow('deadhead.origin');
+        expect(() => parseSearchProfiles([{ ...REEFER_PROFILE, dateRange: 'someday' }])).toThrow('dateRange must be');
+        expect(() => parseSearchProfiles([REEFER_PROFILE, REEFER_PROFILE])).toThrow('defined more than once');
+    });
+
+    test('loads the profiles file and selects by name', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-profiles-'));
+        const filePath = path.join(dir, 'search-profiles.json');
+        try {
+            expect(loadSearchProfiles(filePath)).toEqual([]);
+
+            fs.writeFileSync(filePath, JSON.stringify({ profiles: [REEFER_PROFILE, { name: 'reno-any', origin: 'Reno, NV' }] }));
+            const profiles = loadSearchProfiles(filePath);
+            expect(selectProfile(profiles).name).toBe('denver-bay-area-reefer');
+            expect(selectProfile(profiles, 'reno-any').origin).toBe('Reno, NV');
+            expect(() => selectProfile(profiles, 'missing')).toThrow('Unknown search profile "missing"');
+
+            fs.writeFileSync(filePath, '{ "profiles": [');
+            expect(() => loadSearchProfiles(filePath)).toThrow(`Could not read search profiles from ${filePath}`);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('resolves date ranges relative to the run', () => {
+        const wednesday = new Date(2025, 8, 3, 14, 30);
+        const format = ({ start, end }) => `${formatSearchDate(start)} - ${formatSearchDate(end)}`;
+
+        expect(format(resolveDateRange('today', wednesday))).toBe('9/3/2025 - 9/3/2025');
+        expect(format(resolveDateRange('next-week', wednesday))).toBe('9/8/2025 - 9/14/2025');
+        expect(format(resolveDateRange('next-week', new Date(2025, 8, 7)))).toBe('9/8/2025 - 9/14/2025');
+        expect(format(resolveDateRange({ startInDays: 1, days: 3 }, wednesday))).toBe('9/4/2025 - 9/6/2025');
+        expect(format(resolveDateRange({ start: '2025-10-01', end: '2025-10-02' }, wednesday))).toBe('10/1/2025 - 10/2/2025');
+        expect(() => resolveDateRange({ start: '2025-10-02', end: '2025-10-01' })).toThrow('end is before its start');
+    });
+
+    test('drops loads past the max age and tags the rest', () => {
+        const [profile] = parseSearchProfiles([REEFER_PROFILE]);
+        const records = [
+            { reference_number: 'B212555', age_posted: '2m' },
+            { reference_number: 'C418220', age_posted: '1h' },
+            { reference_number: 'D730004', age_posted: null }
+        ];
+
+        expect(applyProfile(records, profile)).toEqual([
+            { reference_number: 'B212555', age_posted: '2m', search_profile: 'denver-bay-area-reefer', equipment: 'Reefer, Flatbeds' },
+            { reference_number: 'D730004', age_posted: null, search_profile: 'denver-bay-area-reefer', equipment: 'Reefer, Flatbeds' }
+        ]);
+        expect(applyProfile(records, null)).toBe(records);
+    });
+
+    test('rotates through profiles one run at a time', () => {
+        const rotation = new ProfileRotation(parseSearchProfiles([
+            { name: 'a', origin: 'Reno, NV' },
+            { name: 'b', origin: 'Boise, ID' }
+        ]));
+
+        expect(rotation.peek().name).toBe('a');
+        expect([rotation.next(), rotation.next(), rotation.next()].map(profile => profile.name)).toEqual(['a', 'b', 'a']);
+        expect(rotation.peek().name).toBe('b');
+        expect(new ProfileRotation([]).next()).toBeNull();
+    });
+});
+
+test.describe('search form', () => {
+    test('fills and submits every criterion of a profile', async ({ page }) => {
+        const [profile] = parseSearchProfiles([REEFER_PROFILE]);
+        await page.goto('/search-form.html');
+
+        await fillSearchForm(page, profile, { timeout: 5000, now: new Date(2025, 8, 3) });
+
+        expect(await page.evaluate(() => window.submittedSearch)).toEqual({
+            origin: 'Denver, CO',
+            originDeadhead: '100',
+            destination: 'San Francisco, CA',
+            destinationDeadhead: '75',
+            equipment: ['Reefer', 'Flatbeds'],
+            loadType: 'Full',
+            startDate: '9/8/2025',
+            endDate: '9/14/2025'
+        });
+    });
+});
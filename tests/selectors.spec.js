@@ -0,0 +1,84 @@
+const { test, expect } = require('@playwright/test');
+const {
+    SELECTOR_REGISTRY_VERSION,
+    selectorsFor,
+    SelectorTracker,
+    mergeSelectorDrift
+} = require('../src/lib/selectors');
+const { waitForLoadResults, extractLoads } = require('../src/lib/load-extractor');
+
+test.describe('selector registry', () => {
+    test('reports fields whose primary selector stopped matching', () => {
+        const tracker = new SelectorTracker();
+        tracker.record('row.age', 0);
+        tracker.record('row.origin', 2);
+        tracker.record('row.origin', 2);
+        tracker.record('row.contact', -1);
+        tracker.record('detail.panel', -1);
+
+        const report = tracker.report();
+        expect(report.version).toBe(SELECTOR_REGISTRY_VERSION);
+        expect(report.fields['row.origin']).toEqual({ matches: { '[class*="origin"]': 2 }, misses: 0 });
+        expect(report.drift).toEqual([
+            {
+                field: 'row.origin',
+                primary: '[data-test="load-origin-cell"]',
+                matched: '[class*="origin"]',
+                fallbackIndex: 2,
+                lookups: 2
+            },
+            {
+                field: 'detail.panel',
+                primary: '[role="dialog"]',
+                matched: null,
+                fallbackIndex: null,
+                lookups: 1
+            }
+        ]);
+        expect(() => selectorsFor('row.weight')).toThrow('Unknown selector field: row.weight');
+    });
+
+    test('carries drift across runs until the primary matches again', () => {
+        const run = (records) => {
+            const tracker = new SelectorTracker();
+            records.forEach(([field, index]) => tracker.record(field, index));
+            return tracker.report();
+        };
+
+        let drift = mergeSelectorDrift([], run([['row.origin', 1], ['row.age', 1]]), 'run-1');
+        drift = mergeSelectorDrift(drift, run([['row.origin', 1], ['row.age', 0]]), 'run-2');
+        expect(drift).toEqual([
+            expect.objectContaining({ field: 'row.origin', since: 'run-1', lastSeenAt: 'run-2', version: SELECTOR_REGISTRY_VERSION })
+        ]);
+
+        // A run that never reached the rows leaves the warning in place
+        drift = mergeSelectorDrift(drift, run([['results.ready', 0]]), 'run-3');
+        expect(drift.map(entry => [entry.field, entry.lastSeenAt])).toEqual([['row.origin', 'run-2']]);
+
+        expect(mergeSelectorDrift(drift, run([['row.origin', 0]]), 'run-4')).toEqual([]);
+    });
+});
+
+test.describe('selector fallbacks on the results grid', () => {
+    test.beforeEach(async ({ page }) => {
+        await page.route(url => !['127.0.0.1', 'localhost'].includes(url.hostname), route => route.abort());
+    });
+
+    test('extracts through fallbacks and reports the drift', async ({ page }) => {
+        await page.goto('/search-results.html');
+        // Simulate DAT dropping the data-test attribute from origin cells
+        await page.evaluate(() => {
+            document.querySelectorAll('[data-test="load-origin-cell"]').forEach(cell => cell.removeAttribute('data-test'));
+        });
+
+        const tracker = new SelectorTracker();
+        await waitForLoadResults(page, 2000, undefined, tracker);
+        const { records } = await extractLoads(page, { maxEntries: 1, selectorTracker: tracker });
+
+        expect(records.map(record => record.origin)).toEqual(['Manteca, CA']);
+        expect(tracker.report().drift.map(entry => [entry.field, entry.matched])).toEqual([
+            ['results.ready', '.row-container'],
+            ['row.origin', '[class*="origin"]']
+        ]);
+    });
+});
@@ -0,0 +1,47 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+// Static server for the offline extraction tests. Serves tests/fixtures plus
+// the captured DAT ONE page source from the repo root, nothing else.
+const PORT = parseInt(process.env.FIXTURE_PORT) || 4317;
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+const ROOT_FILES = {
+    '/page-source.html': path.join(__dirname, '..', '..', 'page-source.html')
+};
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8'
+};
+
+function resolveFile(urlPath) {
+    if (ROOT_FILES[urlPath]) {
+        return ROOT_FILES[urlPath];
+    }
+
+    const filePath = path.join(FIXTURES_DIR, path.normalize(urlPath));
+    return filePath.startsWith(FIXTURES_DIR + path.sep) ? filePath : null;
+}
+
+const server = http.createServer((req, res) => {
+    const urlPath = decodeURIComponent(new URL(req.url, `http://${req.headers.host}`).pathname);
+    const filePath = resolveFile(urlPath);
+
+    if (!filePath || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found');
+        return;
+    }
+
+    res.writeHead(200, {
+        'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream'
+    });
+    fs.createReadStream(filePath).pipe(res);
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+    console.log(`Fixture server listening on http://127.0.0.1:${PORT}`);
+});
@@ -0,0 +1,19 @@
+// The load record the store, API, alert and pricing specs start from: a
+// reefer posting from Denver to Fresno. Specs pass what their case needs
+// changed as overrides.
+function makeLoad(overrides = {}) {
+    return {
+        reference_number: 'B212555',
+        origin: 'Denver, CO',
+        destination: 'Fresno, CA',
+        rate_total_usd: 3600,
+        rate_per_mile: 3.2,
+        company: 'ABC Logistics',
+        equipment: 'Reefer',
+        age_posted: '2m',
+        extracted_at: '2025-09-01T01:00:00.000Z',
+        ...overrides
+    };
+}
+
+module.exports = { makeLoad };
@@ -0,0 +1,69 @@
+const { test, expect } = require('@playwright/test');
+const { estimateTransit, planDelivery, applyTransit } = require('../src/lib/transit');
+const { parseLoadQuery, selectLoads } = require('../src/lib/load-query');
+const { makeLoad: baseLoad } = require('./support/make-load');
+
+function makeLoad(overrides = {}) {
+    return baseLoad({
+        load_id: 'ref:B212555',
+        loaded_miles: 1150,
+        pickup_start: '2025-09-08T08:00',
+        pickup_end: '2025-09-08T14:00',
+        delivery_start: '2025-09-10',
+        delivery_end: '2025-09-10',
+        ...overrides
+    });
+}
+
+test.describe('transit', () => {
+    test('times a solo driver with breaks and 10-hour resets', () => {
+        // Short hop: 2 h loading and 6 h driving, no stops
+        expect(estimateTransit({ miles: 300 })).toEqual({
+            mode: 'solo', driving_hours: 6, transit_hours: 8, breaks: 0, resets: 0, swaps: 0
+        });
+
+        // 24 h of driving: 8 h, break, 3 h (11 h limit), reset; 8 h, break,
+        // 3 h, reset; 2 h
+        expect(estimateTransit({ miles: 1200 })).toEqual({
+            mode: 'solo', driving_hours: 24, transit_hours: 47, breaks: 2, resets: 2, swaps: 0
+        });
+
+        // The 14-hour window ends the day before 11 h of driving with long loading
+        expect(estimateTransit({ drivingHours: 12, loadingHours: 5 })).toMatchObject({ transit_hours: 27.5, resets: 1 });
+        expect(() => estimateTransit({ miles: 100, mode: 'convoy' })).toThrow('HOS mode must be one of solo, team');
+    });
+
+    test('keeps a team truck moving by swapping drivers', () => {
+        const team = estimateTransit({ miles: 1200, mode: 'team' });
+        expect(team).toEqual({ mode: 'team', driving_hours: 24, transit_hours: 26.5, breaks: 1, resets: 0, swaps: 2 });
+        expect(estimateTransit({ miles: 2800, mode: 'team' }).transit_hours).toBeLessThan(estimateTransit({ miles: 2800 }).transit_hours / 1.5);
+    });
+
+    test('flags loads whose posted delivery cannot legally be met', () => {
+        // 23 h driving leaves Denver 08:00 MT, arrives 46 h later: 06:00 MT,
+        // 05:00 in Fresno, two days on
+        expect(planDelivery(makeLoad())).toEqual({
+            transit_hours: 46,
+            earliest_delivery: '2025-09-10T05:00',
+            delivery_slack_hours: 19
+        });
+        expect(planDelivery(makeLoad({ delivery_end: '2025-09-09T18:00' })).delivery_slack_hours).toBe(-11);
+        expect(planDelivery(makeLoad({ delivery_end: '2025-09-09T18:00' }), { mode: 'team' })).toMatchObject({
+            earliest_delivery: '2025-09-09T08:30',
+            delivery_slack_hours: 9.5
+        });
+
+        expect(planDelivery(makeLoad({ pickup_start: null }))).toEqual({ transit_hours: 46, earliest_delivery: null, delivery_slack_hours: null });
+        expect(planDelivery(makeLoad({ loaded_miles: null }))).toEqual({ transit_hours: null, earliest_delivery: null, delivery_slack_hours: null });
+
+        const loads = applyTransit([
+            makeLoad(),
+            makeLoad({ load_id: 'ref:C418220', reference_number: 'C418220', delivery_end: '2025-09-09T12:00' }),
+            makeLoad({ load_id: 'ref:D100001', reference_number: 'D100001', pickup_start: null })
+        ]);
+        const late = query => selectLoads(loads, parseLoadQuery(query)).loads.map(load => load.reference_number);
+        expect(late({ late: 'true' })).toEqual(['C418220']);
+        expect(late({ late: 'false', sort: 'delivery_slack_hours' })).toEqual(['B212555', 'D100001']);
+        expect(() => parseLoadQuery({ late: 'maybe' })).toThrow('late must be true or false');
+    });
+});
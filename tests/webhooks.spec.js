@@ -0,0 +1,247 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { test, expect } = require('@playwright/test');
+const { createLoadStore } = require('../src/lib/load-store');
+const {
+    parseWebhookConfig,
+    signPayload,
+    verifySignature,
+    backoffMs,
+    WebhookDispatcher,
+    watchLoadStore
+} = require('../src/lib/webhooks');
+const { makeLoad: baseLoad } = require('./support/make-load');
+
+const SECRET = 'whsec_test';
+
+function makeLoad(overrides = {}) {
+    return baseLoad({ equipment: null, ...overrides });
+}
+
+// A receiver answering with the queued status codes, 200 once they run out
+async function startReceiver(statuses = []) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body });
+            res.writeHead(statuses.length > 0 ? statuses.shift() : 200);
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+    return {
+        requests,
+        url: `http://127.0.0.1:${server.address().port}/hooks`,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+test.describe('webhooks', () => {
+    let dir;
+
+    test.beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-webhooks-'));
+    });
+
+    test.afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('signs payloads and validates endpoints', () => {
+        const header = signPayload(SECRET, '{"id":1}', 1756688400);
+        expect(header).toMatch(/^t=1756688400,v1=[0-9a-f]{64}$/);
+        expect(verifySignature(SECRET, '{"id":1}', header, { now: 1756688400 * 1000 })).toBe(true);
+        expect(verifySignature(SECRET, '{"id":2}', header, { now: 1756688400 * 1000 })).toBe(false);
+        expect(verifySignature('other', '{"id":1}', header, { now: 1756688400 * 1000 })).toBe(false);
+        expect(verifySignature(SECRET, '{"id":1}', header, { now: (1756688400 + 600) * 1000 })).toBe(false);
+
+        expect(backoffMs(1, () => 0)).toBe(10000);
+        expect(backoffMs(4, () => 0)).toBe(80000);
+        expect(backoffMs(20, () => 0)).toBe(3600000);
+
+        expect(() => parseWebhookConfig({ endpoints: [{ name: 'tms', url: 'https://tms.example.com', secretEnv: 'TMS_SECRET' }] }, {}))
+            .toThrow('Webhook endpoint "tms": environment variable TMS_SECRET is not set');
+        expect(() => parseWebhookConfig({ endpoints: [{ name: 'tms', url: 'https://tms.example.com', secretEnv: 'S', events: ['load.sold'] }] }, { S: 'x' }))
+            .toThrow('unknown event "load.sold"');
+    });
+
+    test('delivers signed created, updated and removed events from the store', async () => {
+        const receiver = await startReceiver();
+        const store = createLoadStore({ type: 'sqlite', sqlitePath: path.join(dir, 'loads.db') });
+        await store.open();
+
+        const { endpoints } = parseWebhookConfig({
+            endpoints: [{ name: 'tms', url: receiver.url, secretEnv: 'TMS_SECRET' }]
+        }, { TMS_SECRET: SECRET });
+        const dispatcher = new WebhookDispatcher({ endpoints, outboxPath: path.join(dir, 'outbox.json'), logger: { info() {}, warn() {} } });
+        watchLoadStore(store, dispatcher);
+
+        try {
+            await store.upsertLoads([makeLoad()], { seenAt: '2025-09-01T01:00:00.000Z' });
+            await store.upsertLoads([makeLoad({ rate_per_mile: 3.5, age_posted: '5m' })], { seenAt: '2025-09-01T01:01:00.000Z' });
+            await store.upsertLoads([makeLoad({ age_posted: '6m', rate_per_mile: 3.5 })], { seenAt: '2025-09-01T01:02:00.000Z' });
+            await store.markUnseenLoads({ seenAt: '2025-09-01T01:03:00.000Z', vanishAfterRuns: 1 });
+            expect(dispatcher.pending()).toEqual([]);
+
+            // The events go to the outbox in one write
+            let writes = 0;
+            const writeOutbox = dispatcher.writeOutbox.bind(dispatcher);
+            dispatcher.writeOutbox = outbox => {
+                writes++;
+                writeOutbox(outbox);
+            };
+            expect(await dispatcher.save()).toBe(3);
+            expect(writes).toBe(1);
+            expect(dispatcher.pending()).toHaveLength(3);
+
+            expect(await dispatcher.flush()).toEqual({ delivered: 3, retrying: 0, dead: 0 });
+            expect(dispatcher.pending()).toEqual([]);
+
+            const events = receiver.requests.map(({ headers, body }) => {
+                expect(verifySignature(SECRET, body, headers['x-dispatch-signature'])).toBe(true);
+                expect(headers['x-dispatch-event']).toBe(JSON.parse(body).type);
+                return JSON.parse(body);
+            });
+            expect(events.map(event => [event.type, event.data.load.load_id])).toEqual([
+                ['load.created', 'ref:B212555'],
+                ['load.updated', 'ref:B212555'],
+                ['load.removed', 'ref:B212555']
+            ]);
+            expect(events[1].data.changes).toEqual({ rate_per_mile: { old: 3.2, new: 3.5 } });
+            expect(events[2].data.load.status).toBe('vanished');
+        } finally {
+            await store.close();
+            await receiver.close();
+        }
+    });
+
+    test('retries with backoff, dead-letters and replays', async () => {
+        const receiver = await startReceiver([503, 503, 410]);
+        const { endpoints } = parseWebhookConfig({
+            endpoints: [{ name: 'tms', url: receiver.url, secretEnv: 'TMS_SECRET', events: ['load.created'] }],
+            maxAttempts: 2
+        }, { TMS_SECRET: SECRET });
+        const outboxPath = path.join(dir, 'outbox.json');
+        const dispatcher = new WebhookDispatcher({ endpoints, maxAttempts: 2, outboxPath, logger: { info() {}, warn() {} }, random: () => 0 });
+        const at = minutes => new Date(Date.parse('2025-09-01T01:00:00.000Z') + minutes * 60000);
+
+        try {
+            expect(dispatcher.enqueue('load.removed', { load: makeLoad() })).toBe(0);
+            dispatcher.enqueue('load.created', { load: makeLoad() }, { now: at(0) });
+            dispatcher.enqueue('load.created', { load: makeLoad({ reference_number: 'C418220' }) }, { now: at(0) });
+
+            // First attempts: a 503 and a 503
+            expect(await dispatcher.flush({ now: at(0) })).toEqual({ delivered: 0, retrying: 2, dead: 0 });
+            expect(dispatcher.pending().map(delivery => delivery.next_attempt_at)).toEqual([at(10 / 60).toISOString(), at(10 / 60).toISOString()]);
+            expect(await dispatcher.flush({ now: at(0.1) })).toEqual({ delivered: 0, retrying: 0, dead: 0 });
+
+            // Second attempts: a 410 and a 200
+            expect(await dispatcher.flush({ now: at(1) })).toEqual({ delivered: 1, retrying: 0, dead: 1 });
+            const [dead] = dispatcher.deadLetters();
+            expect(dead).toMatchObject({ attempts: 2, last_error: `${receiver.url} answered 410` });
+
+            // The restarted service sees the same outbox
+            const restarted = new WebhookDispatcher({ endpoints, outboxPath, logger: { info() {}, warn() {} } });
+            expect(await restarted.replay([dead.id], { now: at(2) })).toHaveLength(1);
+            expect(restarted.deadLetters()).toEqual([]);
+            expect(await restarted.flush({ now: at(2) })).toEqual({ delivered: 1, retrying: 0, dead: 0 });
+
+            const deliveryIds = receiver.requests.map(request => request.headers['x-dispatch-delivery']);
+            expect(deliveryIds).toHaveLength(5);
+            expect(deliveryIds[4]).toBe(dead.id);
+        } finally {
+            await receiver.close();
+        }
+    });
+
+    test('keeps the newest dead letters and takes over a crashed holder of the outbox lock', async () => {
+        const receiver = await startReceiver([410, 410, 410]);
+        const { endpoints } = parseWebhookConfig({
+            endpoints: [{ name: 'tms', url: receiver.url, secretEnv: 'TMS_SECRET' }],
+            maxDeadLetters: 2
+        }, { TMS_SECRET: SECRET });
+        const outboxPath = path.join(dir, 'outbox.json');
+        const warnings = [];
+        const logger = { info() {}, warn: (message, meta) => warnings.push([message, meta]) };
+        const dispatcher = new WebhookDispatcher({ endpoints, maxDeadLetters: 2, outboxPath, logger });
+
+        // Left behind by a process that died while writing the outbox
+        fs.writeFileSync(`${outboxPath}.lock`, JSON.stringify({ pid: 2 ** 22 + 1, hostname: os.hostname(), token: 'crashed' }));
+
+        try {
+            for (const reference of ['A1', 'B2', 'C3']) {
+                dispatcher.enqueue('load.created', { load: makeLoad({ reference_number: reference }) });
+            }
+            expect(await dispatcher.save()).toBe(3);
+            expect(fs.existsSync(`${outboxPath}.lock`)).toBe(false);
+
+            expect(await dispatcher.flush()).toEqual({ delivered: 0, retrying: 0, dead: 3 });
+            expect(dispatcher.deadLetters().map(dead => dead.event.data.load.reference_number)).toEqual(['B2', 'C3']);
+            expect(warnings).toContainEqual(['Dropped the oldest webhook dead letters', { dropped: 1, kept: 2 }]);
+        } finally {
+            await receiver.close();
+        }
+    });
+
+    test('waits for another process holding the outbox lock without blocking', async () => {
+        const { endpoints } = parseWebhookConfig({
+            endpoints: [{ name: 'tms', url: 'https://tms.example.com/hooks', secretEnv: 'TMS_SECRET' }]
+        }, { TMS_SECRET: SECRET });
+        const outboxPath = path.join(dir, 'outbox.json');
+        const dispatcher = new WebhookDispatcher({ endpoints, outboxPath, logger: { info() {}, warn() {} } });
+
+        // Held by a live process (this one, under another token)
+        fs.writeFileSync(`${outboxPath}.lock`, JSON.stringify({ pid: process.pid, hostname: os.hostname(), token: 'cli' }));
+        dispatcher.enqueue('load.created', { load: makeLoad() });
+        let saved = false;
+        const saving = dispatcher.save().then(count => {
+            saved = true;
+            return count;
+        });
+
+        let ticks = 0;
+        const ticker = setInterval(() => ticks++, 10);
+        try {
+            await new Promise(resolve => setTimeout(resolve, 300));
+            expect(saved).toBe(false);
+            expect(ticks).toBeGreaterThan(10);
+
+            fs.rmSync(`${outboxPath}.lock`);
+            expect(await saving).toBe(1);
+            expect(dispatcher.pending()).toHaveLength(1);
+        } finally {
+            clearInterval(ticker);
+        }
+    });
+
+    test('keeps events it cannot write queued without failing the store save', async () => {
+        const store = createLoadStore({ type: 'sqlite', sqlitePath: path.join(dir, 'loads.db') });
+        await store.open();
+
+        // An outbox that cannot be read
+        const outboxPath = path.join(dir, 'outbox.json');
+        fs.mkdirSync(outboxPath);
+        const { endpoints } = parseWebhookConfig({
+            endpoints: [{ name: 'tms', url: 'https://tms.example.com/hooks', secretEnv: 'TMS_SECRET' }]
+        }, { TMS_SECRET: SECRET });
+        const dispatcher = new WebhookDispatcher({ endpoints, outboxPath, logger: { info() {}, warn() {} } });
+        watchLoadStore(store, dispatcher);
+
+        try {
+            expect(await store.upsertLoads([makeLoad()], { seenAt: '2025-09-01T01:00:00.000Z' })).toMatchObject({ inserted: 1 });
+            expect(await store.countLoads()).toBe(1);
+            await expect(dispatcher.save()).rejects.toThrow();
+            expect(dispatcher.queued.map(delivery => delivery.event.type)).toEqual(['load.created']);
+
+            fs.rmdirSync(outboxPath);
+            expect(await dispatcher.save()).toBe(1);
+            expect(dispatcher.queued).toEqual([]);
+        } finally {
+            await store.close();
+        }
+    });
+});